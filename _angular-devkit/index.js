@@ -9,18 +9,21 @@ Object.defineProperty(exports, "__esModule", { value: true });
  */
 const schematics_1 = require("@angular-devkit/schematics");
 const semver = require("semver");
-const npm_1 = require("../utility/npm");
-const angularDevkitPackagesName = [
-    '@angular-devkit/core',
-    '@angular-devkit/schematics',
-    '@angular-devkit/build-optimizer',
-];
+const packages_1 = require("../packages");
+exports.preset = {
+    packages: [
+        '@angular-devkit/core',
+        '@angular-devkit/schematics',
+        '@angular-devkit/build-optimizer',
+    ],
+    validateVersion: version => {
+        if (semver.valid(version)) {
+            throw new schematics_1.SchematicsException('You cannot specify a version, you need to use a dist tag.');
+        }
+    },
+};
 function default_1(options) {
-    const version = options.version || 'latest';
-    if (semver.valid(version)) {
-        throw new schematics_1.SchematicsException('You cannot specify a version, you need to use a dist tag.');
-    }
-    return npm_1.updatePackageJson(angularDevkitPackagesName, options.version, options.loose);
+    return packages_1.default(Object.assign({}, options, { packages: packages_1.getPresetPackages(exports.preset, options.version || 'latest') }));
 }
 exports.default = default_1;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiLi8iLCJzb3VyY2VzIjpbInBhY2thZ2VzL3NjaGVtYXRpY3MvcGFja2FnZV91cGRhdGUvX2FuZ3VsYXItZGV2a2l0L2luZGV4LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7O0FBQUE7Ozs7OztHQU1HO0FBQ0gsMkRBQXVFO0FBQ3ZFLGlDQUFpQztBQUVqQyx3Q0FBbUQ7QUFHbkQsTUFBTSx5QkFBeUIsR0FBRztJQUNoQyxzQkFBc0I7SUFDdEIsNEJBQTRCO0lBQzVCLGlDQUFpQztDQUNsQyxDQUFDO0FBR0YsbUJBQXdCLE9BQStCO0lBQ3JELE1BQU0sT0FBTyxHQUFHLE9BQU8sQ0FBQyxPQUFPLElBQUksUUFBUSxDQUFDO0lBQzVDLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzFCLE1BQU0sSUFBSSxnQ0FBbUIsQ0FBQywyREFBMkQsQ0FBQyxDQUFDO0lBQzdGLENBQUM7SUFFRCxNQUFNLENBQUMsdUJBQWlCLENBQUMseUJBQXlCLEVBQUUsT0FBTyxDQUFDLE9BQU8sRUFBRSxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUM7QUFDdEYsQ0FBQztBQVBELDRCQU9DIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBJbmMuIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuaW1wb3J0IHsgUnVsZSwgU2NoZW1hdGljc0V4Y2VwdGlvbiB9IGZyb20gJ0Bhbmd1bGFyLWRldmtpdC9zY2hlbWF0aWNzJztcbmltcG9ydCAqIGFzIHNlbXZlciBmcm9tICdzZW12ZXInO1xuaW1wb3J0IHsgU2NoZW1hdGljc1VwZGF0ZVNjaGVtYSB9IGZyb20gJy4uL3NjaGVtYSc7XG5pbXBvcnQgeyB1cGRhdGVQYWNrYWdlSnNvbiB9IGZyb20gJy4uL3V0aWxpdHkvbnBtJztcblxuXG5jb25zdCBhbmd1bGFyRGV2a2l0UGFja2FnZXNOYW1lID0gW1xuICAnQGFuZ3VsYXItZGV2a2l0L2NvcmUnLFxuICAnQGFuZ3VsYXItZGV2a2l0L3NjaGVtYXRpY3MnLFxuICAnQGFuZ3VsYXItZGV2a2l0L2J1aWxkLW9wdGltaXplcicsXG5dO1xuXG5cbmV4cG9ydCBkZWZhdWx0IGZ1bmN0aW9uKG9wdGlvbnM6IFNjaGVtYXRpY3NVcGRhdGVTY2hlbWEpOiBSdWxlIHtcbiAgY29uc3QgdmVyc2lvbiA9IG9wdGlvbnMudmVyc2lvbiB8fCAnbGF0ZXN0JztcbiAgaWYgKHNlbXZlci52YWxpZCh2ZXJzaW9uKSkge1xuICAgIHRocm93IG5ldyBTY2hlbWF0aWNzRXhjZXB0aW9uKCdZb3UgY2Fubm90IHNwZWNpZnkgYSB2ZXJzaW9uLCB5b3UgbmVlZCB0byB1c2UgYSBkaXN0IHRhZy4nKTtcbiAgfVxuXG4gIHJldHVybiB1cGRhdGVQYWNrYWdlSnNvbihhbmd1bGFyRGV2a2l0UGFja2FnZXNOYW1lLCBvcHRpb25zLnZlcnNpb24sIG9wdGlvbnMubG9vc2UpO1xufVxuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiLi8iLCJzb3VyY2VzIjpbInBhY2thZ2VzL3NjaGVtYXRpY3MvcGFja2FnZV91cGRhdGUvX2FuZ3VsYXItZGV2a2l0L2luZGV4LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7O0FBQUE7Ozs7OztHQU1HO0FBQ0gsMkRBQXVFO0FBQ3ZFLGlDQUFpQztBQUNqQywwQ0FBeUU7QUFJNUQsUUFBQSxNQUFNLEdBQWtCO0lBQ25DLFFBQVEsRUFBRTtRQUNSLHNCQUFzQjtRQUN0Qiw0QkFBNEI7UUFDNUIsaUNBQWlDO0tBQ2xDO0lBQ0QsZUFBZSxFQUFFLE9BQU8sQ0FBQyxFQUFFO1FBQ3pCLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzFCLE1BQU0sSUFBSSxnQ0FBbUIsQ0FBQywyREFBMkQsQ0FBQyxDQUFDO1FBQzdGLENBQUM7SUFDSCxDQUFDO0NBQ0YsQ0FBQztBQUdGLG1CQUF3QixPQUErQjtJQUNyRCxNQUFNLENBQUMsa0JBQVEsbUJBQ1YsT0FBTyxJQUNWLFFBQVEsRUFBRSw0QkFBaUIsQ0FBQyxjQUFNLEVBQUUsT0FBTyxDQUFDLE9BQU8sSUFBSSxRQUFRLENBQUMsSUFDaEUsQ0FBQztBQUNMLENBQUM7QUFMRCw0QkFLQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgSW5jLiBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cbmltcG9ydCB7IFJ1bGUsIFNjaGVtYXRpY3NFeGNlcHRpb24gfSBmcm9tICdAYW5ndWxhci1kZXZraXQvc2NoZW1hdGljcyc7XG5pbXBvcnQgKiBhcyBzZW12ZXIgZnJvbSAnc2VtdmVyJztcbmltcG9ydCBwYWNrYWdlcywgeyBQYWNrYWdlUHJlc2V0LCBnZXRQcmVzZXRQYWNrYWdlcyB9IGZyb20gJy4uL3BhY2thZ2VzJztcbmltcG9ydCB7IFNjaGVtYXRpY3NVcGRhdGVTY2hlbWEgfSBmcm9tICcuLi9zY2hlbWEnO1xuXG5cbmV4cG9ydCBjb25zdCBwcmVzZXQ6IFBhY2thZ2VQcmVzZXQgPSB7XG4gIHBhY2thZ2VzOiBbXG4gICAgJ0Bhbmd1bGFyLWRldmtpdC9jb3JlJyxcbiAgICAnQGFuZ3VsYXItZGV2a2l0L3NjaGVtYXRpY3MnLFxuICAgICdAYW5ndWxhci1kZXZraXQvYnVpbGQtb3B0aW1pemVyJyxcbiAgXSxcbiAgdmFsaWRhdGVWZXJzaW9uOiB2ZXJzaW9uID0+IHtcbiAgICBpZiAoc2VtdmVyLnZhbGlkKHZlcnNpb24pKSB7XG4gICAgICB0aHJvdyBuZXcgU2NoZW1hdGljc0V4Y2VwdGlvbignWW91IGNhbm5vdCBzcGVjaWZ5IGEgdmVyc2lvbiwgeW91IG5lZWQgdG8gdXNlIGEgZGlzdCB0YWcuJyk7XG4gICAgfVxuICB9LFxufTtcblxuXG5leHBvcnQgZGVmYXVsdCBmdW5jdGlvbihvcHRpb25zOiBTY2hlbWF0aWNzVXBkYXRlU2NoZW1hKTogUnVsZSB7XG4gIHJldHVybiBwYWNrYWdlcyh7XG4gICAgLi4ub3B0aW9ucyxcbiAgICBwYWNrYWdlczogZ2V0UHJlc2V0UGFja2FnZXMocHJlc2V0LCBvcHRpb25zLnZlcnNpb24gfHwgJ2xhdGVzdCcpLFxuICB9KTtcbn1cbiJdfQ==
\ No newline at end of file
@@ -9,35 +9,38 @@ Object.defineProperty(exports, "__esModule", { value: true });
  */
 const schematics_1 = require("@angular-devkit/schematics");
 const semver = require("semver");
-const npm_1 = require("../utility/npm");
-const angularPackagesName = [
-    '@angular/animations',
-    '@angular/bazel',
-    '@angular/benchpress',
-    '@angular/common',
-    '@angular/compiler',
-    '@angular/compiler-cli',
-    '@angular/core',
-    '@angular/forms',
-    '@angular/http',
-    '@angular/language-service',
-    '@angular/platform-browser',
-    '@angular/platform-browser-dynamic',
-    '@angular/platform-server',
-    '@angular/platform-webworker',
-    '@angular/platform-webworker-dynamic',
-    '@angular/router',
-    '@angular/service-worker',
-    '@angular/upgrade',
-];
-function default_1(options) {
-    const version = options.version || 'latest';
-    if (semver.valid(version)) {
-        if (!semver.gt(version, '4.0.0')) {
-            throw new schematics_1.SchematicsException('You cannot use a version of Angular older than 4.');
+const packages_1 = require("../packages");
+exports.preset = {
+    packages: [
+        '@angular/animations',
+        '@angular/bazel',
+        '@angular/benchpress',
+        '@angular/common',
+        '@angular/compiler',
+        '@angular/compiler-cli',
+        '@angular/core',
+        '@angular/forms',
+        '@angular/http',
+        '@angular/language-service',
+        '@angular/platform-browser',
+        '@angular/platform-browser-dynamic',
+        '@angular/platform-server',
+        '@angular/platform-webworker',
+        '@angular/platform-webworker-dynamic',
+        '@angular/router',
+        '@angular/service-worker',
+        '@angular/upgrade',
+    ],
+    validateVersion: version => {
+        if (semver.valid(version)) {
+            if (!semver.gt(version, '4.0.0')) {
+                throw new schematics_1.SchematicsException('You cannot use a version of Angular older than 4.');
+            }
         }
-    }
-    return npm_1.updatePackageJson(angularPackagesName, options.version, options.loose);
+    },
+};
+function default_1(options) {
+    return packages_1.default(Object.assign({}, options, { packages: packages_1.getPresetPackages(exports.preset, options.version || 'latest') }));
 }
 exports.default = default_1;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiLi8iLCJzb3VyY2VzIjpbInBhY2thZ2VzL3NjaGVtYXRpY3MvcGFja2FnZV91cGRhdGUvX2FuZ3VsYXIvaW5kZXgudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7QUFBQTs7Ozs7O0dBTUc7QUFDSCwyREFBdUU7QUFDdkUsaUNBQWlDO0FBRWpDLHdDQUFtRDtBQUduRCxNQUFNLG1CQUFtQixHQUFHO0lBQzFCLHFCQUFxQjtJQUNyQixnQkFBZ0I7SUFDaEIscUJBQXFCO0lBQ3JCLGlCQUFpQjtJQUNqQixtQkFBbUI7SUFDbkIsdUJBQXVCO0lBQ3ZCLGVBQWU7SUFDZixnQkFBZ0I7SUFDaEIsZUFBZTtJQUNmLDJCQUEyQjtJQUMzQiwyQkFBMkI7SUFDM0IsbUNBQW1DO0lBQ25DLDBCQUEwQjtJQUMxQiw2QkFBNkI7SUFDN0IscUNBQXFDO0lBQ3JDLGlCQUFpQjtJQUNqQix5QkFBeUI7SUFDekIsa0JBQWtCO0NBQ25CLENBQUM7QUFFRixtQkFBd0IsT0FBK0I7SUFDckQsTUFBTSxPQUFPLEdBQUcsT0FBTyxDQUFDLE9BQU8sSUFBSSxRQUFRLENBQUM7SUFDNUMsRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDMUIsRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE9BQU8sRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDakMsTUFBTSxJQUFJLGdDQUFtQixDQUFDLG1EQUFtRCxDQUFDLENBQUM7UUFDckYsQ0FBQztJQUNILENBQUM7SUFFRCxNQUFNLENBQUMsdUJBQWlCLENBQUMsbUJBQW1CLEVBQUUsT0FBTyxDQUFDLE9BQU8sRUFBRSxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUM7QUFDaEYsQ0FBQztBQVRELDRCQVNDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBJbmMuIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuaW1wb3J0IHsgUnVsZSwgU2NoZW1hdGljc0V4Y2VwdGlvbiB9IGZyb20gJ0Bhbmd1bGFyLWRldmtpdC9zY2hlbWF0aWNzJztcbmltcG9ydCAqIGFzIHNlbXZlciBmcm9tICdzZW12ZXInO1xuaW1wb3J0IHsgU2NoZW1hdGljc1VwZGF0ZVNjaGVtYSB9IGZyb20gJy4uL3NjaGVtYSc7XG5pbXBvcnQgeyB1cGRhdGVQYWNrYWdlSnNvbiB9IGZyb20gJy4uL3V0aWxpdHkvbnBtJztcblxuXG5jb25zdCBhbmd1bGFyUGFja2FnZXNOYW1lID0gW1xuICAnQGFuZ3VsYXIvYW5pbWF0aW9ucycsXG4gICdAYW5ndWxhci9iYXplbCcsXG4gICdAYW5ndWxhci9iZW5jaHByZXNzJyxcbiAgJ0Bhbmd1bGFyL2NvbW1vbicsXG4gICdAYW5ndWxhci9jb21waWxlcicsXG4gICdAYW5ndWxhci9jb21waWxlci1jbGknLFxuICAnQGFuZ3VsYXIvY29yZScsXG4gICdAYW5ndWxhci9mb3JtcycsXG4gICdAYW5ndWxhci9odHRwJyxcbiAgJ0Bhbmd1bGFyL2xhbmd1YWdlLXNlcnZpY2UnLFxuICAnQGFuZ3VsYXIvcGxhdGZvcm0tYnJvd3NlcicsXG4gICdAYW5ndWxhci9wbGF0Zm9ybS1icm93c2VyLWR5bmFtaWMnLFxuICAnQGFuZ3VsYXIvcGxhdGZvcm0tc2VydmVyJyxcbiAgJ0Bhbmd1bGFyL3BsYXRmb3JtLXdlYndvcmtlcicsXG4gICdAYW5ndWxhci9wbGF0Zm9ybS13ZWJ3b3JrZXItZHluYW1pYycsXG4gICdAYW5ndWxhci9yb3V0ZXInLFxuICAnQGFuZ3VsYXIvc2VydmljZS13b3JrZXInLFxuICAnQGFuZ3VsYXIvdXBncmFkZScsXG5dO1xuXG5leHBvcnQgZGVmYXVsdCBmdW5jdGlvbihvcHRpb25zOiBTY2hlbWF0aWNzVXBkYXRlU2NoZW1hKTogUnVsZSB7XG4gIGNvbnN0IHZlcnNpb24gPSBvcHRpb25zLnZlcnNpb24gfHwgJ2xhdGVzdCc7XG4gIGlmIChzZW12ZXIudmFsaWQodmVyc2lvbikpIHtcbiAgICBpZiAoIXNlbXZlci5ndCh2ZXJzaW9uLCAnNC4wLjAnKSkge1xuICAgICAgdGhyb3cgbmV3IFNjaGVtYXRpY3NFeGNlcHRpb24oJ1lvdSBjYW5ub3QgdXNlIGEgdmVyc2lvbiBvZiBBbmd1bGFyIG9sZGVyIHRoYW4gNC4nKTtcbiAgICB9XG4gIH1cblxuICByZXR1cm4gdXBkYXRlUGFja2FnZUpzb24oYW5ndWxhclBhY2thZ2VzTmFtZSwgb3B0aW9ucy52ZXJzaW9uLCBvcHRpb25zLmxvb3NlKTtcbn1cbiJdfQ==
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiLi8iLCJzb3VyY2VzIjpbInBhY2thZ2VzL3NjaGVtYXRpY3MvcGFja2FnZV91cGRhdGUvX2FuZ3VsYXIvaW5kZXgudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7QUFBQTs7Ozs7O0dBTUc7QUFDSCwyREFBdUU7QUFDdkUsaUNBQWlDO0FBQ2pDLDBDQUF5RTtBQUk1RCxRQUFBLE1BQU0sR0FBa0I7SUFDbkMsUUFBUSxFQUFFO1FBQ1IscUJBQXFCO1FBQ3JCLGdCQUFnQjtRQUNoQixxQkFBcUI7UUFDckIsaUJBQWlCO1FBQ2pCLG1CQUFtQjtRQUNuQix1QkFBdUI7UUFDdkIsZUFBZTtRQUNmLGdCQUFnQjtRQUNoQixlQUFlO1FBQ2YsMkJBQTJCO1FBQzNCLDJCQUEyQjtRQUMzQixtQ0FBbUM7UUFDbkMsMEJBQTBCO1FBQzFCLDZCQUE2QjtRQUM3QixxQ0FBcUM7UUFDckMsaUJBQWlCO1FBQ2pCLHlCQUF5QjtRQUN6QixrQkFBa0I7S0FDbkI7SUFDRCxlQUFlLEVBQUUsT0FBTyxDQUFDLEVBQUU7UUFDekIsRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDMUIsRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE9BQU8sRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQ2pDLE1BQU0sSUFBSSxnQ0FBbUIsQ0FBQyxtREFBbUQsQ0FBQyxDQUFDO1lBQ3JGLENBQUM7UUFDSCxDQUFDO0lBQ0gsQ0FBQztDQUNGLENBQUM7QUFFRixtQkFBd0IsT0FBK0I7SUFDckQsTUFBTSxDQUFDLGtCQUFRLG1CQUNWLE9BQU8sSUFDVixRQUFRLEVBQUUsNEJBQWlCLENBQUMsY0FBTSxFQUFFLE9BQU8sQ0FBQyxPQUFPLElBQUksUUFBUSxDQUFDLElBQ2hFLENBQUM7QUFDTCxDQUFDO0FBTEQsNEJBS0MiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIEluYy4gQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5pbXBvcnQgeyBSdWxlLCBTY2hlbWF0aWNzRXhjZXB0aW9uIH0gZnJvbSAnQGFuZ3VsYXItZGV2a2l0L3NjaGVtYXRpY3MnO1xuaW1wb3J0ICogYXMgc2VtdmVyIGZyb20gJ3NlbXZlcic7XG5pbXBvcnQgcGFja2FnZXMsIHsgUGFja2FnZVByZXNldCwgZ2V0UHJlc2V0UGFja2FnZXMgfSBmcm9tICcuLi9wYWNrYWdlcyc7XG5pbXBvcnQgeyBTY2hlbWF0aWNzVXBkYXRlU2NoZW1hIH0gZnJvbSAnLi4vc2NoZW1hJztcblxuXG5leHBvcnQgY29uc3QgcHJlc2V0OiBQYWNrYWdlUHJlc2V0ID0ge1xuICBwYWNrYWdlczogW1xuICAgICdAYW5ndWxhci9hbmltYXRpb25zJyxcbiAgICAnQGFuZ3VsYXIvYmF6ZWwnLFxuICAgICdAYW5ndWxhci9iZW5jaHByZXNzJyxcbiAgICAnQGFuZ3VsYXIvY29tbW9uJyxcbiAgICAnQGFuZ3VsYXIvY29tcGlsZXInLFxuICAgICdAYW5ndWxhci9jb21waWxlci1jbGknLFxuICAgICdAYW5ndWxhci9jb3JlJyxcbiAgICAnQGFuZ3VsYXIvZm9ybXMnLFxuICAgICdAYW5ndWxhci9odHRwJyxcbiAgICAnQGFuZ3VsYXIvbGFuZ3VhZ2Utc2VydmljZScsXG4gICAgJ0Bhbmd1bGFyL3BsYXRmb3JtLWJyb3dzZXInLFxuICAgICdAYW5ndWxhci9wbGF0Zm9ybS1icm93c2VyLWR5bmFtaWMnLFxuICAgICdAYW5ndWxhci9wbGF0Zm9ybS1zZXJ2ZXInLFxuICAgICdAYW5ndWxhci9wbGF0Zm9ybS13ZWJ3b3JrZXInLFxuICAgICdAYW5ndWxhci9wbGF0Zm9ybS13ZWJ3b3JrZXItZHluYW1pYycsXG4gICAgJ0Bhbmd1bGFyL3JvdXRlcicsXG4gICAgJ0Bhbmd1bGFyL3NlcnZpY2Utd29ya2VyJyxcbiAgICAnQGFuZ3VsYXIvdXBncmFkZScsXG4gIF0sXG4gIHZhbGlkYXRlVmVyc2lvbjogdmVyc2lvbiA9PiB7XG4gICAgaWYgKHNlbXZlci52YWxpZCh2ZXJzaW9uKSkge1xuICAgICAgaWYgKCFzZW12ZXIuZ3QodmVyc2lvbiwgJzQuMC4wJykpIHtcbiAgICAgICAgdGhyb3cgbmV3IFNjaGVtYXRpY3NFeGNlcHRpb24oJ1lvdSBjYW5ub3QgdXNlIGEgdmVyc2lvbiBvZiBBbmd1bGFyIG9sZGVyIHRoYW4gNC4nKTtcbiAgICAgIH1cbiAgICB9XG4gIH0sXG59O1xuXG5leHBvcnQgZGVmYXVsdCBmdW5jdGlvbihvcHRpb25zOiBTY2hlbWF0aWNzVXBkYXRlU2NoZW1hKTogUnVsZSB7XG4gIHJldHVybiBwYWNrYWdlcyh7XG4gICAgLi4ub3B0aW9ucyxcbiAgICBwYWNrYWdlczogZ2V0UHJlc2V0UGFja2FnZXMocHJlc2V0LCBvcHRpb25zLnZlcnNpb24gfHwgJ2xhdGVzdCcpLFxuICB9KTtcbn1cbiJdfQ==
\ No newline at end of file
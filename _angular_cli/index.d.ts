@@ -6,5 +6,7 @@
  * found in the LICENSE file at https://angular.io/license
  */
 import { Rule } from '@angular-devkit/schematics';
+import { PackagePreset } from '../packages';
 import { SchematicsUpdateSchema } from '../schema';
+export declare const preset: PackagePreset;
 export default function (options: SchematicsUpdateSchema): Rule;
@@ -1,8 +1,11 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-const npm_1 = require("../utility/npm");
+const packages_1 = require("../packages");
+exports.preset = {
+    packages: ['@angular/cli'],
+};
 function default_1(options) {
-    return npm_1.updatePackageJson(['@angular/cli'], options.version, options.loose);
+    return packages_1.default(Object.assign({}, options, { packages: packages_1.getPresetPackages(exports.preset, options.version || 'latest') }));
 }
 exports.default = default_1;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiLi8iLCJzb3VyY2VzIjpbInBhY2thZ2VzL3NjaGVtYXRpY3MvcGFja2FnZV91cGRhdGUvX2FuZ3VsYXJfY2xpL2luZGV4LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7O0FBU0Esd0NBQW1EO0FBR25ELG1CQUF3QixPQUErQjtJQUNyRCxNQUFNLENBQUMsdUJBQWlCLENBQUMsQ0FBQyxjQUFjLENBQUMsRUFBRSxPQUFPLENBQUMsT0FBTyxFQUFFLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQztBQUM3RSxDQUFDO0FBRkQsNEJBRUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIEluYy4gQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5pbXBvcnQgeyBSdWxlIH0gZnJvbSAnQGFuZ3VsYXItZGV2a2l0L3NjaGVtYXRpY3MnO1xuaW1wb3J0IHsgU2NoZW1hdGljc1VwZGF0ZVNjaGVtYSB9IGZyb20gJy4uL3NjaGVtYSc7XG5pbXBvcnQgeyB1cGRhdGVQYWNrYWdlSnNvbiB9IGZyb20gJy4uL3V0aWxpdHkvbnBtJztcblxuXG5leHBvcnQgZGVmYXVsdCBmdW5jdGlvbihvcHRpb25zOiBTY2hlbWF0aWNzVXBkYXRlU2NoZW1hKTogUnVsZSB7XG4gIHJldHVybiB1cGRhdGVQYWNrYWdlSnNvbihbJ0Bhbmd1bGFyL2NsaSddLCBvcHRpb25zLnZlcnNpb24sIG9wdGlvbnMubG9vc2UpO1xufVxuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiLi8iLCJzb3VyY2VzIjpbInBhY2thZ2VzL3NjaGVtYXRpY3MvcGFja2FnZV91cGRhdGUvX2FuZ3VsYXJfY2xpL2luZGV4LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7O0FBUUEsMENBQXlFO0FBSTVELFFBQUEsTUFBTSxHQUFrQjtJQUNuQyxRQUFRLEVBQUUsQ0FBQyxjQUFjLENBQUM7Q0FDM0IsQ0FBQztBQUdGLG1CQUF3QixPQUErQjtJQUNyRCxNQUFNLENBQUMsa0JBQVEsbUJBQ1YsT0FBTyxJQUNWLFFBQVEsRUFBRSw0QkFBaUIsQ0FBQyxjQUFNLEVBQUUsT0FBTyxDQUFDLE9BQU8sSUFBSSxRQUFRLENBQUMsSUFDaEUsQ0FBQztBQUNMLENBQUM7QUFMRCw0QkFLQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgSW5jLiBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cbmltcG9ydCB7IFJ1bGUgfSBmcm9tICdAYW5ndWxhci1kZXZraXQvc2NoZW1hdGljcyc7XG5pbXBvcnQgcGFja2FnZXMsIHsgUGFja2FnZVByZXNldCwgZ2V0UHJlc2V0UGFja2FnZXMgfSBmcm9tICcuLi9wYWNrYWdlcyc7XG5pbXBvcnQgeyBTY2hlbWF0aWNzVXBkYXRlU2NoZW1hIH0gZnJvbSAnLi4vc2NoZW1hJztcblxuXG5leHBvcnQgY29uc3QgcHJlc2V0OiBQYWNrYWdlUHJlc2V0ID0ge1xuICBwYWNrYWdlczogWydAYW5ndWxhci9jbGknXSxcbn07XG5cblxuZXhwb3J0IGRlZmF1bHQgZnVuY3Rpb24ob3B0aW9uczogU2NoZW1hdGljc1VwZGF0ZVNjaGVtYSk6IFJ1bGUge1xuICByZXR1cm4gcGFja2FnZXMoe1xuICAgIC4uLm9wdGlvbnMsXG4gICAgcGFja2FnZXM6IGdldFByZXNldFBhY2thZ2VzKHByZXNldCwgb3B0aW9ucy52ZXJzaW9uIHx8ICdsYXRlc3QnKSxcbiAgfSk7XG59XG4iXX0=
\ No newline at end of file
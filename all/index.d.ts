@@ -6,5 +6,9 @@
  * found in the LICENSE file at https://angular.io/license
  */
 import { Rule } from '@angular-devkit/schematics';
-import { SchematicsUpdateSchema } from '../schema';
-export default function (options: SchematicsUpdateSchema): Rule;
+import { SchematicsUpdateAllSchema } from './schema';
+/**
+ * Update the packages of every group in a single resolution, followed by a single install. Each
+ * group can be updated to its own version or dist-tag.
+ */
+export default function (options: SchematicsUpdateAllSchema): Rule;
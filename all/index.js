@@ -1,4 +1,13 @@
 "use strict";
+var __rest = (this && this.__rest) || function (s, e) {
+    var t = {};
+    for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+        t[p] = s[p];
+    if (s != null && typeof Object.getOwnPropertySymbols === "function")
+        for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) if (e.indexOf(p[i]) < 0)
+            t[p[i]] = s[p[i]];
+    return t;
+};
 Object.defineProperty(exports, "__esModule", { value: true });
 /**
  * @license
@@ -8,12 +17,66 @@ Object.defineProperty(exports, "__esModule", { value: true });
  * found in the LICENSE file at https://angular.io/license
  */
 const schematics_1 = require("@angular-devkit/schematics");
+const _angular_1 = require("../_angular");
+const _angular_devkit_1 = require("../_angular-devkit");
+const _angular_cli_1 = require("../_angular_cli");
+const packages_1 = require("../packages");
+/**
+ * The presets that are updated together, by the name of their schematic.
+ */
+const kPresets = {
+    '@angular': _angular_1.preset,
+    '@angular/cli': _angular_cli_1.preset,
+    '@angular-devkit': _angular_devkit_1.preset,
+};
+/**
+ * Validate a list of group names.
+ * @private
+ */
+function _validateGroups(option, names) {
+    for (const name of names) {
+        if (!(name in kPresets)) {
+            throw new schematics_1.SchematicsException(`Unknown group ${JSON.stringify(name)} in option "${option}". Valid groups are: `
+                + Object.keys(kPresets).map(x => JSON.stringify(x)).join(', ') + '.');
+        }
+    }
+}
+/**
+ * Parse the `groupVersions` option, e.g. `["@angular@next", "@angular/cli@latest"]`.
+ * @private
+ */
+function _parseGroupVersions(groupVersions) {
+    const versions = {};
+    for (const spec of groupVersions) {
+        // The `@` of the group name is not a version separator.
+        const separator = spec.lastIndexOf('@');
+        if (separator <= 0 || separator == spec.length - 1) {
+            throw new schematics_1.SchematicsException(`Invalid group version ${JSON.stringify(spec)}, expected "<group>@<version>".`);
+        }
+        versions[spec.substr(0, separator)] = spec.substr(separator + 1);
+    }
+    _validateGroups('groupVersions', Object.keys(versions));
+    return versions;
+}
+/**
+ * Update the packages of every group in a single resolution, followed by a single install. Each
+ * group can be updated to its own version or dist-tag.
+ */
 function default_1(options) {
-    return (_tree, context) => {
-        return schematics_1.chain(context.schematic.collection.listSchematicNames()
-            .filter(name => name != context.schematic.description.name)
-            .map(name => schematics_1.schematic(name, options)));
-    };
+    const { include, exclude, groupVersions } = options, updateOptions = __rest(options, ["include", "exclude", "groupVersions"]);
+    const included = include && include.length > 0 ? include : Object.keys(kPresets);
+    const excluded = exclude || [];
+    _validateGroups('include', included);
+    _validateGroups('exclude', excluded);
+    const versions = _parseGroupVersions(groupVersions || []);
+    const groups = included.filter(name => excluded.indexOf(name) == -1);
+    if (groups.length == 0) {
+        throw new schematics_1.SchematicsException('Every group is excluded, there is nothing to update.');
+    }
+    return packages_1.default(Object.assign({}, updateOptions, { packages: groups.reduce((acc, name) => [
+            ...acc,
+            ...packages_1.getPresetPackages(kPresets[name], versions[name] || options.version || 'latest'),
+        ], []) }));
 }
 exports.default = default_1;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiLi8iLCJzb3VyY2VzIjpbInBhY2thZ2VzL3NjaGVtYXRpY3MvcGFja2FnZV91cGRhdGUvYWxsL2luZGV4LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7O0FBQUE7Ozs7OztHQU1HO0FBQ0gsMkRBQTRGO0FBSTVGLG1CQUF3QixPQUErQjtJQUNyRCxNQUFNLENBQUMsQ0FBQyxLQUFXLEVBQUUsT0FBeUIsRUFBRSxFQUFFO1FBQ2hELE1BQU0sQ0FBQyxrQkFBSyxDQUNWLE9BQU8sQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDLGtCQUFrQixFQUFFO2FBQzlDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksSUFBSSxPQUFPLENBQUMsU0FBUyxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUM7YUFDMUQsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsc0JBQVMsQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLENBQUMsQ0FDekMsQ0FBQztJQUNKLENBQUMsQ0FBQztBQUNKLENBQUM7QUFSRCw0QkFRQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgSW5jLiBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cbmltcG9ydCB7IFJ1bGUsIFNjaGVtYXRpY0NvbnRleHQsIFRyZWUsIGNoYWluLCBzY2hlbWF0aWMgfSBmcm9tICdAYW5ndWxhci1kZXZraXQvc2NoZW1hdGljcyc7XG5pbXBvcnQgeyBTY2hlbWF0aWNzVXBkYXRlU2NoZW1hIH0gZnJvbSAnLi4vc2NoZW1hJztcblxuXG5leHBvcnQgZGVmYXVsdCBmdW5jdGlvbihvcHRpb25zOiBTY2hlbWF0aWNzVXBkYXRlU2NoZW1hKTogUnVsZSB7XG4gIHJldHVybiAoX3RyZWU6IFRyZWUsIGNvbnRleHQ6IFNjaGVtYXRpY0NvbnRleHQpID0+IHtcbiAgICByZXR1cm4gY2hhaW4oXG4gICAgICBjb250ZXh0LnNjaGVtYXRpYy5jb2xsZWN0aW9uLmxpc3RTY2hlbWF0aWNOYW1lcygpXG4gICAgICAgIC5maWx0ZXIobmFtZSA9PiBuYW1lICE9IGNvbnRleHQuc2NoZW1hdGljLmRlc2NyaXB0aW9uLm5hbWUpXG4gICAgICAgIC5tYXAobmFtZSA9PiBzY2hlbWF0aWMobmFtZSwgb3B0aW9ucykpLFxuICAgICk7XG4gIH07XG59XG4iXX0=
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiLi8iLCJzb3VyY2VzIjpbInBhY2thZ2VzL3NjaGVtYXRpY3MvcGFja2FnZV91cGRhdGUvYWxsL2luZGV4LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7Ozs7Ozs7Ozs7O0FBQUE7Ozs7OztHQU1HO0FBQ0gsMkRBQXVFO0FBQ3ZFLDBDQUFzRDtBQUN0RCx3REFBbUU7QUFDbkUsa0RBQTZEO0FBQzdELDBDQUF5RTtBQUl6RTs7R0FFRztBQUNILE1BQU0sUUFBUSxHQUFzQztJQUNsRCxVQUFVLEVBQUUsaUJBQWE7SUFDekIsY0FBYyxFQUFFLHFCQUFnQjtJQUNoQyxpQkFBaUIsRUFBRSx3QkFBbUI7Q0FDdkMsQ0FBQztBQUdGOzs7R0FHRztBQUNILHlCQUF5QixNQUFjLEVBQUUsS0FBZTtJQUN0RCxHQUFHLENBQUMsQ0FBQyxNQUFNLElBQUksSUFBSSxLQUFLLENBQUMsQ0FBQyxDQUFDO1FBQ3pCLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLElBQUksUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3hCLE1BQU0sSUFBSSxnQ0FBbUIsQ0FDM0IsaUJBQWlCLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLGVBQWUsTUFBTSx1QkFBdUI7a0JBQy9FLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxHQUFHLENBQ3JFLENBQUM7UUFDSixDQUFDO0lBQ0gsQ0FBQztBQUNILENBQUM7QUFFRDs7O0dBR0c7QUFDSCw2QkFBNkIsYUFBdUI7SUFDbEQsTUFBTSxRQUFRLEdBQStCLEVBQUUsQ0FBQztJQUVoRCxHQUFHLENBQUMsQ0FBQyxNQUFNLElBQUksSUFBSSxhQUFhLENBQUMsQ0FBQyxDQUFDO1FBQ2pDLHdEQUF3RDtRQUN4RCxNQUFNLFNBQVMsR0FBRyxJQUFJLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3hDLEVBQUUsQ0FBQyxDQUFDLFNBQVMsSUFBSSxDQUFDLElBQUksU0FBUyxJQUFJLElBQUksQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUNuRCxNQUFNLElBQUksZ0NBQW1CLENBQzNCLHlCQUF5QixJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxpQ0FBaUMsQ0FDL0UsQ0FBQztRQUNKLENBQUM7UUFDRCxRQUFRLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLFNBQVMsR0FBRyxDQUFDLENBQUMsQ0FBQztJQUNuRSxDQUFDO0lBQ0QsZUFBZSxDQUFDLGVBQWUsRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7SUFFeEQsTUFBTSxDQUFDLFFBQVEsQ0FBQztBQUNsQixDQUFDO0FBR0Q7OztHQUdHO0FBQ0gsbUJBQXdCLE9BQWtDO0lBQ3hELE1BQU0sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLGFBQWEsS0FBdUIsT0FBTyxFQUE1Qix3RUFBNEIsQ0FBQztJQUN0RSxNQUFNLFFBQVEsR0FBRyxPQUFPLElBQUksT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUNqRixNQUFNLFFBQVEsR0FBRyxPQUFPLElBQUksRUFBRSxDQUFDO0lBQy9CLGVBQWUsQ0FBQyxTQUFTLEVBQUUsUUFBUSxDQUFDLENBQUM7SUFDckMsZUFBZSxDQUFDLFNBQVMsRUFBRSxRQUFRLENBQUMsQ0FBQztJQUVyQyxNQUFNLFFBQVEsR0FBRyxtQkFBbUIsQ0FBQyxhQUFhLElBQUksRUFBRSxDQUFDLENBQUM7SUFDMUQsTUFBTSxNQUFNLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNyRSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDdkIsTUFBTSxJQUFJLGdDQUFtQixDQUFDLHNEQUFzRCxDQUFDLENBQUM7SUFDeEYsQ0FBQztJQUVELE1BQU0sQ0FBQyxrQkFBUSxtQkFDVixhQUFhLElBQ2hCLFFBQVEsRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxFQUFFLElBQUksRUFBRSxFQUFFLENBQUM7WUFDckMsR0FBRyxHQUFHO1lBQ04sR0FBRyw0QkFBaUIsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxDQUFDLElBQUksQ0FBQyxJQUFJLE9BQU8sQ0FBQyxPQUFPLElBQUksUUFBUSxDQUFDO1NBQ3BGLEVBQUUsRUFBYyxDQUFDLElBQ2xCLENBQUM7QUFDTCxDQUFDO0FBcEJELDRCQW9CQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgSW5jLiBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cbmltcG9ydCB7IFJ1bGUsIFNjaGVtYXRpY3NFeGNlcHRpb24gfSBmcm9tICdAYW5ndWxhci1kZXZraXQvc2NoZW1hdGljcyc7XG5pbXBvcnQgeyBwcmVzZXQgYXMgYW5ndWxhclByZXNldCB9IGZyb20gJy4uL19hbmd1bGFyJztcbmltcG9ydCB7IHByZXNldCBhcyBhbmd1bGFyRGV2a2l0UHJlc2V0IH0gZnJvbSAnLi4vX2FuZ3VsYXItZGV2a2l0JztcbmltcG9ydCB7IHByZXNldCBhcyBhbmd1bGFyQ2xpUHJlc2V0IH0gZnJvbSAnLi4vX2FuZ3VsYXJfY2xpJztcbmltcG9ydCBwYWNrYWdlcywgeyBQYWNrYWdlUHJlc2V0LCBnZXRQcmVzZXRQYWNrYWdlcyB9IGZyb20gJy4uL3BhY2thZ2VzJztcbmltcG9ydCB7IFNjaGVtYXRpY3NVcGRhdGVBbGxTY2hlbWEgfSBmcm9tICcuL3NjaGVtYSc7XG5cblxuLyoqXG4gKiBUaGUgcHJlc2V0cyB0aGF0IGFyZSB1cGRhdGVkIHRvZ2V0aGVyLCBieSB0aGUgbmFtZSBvZiB0aGVpciBzY2hlbWF0aWMuXG4gKi9cbmNvbnN0IGtQcmVzZXRzOiB7IFtuYW1lOiBzdHJpbmddOiBQYWNrYWdlUHJlc2V0IH0gPSB7XG4gICdAYW5ndWxhcic6IGFuZ3VsYXJQcmVzZXQsXG4gICdAYW5ndWxhci9jbGknOiBhbmd1bGFyQ2xpUHJlc2V0LFxuICAnQGFuZ3VsYXItZGV2a2l0JzogYW5ndWxhckRldmtpdFByZXNldCxcbn07XG5cblxuLyoqXG4gKiBWYWxpZGF0ZSBhIGxpc3Qgb2YgZ3JvdXAgbmFtZXMuXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfdmFsaWRhdGVHcm91cHMob3B0aW9uOiBzdHJpbmcsIG5hbWVzOiBzdHJpbmdbXSkge1xuICBmb3IgKGNvbnN0IG5hbWUgb2YgbmFtZXMpIHtcbiAgICBpZiAoIShuYW1lIGluIGtQcmVzZXRzKSkge1xuICAgICAgdGhyb3cgbmV3IFNjaGVtYXRpY3NFeGNlcHRpb24oXG4gICAgICAgIGBVbmtub3duIGdyb3VwICR7SlNPTi5zdHJpbmdpZnkobmFtZSl9IGluIG9wdGlvbiBcIiR7b3B0aW9ufVwiLiBWYWxpZCBncm91cHMgYXJlOiBgXG4gICAgICAgICsgT2JqZWN0LmtleXMoa1ByZXNldHMpLm1hcCh4ID0+IEpTT04uc3RyaW5naWZ5KHgpKS5qb2luKCcsICcpICsgJy4nLFxuICAgICAgKTtcbiAgICB9XG4gIH1cbn1cblxuLyoqXG4gKiBQYXJzZSB0aGUgYGdyb3VwVmVyc2lvbnNgIG9wdGlvbiwgZS5nLiBgW1wiQGFuZ3VsYXJAbmV4dFwiLCBcIkBhbmd1bGFyL2NsaUBsYXRlc3RcIl1gLlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX3BhcnNlR3JvdXBWZXJzaW9ucyhncm91cFZlcnNpb25zOiBzdHJpbmdbXSk6IHsgW25hbWU6IHN0cmluZ106IHN0cmluZyB9IHtcbiAgY29uc3QgdmVyc2lvbnM6IHsgW25hbWU6IHN0cmluZ106IHN0cmluZyB9ID0ge307XG5cbiAgZm9yIChjb25zdCBzcGVjIG9mIGdyb3VwVmVyc2lvbnMpIHtcbiAgICAvLyBUaGUgYEBgIG9mIHRoZSBncm91cCBuYW1lIGlzIG5vdCBhIHZlcnNpb24gc2VwYXJhdG9yLlxuICAgIGNvbnN0IHNlcGFyYXRvciA9IHNwZWMubGFzdEluZGV4T2YoJ0AnKTtcbiAgICBpZiAoc2VwYXJhdG9yIDw9IDAgfHwgc2VwYXJhdG9yID09IHNwZWMubGVuZ3RoIC0gMSkge1xuICAgICAgdGhyb3cgbmV3IFNjaGVtYXRpY3NFeGNlcHRpb24oXG4gICAgICAgIGBJbnZhbGlkIGdyb3VwIHZlcnNpb24gJHtKU09OLnN0cmluZ2lmeShzcGVjKX0sIGV4cGVjdGVkIFwiPGdyb3VwPkA8dmVyc2lvbj5cIi5gLFxuICAgICAgKTtcbiAgICB9XG4gICAgdmVyc2lvbnNbc3BlYy5zdWJzdHIoMCwgc2VwYXJhdG9yKV0gPSBzcGVjLnN1YnN0cihzZXBhcmF0b3IgKyAxKTtcbiAgfVxuICBfdmFsaWRhdGVHcm91cHMoJ2dyb3VwVmVyc2lvbnMnLCBPYmplY3Qua2V5cyh2ZXJzaW9ucykpO1xuXG4gIHJldHVybiB2ZXJzaW9ucztcbn1cblxuXG4vKipcbiAqIFVwZGF0ZSB0aGUgcGFja2FnZXMgb2YgZXZlcnkgZ3JvdXAgaW4gYSBzaW5nbGUgcmVzb2x1dGlvbiwgZm9sbG93ZWQgYnkgYSBzaW5nbGUgaW5zdGFsbC4gRWFjaFxuICogZ3JvdXAgY2FuIGJlIHVwZGF0ZWQgdG8gaXRzIG93biB2ZXJzaW9uIG9yIGRpc3QtdGFnLlxuICovXG5leHBvcnQgZGVmYXVsdCBmdW5jdGlvbihvcHRpb25zOiBTY2hlbWF0aWNzVXBkYXRlQWxsU2NoZW1hKTogUnVsZSB7XG4gIGNvbnN0IHsgaW5jbHVkZSwgZXhjbHVkZSwgZ3JvdXBWZXJzaW9ucywgLi4udXBkYXRlT3B0aW9ucyB9ID0gb3B0aW9ucztcbiAgY29uc3QgaW5jbHVkZWQgPSBpbmNsdWRlICYmIGluY2x1ZGUubGVuZ3RoID4gMCA/IGluY2x1ZGUgOiBPYmplY3Qua2V5cyhrUHJlc2V0cyk7XG4gIGNvbnN0IGV4Y2x1ZGVkID0gZXhjbHVkZSB8fCBbXTtcbiAgX3ZhbGlkYXRlR3JvdXBzKCdpbmNsdWRlJywgaW5jbHVkZWQpO1xuICBfdmFsaWRhdGVHcm91cHMoJ2V4Y2x1ZGUnLCBleGNsdWRlZCk7XG5cbiAgY29uc3QgdmVyc2lvbnMgPSBfcGFyc2VHcm91cFZlcnNpb25zKGdyb3VwVmVyc2lvbnMgfHwgW10pO1xuICBjb25zdCBncm91cHMgPSBpbmNsdWRlZC5maWx0ZXIobmFtZSA9PiBleGNsdWRlZC5pbmRleE9mKG5hbWUpID09IC0xKTtcbiAgaWYgKGdyb3Vwcy5sZW5ndGggPT0gMCkge1xuICAgIHRocm93IG5ldyBTY2hlbWF0aWNzRXhjZXB0aW9uKCdFdmVyeSBncm91cCBpcyBleGNsdWRlZCwgdGhlcmUgaXMgbm90aGluZyB0byB1cGRhdGUuJyk7XG4gIH1cblxuICByZXR1cm4gcGFja2FnZXMoe1xuICAgIC4uLnVwZGF0ZU9wdGlvbnMsXG4gICAgcGFja2FnZXM6IGdyb3Vwcy5yZWR1Y2UoKGFjYywgbmFtZSkgPT4gW1xuICAgICAgLi4uYWNjLFxuICAgICAgLi4uZ2V0UHJlc2V0UGFja2FnZXMoa1ByZXNldHNbbmFtZV0sIHZlcnNpb25zW25hbWVdIHx8IG9wdGlvbnMudmVyc2lvbiB8fCAnbGF0ZXN0JyksXG4gICAgXSwgW10gYXMgc3RyaW5nW10pLFxuICB9KTtcbn1cbiJdfQ==
\ No newline at end of file
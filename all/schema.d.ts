@@ -0,0 +1,24 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { SchematicsUpdateSchema } from '../schema';
+
+export interface SchematicsUpdateAllSchema extends SchematicsUpdateSchema {
+  /**
+   * The groups to update, e.g. `@angular` or `@angular/cli`. Defaults to every group.
+   */
+  include?: string[];
+  /**
+   * The groups not to update.
+   */
+  exclude?: string[];
+  /**
+   * The version or dist-tag of some groups, instead of the `version` option, e.g.
+   * `@angular@next`.
+   */
+  groupVersions?: string[];
+}
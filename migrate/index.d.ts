@@ -0,0 +1,8 @@
+import { Rule } from '@angular-devkit/schematics';
+import { SchematicsUpdateMigrateSchema } from './schema';
+/**
+ * Run the migration schematics of a package's collection whose `version` is after `from` and up
+ * to `to`, in version order. This runs as a task, once the new version of the package is
+ * installed, or directly when the install was skipped.
+ */
+export default function (options: SchematicsUpdateMigrateSchema): Rule;
@@ -0,0 +1,46 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const schematics_1 = require("@angular-devkit/schematics");
+const semver = require("semver");
+const migration_1 = require("../utility/migration");
+/**
+ * Run the migration schematics of a package's collection whose `version` is after `from` and up
+ * to `to`, in version order. This runs as a task, once the new version of the package is
+ * installed, or directly when the install was skipped.
+ */
+function default_1(options) {
+    return (tree, context) => {
+        const from = migration_1.validateMigrationVersion('from', options.from);
+        const to = migration_1.validateMigrationVersion('to', options.to);
+        const collection = context.engine.createCollection(options.collection);
+        const migrations = [];
+        for (const name of collection.listSchematicNames()) {
+            const description = collection.createSchematic(name, true).description;
+            const maybeVersion = description['version'];
+            if (typeof maybeVersion != 'string') {
+                continue;
+            }
+            const version = migration_1.coerceVersion(maybeVersion);
+            if (!version) {
+                throw new schematics_1.SchematicsException(`Invalid migration version "${maybeVersion}" for schematic ${JSON.stringify(name)} of `
+                    + `${options.collection}.`);
+            }
+            if (semver.gt(version, from) && semver.lte(version, to)) {
+                migrations.push({ name, version });
+            }
+        }
+        migrations.sort((a, b) => semver.compare(a.version, b.version) || a.name.localeCompare(b.name));
+        if (migrations.length == 0) {
+            context.logger.debug(`No migration to run for ${JSON.stringify(options.package)} from `
+                + `${from} to ${to}.`);
+            return tree;
+        }
+        return schematics_1.chain(migrations.map(({ name, version }) => {
+            context.logger.info(`Running migration ${JSON.stringify(name)} of `
+                + `${JSON.stringify(options.package)} (${version})...`);
+            return schematics_1.externalSchematic(options.collection, name, {});
+        }));
+    };
+}
+exports.default = default_1;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiLi8iLCJzb3VyY2VzIjpbInBhY2thZ2VzL3NjaGVtYXRpY3MvcGFja2FnZV91cGRhdGUvbWlncmF0ZS9pbmRleC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOztBQVFBLDJEQU9vQztBQUNwQyxpQ0FBaUM7QUFDakMsb0RBQStFO0FBSS9FOzs7O0dBSUc7QUFDSCxtQkFBd0IsT0FBc0M7SUFDNUQsTUFBTSxDQUFDLENBQUMsSUFBVSxFQUFFLE9BQXlCLEVBQUUsRUFBRTtRQUMvQyxNQUFNLElBQUksR0FBRyxvQ0FBd0IsQ0FBQyxNQUFNLEVBQUUsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQzVELE1BQU0sRUFBRSxHQUFHLG9DQUF3QixDQUFDLElBQUksRUFBRSxPQUFPLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDdEQsTUFBTSxVQUFVLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxnQkFBZ0IsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLENBQUM7UUFDdkUsTUFBTSxVQUFVLEdBQXdDLEVBQUUsQ0FBQztRQUUzRCxHQUFHLENBQUMsQ0FBQyxNQUFNLElBQUksSUFBSSxVQUFVLENBQUMsa0JBQWtCLEVBQUUsQ0FBQyxDQUFDLENBQUM7WUFDbkQsTUFBTSxXQUFXLEdBQUcsVUFBVSxDQUFDLGVBQWUsQ0FBQyxJQUFJLEVBQUUsSUFBSSxDQUFDLENBQUMsV0FBK0IsQ0FBQztZQUMzRixNQUFNLFlBQVksR0FBRyxXQUFXLENBQUMsU0FBUyxDQUFDLENBQUM7WUFDNUMsRUFBRSxDQUFDLENBQUMsT0FBTyxZQUFZLElBQUksUUFBUSxDQUFDLENBQUMsQ0FBQztnQkFDcEMsUUFBUSxDQUFDO1lBQ1gsQ0FBQztZQUVELE1BQU0sT0FBTyxHQUFHLHlCQUFhLENBQUMsWUFBWSxDQUFDLENBQUM7WUFDNUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO2dCQUNiLE1BQU0sSUFBSSxnQ0FBbUIsQ0FDM0IsOEJBQThCLFlBQVksbUJBQW1CLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLE1BQU07c0JBQ3JGLEdBQUcsT0FBTyxDQUFDLFVBQVUsR0FBRyxDQUMzQixDQUFDO1lBQ0osQ0FBQztZQUNELEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsT0FBTyxFQUFFLElBQUksQ0FBQyxJQUFJLE1BQU0sQ0FBQyxHQUFHLENBQUMsT0FBTyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDeEQsVUFBVSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDO1lBQ3JDLENBQUM7UUFDSCxDQUFDO1FBRUQsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7UUFDaEcsRUFBRSxDQUFDLENBQUMsVUFBVSxDQUFDLE1BQU0sSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzNCLE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLDJCQUEyQixJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsUUFBUTtrQkFDbkYsR0FBRyxJQUFJLE9BQU8sRUFBRSxHQUFHLENBQUMsQ0FBQztZQUV6QixNQUFNLENBQUMsSUFBSSxDQUFDO1FBQ2QsQ0FBQztRQUVELE1BQU0sQ0FBQyxrQkFBSyxDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsRUFBRSxFQUFFO1lBQ2hELE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLHFCQUFxQixJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxNQUFNO2tCQUMvRCxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxLQUFLLE9BQU8sTUFBTSxDQUFDLENBQUM7WUFFMUQsTUFBTSxDQUFDLDhCQUFpQixDQUFDLE9BQU8sQ0FBQyxVQUFVLEVBQUUsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ3pELENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDTixDQUFDLENBQUM7QUFDSixDQUFDO0FBekNELDRCQXlDQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgSW5jLiBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cbmltcG9ydCB7IEpzb25PYmplY3QgfSBmcm9tICdAYW5ndWxhci1kZXZraXQvY29yZSc7XG5pbXBvcnQge1xuICBSdWxlLFxuICBTY2hlbWF0aWNDb250ZXh0LFxuICBTY2hlbWF0aWNzRXhjZXB0aW9uLFxuICBUcmVlLFxuICBjaGFpbixcbiAgZXh0ZXJuYWxTY2hlbWF0aWMsXG59IGZyb20gJ0Bhbmd1bGFyLWRldmtpdC9zY2hlbWF0aWNzJztcbmltcG9ydCAqIGFzIHNlbXZlciBmcm9tICdzZW12ZXInO1xuaW1wb3J0IHsgY29lcmNlVmVyc2lvbiwgdmFsaWRhdGVNaWdyYXRpb25WZXJzaW9uIH0gZnJvbSAnLi4vdXRpbGl0eS9taWdyYXRpb24nO1xuaW1wb3J0IHsgU2NoZW1hdGljc1VwZGF0ZU1pZ3JhdGVTY2hlbWEgfSBmcm9tICcuL3NjaGVtYSc7XG5cblxuLyoqXG4gKiBSdW4gdGhlIG1pZ3JhdGlvbiBzY2hlbWF0aWNzIG9mIGEgcGFja2FnZSdzIGNvbGxlY3Rpb24gd2hvc2UgYHZlcnNpb25gIGlzIGFmdGVyIGBmcm9tYCBhbmQgdXBcbiAqIHRvIGB0b2AsIGluIHZlcnNpb24gb3JkZXIuIFRoaXMgcnVucyBhcyBhIHRhc2ssIG9uY2UgdGhlIG5ldyB2ZXJzaW9uIG9mIHRoZSBwYWNrYWdlIGlzXG4gKiBpbnN0YWxsZWQsIG9yIGRpcmVjdGx5IHdoZW4gdGhlIGluc3RhbGwgd2FzIHNraXBwZWQuXG4gKi9cbmV4cG9ydCBkZWZhdWx0IGZ1bmN0aW9uKG9wdGlvbnM6IFNjaGVtYXRpY3NVcGRhdGVNaWdyYXRlU2NoZW1hKTogUnVsZSB7XG4gIHJldHVybiAodHJlZTogVHJlZSwgY29udGV4dDogU2NoZW1hdGljQ29udGV4dCkgPT4ge1xuICAgIGNvbnN0IGZyb20gPSB2YWxpZGF0ZU1pZ3JhdGlvblZlcnNpb24oJ2Zyb20nLCBvcHRpb25zLmZyb20pO1xuICAgIGNvbnN0IHRvID0gdmFsaWRhdGVNaWdyYXRpb25WZXJzaW9uKCd0bycsIG9wdGlvbnMudG8pO1xuICAgIGNvbnN0IGNvbGxlY3Rpb24gPSBjb250ZXh0LmVuZ2luZS5jcmVhdGVDb2xsZWN0aW9uKG9wdGlvbnMuY29sbGVjdGlvbik7XG4gICAgY29uc3QgbWlncmF0aW9uczogeyBuYW1lOiBzdHJpbmcsIHZlcnNpb246IHN0cmluZyB9W10gPSBbXTtcblxuICAgIGZvciAoY29uc3QgbmFtZSBvZiBjb2xsZWN0aW9uLmxpc3RTY2hlbWF0aWNOYW1lcygpKSB7XG4gICAgICBjb25zdCBkZXNjcmlwdGlvbiA9IGNvbGxlY3Rpb24uY3JlYXRlU2NoZW1hdGljKG5hbWUsIHRydWUpLmRlc2NyaXB0aW9uIGFzIHt9IGFzIEpzb25PYmplY3Q7XG4gICAgICBjb25zdCBtYXliZVZlcnNpb24gPSBkZXNjcmlwdGlvblsndmVyc2lvbiddO1xuICAgICAgaWYgKHR5cGVvZiBtYXliZVZlcnNpb24gIT0gJ3N0cmluZycpIHtcbiAgICAgICAgY29udGludWU7XG4gICAgICB9XG5cbiAgICAgIGNvbnN0IHZlcnNpb24gPSBjb2VyY2VWZXJzaW9uKG1heWJlVmVyc2lvbik7XG4gICAgICBpZiAoIXZlcnNpb24pIHtcbiAgICAgICAgdGhyb3cgbmV3IFNjaGVtYXRpY3NFeGNlcHRpb24oXG4gICAgICAgICAgYEludmFsaWQgbWlncmF0aW9uIHZlcnNpb24gXCIke21heWJlVmVyc2lvbn1cIiBmb3Igc2NoZW1hdGljICR7SlNPTi5zdHJpbmdpZnkobmFtZSl9IG9mIGBcbiAgICAgICAgICArIGAke29wdGlvbnMuY29sbGVjdGlvbn0uYCxcbiAgICAgICAgKTtcbiAgICAgIH1cbiAgICAgIGlmIChzZW12ZXIuZ3QodmVyc2lvbiwgZnJvbSkgJiYgc2VtdmVyLmx0ZSh2ZXJzaW9uLCB0bykpIHtcbiAgICAgICAgbWlncmF0aW9ucy5wdXNoKHsgbmFtZSwgdmVyc2lvbiB9KTtcbiAgICAgIH1cbiAgICB9XG5cbiAgICBtaWdyYXRpb25zLnNvcnQoKGEsIGIpID0+IHNlbXZlci5jb21wYXJlKGEudmVyc2lvbiwgYi52ZXJzaW9uKSB8fCBhLm5hbWUubG9jYWxlQ29tcGFyZShiLm5hbWUpKTtcbiAgICBpZiAobWlncmF0aW9ucy5sZW5ndGggPT0gMCkge1xuICAgICAgY29udGV4dC5sb2dnZXIuZGVidWcoYE5vIG1pZ3JhdGlvbiB0byBydW4gZm9yICR7SlNPTi5zdHJpbmdpZnkob3B0aW9ucy5wYWNrYWdlKX0gZnJvbSBgXG4gICAgICAgICsgYCR7ZnJvbX0gdG8gJHt0b30uYCk7XG5cbiAgICAgIHJldHVybiB0cmVlO1xuICAgIH1cblxuICAgIHJldHVybiBjaGFpbihtaWdyYXRpb25zLm1hcCgoeyBuYW1lLCB2ZXJzaW9uIH0pID0+IHtcbiAgICAgIGNvbnRleHQubG9nZ2VyLmluZm8oYFJ1bm5pbmcgbWlncmF0aW9uICR7SlNPTi5zdHJpbmdpZnkobmFtZSl9IG9mIGBcbiAgICAgICAgKyBgJHtKU09OLnN0cmluZ2lmeShvcHRpb25zLnBhY2thZ2UpfSAoJHt2ZXJzaW9ufSkuLi5gKTtcblxuICAgICAgcmV0dXJuIGV4dGVybmFsU2NoZW1hdGljKG9wdGlvbnMuY29sbGVjdGlvbiwgbmFtZSwge30pO1xuICAgIH0pKTtcbiAgfTtcbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,25 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+export interface SchematicsUpdateMigrateSchema {
+  /**
+   * The name of the package the migrations are for.
+   */
+  package: string;
+  /**
+   * The migration collection, as it can be resolved from the project.
+   */
+  collection: string;
+  /**
+   * The version to migrate from. Migrations of this version are not run.
+   */
+  from: string;
+  /**
+   * The version to migrate to. Migrations of this version are run.
+   */
+  to: string;
+}
@@ -0,0 +1,26 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Rule } from '@angular-devkit/schematics';
+import { SchematicsUpdatePackagesSchema } from './schema';
+/**
+ * A list of packages that is updated as a whole, like the Angular packages.
+ */
+export interface PackagePreset {
+    /** The packages of the preset. */
+    packages: string[];
+    /** Throws if the preset cannot be updated to a version or dist-tag. */
+    validateVersion?(version: string): void;
+}
+/**
+ * Get the packages of a preset, as package arguments for a version or dist-tag.
+ * @param {PackagePreset} preset The preset.
+ * @param {string} version The version or dist-tag to update the preset to.
+ * @returns {string[]} The package arguments, e.g. `@angular/core@next`.
+ */
+export declare function getPresetPackages(preset: PackagePreset, version: string): string[];
+export default function (options: SchematicsUpdatePackagesSchema): Rule;
@@ -0,0 +1,54 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const schematics_1 = require("@angular-devkit/schematics");
+const npm_1 = require("../utility/npm");
+/**
+ * Get the packages of a preset, as package arguments for a version or dist-tag.
+ * @param {PackagePreset} preset The preset.
+ * @param {string} version The version or dist-tag to update the preset to.
+ * @returns {string[]} The package arguments, e.g. `@angular/core@next`.
+ */
+function getPresetPackages(preset, version) {
+    if (preset.validateVersion) {
+        preset.validateVersion(version);
+    }
+    return preset.packages.map(name => `${name}@${version}`);
+}
+exports.getPresetPackages = getPresetPackages;
+/**
+ * Parse a package argument, e.g. `@angular/material@next`, into its name and version. Packages
+ * without a version use the `version` option.
+ * @private
+ */
+function _parsePackage(spec, defaultVersion) {
+    // The first character can be the `@` of a scope, which is not a version separator.
+    const separator = spec.lastIndexOf('@');
+    if (separator > 0) {
+        return { name: spec.substr(0, separator), version: spec.substr(separator + 1) };
+    }
+    return { name: spec, version: defaultVersion };
+}
+function default_1(options) {
+    const version = options.version || 'latest';
+    const packages = {};
+    for (const spec of options.packages || []) {
+        const { name, version: packageVersion } = _parsePackage(spec.trim(), version);
+        if (!name || !packageVersion) {
+            throw new schematics_1.SchematicsException(`Invalid package: ${JSON.stringify(spec)}.`);
+        }
+        packages[name] = packageVersion;
+    }
+    if (Object.keys(packages).length == 0) {
+        throw new schematics_1.SchematicsException('You need to specify at least one package to update.');
+    }
+    return npm_1.updatePackageJson(packages, options);
+}
+exports.default = default_1;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaW5kZXguanMiLCJzb3VyY2VSb290IjoiLi8iLCJzb3VyY2VzIjpbInBhY2thZ2VzL3NjaGVtYXRpY3MvcGFja2FnZV91cGRhdGUvcGFja2FnZXMvaW5kZXgudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7QUFBQTs7Ozs7O0dBTUc7QUFDSCwyREFBdUU7QUFDdkUsd0NBQW1EO0FBZW5EOzs7OztHQUtHO0FBQ0gsMkJBQWtDLE1BQXFCLEVBQUUsT0FBZTtJQUN0RSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsZUFBZSxDQUFDLENBQUMsQ0FBQztRQUMzQixNQUFNLENBQUMsZUFBZSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQ2xDLENBQUM7SUFFRCxNQUFNLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxHQUFHLElBQUksSUFBSSxPQUFPLEVBQUUsQ0FBQyxDQUFDO0FBQzNELENBQUM7QUFORCw4Q0FNQztBQUVEOzs7O0dBSUc7QUFDSCx1QkFBdUIsSUFBWSxFQUFFLGNBQXNCO0lBQ3pELG1GQUFtRjtJQUNuRixNQUFNLFNBQVMsR0FBRyxJQUFJLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3hDLEVBQUUsQ0FBQyxDQUFDLFNBQVMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ2xCLE1BQU0sQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsRUFBRSxPQUFPLEVBQUUsSUFBSSxDQUFDLE1BQU0sQ0FBQyxTQUFTLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQztJQUNsRixDQUFDO0lBRUQsTUFBTSxDQUFDLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsY0FBYyxFQUFFLENBQUM7QUFDakQsQ0FBQztBQUdELG1CQUF3QixPQUF1QztJQUM3RCxNQUFNLE9BQU8sR0FBRyxPQUFPLENBQUMsT0FBTyxJQUFJLFFBQVEsQ0FBQztJQUM1QyxNQUFNLFFBQVEsR0FBK0IsRUFBRSxDQUFDO0lBRWhELEdBQUcsQ0FBQyxDQUFDLE1BQU0sSUFBSSxJQUFJLE9BQU8sQ0FBQyxRQUFRLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQztRQUMxQyxNQUFNLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxjQUFjLEVBQUUsR0FBRyxhQUFhLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBQzlFLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxJQUFJLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQztZQUM3QixNQUFNLElBQUksZ0NBQW1CLENBQUMsb0JBQW9CLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQzdFLENBQUM7UUFDRCxRQUFRLENBQUMsSUFBSSxDQUFDLEdBQUcsY0FBYyxDQUFDO0lBQ2xDLENBQUM7SUFFRCxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLE1BQU0sSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3RDLE1BQU0sSUFBSSxnQ0FBbUIsQ0FBQyxxREFBcUQsQ0FBQyxDQUFDO0lBQ3ZGLENBQUM7SUFFRCxNQUFNLENBQUMsdUJBQWlCLENBQUMsUUFBUSxFQUFFLE9BQU8sQ0FBQyxDQUFDO0FBQzlDLENBQUM7QUFqQkQsNEJBaUJDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBJbmMuIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuaW1wb3J0IHsgUnVsZSwgU2NoZW1hdGljc0V4Y2VwdGlvbiB9IGZyb20gJ0Bhbmd1bGFyLWRldmtpdC9zY2hlbWF0aWNzJztcbmltcG9ydCB7IHVwZGF0ZVBhY2thZ2VKc29uIH0gZnJvbSAnLi4vdXRpbGl0eS9ucG0nO1xuaW1wb3J0IHsgU2NoZW1hdGljc1VwZGF0ZVBhY2thZ2VzU2NoZW1hIH0gZnJvbSAnLi9zY2hlbWEnO1xuXG5cbi8qKlxuICogQSBsaXN0IG9mIHBhY2thZ2VzIHRoYXQgaXMgdXBkYXRlZCBhcyBhIHdob2xlLCBsaWtlIHRoZSBBbmd1bGFyIHBhY2thZ2VzLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIFBhY2thZ2VQcmVzZXQge1xuICAvKiogVGhlIHBhY2thZ2VzIG9mIHRoZSBwcmVzZXQuICovXG4gIHBhY2thZ2VzOiBzdHJpbmdbXTtcbiAgLyoqIFRocm93cyBpZiB0aGUgcHJlc2V0IGNhbm5vdCBiZSB1cGRhdGVkIHRvIGEgdmVyc2lvbiBvciBkaXN0LXRhZy4gKi9cbiAgdmFsaWRhdGVWZXJzaW9uPyh2ZXJzaW9uOiBzdHJpbmcpOiB2b2lkO1xufVxuXG5cbi8qKlxuICogR2V0IHRoZSBwYWNrYWdlcyBvZiBhIHByZXNldCwgYXMgcGFja2FnZSBhcmd1bWVudHMgZm9yIGEgdmVyc2lvbiBvciBkaXN0LXRhZy5cbiAqIEBwYXJhbSB7UGFja2FnZVByZXNldH0gcHJlc2V0IFRoZSBwcmVzZXQuXG4gKiBAcGFyYW0ge3N0cmluZ30gdmVyc2lvbiBUaGUgdmVyc2lvbiBvciBkaXN0LXRhZyB0byB1cGRhdGUgdGhlIHByZXNldCB0by5cbiAqIEByZXR1cm5zIHtzdHJpbmdbXX0gVGhlIHBhY2thZ2UgYXJndW1lbnRzLCBlLmcuIGBAYW5ndWxhci9jb3JlQG5leHRgLlxuICovXG5leHBvcnQgZnVuY3Rpb24gZ2V0UHJlc2V0UGFja2FnZXMocHJlc2V0OiBQYWNrYWdlUHJlc2V0LCB2ZXJzaW9uOiBzdHJpbmcpOiBzdHJpbmdbXSB7XG4gIGlmIChwcmVzZXQudmFsaWRhdGVWZXJzaW9uKSB7XG4gICAgcHJlc2V0LnZhbGlkYXRlVmVyc2lvbih2ZXJzaW9uKTtcbiAgfVxuXG4gIHJldHVybiBwcmVzZXQucGFja2FnZXMubWFwKG5hbWUgPT4gYCR7bmFtZX1AJHt2ZXJzaW9ufWApO1xufVxuXG4vKipcbiAqIFBhcnNlIGEgcGFja2FnZSBhcmd1bWVudCwgZS5nLiBgQGFuZ3VsYXIvbWF0ZXJpYWxAbmV4dGAsIGludG8gaXRzIG5hbWUgYW5kIHZlcnNpb24uIFBhY2thZ2VzXG4gKiB3aXRob3V0IGEgdmVyc2lvbiB1c2UgdGhlIGB2ZXJzaW9uYCBvcHRpb24uXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfcGFyc2VQYWNrYWdlKHNwZWM6IHN0cmluZywgZGVmYXVsdFZlcnNpb246IHN0cmluZyk6IHsgbmFtZTogc3RyaW5nLCB2ZXJzaW9uOiBzdHJpbmcgfSB7XG4gIC8vIFRoZSBmaXJzdCBjaGFyYWN0ZXIgY2FuIGJlIHRoZSBgQGAgb2YgYSBzY29wZSwgd2hpY2ggaXMgbm90IGEgdmVyc2lvbiBzZXBhcmF0b3IuXG4gIGNvbnN0IHNlcGFyYXRvciA9IHNwZWMubGFzdEluZGV4T2YoJ0AnKTtcbiAgaWYgKHNlcGFyYXRvciA+IDApIHtcbiAgICByZXR1cm4geyBuYW1lOiBzcGVjLnN1YnN0cigwLCBzZXBhcmF0b3IpLCB2ZXJzaW9uOiBzcGVjLnN1YnN0cihzZXBhcmF0b3IgKyAxKSB9O1xuICB9XG5cbiAgcmV0dXJuIHsgbmFtZTogc3BlYywgdmVyc2lvbjogZGVmYXVsdFZlcnNpb24gfTtcbn1cblxuXG5leHBvcnQgZGVmYXVsdCBmdW5jdGlvbihvcHRpb25zOiBTY2hlbWF0aWNzVXBkYXRlUGFja2FnZXNTY2hlbWEpOiBSdWxlIHtcbiAgY29uc3QgdmVyc2lvbiA9IG9wdGlvbnMudmVyc2lvbiB8fCAnbGF0ZXN0JztcbiAgY29uc3QgcGFja2FnZXM6IHsgW25hbWU6IHN0cmluZ106IHN0cmluZyB9ID0ge307XG5cbiAgZm9yIChjb25zdCBzcGVjIG9mIG9wdGlvbnMucGFja2FnZXMgfHwgW10pIHtcbiAgICBjb25zdCB7IG5hbWUsIHZlcnNpb246IHBhY2thZ2VWZXJzaW9uIH0gPSBfcGFyc2VQYWNrYWdlKHNwZWMudHJpbSgpLCB2ZXJzaW9uKTtcbiAgICBpZiAoIW5hbWUgfHwgIXBhY2thZ2VWZXJzaW9uKSB7XG4gICAgICB0aHJvdyBuZXcgU2NoZW1hdGljc0V4Y2VwdGlvbihgSW52YWxpZCBwYWNrYWdlOiAke0pTT04uc3RyaW5naWZ5KHNwZWMpfS5gKTtcbiAgICB9XG4gICAgcGFja2FnZXNbbmFtZV0gPSBwYWNrYWdlVmVyc2lvbjtcbiAgfVxuXG4gIGlmIChPYmplY3Qua2V5cyhwYWNrYWdlcykubGVuZ3RoID09IDApIHtcbiAgICB0aHJvdyBuZXcgU2NoZW1hdGljc0V4Y2VwdGlvbignWW91IG5lZWQgdG8gc3BlY2lmeSBhdCBsZWFzdCBvbmUgcGFja2FnZSB0byB1cGRhdGUuJyk7XG4gIH1cblxuICByZXR1cm4gdXBkYXRlUGFja2FnZUpzb24ocGFja2FnZXMsIG9wdGlvbnMpO1xufVxuIl19
\ No newline at end of file
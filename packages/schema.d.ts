@@ -0,0 +1,17 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { SchematicsUpdateSchema } from '../schema';
+
+export interface SchematicsUpdatePackagesSchema extends SchematicsUpdateSchema {
+  /**
+   * The packages to update, e.g. `@angular/material` or `@ngrx/store@6.1.0`. Packages without a
+   * version are updated to the `version` option. The members of their package groups are
+   * updated with them.
+   */
+  packages?: string[];
+}
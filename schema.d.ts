@@ -7,11 +7,95 @@
  */
 export interface SchematicsUpdateSchema {
   /**
-   * Whether to use loose semver operators or to fix the version. Default to false.
+   * Deprecated, use rangeOperator "~" instead. Whether to use the ~ operator for every updated
+   * dependency. Default to false.
    */
   loose?: boolean;
+  /**
+   * The range operator to write for updated dependencies. By default, the operator each
+   * dependency already uses is kept.
+   */
+  rangeOperator?: 'keep' | 'exact' | '^' | '~' | '>=';
   /**
    * The target version, or dist-tag.
    */
   version?: string;
+  /**
+   * The NPM registry to use. Defaults to the registry from the npm configuration (.npmrc files
+   * and environment).
+   */
+  registry?: string;
+  /**
+   * The timeout of a single request to the registry, in milliseconds. Default to 30000.
+   */
+  timeout?: number;
+  /**
+   * How many times a request to the registry is retried after a network error, a timeout or a
+   * server error. Default to 2.
+   */
+  retries?: number;
+  /**
+   * Only use the package metadata cached on disk by previous runs, without network access.
+   * Default to false.
+   */
+  offline?: boolean;
+  /**
+   * The package.json files to update, or their directories. Defaults to the root package.json
+   * and the packages of its workspaces.
+   */
+  packageJsonPaths?: string[];
+  /**
+   * Only compute the update plan and write it as a report, without changing package.json or
+   * installing packages. Default to false.
+   */
+  planOnly?: boolean;
+  /**
+   * Where to write the update plan, without extension. A JSON and a Markdown file are written.
+   * Defaults to "update-plan" when planOnly is set.
+   */
+  reportPath?: string;
+  /**
+   * Run the migrations of the requested packages from this version instead of the installed one,
+   * e.g. to re-run them.
+   */
+  from?: string;
+  /**
+   * Run the migrations of the requested packages up to this version instead of the version they
+   * are updated to.
+   */
+  to?: string;
+  /**
+   * The package manager used to install the updated packages. Defaults to the one detected from
+   * the packageManager field of package.json or from the lockfile, and to npm. With pnpm, the
+   * packages are not installed and only the lockfile is checked.
+   */
+  packageManager?: 'npm' | 'yarn' | 'pnpm';
+  /**
+   * Do not install the updated packages. The lockfile is checked against the new ranges instead.
+   * Default to false.
+   */
+  skipInstall?: boolean;
+  /**
+   * Whether to skip deprecated versions. Default to true.
+   */
+  excludeDeprecated?: boolean;
+  /**
+   * Whether to skip versions whose engines.node does not support the Node.js versions of the
+   * project (from its engines.node, or the running Node.js). Default to true.
+   */
+  checkEngines?: boolean;
+  /**
+   * Whether prerelease versions can be picked. Prereleases are always allowed for a package when
+   * its requested version or current range is a prerelease. Default to false.
+   */
+  allowPrerelease?: boolean;
+  /**
+   * The minimum number of days since a version was published for it to be picked. Default to 0.
+   */
+  minimumReleaseAge?: number;
+  /**
+   * Add the peer dependencies of the updated packages that are missing from the project. Default
+   * to false.
+   */
+  addMissingPeers?: boolean;
 }
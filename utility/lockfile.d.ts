@@ -0,0 +1,54 @@
+import { Tree } from '@angular-devkit/schematics';
+import { PackageJsonChange } from './workspace';
+/**
+ * A change to a package.json that the lockfile does not agree with.
+ */
+export interface LockfileMismatch {
+    /** The name of the dependency. */
+    name: string;
+    /** The path of the package.json in the tree. */
+    path: string;
+    /** The new range of the dependency. */
+    range: string;
+    /** What the lockfile installs for the dependency, or null if it is not locked. */
+    locked: LockedDependency | null;
+}
+/**
+ * What a lockfile installs for a dependency of a package.json. Yarn and pnpm also lock the range
+ * it was resolved for, which must be the range of the package.json.
+ */
+export interface LockedDependency {
+    version: string;
+    range?: string;
+}
+/**
+ * Detect the package manager of the project. The `packageManager` option wins, then the
+ * `packageManager` field of the root package.json (e.g. `yarn@1.9.4`), then the lockfiles.
+ * @param {Tree} tree The tree to look into.
+ * @param {string} packageManager The `packageManager` option, if any.
+ * @returns {string | null} The package manager, or null if it could not be detected.
+ */
+export declare function detectPackageManager(tree: Tree, packageManager?: string): string | null;
+/**
+ * Get the path of the lockfile of a package manager.
+ * @param {string} packageManager The package manager.
+ * @returns {string} The path of the lockfile in the tree.
+ */
+export declare function getLockfilePath(packageManager: string): string;
+/**
+ * Find the changes to the package.json files that the lockfile does not agree with, i.e. the
+ * dependencies whose locked version does not satisfy their new range. Yarn and pnpm also need
+ * the dependency to be locked for the exact new range.
+ * @param {Tree} tree The tree to read the lockfile from.
+ * @param {string} packageManager The package manager of the project.
+ * @param {PackageJsonChange[]} changes The changes to the package.json files.
+ * @returns {LockfileMismatch[] | null} The mismatches, or null if there is no lockfile.
+ */
+export declare function getLockfileMismatches(tree: Tree, packageManager: string, changes: PackageJsonChange[]): LockfileMismatch[] | null;
+/**
+ * Format lockfile mismatches for the user.
+ * @param {string} packageManager The package manager of the project.
+ * @param {LockfileMismatch[]} mismatches The mismatches to format.
+ * @returns {string} The message.
+ */
+export declare function formatLockfileMismatches(packageManager: string, mismatches: LockfileMismatch[]): string;
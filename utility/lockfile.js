@@ -0,0 +1,226 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const core_1 = require("@angular-devkit/core");
+const schematics_1 = require("@angular-devkit/schematics");
+const semver = require("semver");
+const workspace_1 = require("./workspace");
+/**
+ * The lockfile of each supported package manager, in order of detection.
+ */
+const kLockfiles = {
+    'npm': '/package-lock.json',
+    'yarn': '/yarn.lock',
+    'pnpm': '/pnpm-lock.yaml',
+};
+/**
+ * The fields of a pnpm-lock.yaml importer that list the locked versions of its dependencies.
+ */
+const kPnpmDependencyFields = ['dependencies', 'devDependencies', 'optionalDependencies'];
+/**
+ * Detect the package manager of the project. The `packageManager` option wins, then the
+ * `packageManager` field of the root package.json (e.g. `yarn@1.9.4`), then the lockfiles.
+ * @param {Tree} tree The tree to look into.
+ * @param {string} packageManager The `packageManager` option, if any.
+ * @returns {string | null} The package manager, or null if it could not be detected.
+ */
+function detectPackageManager(tree, packageManager) {
+    if (packageManager) {
+        return packageManager;
+    }
+    const field = tree.exists('/package.json')
+        ? workspace_1.readPackageJson(tree, '/package.json')['packageManager']
+        : undefined;
+    if (typeof field == 'string') {
+        const name = field.split('@')[0];
+        if (name in kLockfiles) {
+            return name;
+        }
+    }
+    const detected = Object.keys(kLockfiles).filter(name => tree.exists(kLockfiles[name]));
+    return detected.length > 0 ? detected[0] : null;
+}
+exports.detectPackageManager = detectPackageManager;
+/**
+ * Get the path of the lockfile of a package manager.
+ * @param {string} packageManager The package manager.
+ * @returns {string} The path of the lockfile in the tree.
+ */
+function getLockfilePath(packageManager) {
+    return kLockfiles[packageManager] || kLockfiles['npm'];
+}
+exports.getLockfilePath = getLockfilePath;
+/**
+ * Get the directory of a package.json, relative to the root of the tree (e.g. `libs/a`), or an
+ * empty string for the root package.json.
+ * @private
+ */
+function _getPackageDirectory(path) {
+    return path.replace(/^\//, '').replace(/(^|\/)package\.json$/, '');
+}
+/**
+ * Read a package-lock.json. Lockfiles of version 2 and later list the installed packages by
+ * location in `packages`, where a workspace's own `node_modules` wins over the hoisted one.
+ * Version 1 only has the root `dependencies`.
+ * @private
+ */
+function _readNpmLockfile(content, path) {
+    const json = core_1.parseJson(content, core_1.JsonParseMode.Loose);
+    if (json === null || typeof json != 'object' || Array.isArray(json)) {
+        throw new schematics_1.SchematicsException(`Could not parse ${path}.`);
+    }
+    const packages = json['packages'];
+    const dependencies = (json['dependencies'] || {});
+    return (name, packageJsonPath) => {
+        let entry;
+        if (packages) {
+            const directory = _getPackageDirectory(packageJsonPath);
+            entry = (directory && packages[`${directory}/node_modules/${name}`]
+                || packages[`node_modules/${name}`]);
+        }
+        else {
+            entry = dependencies[name];
+        }
+        const version = entry && entry['version'];
+        return typeof version == 'string' && semver.valid(version) ? { version } : null;
+    };
+}
+/**
+ * Read a yarn.lock, of yarn 1 or later. Entries are shared by the whole project and keyed by
+ * range, e.g. `"@angular/core@^6.0.0", "@angular/core@~6.0.0":`.
+ * @private
+ */
+function _readYarnLockfile(content) {
+    const entries = {};
+    let specs = [];
+    for (const line of content.split(/\r?\n/)) {
+        if (/^[^\s#]/.test(line)) {
+            specs = line.replace(/:\s*$/, '').split(',')
+                .map(spec => spec.trim().replace(/^"|"$/g, '').replace(/@npm:/, '@'));
+            continue;
+        }
+        const maybeVersion = line.match(/^\s+version:?\s+"?([^"\s]+)"?\s*$/);
+        if (maybeVersion && specs.length > 0) {
+            for (const spec of specs) {
+                const separator = spec.lastIndexOf('@');
+                if (separator > 0) {
+                    const name = spec.substr(0, separator);
+                    entries[name] = entries[name] || [];
+                    entries[name].push({ version: maybeVersion[1], range: spec.substr(separator + 1) });
+                }
+            }
+            specs = [];
+        }
+    }
+    return (name, _, range) => {
+        const locked = entries[name] || [];
+        return locked.find(entry => entry.range === range) || locked[0] || null;
+    };
+}
+/**
+ * Read the importers of a pnpm-lock.yaml, i.e. the `specifier` and `version` of the direct
+ * dependencies of each package.json. Lockfiles of a single project have no `importers` and
+ * list the root dependencies at the top level. Before version 6, specifiers are in a separate
+ * `specifiers` map.
+ * @private
+ */
+function _readPnpmLockfile(content) {
+    const importers = {};
+    const stack = [];
+    for (const line of content.split(/\r?\n/)) {
+        const maybeEntry = line.match(/^( *)('[^']*'|"[^"]*"|[^\s:#'"][^:]*):(?:\s+(.*))?$/);
+        if (!maybeEntry) {
+            continue;
+        }
+        const indent = maybeEntry[1].length;
+        const key = maybeEntry[2].replace(/^['"]|['"]$/g, '');
+        const value = (maybeEntry[3] || '').replace(/^['"]|['"]$/g, '');
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+            stack.pop();
+        }
+        stack.push({ indent, key });
+        const keys = stack.map(x => x.key);
+        const path = keys[0] == 'importers' ? keys.slice(1) : ['.', ...keys];
+        const [directory, field, name, property] = path;
+        const isDependency = field == 'specifiers' || kPnpmDependencyFields.indexOf(field) != -1;
+        if (!value || !isDependency || path.length < 3 || path.length > 4
+            || (property && property != 'specifier' && property != 'version')) {
+            continue;
+        }
+        const dependencies = importers[directory] = importers[directory] || {};
+        const dependency = dependencies[name] = dependencies[name] || {};
+        if (field == 'specifiers' || property == 'specifier') {
+            dependency.range = value;
+        }
+        else {
+            // Versions can have a suffix for their peer dependencies, e.g. `6.2.2(rxjs@6.2.2)`.
+            const maybeVersion = value.match(/^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?/);
+            dependency.version = maybeVersion ? maybeVersion[0] : value;
+        }
+    }
+    return (name, path) => {
+        const dependency = (importers[_getPackageDirectory(path) || '.'] || {})[name];
+        return dependency && dependency.version ? dependency : null;
+    };
+}
+/**
+ * Find the changes to the package.json files that the lockfile does not agree with, i.e. the
+ * dependencies whose locked version does not satisfy their new range. Yarn and pnpm also need
+ * the dependency to be locked for the exact new range.
+ * @param {Tree} tree The tree to read the lockfile from.
+ * @param {string} packageManager The package manager of the project.
+ * @param {PackageJsonChange[]} changes The changes to the package.json files.
+ * @returns {LockfileMismatch[] | null} The mismatches, or null if there is no lockfile.
+ */
+function getLockfileMismatches(tree, packageManager, changes) {
+    const path = getLockfilePath(packageManager);
+    const lockfileContent = tree.read(path);
+    if (!lockfileContent) {
+        return null;
+    }
+    const content = lockfileContent.toString();
+    const lookup = packageManager == 'yarn'
+        ? _readYarnLockfile(content)
+        : packageManager == 'pnpm'
+            ? _readPnpmLockfile(content)
+            : _readNpmLockfile(content, path);
+    return changes
+        .filter(change => change.field != 'peerDependencies')
+        .map(change => ({
+        name: change.name,
+        path: change.path,
+        range: change.target,
+        locked: lookup(change.name, change.path, change.target),
+    }))
+        .filter(({ range, locked }) => {
+        return !locked
+            || (locked.range !== undefined && locked.range !== range)
+            || !semver.satisfies(locked.version, range);
+    });
+}
+exports.getLockfileMismatches = getLockfileMismatches;
+/**
+ * Format lockfile mismatches for the user.
+ * @param {string} packageManager The package manager of the project.
+ * @param {LockfileMismatch[]} mismatches The mismatches to format.
+ * @returns {string} The message.
+ */
+function formatLockfileMismatches(packageManager, mismatches) {
+    const lines = mismatches.map(({ name, path, range, locked }) => {
+        const description = !locked
+            ? 'not locked'
+            : `locked: ${locked.version}` + (locked.range ? ` for "${locked.range}"` : '');
+        return `  ${JSON.stringify(name)} "${range}" in ${path} (${description})`;
+    });
+    return `The lockfile ${getLockfilePath(packageManager)} does not agree with the new ranges:\n`
+        + lines.join('\n') + '\n'
+        + `Run "${packageManager} install" to update it.`;
+}
+exports.formatLockfileMismatches = formatLockfileMismatches;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibG9ja2ZpbGUuanMiLCJzb3VyY2VSb290IjoiLi8iLCJzb3VyY2VzIjpbInBhY2thZ2VzL3NjaGVtYXRpY3MvcGFja2FnZV91cGRhdGUvdXRpbGl0eS9sb2NrZmlsZS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOztBQUFBOzs7Ozs7R0FNRztBQUNILCtDQUE0RTtBQUM1RSwyREFBdUU7QUFDdkUsaUNBQWlDO0FBQ2pDLDJDQUFpRTtBQUdqRTs7R0FFRztBQUNILE1BQU0sVUFBVSxHQUF5QztJQUN2RCxLQUFLLEVBQUUsb0JBQW9CO0lBQzNCLE1BQU0sRUFBRSxZQUFZO0lBQ3BCLE1BQU0sRUFBRSxpQkFBaUI7Q0FDMUIsQ0FBQztBQUVGOztHQUVHO0FBQ0gsTUFBTSxxQkFBcUIsR0FBRyxDQUFDLGNBQWMsRUFBRSxpQkFBaUIsRUFBRSxzQkFBc0IsQ0FBQyxDQUFDO0FBaUMxRjs7Ozs7O0dBTUc7QUFDSCw4QkFBcUMsSUFBVSxFQUFFLGNBQXVCO0lBQ3RFLEVBQUUsQ0FBQyxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUM7UUFDbkIsTUFBTSxDQUFDLGNBQWMsQ0FBQztJQUN4QixDQUFDO0lBRUQsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxlQUFlLENBQUM7UUFDeEMsQ0FBQyxDQUFDLDJCQUFlLENBQUMsSUFBSSxFQUFFLGVBQWUsQ0FBQyxDQUFDLGdCQUFnQixDQUFDO1FBQzFELENBQUMsQ0FBQyxTQUFTLENBQUM7SUFDZCxFQUFFLENBQUMsQ0FBQyxPQUFPLEtBQUssSUFBSSxRQUFRLENBQUMsQ0FBQyxDQUFDO1FBQzdCLE1BQU0sSUFBSSxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDakMsRUFBRSxDQUFDLENBQUMsSUFBSSxJQUFJLFVBQVUsQ0FBQyxDQUFDLENBQUM7WUFDdkIsTUFBTSxDQUFDLElBQUksQ0FBQztRQUNkLENBQUM7SUFDSCxDQUFDO0lBRUQsTUFBTSxRQUFRLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFdkYsTUFBTSxDQUFDLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztBQUNsRCxDQUFDO0FBbEJELG9EQWtCQztBQUVEOzs7O0dBSUc7QUFDSCx5QkFBZ0MsY0FBc0I7SUFDcEQsTUFBTSxDQUFDLFVBQVUsQ0FBQyxjQUFjLENBQUMsSUFBSSxVQUFVLENBQUMsS0FBSyxDQUFDLENBQUM7QUFDekQsQ0FBQztBQUZELDBDQUVDO0FBRUQ7Ozs7R0FJRztBQUNILDhCQUE4QixJQUFZO0lBQ3hDLE1BQU0sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsc0JBQXNCLEVBQUUsRUFBRSxDQUFDLENBQUM7QUFDckUsQ0FBQztBQUVEOzs7OztHQUtHO0FBQ0gsMEJBQTBCLE9BQWUsRUFBRSxJQUFZO0lBQ3JELE1BQU0sSUFBSSxHQUFHLGdCQUFTLENBQUMsT0FBTyxFQUFFLG9CQUFhLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDckQsRUFBRSxDQUFDLENBQUMsSUFBSSxLQUFLLElBQUksSUFBSSxPQUFPLElBQUksSUFBSSxRQUFRLElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDcEUsTUFBTSxJQUFJLGdDQUFtQixDQUFDLG1CQUFtQixJQUFJLEdBQUcsQ0FBQyxDQUFDO0lBQzVELENBQUM7SUFDRCxNQUFNLFFBQVEsR0FBRyxJQUFJLENBQUMsVUFBVSxDQUEyQixDQUFDO0lBQzVELE1BQU0sWUFBWSxHQUFHLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxJQUFJLEVBQUUsQ0FBZSxDQUFDO0lBRWhFLE1BQU0sQ0FBQyxDQUFDLElBQUksRUFBRSxlQUFlLEVBQUUsRUFBRTtRQUMvQixJQUFJLEtBQTZCLENBQUM7UUFDbEMsRUFBRSxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztZQUNiLE1BQU0sU0FBUyxHQUFHLG9CQUFvQixDQUFDLGVBQWUsQ0FBQyxDQUFDO1lBQ3hELEtBQUssR0FBRyxDQUFDLFNBQVMsSUFBSSxRQUFRLENBQUMsR0FBRyxTQUFTLGlCQUFpQixJQUFJLEVBQUUsQ0FBQzttQkFDOUQsUUFBUSxDQUFDLGdCQUFnQixJQUFJLEVBQUUsQ0FBQyxDQUEyQixDQUFDO1FBQ25FLENBQUM7UUFBQyxJQUFJLENBQUMsQ0FBQztZQUNOLEtBQUssR0FBRyxZQUFZLENBQUMsSUFBSSxDQUEyQixDQUFDO1FBQ3ZELENBQUM7UUFDRCxNQUFNLE9BQU8sR0FBRyxLQUFLLElBQUksS0FBSyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1FBRTFDLE1BQU0sQ0FBQyxPQUFPLE9BQU8sSUFBSSxRQUFRLElBQUksTUFBTSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO0lBQ2xGLENBQUMsQ0FBQztBQUNKLENBQUM7QUFFRDs7OztHQUlHO0FBQ0gsMkJBQTJCLE9BQWU7SUFDeEMsTUFBTSxPQUFPLEdBQTJDLEVBQUUsQ0FBQztJQUMzRCxJQUFJLEtBQUssR0FBYSxFQUFFLENBQUM7SUFFekIsR0FBRyxDQUFDLENBQUMsTUFBTSxJQUFJLElBQUksT0FBTyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDMUMsRUFBRSxDQUFDLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDekIsS0FBSyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUM7aUJBQ3pDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQztZQUN4RSxRQUFRLENBQUM7UUFDWCxDQUFDO1FBRUQsTUFBTSxZQUFZLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxtQ0FBbUMsQ0FBQyxDQUFDO1FBQ3JFLEVBQUUsQ0FBQyxDQUFDLFlBQVksSUFBSSxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDckMsR0FBRyxDQUFDLENBQUMsTUFBTSxJQUFJLElBQUksS0FBSyxDQUFDLENBQUMsQ0FBQztnQkFDekIsTUFBTSxTQUFTLEdBQUcsSUFBSSxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQztnQkFDeEMsRUFBRSxDQUFDLENBQUMsU0FBUyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7b0JBQ2xCLE1BQU0sSUFBSSxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO29CQUN2QyxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztvQkFDcEMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLE9BQU8sRUFBRSxZQUFZLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLElBQUksQ0FBQyxNQUFNLENBQUMsU0FBUyxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQztnQkFDdEYsQ0FBQztZQUNILENBQUM7WUFDRCxLQUFLLEdBQUcsRUFBRSxDQUFDO1FBQ2IsQ0FBQztJQUNILENBQUM7SUFFRCxNQUFNLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ3hCLE1BQU0sTUFBTSxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUM7UUFFbkMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsS0FBSyxLQUFLLEtBQUssQ0FBQyxJQUFJLE1BQU0sQ0FBQyxDQUFDLENBQUMsSUFBSSxJQUFJLENBQUM7SUFDMUUsQ0FBQyxDQUFDO0FBQ0osQ0FBQztBQUVEOzs7Ozs7R0FNRztBQUNILDJCQUEyQixPQUFlO0lBQ3hDLE1BQU0sU0FBUyxHQUEyRSxFQUFFLENBQUM7SUFDN0YsTUFBTSxLQUFLLEdBQXNDLEVBQUUsQ0FBQztJQUVwRCxHQUFHLENBQUMsQ0FBQyxNQUFNLElBQUksSUFBSSxPQUFPLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUMxQyxNQUFNLFVBQVUsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLHFEQUFxRCxDQUFDLENBQUM7UUFDckYsRUFBRSxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDO1lBQ2hCLFFBQVEsQ0FBQztRQUNYLENBQUM7UUFDRCxNQUFNLE1BQU0sR0FBRyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO1FBQ3BDLE1BQU0sR0FBRyxHQUFHLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsY0FBYyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQ3RELE1BQU0sS0FBSyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxjQUFjLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDaEUsT0FBTyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsSUFBSSxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxNQUFNLElBQUksTUFBTSxFQUFFLENBQUM7WUFDcEUsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDO1FBQ2QsQ0FBQztRQUNELEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLENBQUMsQ0FBQztRQUU1QixNQUFNLElBQUksR0FBRyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ25DLE1BQU0sSUFBSSxHQUFHLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxXQUFXLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxFQUFFLEdBQUcsSUFBSSxDQUFDLENBQUM7UUFDckUsTUFBTSxDQUFDLFNBQVMsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLFFBQVEsQ0FBQyxHQUFHLElBQUksQ0FBQztRQUNoRCxNQUFNLFlBQVksR0FBRyxLQUFLLElBQUksWUFBWSxJQUFJLHFCQUFxQixDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUN6RixFQUFFLENBQUMsQ0FBQyxDQUFDLEtBQUssSUFBSSxDQUFDLFlBQVksSUFBSSxJQUFJLENBQUMsTUFBTSxHQUFHLENBQUMsSUFBSSxJQUFJLENBQUMsTUFBTSxHQUFHLENBQUM7ZUFDMUQsQ0FBQyxRQUFRLElBQUksUUFBUSxJQUFJLFdBQVcsSUFBSSxRQUFRLElBQUksU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3RFLFFBQVEsQ0FBQztRQUNYLENBQUM7UUFFRCxNQUFNLFlBQVksR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLEdBQUcsU0FBUyxDQUFDLFNBQVMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUN2RSxNQUFNLFVBQVUsR0FBRyxZQUFZLENBQUMsSUFBSSxDQUFDLEdBQUcsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUNqRSxFQUFFLENBQUMsQ0FBQyxLQUFLLElBQUksWUFBWSxJQUFJLFFBQVEsSUFBSSxXQUFXLENBQUMsQ0FBQyxDQUFDO1lBQ3JELFVBQVUsQ0FBQyxLQUFLLEdBQUcsS0FBSyxDQUFDO1FBQzNCLENBQUM7UUFBQyxJQUFJLENBQUMsQ0FBQztZQUNOLG9GQUFvRjtZQUNwRixNQUFNLFlBQVksR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLGtDQUFrQyxDQUFDLENBQUM7WUFDckUsVUFBVSxDQUFDLE9BQU8sR0FBRyxZQUFZLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDO1FBQzlELENBQUM7SUFDSCxDQUFDO0lBRUQsTUFBTSxDQUFDLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxFQUFFO1FBQ3BCLE1BQU0sVUFBVSxHQUFHLENBQUMsU0FBUyxDQUFDLG9CQUFvQixDQUFDLElBQUksQ0FBQyxJQUFJLEdBQUcsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBRTlFLE1BQU0sQ0FBQyxVQUFVLElBQUksVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsVUFBOEIsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO0lBQ2xGLENBQUMsQ0FBQztBQUNKLENBQUM7QUFFRDs7Ozs7Ozs7R0FRRztBQUNILCtCQUNFLElBQVUsRUFDVixjQUFzQixFQUN0QixPQUE0QjtJQUU1QixNQUFNLElBQUksR0FBRyxlQUFlLENBQUMsY0FBYyxDQUFDLENBQUM7SUFDN0MsTUFBTSxlQUFlLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUN4QyxFQUFFLENBQUMsQ0FBQyxDQUFDLGVBQWUsQ0FBQyxDQUFDLENBQUM7UUFDckIsTUFBTSxDQUFDLElBQUksQ0FBQztJQUNkLENBQUM7SUFFRCxNQUFNLE9BQU8sR0FBRyxlQUFlLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDM0MsTUFBTSxNQUFNLEdBQUcsY0FBYyxJQUFJLE1BQU07UUFDckMsQ0FBQyxDQUFDLGlCQUFpQixDQUFDLE9BQU8sQ0FBQztRQUM1QixDQUFDLENBQUMsY0FBYyxJQUFJLE1BQU07WUFDeEIsQ0FBQyxDQUFDLGlCQUFpQixDQUFDLE9BQU8sQ0FBQztZQUM1QixDQUFDLENBQUMsZ0JBQWdCLENBQUMsT0FBTyxFQUFFLElBQUksQ0FBQyxDQUFDO0lBRXRDLE1BQU0sQ0FBQyxPQUFPO1NBQ1gsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLEtBQUssSUFBSSxrQkFBa0IsQ0FBQztTQUNwRCxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQ2QsSUFBSSxFQUFFLE1BQU0sQ0FBQyxJQUFJO1FBQ2pCLElBQUksRUFBRSxNQUFNLENBQUMsSUFBSTtRQUNqQixLQUFLLEVBQUUsTUFBTSxDQUFDLE1BQU07UUFDcEIsTUFBTSxFQUFFLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxFQUFFLE1BQU0sQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQztLQUN4RCxDQUFDLENBQUM7U0FDRixNQUFNLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsRUFBRSxFQUFFO1FBQzVCLE1BQU0sQ0FBQyxDQUFDLE1BQU07ZUFDVCxDQUFDLE1BQU0sQ0FBQyxLQUFLLEtBQUssU0FBUyxJQUFJLE1BQU0sQ0FBQyxLQUFLLEtBQUssS0FBSyxDQUFDO2VBQ3RELENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsT0FBTyxFQUFFLEtBQUssQ0FBQyxDQUFDO0lBQ2hELENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQS9CRCxzREErQkM7QUFFRDs7Ozs7R0FLRztBQUNILGtDQUNFLGNBQXNCLEVBQ3RCLFVBQThCO0lBRTlCLE1BQU0sS0FBSyxHQUFHLFVBQVUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUU7UUFDN0QsTUFBTSxXQUFXLEdBQUcsQ0FBQyxNQUFNO1lBQ3pCLENBQUMsQ0FBQyxZQUFZO1lBQ2QsQ0FBQyxDQUFDLFdBQVcsTUFBTSxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsU0FBUyxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBRWpGLE1BQU0sQ0FBQyxLQUFLLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLEtBQUssS0FBSyxRQUFRLElBQUksS0FBSyxXQUFXLEdBQUcsQ0FBQztJQUM1RSxDQUFDLENBQUMsQ0FBQztJQUVILE1BQU0sQ0FBQyxnQkFBZ0IsZUFBZSxDQUFDLGNBQWMsQ0FBQyx3Q0FBd0M7VUFDMUYsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJO1VBQ3ZCLFFBQVEsY0FBYyx5QkFBeUIsQ0FBQztBQUN0RCxDQUFDO0FBZkQsNERBZUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIEluYy4gQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5pbXBvcnQgeyBKc29uT2JqZWN0LCBKc29uUGFyc2VNb2RlLCBwYXJzZUpzb24gfSBmcm9tICdAYW5ndWxhci1kZXZraXQvY29yZSc7XG5pbXBvcnQgeyBTY2hlbWF0aWNzRXhjZXB0aW9uLCBUcmVlIH0gZnJvbSAnQGFuZ3VsYXItZGV2a2l0L3NjaGVtYXRpY3MnO1xuaW1wb3J0ICogYXMgc2VtdmVyIGZyb20gJ3NlbXZlcic7XG5pbXBvcnQgeyBQYWNrYWdlSnNvbkNoYW5nZSwgcmVhZFBhY2thZ2VKc29uIH0gZnJvbSAnLi93b3Jrc3BhY2UnO1xuXG5cbi8qKlxuICogVGhlIGxvY2tmaWxlIG9mIGVhY2ggc3VwcG9ydGVkIHBhY2thZ2UgbWFuYWdlciwgaW4gb3JkZXIgb2YgZGV0ZWN0aW9uLlxuICovXG5jb25zdCBrTG9ja2ZpbGVzOiB7IFtwYWNrYWdlTWFuYWdlcjogc3RyaW5nXTogc3RyaW5nIH0gPSB7XG4gICducG0nOiAnL3BhY2thZ2UtbG9jay5qc29uJyxcbiAgJ3lhcm4nOiAnL3lhcm4ubG9jaycsXG4gICdwbnBtJzogJy9wbnBtLWxvY2sueWFtbCcsXG59O1xuXG4vKipcbiAqIFRoZSBmaWVsZHMgb2YgYSBwbnBtLWxvY2sueWFtbCBpbXBvcnRlciB0aGF0IGxpc3QgdGhlIGxvY2tlZCB2ZXJzaW9ucyBvZiBpdHMgZGVwZW5kZW5jaWVzLlxuICovXG5jb25zdCBrUG5wbURlcGVuZGVuY3lGaWVsZHMgPSBbJ2RlcGVuZGVuY2llcycsICdkZXZEZXBlbmRlbmNpZXMnLCAnb3B0aW9uYWxEZXBlbmRlbmNpZXMnXTtcblxuXG4vKipcbiAqIEEgY2hhbmdlIHRvIGEgcGFja2FnZS5qc29uIHRoYXQgdGhlIGxvY2tmaWxlIGRvZXMgbm90IGFncmVlIHdpdGguXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgTG9ja2ZpbGVNaXNtYXRjaCB7XG4gIC8qKiBUaGUgbmFtZSBvZiB0aGUgZGVwZW5kZW5jeS4gKi9cbiAgbmFtZTogc3RyaW5nO1xuICAvKiogVGhlIHBhdGggb2YgdGhlIHBhY2thZ2UuanNvbiBpbiB0aGUgdHJlZS4gKi9cbiAgcGF0aDogc3RyaW5nO1xuICAvKiogVGhlIG5ldyByYW5nZSBvZiB0aGUgZGVwZW5kZW5jeS4gKi9cbiAgcmFuZ2U6IHN0cmluZztcbiAgLyoqIFdoYXQgdGhlIGxvY2tmaWxlIGluc3RhbGxzIGZvciB0aGUgZGVwZW5kZW5jeSwgb3IgbnVsbCBpZiBpdCBpcyBub3QgbG9ja2VkLiAqL1xuICBsb2NrZWQ6IExvY2tlZERlcGVuZGVuY3kgfCBudWxsO1xufVxuXG4vKipcbiAqIFdoYXQgYSBsb2NrZmlsZSBpbnN0YWxscyBmb3IgYSBkZXBlbmRlbmN5IG9mIGEgcGFja2FnZS5qc29uLiBZYXJuIGFuZCBwbnBtIGFsc28gbG9jayB0aGUgcmFuZ2VcbiAqIGl0IHdhcyByZXNvbHZlZCBmb3IsIHdoaWNoIG11c3QgYmUgdGhlIHJhbmdlIG9mIHRoZSBwYWNrYWdlLmpzb24uXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgTG9ja2VkRGVwZW5kZW5jeSB7XG4gIHZlcnNpb246IHN0cmluZztcbiAgcmFuZ2U/OiBzdHJpbmc7XG59XG5cbi8qKlxuICogR2V0IHdoYXQgYSBsb2NrZmlsZSBpbnN0YWxscyBmb3IgYSBkZXBlbmRlbmN5IG9mIGEgcGFja2FnZS5qc29uLlxuICovXG50eXBlIExvY2tlZERlcGVuZGVuY3lMb29rdXAgPVxuICAobmFtZTogc3RyaW5nLCBwYXRoOiBzdHJpbmcsIHJhbmdlOiBzdHJpbmcpID0+IExvY2tlZERlcGVuZGVuY3kgfCBudWxsO1xuXG5cbi8qKlxuICogRGV0ZWN0IHRoZSBwYWNrYWdlIG1hbmFnZXIgb2YgdGhlIHByb2plY3QuIFRoZSBgcGFja2FnZU1hbmFnZXJgIG9wdGlvbiB3aW5zLCB0aGVuIHRoZVxuICogYHBhY2thZ2VNYW5hZ2VyYCBmaWVsZCBvZiB0aGUgcm9vdCBwYWNrYWdlLmpzb24gKGUuZy4gYHlhcm5AMS45LjRgKSwgdGhlbiB0aGUgbG9ja2ZpbGVzLlxuICogQHBhcmFtIHtUcmVlfSB0cmVlIFRoZSB0cmVlIHRvIGxvb2sgaW50by5cbiAqIEBwYXJhbSB7c3RyaW5nfSBwYWNrYWdlTWFuYWdlciBUaGUgYHBhY2thZ2VNYW5hZ2VyYCBvcHRpb24sIGlmIGFueS5cbiAqIEByZXR1cm5zIHtzdHJpbmcgfCBudWxsfSBUaGUgcGFja2FnZSBtYW5hZ2VyLCBvciBudWxsIGlmIGl0IGNvdWxkIG5vdCBiZSBkZXRlY3RlZC5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGRldGVjdFBhY2thZ2VNYW5hZ2VyKHRyZWU6IFRyZWUsIHBhY2thZ2VNYW5hZ2VyPzogc3RyaW5nKTogc3RyaW5nIHwgbnVsbCB7XG4gIGlmIChwYWNrYWdlTWFuYWdlcikge1xuICAgIHJldHVybiBwYWNrYWdlTWFuYWdlcjtcbiAgfVxuXG4gIGNvbnN0IGZpZWxkID0gdHJlZS5leGlzdHMoJy9wYWNrYWdlLmpzb24nKVxuICAgID8gcmVhZFBhY2thZ2VKc29uKHRyZWUsICcvcGFja2FnZS5qc29uJylbJ3BhY2thZ2VNYW5hZ2VyJ11cbiAgICA6IHVuZGVmaW5lZDtcbiAgaWYgKHR5cGVvZiBmaWVsZCA9PSAnc3RyaW5nJykge1xuICAgIGNvbnN0IG5hbWUgPSBmaWVsZC5zcGxpdCgnQCcpWzBdO1xuICAgIGlmIChuYW1lIGluIGtMb2NrZmlsZXMpIHtcbiAgICAgIHJldHVybiBuYW1lO1xuICAgIH1cbiAgfVxuXG4gIGNvbnN0IGRldGVjdGVkID0gT2JqZWN0LmtleXMoa0xvY2tmaWxlcykuZmlsdGVyKG5hbWUgPT4gdHJlZS5leGlzdHMoa0xvY2tmaWxlc1tuYW1lXSkpO1xuXG4gIHJldHVybiBkZXRlY3RlZC5sZW5ndGggPiAwID8gZGV0ZWN0ZWRbMF0gOiBudWxsO1xufVxuXG4vKipcbiAqIEdldCB0aGUgcGF0aCBvZiB0aGUgbG9ja2ZpbGUgb2YgYSBwYWNrYWdlIG1hbmFnZXIuXG4gKiBAcGFyYW0ge3N0cmluZ30gcGFja2FnZU1hbmFnZXIgVGhlIHBhY2thZ2UgbWFuYWdlci5cbiAqIEByZXR1cm5zIHtzdHJpbmd9IFRoZSBwYXRoIG9mIHRoZSBsb2NrZmlsZSBpbiB0aGUgdHJlZS5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGdldExvY2tmaWxlUGF0aChwYWNrYWdlTWFuYWdlcjogc3RyaW5nKTogc3RyaW5nIHtcbiAgcmV0dXJuIGtMb2NrZmlsZXNbcGFja2FnZU1hbmFnZXJdIHx8IGtMb2NrZmlsZXNbJ25wbSddO1xufVxuXG4vKipcbiAqIEdldCB0aGUgZGlyZWN0b3J5IG9mIGEgcGFja2FnZS5qc29uLCByZWxhdGl2ZSB0byB0aGUgcm9vdCBvZiB0aGUgdHJlZSAoZS5nLiBgbGlicy9hYCksIG9yIGFuXG4gKiBlbXB0eSBzdHJpbmcgZm9yIHRoZSByb290IHBhY2thZ2UuanNvbi5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9nZXRQYWNrYWdlRGlyZWN0b3J5KHBhdGg6IHN0cmluZyk6IHN0cmluZyB7XG4gIHJldHVybiBwYXRoLnJlcGxhY2UoL15cXC8vLCAnJykucmVwbGFjZSgvKF58XFwvKXBhY2thZ2VcXC5qc29uJC8sICcnKTtcbn1cblxuLyoqXG4gKiBSZWFkIGEgcGFja2FnZS1sb2NrLmpzb24uIExvY2tmaWxlcyBvZiB2ZXJzaW9uIDIgYW5kIGxhdGVyIGxpc3QgdGhlIGluc3RhbGxlZCBwYWNrYWdlcyBieVxuICogbG9jYXRpb24gaW4gYHBhY2thZ2VzYCwgd2hlcmUgYSB3b3Jrc3BhY2UncyBvd24gYG5vZGVfbW9kdWxlc2Agd2lucyBvdmVyIHRoZSBob2lzdGVkIG9uZS5cbiAqIFZlcnNpb24gMSBvbmx5IGhhcyB0aGUgcm9vdCBgZGVwZW5kZW5jaWVzYC5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9yZWFkTnBtTG9ja2ZpbGUoY29udGVudDogc3RyaW5nLCBwYXRoOiBzdHJpbmcpOiBMb2NrZWREZXBlbmRlbmN5TG9va3VwIHtcbiAgY29uc3QganNvbiA9IHBhcnNlSnNvbihjb250ZW50LCBKc29uUGFyc2VNb2RlLkxvb3NlKTtcbiAgaWYgKGpzb24gPT09IG51bGwgfHwgdHlwZW9mIGpzb24gIT0gJ29iamVjdCcgfHwgQXJyYXkuaXNBcnJheShqc29uKSkge1xuICAgIHRocm93IG5ldyBTY2hlbWF0aWNzRXhjZXB0aW9uKGBDb3VsZCBub3QgcGFyc2UgJHtwYXRofS5gKTtcbiAgfVxuICBjb25zdCBwYWNrYWdlcyA9IGpzb25bJ3BhY2thZ2VzJ10gYXMgSnNvbk9iamVjdCB8IHVuZGVmaW5lZDtcbiAgY29uc3QgZGVwZW5kZW5jaWVzID0gKGpzb25bJ2RlcGVuZGVuY2llcyddIHx8IHt9KSBhcyBKc29uT2JqZWN0O1xuXG4gIHJldHVybiAobmFtZSwgcGFja2FnZUpzb25QYXRoKSA9PiB7XG4gICAgbGV0IGVudHJ5OiBKc29uT2JqZWN0IHwgdW5kZWZpbmVkO1xuICAgIGlmIChwYWNrYWdlcykge1xuICAgICAgY29uc3QgZGlyZWN0b3J5ID0gX2dldFBhY2thZ2VEaXJlY3RvcnkocGFja2FnZUpzb25QYXRoKTtcbiAgICAgIGVudHJ5ID0gKGRpcmVjdG9yeSAmJiBwYWNrYWdlc1tgJHtkaXJlY3Rvcnl9L25vZGVfbW9kdWxlcy8ke25hbWV9YF1cbiAgICAgICAgfHwgcGFja2FnZXNbYG5vZGVfbW9kdWxlcy8ke25hbWV9YF0pIGFzIEpzb25PYmplY3QgfCB1bmRlZmluZWQ7XG4gICAgfSBlbHNlIHtcbiAgICAgIGVudHJ5ID0gZGVwZW5kZW5jaWVzW25hbWVdIGFzIEpzb25PYmplY3QgfCB1bmRlZmluZWQ7XG4gICAgfVxuICAgIGNvbnN0IHZlcnNpb24gPSBlbnRyeSAmJiBlbnRyeVsndmVyc2lvbiddO1xuXG4gICAgcmV0dXJuIHR5cGVvZiB2ZXJzaW9uID09ICdzdHJpbmcnICYmIHNlbXZlci52YWxpZCh2ZXJzaW9uKSA/IHsgdmVyc2lvbiB9IDogbnVsbDtcbiAgfTtcbn1cblxuLyoqXG4gKiBSZWFkIGEgeWFybi5sb2NrLCBvZiB5YXJuIDEgb3IgbGF0ZXIuIEVudHJpZXMgYXJlIHNoYXJlZCBieSB0aGUgd2hvbGUgcHJvamVjdCBhbmQga2V5ZWQgYnlcbiAqIHJhbmdlLCBlLmcuIGBcIkBhbmd1bGFyL2NvcmVAXjYuMC4wXCIsIFwiQGFuZ3VsYXIvY29yZUB+Ni4wLjBcIjpgLlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX3JlYWRZYXJuTG9ja2ZpbGUoY29udGVudDogc3RyaW5nKTogTG9ja2VkRGVwZW5kZW5jeUxvb2t1cCB7XG4gIGNvbnN0IGVudHJpZXM6IHsgW25hbWU6IHN0cmluZ106IExvY2tlZERlcGVuZGVuY3lbXSB9ID0ge307XG4gIGxldCBzcGVjczogc3RyaW5nW10gPSBbXTtcblxuICBmb3IgKGNvbnN0IGxpbmUgb2YgY29udGVudC5zcGxpdCgvXFxyP1xcbi8pKSB7XG4gICAgaWYgKC9eW15cXHMjXS8udGVzdChsaW5lKSkge1xuICAgICAgc3BlY3MgPSBsaW5lLnJlcGxhY2UoLzpcXHMqJC8sICcnKS5zcGxpdCgnLCcpXG4gICAgICAgIC5tYXAoc3BlYyA9PiBzcGVjLnRyaW0oKS5yZXBsYWNlKC9eXCJ8XCIkL2csICcnKS5yZXBsYWNlKC9AbnBtOi8sICdAJykpO1xuICAgICAgY29udGludWU7XG4gICAgfVxuXG4gICAgY29uc3QgbWF5YmVWZXJzaW9uID0gbGluZS5tYXRjaCgvXlxccyt2ZXJzaW9uOj9cXHMrXCI/KFteXCJcXHNdKylcIj9cXHMqJC8pO1xuICAgIGlmIChtYXliZVZlcnNpb24gJiYgc3BlY3MubGVuZ3RoID4gMCkge1xuICAgICAgZm9yIChjb25zdCBzcGVjIG9mIHNwZWNzKSB7XG4gICAgICAgIGNvbnN0IHNlcGFyYXRvciA9IHNwZWMubGFzdEluZGV4T2YoJ0AnKTtcbiAgICAgICAgaWYgKHNlcGFyYXRvciA+IDApIHtcbiAgICAgICAgICBjb25zdCBuYW1lID0gc3BlYy5zdWJzdHIoMCwgc2VwYXJhdG9yKTtcbiAgICAgICAgICBlbnRyaWVzW25hbWVdID0gZW50cmllc1tuYW1lXSB8fCBbXTtcbiAgICAgICAgICBlbnRyaWVzW25hbWVdLnB1c2goeyB2ZXJzaW9uOiBtYXliZVZlcnNpb25bMV0sIHJhbmdlOiBzcGVjLnN1YnN0cihzZXBhcmF0b3IgKyAxKSB9KTtcbiAgICAgICAgfVxuICAgICAgfVxuICAgICAgc3BlY3MgPSBbXTtcbiAgICB9XG4gIH1cblxuICByZXR1cm4gKG5hbWUsIF8sIHJhbmdlKSA9PiB7XG4gICAgY29uc3QgbG9ja2VkID0gZW50cmllc1tuYW1lXSB8fCBbXTtcblxuICAgIHJldHVybiBsb2NrZWQuZmluZChlbnRyeSA9PiBlbnRyeS5yYW5nZSA9PT0gcmFuZ2UpIHx8IGxvY2tlZFswXSB8fCBudWxsO1xuICB9O1xufVxuXG4vKipcbiAqIFJlYWQgdGhlIGltcG9ydGVycyBvZiBhIHBucG0tbG9jay55YW1sLCBpLmUuIHRoZSBgc3BlY2lmaWVyYCBhbmQgYHZlcnNpb25gIG9mIHRoZSBkaXJlY3RcbiAqIGRlcGVuZGVuY2llcyBvZiBlYWNoIHBhY2thZ2UuanNvbi4gTG9ja2ZpbGVzIG9mIGEgc2luZ2xlIHByb2plY3QgaGF2ZSBubyBgaW1wb3J0ZXJzYCBhbmRcbiAqIGxpc3QgdGhlIHJvb3QgZGVwZW5kZW5jaWVzIGF0IHRoZSB0b3AgbGV2ZWwuIEJlZm9yZSB2ZXJzaW9uIDYsIHNwZWNpZmllcnMgYXJlIGluIGEgc2VwYXJhdGVcbiAqIGBzcGVjaWZpZXJzYCBtYXAuXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfcmVhZFBucG1Mb2NrZmlsZShjb250ZW50OiBzdHJpbmcpOiBMb2NrZWREZXBlbmRlbmN5TG9va3VwIHtcbiAgY29uc3QgaW1wb3J0ZXJzOiB7IFtkaXJlY3Rvcnk6IHN0cmluZ106IHsgW25hbWU6IHN0cmluZ106IFBhcnRpYWw8TG9ja2VkRGVwZW5kZW5jeT4gfSB9ID0ge307XG4gIGNvbnN0IHN0YWNrOiB7IGluZGVudDogbnVtYmVyLCBrZXk6IHN0cmluZyB9W10gPSBbXTtcblxuICBmb3IgKGNvbnN0IGxpbmUgb2YgY29udGVudC5zcGxpdCgvXFxyP1xcbi8pKSB7XG4gICAgY29uc3QgbWF5YmVFbnRyeSA9IGxpbmUubWF0Y2goL14oICopKCdbXiddKid8XCJbXlwiXSpcInxbXlxcczojJ1wiXVteOl0qKTooPzpcXHMrKC4qKSk/JC8pO1xuICAgIGlmICghbWF5YmVFbnRyeSkge1xuICAgICAgY29udGludWU7XG4gICAgfVxuICAgIGNvbnN0IGluZGVudCA9IG1heWJlRW50cnlbMV0ubGVuZ3RoO1xuICAgIGNvbnN0IGtleSA9IG1heWJlRW50cnlbMl0ucmVwbGFjZSgvXlsnXCJdfFsnXCJdJC9nLCAnJyk7XG4gICAgY29uc3QgdmFsdWUgPSAobWF5YmVFbnRyeVszXSB8fCAnJykucmVwbGFjZSgvXlsnXCJdfFsnXCJdJC9nLCAnJyk7XG4gICAgd2hpbGUgKHN0YWNrLmxlbmd0aCA+IDAgJiYgc3RhY2tbc3RhY2subGVuZ3RoIC0gMV0uaW5kZW50ID49IGluZGVudCkge1xuICAgICAgc3RhY2sucG9wKCk7XG4gICAgfVxuICAgIHN0YWNrLnB1c2goeyBpbmRlbnQsIGtleSB9KTtcblxuICAgIGNvbnN0IGtleXMgPSBzdGFjay5tYXAoeCA9PiB4LmtleSk7XG4gICAgY29uc3QgcGF0aCA9IGtleXNbMF0gPT0gJ2ltcG9ydGVycycgPyBrZXlzLnNsaWNlKDEpIDogWycuJywgLi4ua2V5c107XG4gICAgY29uc3QgW2RpcmVjdG9yeSwgZmllbGQsIG5hbWUsIHByb3BlcnR5XSA9IHBhdGg7XG4gICAgY29uc3QgaXNEZXBlbmRlbmN5ID0gZmllbGQgPT0gJ3NwZWNpZmllcnMnIHx8IGtQbnBtRGVwZW5kZW5jeUZpZWxkcy5pbmRleE9mKGZpZWxkKSAhPSAtMTtcbiAgICBpZiAoIXZhbHVlIHx8ICFpc0RlcGVuZGVuY3kgfHwgcGF0aC5sZW5ndGggPCAzIHx8IHBhdGgubGVuZ3RoID4gNFxuICAgICAgICB8fCAocHJvcGVydHkgJiYgcHJvcGVydHkgIT0gJ3NwZWNpZmllcicgJiYgcHJvcGVydHkgIT0gJ3ZlcnNpb24nKSkge1xuICAgICAgY29udGludWU7XG4gICAgfVxuXG4gICAgY29uc3QgZGVwZW5kZW5jaWVzID0gaW1wb3J0ZXJzW2RpcmVjdG9yeV0gPSBpbXBvcnRlcnNbZGlyZWN0b3J5XSB8fCB7fTtcbiAgICBjb25zdCBkZXBlbmRlbmN5ID0gZGVwZW5kZW5jaWVzW25hbWVdID0gZGVwZW5kZW5jaWVzW25hbWVdIHx8IHt9O1xuICAgIGlmIChmaWVsZCA9PSAnc3BlY2lmaWVycycgfHwgcHJvcGVydHkgPT0gJ3NwZWNpZmllcicpIHtcbiAgICAgIGRlcGVuZGVuY3kucmFuZ2UgPSB2YWx1ZTtcbiAgICB9IGVsc2Uge1xuICAgICAgLy8gVmVyc2lvbnMgY2FuIGhhdmUgYSBzdWZmaXggZm9yIHRoZWlyIHBlZXIgZGVwZW5kZW5jaWVzLCBlLmcuIGA2LjIuMihyeGpzQDYuMi4yKWAuXG4gICAgICBjb25zdCBtYXliZVZlcnNpb24gPSB2YWx1ZS5tYXRjaCgvXlxcZCtcXC5cXGQrXFwuXFxkKygtWzAtOUEtWmEtei4tXSspPy8pO1xuICAgICAgZGVwZW5kZW5jeS52ZXJzaW9uID0gbWF5YmVWZXJzaW9uID8gbWF5YmVWZXJzaW9uWzBdIDogdmFsdWU7XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIChuYW1lLCBwYXRoKSA9PiB7XG4gICAgY29uc3QgZGVwZW5kZW5jeSA9IChpbXBvcnRlcnNbX2dldFBhY2thZ2VEaXJlY3RvcnkocGF0aCkgfHwgJy4nXSB8fCB7fSlbbmFtZV07XG5cbiAgICByZXR1cm4gZGVwZW5kZW5jeSAmJiBkZXBlbmRlbmN5LnZlcnNpb24gPyBkZXBlbmRlbmN5IGFzIExvY2tlZERlcGVuZGVuY3kgOiBudWxsO1xuICB9O1xufVxuXG4vKipcbiAqIEZpbmQgdGhlIGNoYW5nZXMgdG8gdGhlIHBhY2thZ2UuanNvbiBmaWxlcyB0aGF0IHRoZSBsb2NrZmlsZSBkb2VzIG5vdCBhZ3JlZSB3aXRoLCBpLmUuIHRoZVxuICogZGVwZW5kZW5jaWVzIHdob3NlIGxvY2tlZCB2ZXJzaW9uIGRvZXMgbm90IHNhdGlzZnkgdGhlaXIgbmV3IHJhbmdlLiBZYXJuIGFuZCBwbnBtIGFsc28gbmVlZFxuICogdGhlIGRlcGVuZGVuY3kgdG8gYmUgbG9ja2VkIGZvciB0aGUgZXhhY3QgbmV3IHJhbmdlLlxuICogQHBhcmFtIHtUcmVlfSB0cmVlIFRoZSB0cmVlIHRvIHJlYWQgdGhlIGxvY2tmaWxlIGZyb20uXG4gKiBAcGFyYW0ge3N0cmluZ30gcGFja2FnZU1hbmFnZXIgVGhlIHBhY2thZ2UgbWFuYWdlciBvZiB0aGUgcHJvamVjdC5cbiAqIEBwYXJhbSB7UGFja2FnZUpzb25DaGFuZ2VbXX0gY2hhbmdlcyBUaGUgY2hhbmdlcyB0byB0aGUgcGFja2FnZS5qc29uIGZpbGVzLlxuICogQHJldHVybnMge0xvY2tmaWxlTWlzbWF0Y2hbXSB8IG51bGx9IFRoZSBtaXNtYXRjaGVzLCBvciBudWxsIGlmIHRoZXJlIGlzIG5vIGxvY2tmaWxlLlxuICovXG5leHBvcnQgZnVuY3Rpb24gZ2V0TG9ja2ZpbGVNaXNtYXRjaGVzKFxuICB0cmVlOiBUcmVlLFxuICBwYWNrYWdlTWFuYWdlcjogc3RyaW5nLFxuICBjaGFuZ2VzOiBQYWNrYWdlSnNvbkNoYW5nZVtdLFxuKTogTG9ja2ZpbGVNaXNtYXRjaFtdIHwgbnVsbCB7XG4gIGNvbnN0IHBhdGggPSBnZXRMb2NrZmlsZVBhdGgocGFja2FnZU1hbmFnZXIpO1xuICBjb25zdCBsb2NrZmlsZUNvbnRlbnQgPSB0cmVlLnJlYWQocGF0aCk7XG4gIGlmICghbG9ja2ZpbGVDb250ZW50KSB7XG4gICAgcmV0dXJuIG51bGw7XG4gIH1cblxuICBjb25zdCBjb250ZW50ID0gbG9ja2ZpbGVDb250ZW50LnRvU3RyaW5nKCk7XG4gIGNvbnN0IGxvb2t1cCA9IHBhY2thZ2VNYW5hZ2VyID09ICd5YXJuJ1xuICAgID8gX3JlYWRZYXJuTG9ja2ZpbGUoY29udGVudClcbiAgICA6IHBhY2thZ2VNYW5hZ2VyID09ICdwbnBtJ1xuICAgICAgPyBfcmVhZFBucG1Mb2NrZmlsZShjb250ZW50KVxuICAgICAgOiBfcmVhZE5wbUxvY2tmaWxlKGNvbnRlbnQsIHBhdGgpO1xuXG4gIHJldHVybiBjaGFuZ2VzXG4gICAgLmZpbHRlcihjaGFuZ2UgPT4gY2hhbmdlLmZpZWxkICE9ICdwZWVyRGVwZW5kZW5jaWVzJylcbiAgICAubWFwKGNoYW5nZSA9PiAoe1xuICAgICAgbmFtZTogY2hhbmdlLm5hbWUsXG4gICAgICBwYXRoOiBjaGFuZ2UucGF0aCxcbiAgICAgIHJhbmdlOiBjaGFuZ2UudGFyZ2V0LFxuICAgICAgbG9ja2VkOiBsb29rdXAoY2hhbmdlLm5hbWUsIGNoYW5nZS5wYXRoLCBjaGFuZ2UudGFyZ2V0KSxcbiAgICB9KSlcbiAgICAuZmlsdGVyKCh7IHJhbmdlLCBsb2NrZWQgfSkgPT4ge1xuICAgICAgcmV0dXJuICFsb2NrZWRcbiAgICAgICAgfHwgKGxvY2tlZC5yYW5nZSAhPT0gdW5kZWZpbmVkICYmIGxvY2tlZC5yYW5nZSAhPT0gcmFuZ2UpXG4gICAgICAgIHx8ICFzZW12ZXIuc2F0aXNmaWVzKGxvY2tlZC52ZXJzaW9uLCByYW5nZSk7XG4gICAgfSk7XG59XG5cbi8qKlxuICogRm9ybWF0IGxvY2tmaWxlIG1pc21hdGNoZXMgZm9yIHRoZSB1c2VyLlxuICogQHBhcmFtIHtzdHJpbmd9IHBhY2thZ2VNYW5hZ2VyIFRoZSBwYWNrYWdlIG1hbmFnZXIgb2YgdGhlIHByb2plY3QuXG4gKiBAcGFyYW0ge0xvY2tmaWxlTWlzbWF0Y2hbXX0gbWlzbWF0Y2hlcyBUaGUgbWlzbWF0Y2hlcyB0byBmb3JtYXQuXG4gKiBAcmV0dXJucyB7c3RyaW5nfSBUaGUgbWVzc2FnZS5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGZvcm1hdExvY2tmaWxlTWlzbWF0Y2hlcyhcbiAgcGFja2FnZU1hbmFnZXI6IHN0cmluZyxcbiAgbWlzbWF0Y2hlczogTG9ja2ZpbGVNaXNtYXRjaFtdLFxuKTogc3RyaW5nIHtcbiAgY29uc3QgbGluZXMgPSBtaXNtYXRjaGVzLm1hcCgoeyBuYW1lLCBwYXRoLCByYW5nZSwgbG9ja2VkIH0pID0+IHtcbiAgICBjb25zdCBkZXNjcmlwdGlvbiA9ICFsb2NrZWRcbiAgICAgID8gJ25vdCBsb2NrZWQnXG4gICAgICA6IGBsb2NrZWQ6ICR7bG9ja2VkLnZlcnNpb259YCArIChsb2NrZWQucmFuZ2UgPyBgIGZvciBcIiR7bG9ja2VkLnJhbmdlfVwiYCA6ICcnKTtcblxuICAgIHJldHVybiBgICAke0pTT04uc3RyaW5naWZ5KG5hbWUpfSBcIiR7cmFuZ2V9XCIgaW4gJHtwYXRofSAoJHtkZXNjcmlwdGlvbn0pYDtcbiAgfSk7XG5cbiAgcmV0dXJuIGBUaGUgbG9ja2ZpbGUgJHtnZXRMb2NrZmlsZVBhdGgocGFja2FnZU1hbmFnZXIpfSBkb2VzIG5vdCBhZ3JlZSB3aXRoIHRoZSBuZXcgcmFuZ2VzOlxcbmBcbiAgICArIGxpbmVzLmpvaW4oJ1xcbicpICsgJ1xcbidcbiAgICArIGBSdW4gXCIke3BhY2thZ2VNYW5hZ2VyfSBpbnN0YWxsXCIgdG8gdXBkYXRlIGl0LmA7XG59XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,53 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { JsonObject } from '@angular-devkit/core';
+import { Tree } from '@angular-devkit/schematics';
+/**
+ * The migrations of a package to run after it was installed.
+ */
+export interface PackageMigration {
+    /** The name of the package. */
+    package: string;
+    /** The migration collection, as it can be resolved from the project. */
+    collection: string;
+    /** The version to migrate from. Migrations of this version are not run. */
+    from: string;
+    /** The version to migrate to. Migrations of this version are run. */
+    to: string;
+}
+/**
+ * Coerce a version, e.g. `6` or `6.1`, to a full version number.
+ * @param {string} version The version to coerce.
+ * @returns {string | null} The full version, or null if it is not a version.
+ */
+export declare function coerceVersion(version: string): string | null;
+/**
+ * Get the migration collection of a package, as declared by the `ng-update` field of the
+ * package.json of one of its versions. The path of the collection is made resolvable from the
+ * project, e.g. `./migrations.json` becomes `@ngrx/store/migrations.json`.
+ * @param {JsonObject} json The full NPM package.json of the package.
+ * @param {string} version The version to read the field from.
+ * @returns {string | null} The collection, or null if the package has no migrations.
+ */
+export declare function getMigrationCollection(json: JsonObject, version: string): string | null;
+/**
+ * Get the version of a package that is installed in the project's node_modules, or, if it is
+ * not installed, the highest version that satisfies all of its current ranges.
+ * @param {Tree} tree The tree to read node_modules from.
+ * @param {JsonObject} json The NPM package.json of the package.
+ * @param {string[]} ranges The ranges of the package in the project's package.json files.
+ * @returns {string | null} The version, or null if it cannot be determined.
+ */
+export declare function getInstalledVersion(tree: Tree, json: JsonObject, ranges: string[]): string | null;
+/**
+ * Validate the versions of a `from`/`to` override of the migrations.
+ * @param {string} name The name of the option.
+ * @param {string} version The value of the option.
+ * @returns {string} The full version.
+ */
+export declare function validateMigrationVersion(name: string, version: string): string;
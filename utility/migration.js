@@ -0,0 +1,89 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const schematics_1 = require("@angular-devkit/schematics");
+const semver = require("semver");
+/**
+ * Coerce a version, e.g. `6` or `6.1`, to a full version number.
+ * @param {string} version The version to coerce.
+ * @returns {string | null} The full version, or null if it is not a version.
+ */
+function coerceVersion(version) {
+    if (semver.valid(version)) {
+        return semver.valid(version);
+    }
+    const coerced = semver.coerce(version);
+    return coerced ? coerced.version : null;
+}
+exports.coerceVersion = coerceVersion;
+/**
+ * Get the migration collection of a package, as declared by the `ng-update` field of the
+ * package.json of one of its versions. The path of the collection is made resolvable from the
+ * project, e.g. `./migrations.json` becomes `@ngrx/store/migrations.json`.
+ * @param {JsonObject} json The full NPM package.json of the package.
+ * @param {string} version The version to read the field from.
+ * @returns {string | null} The collection, or null if the package has no migrations.
+ */
+function getMigrationCollection(json, version) {
+    const versions = json['versions'];
+    const versionJson = versions && versions[version];
+    if (!versionJson || typeof versionJson != 'object' || Array.isArray(versionJson)) {
+        return null;
+    }
+    const ngUpdate = versionJson['ng-update'];
+    if (!ngUpdate || typeof ngUpdate != 'object' || Array.isArray(ngUpdate)) {
+        return null;
+    }
+    const migrations = ngUpdate['migrations'];
+    if (typeof migrations != 'string' || !migrations) {
+        return null;
+    }
+    // Relative paths are relative to the package, other values are already collection names.
+    return migrations.match(/^\.?\.?\//)
+        ? `${json['name']}/${migrations.replace(/^\.\//, '')}`
+        : migrations;
+}
+exports.getMigrationCollection = getMigrationCollection;
+/**
+ * Get the version of a package that is installed in the project's node_modules, or, if it is
+ * not installed, the highest version that satisfies all of its current ranges.
+ * @param {Tree} tree The tree to read node_modules from.
+ * @param {JsonObject} json The NPM package.json of the package.
+ * @param {string[]} ranges The ranges of the package in the project's package.json files.
+ * @returns {string | null} The version, or null if it cannot be determined.
+ */
+function getInstalledVersion(tree, json, ranges) {
+    const installedPackageJson = tree.read(`/node_modules/${json['name']}/package.json`);
+    if (installedPackageJson) {
+        try {
+            const version = JSON.parse(installedPackageJson.toString())['version'];
+            if (semver.valid(version)) {
+                return version;
+            }
+        }
+        catch (_) { }
+    }
+    // Without node_modules, assume the oldest of the versions the ranges would install.
+    const versions = Object.keys(json['versions']);
+    const installable = ranges
+        .filter(range => semver.validRange(range))
+        .map(range => semver.maxSatisfying(versions, range))
+        .filter(version => !!version);
+    installable.sort(semver.compare);
+    return installable.length > 0 ? installable[0] : null;
+}
+exports.getInstalledVersion = getInstalledVersion;
+/**
+ * Validate the versions of a `from`/`to` override of the migrations.
+ * @param {string} name The name of the option.
+ * @param {string} version The value of the option.
+ * @returns {string} The full version.
+ */
+function validateMigrationVersion(name, version) {
+    const coerced = coerceVersion(version);
+    if (!coerced) {
+        throw new schematics_1.SchematicsException(`Invalid version for option "${name}": "${version}".`);
+    }
+    return coerced;
+}
+exports.validateMigrationVersion = validateMigrationVersion;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWlncmF0aW9uLmpzIiwic291cmNlUm9vdCI6Ii4vIiwic291cmNlcyI6WyJwYWNrYWdlcy9zY2hlbWF0aWNzL3BhY2thZ2VfdXBkYXRlL3V0aWxpdHkvbWlncmF0aW9uLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7O0FBUUEsMkRBQXVFO0FBQ3ZFLGlDQUFpQztBQWtCakM7Ozs7R0FJRztBQUNILHVCQUE4QixPQUFlO0lBQzNDLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzFCLE1BQU0sQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQy9CLENBQUM7SUFDRCxNQUFNLE9BQU8sR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBRXZDLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztBQUMxQyxDQUFDO0FBUEQsc0NBT0M7QUFFRDs7Ozs7OztHQU9HO0FBQ0gsZ0NBQXVDLElBQWdCLEVBQUUsT0FBZTtJQUN0RSxNQUFNLFFBQVEsR0FBRyxJQUFJLENBQUMsVUFBVSxDQUFlLENBQUM7SUFDaEQsTUFBTSxXQUFXLEdBQUcsUUFBUSxJQUFJLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUNsRCxFQUFFLENBQUMsQ0FBQyxDQUFDLFdBQVcsSUFBSSxPQUFPLFdBQVcsSUFBSSxRQUFRLElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDakYsTUFBTSxDQUFDLElBQUksQ0FBQztJQUNkLENBQUM7SUFFRCxNQUFNLFFBQVEsR0FBRyxXQUFXLENBQUMsV0FBVyxDQUFDLENBQUM7SUFDMUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxRQUFRLElBQUksT0FBTyxRQUFRLElBQUksUUFBUSxJQUFJLEtBQUssQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3hFLE1BQU0sQ0FBQyxJQUFJLENBQUM7SUFDZCxDQUFDO0lBRUQsTUFBTSxVQUFVLEdBQUcsUUFBUSxDQUFDLFlBQVksQ0FBQyxDQUFDO0lBQzFDLEVBQUUsQ0FBQyxDQUFDLE9BQU8sVUFBVSxJQUFJLFFBQVEsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUM7UUFDakQsTUFBTSxDQUFDLElBQUksQ0FBQztJQUNkLENBQUM7SUFFRCx5RkFBeUY7SUFDekYsTUFBTSxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsV0FBVyxDQUFDO1FBQ2xDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxVQUFVLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxFQUFFLENBQUMsRUFBRTtRQUN0RCxDQUFDLENBQUMsVUFBVSxDQUFDO0FBQ2pCLENBQUM7QUFyQkQsd0RBcUJDO0FBRUQ7Ozs7Ozs7R0FPRztBQUNILDZCQUNFLElBQVUsRUFDVixJQUFnQixFQUNoQixNQUFnQjtJQUVoQixNQUFNLG9CQUFvQixHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsaUJBQWlCLElBQUksQ0FBQyxNQUFNLENBQUMsZUFBZSxDQUFDLENBQUM7SUFDckYsRUFBRSxDQUFDLENBQUMsb0JBQW9CLENBQUMsQ0FBQyxDQUFDO1FBQ3pCLElBQUksQ0FBQztZQUNILE1BQU0sT0FBTyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsb0JBQW9CLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQztZQUN2RSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDMUIsTUFBTSxDQUFDLE9BQU8sQ0FBQztZQUNqQixDQUFDO1FBQ0gsQ0FBQztRQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQSxDQUFDO0lBQ2hCLENBQUM7SUFFRCxvRkFBb0Y7SUFDcEYsTUFBTSxRQUFRLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFlLENBQUMsQ0FBQztJQUM3RCxNQUFNLFdBQVcsR0FBRyxNQUFNO1NBQ3ZCLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsS0FBSyxDQUFDLENBQUM7U0FDekMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLGFBQWEsQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLENBQUM7U0FDbkQsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBYSxDQUFDO0lBQzVDLFdBQVcsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBRWpDLE1BQU0sQ0FBQyxXQUFXLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7QUFDeEQsQ0FBQztBQXhCRCxrREF3QkM7QUFFRDs7Ozs7R0FLRztBQUNILGtDQUF5QyxJQUFZLEVBQUUsT0FBZTtJQUNwRSxNQUFNLE9BQU8sR0FBRyxhQUFhLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDdkMsRUFBRSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1FBQ2IsTUFBTSxJQUFJLGdDQUFtQixDQUFDLCtCQUErQixJQUFJLE9BQU8sT0FBTyxJQUFJLENBQUMsQ0FBQztJQUN2RixDQUFDO0lBRUQsTUFBTSxDQUFDLE9BQU8sQ0FBQztBQUNqQixDQUFDO0FBUEQsNERBT0MiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIEluYy4gQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5pbXBvcnQgeyBKc29uT2JqZWN0IH0gZnJvbSAnQGFuZ3VsYXItZGV2a2l0L2NvcmUnO1xuaW1wb3J0IHsgU2NoZW1hdGljc0V4Y2VwdGlvbiwgVHJlZSB9IGZyb20gJ0Bhbmd1bGFyLWRldmtpdC9zY2hlbWF0aWNzJztcbmltcG9ydCAqIGFzIHNlbXZlciBmcm9tICdzZW12ZXInO1xuXG5cbi8qKlxuICogVGhlIG1pZ3JhdGlvbnMgb2YgYSBwYWNrYWdlIHRvIHJ1biBhZnRlciBpdCB3YXMgaW5zdGFsbGVkLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIFBhY2thZ2VNaWdyYXRpb24ge1xuICAvKiogVGhlIG5hbWUgb2YgdGhlIHBhY2thZ2UuICovXG4gIHBhY2thZ2U6IHN0cmluZztcbiAgLyoqIFRoZSBtaWdyYXRpb24gY29sbGVjdGlvbiwgYXMgaXQgY2FuIGJlIHJlc29sdmVkIGZyb20gdGhlIHByb2plY3QuICovXG4gIGNvbGxlY3Rpb246IHN0cmluZztcbiAgLyoqIFRoZSB2ZXJzaW9uIHRvIG1pZ3JhdGUgZnJvbS4gTWlncmF0aW9ucyBvZiB0aGlzIHZlcnNpb24gYXJlIG5vdCBydW4uICovXG4gIGZyb206IHN0cmluZztcbiAgLyoqIFRoZSB2ZXJzaW9uIHRvIG1pZ3JhdGUgdG8uIE1pZ3JhdGlvbnMgb2YgdGhpcyB2ZXJzaW9uIGFyZSBydW4uICovXG4gIHRvOiBzdHJpbmc7XG59XG5cblxuLyoqXG4gKiBDb2VyY2UgYSB2ZXJzaW9uLCBlLmcuIGA2YCBvciBgNi4xYCwgdG8gYSBmdWxsIHZlcnNpb24gbnVtYmVyLlxuICogQHBhcmFtIHtzdHJpbmd9IHZlcnNpb24gVGhlIHZlcnNpb24gdG8gY29lcmNlLlxuICogQHJldHVybnMge3N0cmluZyB8IG51bGx9IFRoZSBmdWxsIHZlcnNpb24sIG9yIG51bGwgaWYgaXQgaXMgbm90IGEgdmVyc2lvbi5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGNvZXJjZVZlcnNpb24odmVyc2lvbjogc3RyaW5nKTogc3RyaW5nIHwgbnVsbCB7XG4gIGlmIChzZW12ZXIudmFsaWQodmVyc2lvbikpIHtcbiAgICByZXR1cm4gc2VtdmVyLnZhbGlkKHZlcnNpb24pO1xuICB9XG4gIGNvbnN0IGNvZXJjZWQgPSBzZW12ZXIuY29lcmNlKHZlcnNpb24pO1xuXG4gIHJldHVybiBjb2VyY2VkID8gY29lcmNlZC52ZXJzaW9uIDogbnVsbDtcbn1cblxuLyoqXG4gKiBHZXQgdGhlIG1pZ3JhdGlvbiBjb2xsZWN0aW9uIG9mIGEgcGFja2FnZSwgYXMgZGVjbGFyZWQgYnkgdGhlIGBuZy11cGRhdGVgIGZpZWxkIG9mIHRoZVxuICogcGFja2FnZS5qc29uIG9mIG9uZSBvZiBpdHMgdmVyc2lvbnMuIFRoZSBwYXRoIG9mIHRoZSBjb2xsZWN0aW9uIGlzIG1hZGUgcmVzb2x2YWJsZSBmcm9tIHRoZVxuICogcHJvamVjdCwgZS5nLiBgLi9taWdyYXRpb25zLmpzb25gIGJlY29tZXMgYEBuZ3J4L3N0b3JlL21pZ3JhdGlvbnMuanNvbmAuXG4gKiBAcGFyYW0ge0pzb25PYmplY3R9IGpzb24gVGhlIGZ1bGwgTlBNIHBhY2thZ2UuanNvbiBvZiB0aGUgcGFja2FnZS5cbiAqIEBwYXJhbSB7c3RyaW5nfSB2ZXJzaW9uIFRoZSB2ZXJzaW9uIHRvIHJlYWQgdGhlIGZpZWxkIGZyb20uXG4gKiBAcmV0dXJucyB7c3RyaW5nIHwgbnVsbH0gVGhlIGNvbGxlY3Rpb24sIG9yIG51bGwgaWYgdGhlIHBhY2thZ2UgaGFzIG5vIG1pZ3JhdGlvbnMuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBnZXRNaWdyYXRpb25Db2xsZWN0aW9uKGpzb246IEpzb25PYmplY3QsIHZlcnNpb246IHN0cmluZyk6IHN0cmluZyB8IG51bGwge1xuICBjb25zdCB2ZXJzaW9ucyA9IGpzb25bJ3ZlcnNpb25zJ10gYXMgSnNvbk9iamVjdDtcbiAgY29uc3QgdmVyc2lvbkpzb24gPSB2ZXJzaW9ucyAmJiB2ZXJzaW9uc1t2ZXJzaW9uXTtcbiAgaWYgKCF2ZXJzaW9uSnNvbiB8fCB0eXBlb2YgdmVyc2lvbkpzb24gIT0gJ29iamVjdCcgfHwgQXJyYXkuaXNBcnJheSh2ZXJzaW9uSnNvbikpIHtcbiAgICByZXR1cm4gbnVsbDtcbiAgfVxuXG4gIGNvbnN0IG5nVXBkYXRlID0gdmVyc2lvbkpzb25bJ25nLXVwZGF0ZSddO1xuICBpZiAoIW5nVXBkYXRlIHx8IHR5cGVvZiBuZ1VwZGF0ZSAhPSAnb2JqZWN0JyB8fCBBcnJheS5pc0FycmF5KG5nVXBkYXRlKSkge1xuICAgIHJldHVybiBudWxsO1xuICB9XG5cbiAgY29uc3QgbWlncmF0aW9ucyA9IG5nVXBkYXRlWydtaWdyYXRpb25zJ107XG4gIGlmICh0eXBlb2YgbWlncmF0aW9ucyAhPSAnc3RyaW5nJyB8fCAhbWlncmF0aW9ucykge1xuICAgIHJldHVybiBudWxsO1xuICB9XG5cbiAgLy8gUmVsYXRpdmUgcGF0aHMgYXJlIHJlbGF0aXZlIHRvIHRoZSBwYWNrYWdlLCBvdGhlciB2YWx1ZXMgYXJlIGFscmVhZHkgY29sbGVjdGlvbiBuYW1lcy5cbiAgcmV0dXJuIG1pZ3JhdGlvbnMubWF0Y2goL15cXC4/XFwuP1xcLy8pXG4gICAgPyBgJHtqc29uWyduYW1lJ119LyR7bWlncmF0aW9ucy5yZXBsYWNlKC9eXFwuXFwvLywgJycpfWBcbiAgICA6IG1pZ3JhdGlvbnM7XG59XG5cbi8qKlxuICogR2V0IHRoZSB2ZXJzaW9uIG9mIGEgcGFja2FnZSB0aGF0IGlzIGluc3RhbGxlZCBpbiB0aGUgcHJvamVjdCdzIG5vZGVfbW9kdWxlcywgb3IsIGlmIGl0IGlzXG4gKiBub3QgaW5zdGFsbGVkLCB0aGUgaGlnaGVzdCB2ZXJzaW9uIHRoYXQgc2F0aXNmaWVzIGFsbCBvZiBpdHMgY3VycmVudCByYW5nZXMuXG4gKiBAcGFyYW0ge1RyZWV9IHRyZWUgVGhlIHRyZWUgdG8gcmVhZCBub2RlX21vZHVsZXMgZnJvbS5cbiAqIEBwYXJhbSB7SnNvbk9iamVjdH0ganNvbiBUaGUgTlBNIHBhY2thZ2UuanNvbiBvZiB0aGUgcGFja2FnZS5cbiAqIEBwYXJhbSB7c3RyaW5nW119IHJhbmdlcyBUaGUgcmFuZ2VzIG9mIHRoZSBwYWNrYWdlIGluIHRoZSBwcm9qZWN0J3MgcGFja2FnZS5qc29uIGZpbGVzLlxuICogQHJldHVybnMge3N0cmluZyB8IG51bGx9IFRoZSB2ZXJzaW9uLCBvciBudWxsIGlmIGl0IGNhbm5vdCBiZSBkZXRlcm1pbmVkLlxuICovXG5leHBvcnQgZnVuY3Rpb24gZ2V0SW5zdGFsbGVkVmVyc2lvbihcbiAgdHJlZTogVHJlZSxcbiAganNvbjogSnNvbk9iamVjdCxcbiAgcmFuZ2VzOiBzdHJpbmdbXSxcbik6IHN0cmluZyB8IG51bGwge1xuICBjb25zdCBpbnN0YWxsZWRQYWNrYWdlSnNvbiA9IHRyZWUucmVhZChgL25vZGVfbW9kdWxlcy8ke2pzb25bJ25hbWUnXX0vcGFja2FnZS5qc29uYCk7XG4gIGlmIChpbnN0YWxsZWRQYWNrYWdlSnNvbikge1xuICAgIHRyeSB7XG4gICAgICBjb25zdCB2ZXJzaW9uID0gSlNPTi5wYXJzZShpbnN0YWxsZWRQYWNrYWdlSnNvbi50b1N0cmluZygpKVsndmVyc2lvbiddO1xuICAgICAgaWYgKHNlbXZlci52YWxpZCh2ZXJzaW9uKSkge1xuICAgICAgICByZXR1cm4gdmVyc2lvbjtcbiAgICAgIH1cbiAgICB9IGNhdGNoIChfKSB7fVxuICB9XG5cbiAgLy8gV2l0aG91dCBub2RlX21vZHVsZXMsIGFzc3VtZSB0aGUgb2xkZXN0IG9mIHRoZSB2ZXJzaW9ucyB0aGUgcmFuZ2VzIHdvdWxkIGluc3RhbGwuXG4gIGNvbnN0IHZlcnNpb25zID0gT2JqZWN0LmtleXMoanNvblsndmVyc2lvbnMnXSBhcyBKc29uT2JqZWN0KTtcbiAgY29uc3QgaW5zdGFsbGFibGUgPSByYW5nZXNcbiAgICAuZmlsdGVyKHJhbmdlID0+IHNlbXZlci52YWxpZFJhbmdlKHJhbmdlKSlcbiAgICAubWFwKHJhbmdlID0+IHNlbXZlci5tYXhTYXRpc2Z5aW5nKHZlcnNpb25zLCByYW5nZSkpXG4gICAgLmZpbHRlcih2ZXJzaW9uID0+ICEhdmVyc2lvbikgYXMgc3RyaW5nW107XG4gIGluc3RhbGxhYmxlLnNvcnQoc2VtdmVyLmNvbXBhcmUpO1xuXG4gIHJldHVybiBpbnN0YWxsYWJsZS5sZW5ndGggPiAwID8gaW5zdGFsbGFibGVbMF0gOiBudWxsO1xufVxuXG4vKipcbiAqIFZhbGlkYXRlIHRoZSB2ZXJzaW9ucyBvZiBhIGBmcm9tYC9gdG9gIG92ZXJyaWRlIG9mIHRoZSBtaWdyYXRpb25zLlxuICogQHBhcmFtIHtzdHJpbmd9IG5hbWUgVGhlIG5hbWUgb2YgdGhlIG9wdGlvbi5cbiAqIEBwYXJhbSB7c3RyaW5nfSB2ZXJzaW9uIFRoZSB2YWx1ZSBvZiB0aGUgb3B0aW9uLlxuICogQHJldHVybnMge3N0cmluZ30gVGhlIGZ1bGwgdmVyc2lvbi5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIHZhbGlkYXRlTWlncmF0aW9uVmVyc2lvbihuYW1lOiBzdHJpbmcsIHZlcnNpb246IHN0cmluZyk6IHN0cmluZyB7XG4gIGNvbnN0IGNvZXJjZWQgPSBjb2VyY2VWZXJzaW9uKHZlcnNpb24pO1xuICBpZiAoIWNvZXJjZWQpIHtcbiAgICB0aHJvdyBuZXcgU2NoZW1hdGljc0V4Y2VwdGlvbihgSW52YWxpZCB2ZXJzaW9uIGZvciBvcHRpb24gXCIke25hbWV9XCI6IFwiJHt2ZXJzaW9ufVwiLmApO1xuICB9XG5cbiAgcmV0dXJuIGNvZXJjZWQ7XG59XG4iXX0=
\ No newline at end of file
@@ -1,11 +1,14 @@
 import { Rule } from '@angular-devkit/schematics';
+import { SchematicsUpdateSchema } from '../schema';
 /**
  * Use a Rule which can return an observable, but do not actually modify the Tree.
  * This rules perform an HTTPS request to get the npm registry package.json, then resolve the
  * version from the options, and replace the version in the options by an actual version.
- * @param supportedPackages A list of packages to update (at the same version).
- * @param maybeVersion A version to update those packages to.
- * @param loose Whether to use loose version operators (instead of specific versions).
+ * @param supportedPackages A list of packages to update (at the same version), or the version
+ *   or dist-tag to update each package to. The package groups of those packages are updated too.
+ * @param options The schematic options; `version` is the version to update those packages to.
  * @private
  */
-export declare function updatePackageJson(supportedPackages: string[], maybeVersion?: string, loose?: boolean): Rule;
+export declare function updatePackageJson(supportedPackages: string[] | {
+    [name: string]: string;
+}, options: SchematicsUpdateSchema): Rule;
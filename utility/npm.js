@@ -1,210 +1,804 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-/**
- * @license
- * Copyright Google Inc. All Rights Reserved.
- *
- * Use of this source code is governed by an MIT-style license that can be
- * found in the LICENSE file at https://angular.io/license
- */
-const core_1 = require("@angular-devkit/core");
 const schematics_1 = require("@angular-devkit/schematics");
 const tasks_1 = require("@angular-devkit/schematics/tasks");
-const https = require("https");
 const rxjs_1 = require("rxjs");
 const operators_1 = require("rxjs/operators");
 const semver = require("semver");
-const semverIntersect = require('semver-intersect');
+const lockfile_1 = require("./lockfile");
+const migration_1 = require("./migration");
+const npmrc_1 = require("./npmrc");
+const plan_1 = require("./plan");
+const policy_1 = require("./policy");
+const registry_1 = require("./registry");
+const solver_1 = require("./solver");
+const workspace_1 = require("./workspace");
 const kPackageJsonDependencyFields = [
     'dependencies',
     'devDependencies',
     'peerDependencies',
     'optionalDependencies',
 ];
-const npmPackageJsonCache = new Map();
-function _getVersionFromNpmPackage(json, version, loose) {
+/**
+ * The package managers the install task of the devkit can run.
+ */
+const kInstallTaskPackageManagers = ['npm', 'cnpm', 'yarn'];
+/**
+ * The operator written for each value of the `rangeOperator` option, other than `keep`.
+ */
+const kRangeOperators = {
+    'exact': '',
+    '^': '^',
+    '~': '~',
+    '>=': '>=',
+};
+/**
+ * Get the requirement a package must satisfy to match the requested version or dist-tag.
+ * @param {JsonObject} json The NPM package.json of the package.
+ * @param {string} version The requested version, range or dist-tag.
+ * @param {boolean} loose Whether to use loose version operators for specific versions.
+ * @returns {SolverRequirement} The requirement.
+ * @private
+ */
+function _getRequestedRequirement(json, version, loose) {
     const distTags = json['dist-tags'];
     if (distTags && distTags[version]) {
-        return (loose ? '~' : '') + distTags[version];
+        return {
+            range: `<=${distTags[version]}`,
+            requiredBy: `the "${version}" dist-tag (${distTags[version]})`,
+        };
     }
-    else {
-        if (!semver.validRange(version)) {
-            throw new schematics_1.SchematicsException(`Invalid range or version: "${version}".`);
+    if (!semver.validRange(version)) {
+        throw new schematics_1.SchematicsException(`Invalid range or version: "${version}".`);
+    }
+    if (semver.valid(version) && loose) {
+        version = '~' + version;
+    }
+    const packageVersions = Object.keys(json['versions']);
+    if (!semver.maxSatisfying(packageVersions, version)) {
+        throw new schematics_1.SchematicsException(`Version "${version}" has no satisfying version for package ${json['name']}`);
+    }
+    return { range: version, requiredBy: `the requested version "${version}"` };
+}
+/**
+ * Get the lowest version of a range, or null if it cannot be determined.
+ * @private
+ */
+function _getMinimumVersion(range) {
+    if (!semver.validRange(range)) {
+        return null;
+    }
+    // The lowest version of a range is the lowest of the lower bounds of its comparator sets
+    // (separated by `||`). A set without lower bound (e.g. `<8.0.0` or `*`) has no minimum.
+    let minimum = null;
+    for (const comparators of new semver.Range(range).set) {
+        const lowerBounds = comparators
+            .filter(c => c.semver instanceof semver.SemVer)
+            .filter(c => ['', '=', '>', '>='].indexOf(c.operator) != -1)
+            .map(c => c.semver);
+        if (lowerBounds.length == 0) {
+            return null;
         }
-        if (semver.valid(version) && loose) {
-            version = '~' + version;
+        const lowerBound = lowerBounds.reduce((acc, x) => semver.gt(x, acc) ? x : acc);
+        if (!minimum || semver.lt(lowerBound, minimum)) {
+            minimum = lowerBound;
         }
-        const packageVersions = Object.keys(json['versions']);
-        const maybeMatch = semver.maxSatisfying(packageVersions, version);
-        if (!maybeMatch) {
-            throw new schematics_1.SchematicsException(`Version "${version}" has no satisfying version for package ${json['name']}`);
+    }
+    return minimum ? minimum.version : null;
+}
+/**
+ * Whether a range mentions a prerelease version, e.g. `^7.0.0-beta.0`.
+ * @private
+ */
+function _hasPrerelease(range) {
+    if (!semver.validRange(range)) {
+        return false;
+    }
+    return new semver.Range(range).set.some(comparators => comparators.some(comparator => {
+        return comparator.semver instanceof semver.SemVer && comparator.semver.prerelease.length > 0;
+    }));
+}
+/**
+ * Whether the current ranges of a package already satisfy the ranges its peer dependents
+ * require, i.e. every published version they allow satisfies all of them. `~6.0.0` satisfies
+ * `^6.0.0`, but `~0.8.20` does not satisfy `~0.8.26` because 0.8.20 could be installed.
+ * @param {JsonObject} json The NPM package.json of the package.
+ * @param {ProjectDependency[]} dependencies The dependencies on the package in the project.
+ * @param {string[]} peerRanges The ranges required by its peer dependents.
+ * @returns {boolean} Whether the current ranges can be kept.
+ * @private
+ */
+function _satisfiesPeerRanges(json, dependencies, peerRanges) {
+    const versions = Object.keys(json['versions']);
+    return dependencies.every(({ range }) => {
+        if (!semver.validRange(range)) {
+            return true;
         }
-        const maybeOperator = version.match(/^[~^]/);
-        if (version == '*') {
-            return maybeMatch;
+        const allowed = versions.filter(v => semver.satisfies(v, range));
+        return allowed.length > 0
+            && allowed.every(v => peerRanges.every(peerRange => semver.satisfies(v, peerRange)));
+    });
+}
+/**
+ * Get the oldest Node.js versions the project supports, from the `engines.node` field of its
+ * package.json files. If none has one, the version of Node.js running the update is used.
+ * @param {{[p: string]: JsonObject}} packageJsons The package.json contents, by path.
+ * @returns {string[]} The Node.js versions.
+ * @private
+ */
+function _getProjectNodeVersions(packageJsons) {
+    const versions = [];
+    for (const path of Object.keys(packageJsons)) {
+        const engines = packageJsons[path]['engines'];
+        const minimum = engines && typeof engines['node'] == 'string'
+            ? _getMinimumVersion(engines['node'])
+            : null;
+        if (minimum && versions.indexOf(minimum) == -1) {
+            versions.push(minimum);
         }
-        else if (maybeOperator) {
-            return maybeOperator[0] + maybeMatch;
+    }
+    return versions.length > 0 ? versions : [process.version.replace(/^v/, '')];
+}
+/**
+ * Get the dependencies of all the package.json files of the project, from all dependency
+ * fields. Dependencies on packages of the project itself (e.g. other workspace packages) are
+ * ignored.
+ * @param {{[p: string]: JsonObject}} packageJsons The package.json contents, by path.
+ * @returns {{[p: string]: ProjectDependency[]}} Every occurrence of each dependency.
+ * @private
+ */
+function _getProjectDependencies(packageJsons) {
+    const localPackages = Object.keys(packageJsons).map(path => packageJsons[path]['name']);
+    const dependencies = {};
+    for (const path of Object.keys(packageJsons)) {
+        for (const field of kPackageJsonDependencyFields) {
+            const deps = packageJsons[path][field];
+            if (!deps || typeof deps !== 'object' || Array.isArray(deps)) {
+                continue;
+            }
+            for (const depName of Object.keys(deps)) {
+                const range = deps[depName];
+                if (typeof range == 'string' && localPackages.indexOf(depName) == -1) {
+                    dependencies[depName] = [...(dependencies[depName] || []), { path, field, range }];
+                }
+            }
         }
-        else {
-            return (loose ? '~' : '') + maybeMatch;
+    }
+    return dependencies;
+}
+/**
+ * Get the range to write in package.json for a dependency. An operator in the target (from a
+ * requested range like `^6.1.0`) wins, then the `rangeOperator` option. Otherwise the operator
+ * of the current range is kept (`^`, `~`, `>=` or an exact version), and complex ranges are kept
+ * as is if the resolved version satisfies them.
+ * @param {string} current The current range of the dependency.
+ * @param {string} target The resolved version, with an optional `^` or `~` operator.
+ * @param {string} field The field the dependency lives in.
+ * @param {string} rangeOperator The `rangeOperator` option.
+ * @returns {string} The range.
+ * @private
+ */
+function _getDependencyRange(current, target, field, rangeOperator) {
+    const version = target.replace(/^[~^]/, '');
+    const maybeOperator = current.match(/^\s*(\^|~|>=)\s*\d+(\.\d+)?(\.\d+)?(-[\w.]+)?\s*$/);
+    if (target != version) {
+        return target;
+    }
+    else if (rangeOperator in kRangeOperators) {
+        return kRangeOperators[rangeOperator] + version;
+    }
+    else if (maybeOperator) {
+        return maybeOperator[1] + version;
+    }
+    else if (semver.valid(current)) {
+        return version;
+    }
+    else if (semver.validRange(current) && semver.satisfies(version, current)) {
+        return current;
+    }
+    else {
+        // Libraries should stay compatible with a range of versions.
+        return (field == 'peerDependencies' ? '^' : '') + version;
+    }
+}
+/**
+ * Get the changes to apply to the package.json files of the project.
+ * @param {string[]} paths The paths of the package.json files, in order.
+ * @param {{[p: string]: ProjectDependency[]}} projectDependencies The dependencies of the
+ *   project.
+ * @param {{[p: string]: string}} allVersions The version to update each package to, with the
+ *   operator of the requested range if any.
+ * @param {string} rangeOperator The `rangeOperator` option.
+ * @returns {PackageJsonChange[]} The changes, in the order of the package.json files.
+ * @private
+ */
+function _getPackageJsonChanges(paths, projectDependencies, allVersions, rangeOperator) {
+    const changes = [];
+    for (const name of Object.keys(allVersions)) {
+        for (const { path, field, range } of projectDependencies[name] || []) {
+            const target = _getDependencyRange(range, allVersions[name], field, rangeOperator);
+            if (target !== range) {
+                changes.push({ name, path, field, current: range, target });
+            }
         }
     }
+    return changes.sort((a, b) => paths.indexOf(a.path) - paths.indexOf(b.path));
 }
 /**
- * Get the NPM repository's package.json for a package. This is p
- * @param {string} packageName The package name to fetch.
+ * Get the NPM repository's package.json for packages and, recursively, for their peer
+ * dependencies that are also in the project's package.json.
+ * @param {string[]} names The package names to fetch.
+ * @param {{[p: string]: ProjectDependency[]}} projectDependencies The dependencies of the
+ *   project.
+ * @param {RegistryClientOptions} clientOptions The registry client options.
  * @param {LoggerApi} logger A logger instance to log debug information.
- * @returns {Observable<JsonObject>} An observable that will put the pacakge.json content.
- * @private
- */
-function _getNpmPackageJson(packageName, logger) {
-    const url = `https://registry.npmjs.org/${packageName.replace(/\//g, '%2F')}`;
-    logger.debug(`Getting package.json from ${JSON.stringify(packageName)}...`);
-    let maybeRequest = npmPackageJsonCache.get(url);
-    if (!maybeRequest) {
-        const subject = new rxjs_1.ReplaySubject(1);
-        const request = https.request(url, response => {
-            let data = '';
-            response.on('data', chunk => data += chunk);
-            response.on('end', () => {
-                try {
-                    const json = core_1.parseJson(data, core_1.JsonParseMode.Strict);
-                    subject.next(json);
-                    subject.complete();
-                }
-                catch (err) {
-                    subject.error(err);
+ * @returns {Observable<{[p: string]: JsonObject}>} The package.json contents, by package name.
+ * @private
+ */
+function _getPackageMetadata(names, projectDependencies, clientOptions, logger) {
+    const metadata = {};
+    const seen = new Set(names);
+    const fetch = (name) => registry_1.getNpmPackageJson(name, clientOptions, logger).pipe(operators_1.map(json => ({ name, json })));
+    return rxjs_1.concat(rxjs_1.from(names).pipe(operators_1.mergeMap(fetch), operators_1.expand(({ name, json }) => {
+        metadata[name] = json;
+        const peers = [];
+        const versions = json['versions'];
+        for (const version of Object.keys(versions)) {
+            const deps = versions[version]['peerDependencies'];
+            for (const depName of Object.keys(deps || {})) {
+                if (depName in projectDependencies && !seen.has(depName)) {
+                    seen.add(depName);
+                    peers.push(depName);
                 }
-            });
-            response.on('error', err => subject.error(err));
-        });
-        request.end();
-        maybeRequest = subject.asObservable();
-        npmPackageJsonCache.set(url, maybeRequest);
+            }
+        }
+        return rxjs_1.from(peers).pipe(operators_1.mergeMap(fetch));
+    }), operators_1.ignoreElements()), rxjs_1.of(metadata));
+}
+/**
+ * Get the members of the package group of a package, as declared by the `ng-update` field of
+ * the package.json of the version it will be updated to. Returns an empty array if the package
+ * has no group.
+ * @param {JsonObject} json The full NPM package.json of the package.
+ * @param {string} version The requested version, range or dist-tag.
+ * @returns {string[]} The names of the packages in the group.
+ * @private
+ */
+function _getPackageGroup(json, version) {
+    const distTags = json['dist-tags'];
+    const versions = json['versions'];
+    const target = distTags && distTags[version]
+        ? distTags[version]
+        : semver.validRange(version) && semver.maxSatisfying(Object.keys(versions), version);
+    if (!target || !versions[target]) {
+        return [];
+    }
+    const ngUpdate = versions[target]['ng-update'];
+    if (!ngUpdate || typeof ngUpdate != 'object' || Array.isArray(ngUpdate)) {
+        return [];
+    }
+    // The group can be an array of names or an object whose keys are the names.
+    const packageGroup = ngUpdate['packageGroup'];
+    if (Array.isArray(packageGroup)) {
+        return packageGroup.filter(x => typeof x == 'string');
+    }
+    else if (packageGroup && typeof packageGroup == 'object') {
+        return Object.keys(packageGroup);
+    }
+    else {
+        return [];
     }
-    return maybeRequest;
 }
 /**
- * Recursively get versions of packages to update to, along with peer dependencies. Only recurse
- * peer dependencies and only update versions of packages that are in the original package.json.
- * @param {JsonObject} packageJson The original package.json to update.
- * @param {{[p: string]: string}} packages
- * @param {{[p: string]: string}} allVersions
+ * Add the members of the package groups of the requested packages, so a group is always
+ * updated in lockstep. Members are requested with the same version as the package declaring
+ * the group, unless they were requested explicitly.
+ * @param {{[p: string]: string}} packages The requested version or dist-tag, by package name.
+ * @param {{[p: string]: ProjectDependency[]}} projectDependencies The dependencies of the
+ *   project. Only the groups of packages the project depends on are expanded.
+ * @param {{[p: string]: string}} groups Filled with the package declaring the group, for each
+ *   member that was added.
+ * @param {RegistryClientOptions} clientOptions The registry client options.
+ * @param {LoggerApi} logger A logger instance to log debug information.
+ * @returns {Observable<{[p: string]: string}>} The requested packages along with the members
+ *   of their groups.
+ * @private
+ */
+function _expandPackageGroups(packages, projectDependencies, groups, clientOptions, logger) {
+    const fullClientOptions = Object.assign({}, clientOptions, { fullMetadata: true });
+    return rxjs_1.from(Object.keys(packages).filter(name => name in projectDependencies)).pipe(operators_1.mergeMap(name => registry_1.getNpmPackageJson(name, fullClientOptions, logger).pipe(operators_1.map(json => ({ name, json })))), operators_1.reduce((acc, { name, json }) => {
+        for (const member of _getPackageGroup(json, packages[name])) {
+            if (!(member in acc)) {
+                logger.debug(`Adding ${JSON.stringify(member)} from the package group of `
+                    + `${JSON.stringify(name)}.`);
+                acc[member] = packages[name];
+                groups[member] = name;
+            }
+        }
+        return acc;
+    }, Object.assign({}, packages)));
+}
+/**
+ * Get the migrations to run for the packages that are updated, from the version currently
+ * installed to the version resolved. The `from` and `to` options override those versions for
+ * the requested packages, which allows re-running the migrations of a range of versions even
+ * when the package is already up to date. The migrations are declared in the full metadata,
+ * which is only fetched for these packages.
+ * @param {Tree} tree The tree to read the installed versions from.
+ * @param {{[p: string]: string}} packages The requested version or dist-tag, by package name.
+ * @param {{[p: string]: string}} resolved The resolved version, by package name.
+ * @param {{[p: string]: ProjectDependency[]}} projectDependencies The dependencies of the
+ *   project.
+ * @param {SchematicsUpdateSchema} options The schematic options.
+ * @param {RegistryClientOptions} clientOptions The registry client options.
+ * @param {LoggerApi} logger A logger instance to log debug information.
+ * @returns {Observable<PackageMigration[]>} The migrations to run, in the order of resolution.
+ * @private
+ */
+function _getMigrations(tree, packages, resolved, projectDependencies, options, clientOptions, logger) {
+    const fromOverride = options.from ? migration_1.validateMigrationVersion('from', options.from) : null;
+    const toOverride = options.to ? migration_1.validateMigrationVersion('to', options.to) : null;
+    const fullClientOptions = Object.assign({}, clientOptions, { fullMetadata: true });
+    // Keep the order of resolution, so migrations of requested packages run first. Requested
+    // packages that are not updated only have migrations when they are overridden.
+    const names = [
+        ...Object.keys(resolved),
+        ...(fromOverride || toOverride ? Object.keys(packages) : [])
+            .filter(name => !(name in resolved)),
+    ].filter(name => name in projectDependencies);
+    return rxjs_1.from(names).pipe(operators_1.concatMap(name => registry_1.getNpmPackageJson(name, fullClientOptions, logger).pipe(operators_1.map(json => {
+        const installed = migration_1.getInstalledVersion(tree, json, projectDependencies[name].map(dep => dep.range));
+        const target = resolved[name] || installed;
+        const isRequested = name in packages;
+        const from = (isRequested && fromOverride) || installed;
+        const to = (isRequested && toOverride) || target;
+        const collection = target && migration_1.getMigrationCollection(json, target);
+        if (!collection || !from || !to || !semver.gt(to, from)) {
+            return null;
+        }
+        logger.debug(`Recording migrations of ${JSON.stringify(name)} from ${from} to ${to}.`);
+        return { package: name, collection, from, to };
+    }))), operators_1.filter((migration) => migration !== null), operators_1.toArray());
+}
+/**
+ * Resolve the versions of packages to update to, along with peer dependencies. Only peer
+ * dependencies that are in the original package.json files are updated, when their current
+ * ranges do not satisfy the new versions, and a single version is resolved for each package
+ * across all of them. When the newest versions have conflicting peer
+ * dependencies, older versions are tried until a compatible set is found.
+ * @param {{[p: string]: ProjectDependency[]}} projectDependencies The dependencies of the
+ *   original package.json files.
+ * @param {{[p: string]: string}} packages The requested version or dist-tag, by package name.
+ * @param {{[p: string]: string}} groups The package whose group added each package that was
+ *   not requested explicitly.
+ * @param {{[p: string]: JsonObject}} metadata The NPM package.json, by package name.
+ * @param {{[p: string]: string}} allVersions Filled with the version to update each package to,
+ *   prefixed with the operator of the requested range if it has one.
+ * @param {{[p: string]: UpdatePlanRequirement[]}} reasons Filled with the package group or
+ *   peer dependency chain that pulled each package into the update.
+ * @param {UpdatePolicy} policy The policy candidate versions newer than the current ones must
+ *   follow. Prereleases are always allowed for a package whose requested or current range
+ *   mentions one, and otherwise when a peer dependency range asks for them.
+ * @param {SkippedVersion[]} skipped Filled with the versions newer than the resolved ones that
+ *   were skipped because of the policy.
  * @param {LoggerApi} logger
  * @param {boolean} loose
- * @returns {Observable<void>}
- * @private
- */
-function _getRecursiveVersions(packageJson, packages, allVersions, logger, loose) {
-    return rxjs_1.from(kPackageJsonDependencyFields).pipe(operators_1.mergeMap(field => {
-        const deps = packageJson[field];
-        if (deps) {
-            return rxjs_1.from(Object.keys(deps)
-                .map(depName => depName in deps ? [depName, deps[depName]] : null)
-                .filter(x => !!x));
-        }
-        else {
-            return rxjs_1.EMPTY;
-        }
-    }), operators_1.mergeMap(([depName, depVersion]) => {
-        if (!packages[depName] || packages[depName] === depVersion) {
-            return rxjs_1.EMPTY;
-        }
-        if (allVersions[depName] && semver.intersects(allVersions[depName], depVersion)) {
-            allVersions[depName] = semverIntersect.intersect(allVersions[depName], depVersion);
-            return rxjs_1.EMPTY;
-        }
-        return _getNpmPackageJson(depName, logger).pipe(operators_1.map(json => ({ version: packages[depName], depName, depVersion, npmPackageJson: json })));
-    }), operators_1.mergeMap(({ version, depName, depVersion, npmPackageJson }) => {
-        const updateVersion = _getVersionFromNpmPackage(npmPackageJson, version, loose);
-        const npmPackageVersions = Object.keys(npmPackageJson['versions']);
-        const match = semver.maxSatisfying(npmPackageVersions, updateVersion);
-        if (!match) {
-            return rxjs_1.EMPTY;
-        }
-        if (semver.lt(semverIntersect.parseRange(updateVersion).version, semverIntersect.parseRange(depVersion).version)) {
-            throw new schematics_1.SchematicsException(`Cannot downgrade package ${JSON.stringify(depName)} from version "${depVersion}" to "${updateVersion}".`);
-        }
-        const innerNpmPackageJson = npmPackageJson['versions'][match];
-        const dependencies = {};
-        const deps = innerNpmPackageJson['peerDependencies'];
-        if (deps) {
-            for (const depName of Object.keys(deps)) {
-                dependencies[depName] = deps[depName];
+ * @returns {{[p: string]: string}} The resolved version of the packages that are updated, by
+ *   package name.
+ * @private
+ */
+function _resolveVersions(projectDependencies, packages, groups, metadata, allVersions, reasons, policy, skipped, logger, loose) {
+    const names = Object.keys(packages).filter(name => {
+        return name in projectDependencies
+            && projectDependencies[name].some(dep => dep.range !== packages[name]);
+    });
+    const solverPackages = {};
+    const skippedVersions = {};
+    const getPackage = (name) => {
+        if (name in solverPackages) {
+            return solverPackages[name];
+        }
+        const json = metadata[name];
+        if (!json || !(name in projectDependencies)) {
+            return solverPackages[name] = null;
+        }
+        const versions = json['versions'];
+        const requirements = [];
+        if (names.indexOf(name) != -1) {
+            requirements.push(_getRequestedRequirement(json, packages[name], loose));
+        }
+        for (const { path, range } of projectDependencies[name]) {
+            const minimum = _getMinimumVersion(range);
+            if (minimum) {
+                requirements.push({
+                    range: `>=${minimum}`,
+                    requiredBy: `the current range "${range}" in ${path}, which cannot be downgraded`,
+                    includePrerelease: true,
+                });
             }
         }
-        logger.debug(`Recording update for ${JSON.stringify(depName)} to version ${updateVersion}.`);
-        if (allVersions[depName]) {
-            if (!semver.intersects(allVersions[depName], updateVersion)) {
-                throw new schematics_1.SchematicsException('Cannot update safely because packages have conflicting dependencies. Package '
-                    + `${depName} would need to match both versions "${updateVersion}" and `
-                    + `"${allVersions[depName]}, which are not compatible.`);
+        const packagePolicy = requirements.some(req => _hasPrerelease(req.range))
+            || projectDependencies[name].some(dep => _hasPrerelease(dep.range))
+            ? Object.assign({}, policy, { allowPrerelease: true }) : policy;
+        const prereleasePolicy = Object.assign({}, packagePolicy, { allowPrerelease: true });
+        const candidates = [];
+        const prereleases = [];
+        skippedVersions[name] = [];
+        const sortedVersions = Object.keys(versions).filter(v => semver.valid(v)).sort(semver.rcompare);
+        // The policy only applies to newer versions than the current ones, so a package can always
+        // stay on the version its current ranges resolve to.
+        const current = projectDependencies[name]
+            .map(dep => semver.validRange(dep.range) && semver.maxSatisfying(sortedVersions, dep.range))
+            .filter((v) => !!v)
+            .sort(semver.rcompare)[0];
+        for (const version of sortedVersions) {
+            const reason = current && semver.lte(version, current)
+                ? null
+                : policy_1.getPolicyViolation(json, version, packagePolicy);
+            if (!reason) {
+                candidates.push(version);
+                continue;
             }
-            allVersions[depName] = semverIntersect.intersect(allVersions[depName], updateVersion);
+            skippedVersions[name].push({ name, version, reason });
+            // Prereleases can still be picked when a peer dependency range asks for them.
+            if (!policy_1.getPolicyViolation(json, version, prereleasePolicy)) {
+                candidates.push(version);
+                prereleases.push(version);
+            }
+        }
+        // Prefer the versions the project already allows for the packages that are not requested,
+        // so a peer dependency is only updated when the requested packages need it.
+        const isCurrent = (v) => projectDependencies[name].every(dep => {
+            return !semver.validRange(dep.range) || semver.satisfies(v, dep.range);
+        });
+        const sortedCandidates = names.indexOf(name) != -1
+            ? candidates
+            : [...candidates.filter(isCurrent), ...candidates.filter(v => !isCurrent(v))];
+        const pkg = {
+            candidates: sortedCandidates,
+            prereleases,
+            excluded: skippedVersions[name].filter(x => prereleases.indexOf(x.version) == -1),
+            requirements,
+            peerDependencies: version => {
+                const deps = versions[version]['peerDependencies'];
+                return (deps || {});
+            },
+        };
+        const blocked = skippedVersions[name]
+            .filter(x => requirements.every(req => solver_1.satisfiesRequirement(x.version, req)));
+        const isSatisfiable = candidates.some(v => solver_1.satisfiesRequirements(pkg, v, requirements));
+        if (names.indexOf(name) != -1 && !isSatisfiable && blocked.length > 0) {
+            throw new schematics_1.SchematicsException(`No version of ${JSON.stringify(name)} matching "${packages[name]}" is allowed by the `
+                + 'update policy:\n'
+                + blocked.map(x => `  ${x.version}: ${x.reason}`).join('\n'));
         }
-        else {
-            allVersions[depName] = updateVersion;
+        return solverPackages[name] = pkg;
+    };
+    const resolved = solver_1.solveVersions(names, getPackage);
+    // Collect the peer dependency ranges of the resolved versions, and the first chain that
+    // pulled each package.
+    const peerRanges = {};
+    const queue = [...names];
+    for (const name of names) {
+        const owner = groups[name];
+        reasons[name] = [];
+        if (owner) {
+            const version = resolved[owner] || packages[owner];
+            reasons[name].push({ name: owner, version, range: packages[owner], packageGroup: true });
+        }
+    }
+    while (queue.length > 0) {
+        const name = queue.shift();
+        const peers = getPackage(name).peerDependencies(resolved[name]);
+        for (const depName of Object.keys(peers)) {
+            if (resolved[depName] === undefined) {
+                continue;
+            }
+            peerRanges[depName] = [...(peerRanges[depName] || []), peers[depName]];
+            if (!reasons[depName]) {
+                reasons[depName] = [
+                    { name, version: resolved[name], range: peers[depName] },
+                    ...reasons[name],
+                ];
+                queue.push(depName);
+            }
+        }
+    }
+    for (const name of Object.keys(resolved)) {
+        const pkg = getPackage(name);
+        let range = resolved[name];
+        if (names.indexOf(name) != -1) {
+            // A requested range like `^6.1.0` also sets the operator of the package.
+            const requirement = _getRequestedRequirement(metadata[name], packages[name], loose);
+            const maybeOperator = requirement.range.match(/^\s*([~^])/);
+            if (maybeOperator) {
+                range = maybeOperator[1] + range;
+            }
+            const newest = pkg.candidates.find(v => solver_1.satisfiesRequirements(pkg, v, pkg.requirements));
+            if (newest && newest !== resolved[name]) {
+                logger.info(`Using ${JSON.stringify(name)} version ${resolved[name]} instead of ${newest}, `
+                    + 'because of conflicting peer dependencies.');
+            }
+        }
+        else if (_satisfiesPeerRanges(metadata[name], projectDependencies[name], peerRanges[name])) {
+            delete resolved[name];
+            continue;
+        }
+        logger.debug(`Recording update for ${JSON.stringify(name)} to version ${range}.`);
+        allVersions[name] = range;
+        // Only report the versions that would have been picked without the policy.
+        for (const x of skippedVersions[name]) {
+            const isNewer = semver.gt(x.version, resolved[name]);
+            if (isNewer && pkg.requirements.every(req => solver_1.satisfiesRequirement(x.version, req))) {
+                logger.info(`Skipped ${JSON.stringify(name)} version ${x.version}: ${x.reason}.`);
+                skipped.push(x);
+            }
+        }
+    }
+    return resolved;
+}
+/**
+ * Collect the peer dependencies of the resolved versions that are missing from all the
+ * package.json files of the project. Peer dependencies the project lists are resolved with the
+ * other packages, so their ranges are already updated when needed. Optional peer dependencies
+ * (from `peerDependenciesMeta`) and packages of the project itself are ignored.
+ * @param {{[p: string]: string}} resolved The resolved version, by package name.
+ * @param {{[p: string]: JsonObject}} metadata The NPM package.json, by package name.
+ * @param {{[p: string]: ProjectDependency[]}} projectDependencies The dependencies of the
+ *   project.
+ * @param {string[]} localPackages The names of the packages of the project.
+ * @returns {UpdatePlanPeerIssue[]} The missing peer dependencies.
+ * @private
+ */
+function _getPeerDependencyIssues(resolved, metadata, projectDependencies, localPackages) {
+    const issues = {};
+    for (const name of Object.keys(resolved)) {
+        const versions = metadata[name]['versions'];
+        const versionJson = versions[resolved[name]];
+        const peers = (versionJson['peerDependencies'] || {});
+        const peersMeta = (versionJson['peerDependenciesMeta'] || {});
+        for (const peer of Object.keys(peers)) {
+            const range = peers[peer];
+            const meta = peersMeta[peer];
+            if (typeof range != 'string' || peer in projectDependencies
+                || localPackages.indexOf(peer) != -1 || (meta && meta['optional'])) {
+                continue;
+            }
+            issues[peer] = issues[peer] || { name: peer, requiredBy: [] };
+            issues[peer].requiredBy.push({ name, version: resolved[name], range });
+        }
+    }
+    return Object.keys(issues).map(name => issues[name]);
+}
+/**
+ * Get the changes that add the missing peer dependencies, at the highest version allowed by the
+ * policy that satisfies every package requiring them. They are added to each package.json that
+ * depends on a package requiring them, in the same field (e.g. `devDependencies`), with the
+ * operator of the required range.
+ * @param {UpdatePlanPeerIssue[]} issues The missing peer dependencies.
+ * @param {{[p: string]: ProjectDependency[]}} projectDependencies The dependencies of the
+ *   project.
+ * @param {{[p: string]: UpdatePlanRequirement[]}} reasons Filled with the package that requires
+ *   each peer dependency that is added.
+ * @param {UpdatePolicy} policy The policy the versions must follow.
+ * @param {string} rangeOperator The `rangeOperator` option.
+ * @param {RegistryClientOptions} clientOptions The registry client options.
+ * @param {LoggerApi} logger A logger instance to log debug information.
+ * @returns {Observable<{changes: PackageJsonChange[], issues: UpdatePlanPeerIssue[]}>} The
+ *   changes, and the issues that could not be fixed.
+ * @private
+ */
+function _fixPeerDependencies(issues, projectDependencies, reasons, policy, rangeOperator, clientOptions, logger) {
+    return rxjs_1.from(issues).pipe(operators_1.mergeMap(issue => registry_1.getNpmPackageJson(issue.name, clientOptions, logger).pipe(operators_1.map(json => ({ issue, json: json })), operators_1.catchError(err => {
+        logger.warn(err.message);
+        return rxjs_1.of({ issue, json: null });
+    })), 1), operators_1.toArray(), operators_1.map(results => {
+        const changes = [];
+        const remaining = [];
+        for (const { issue, json } of results) {
+            const ranges = issue.requiredBy.map(req => req.range);
+            const peerPolicy = ranges.some(_hasPrerelease)
+                ? Object.assign({}, policy, { allowPrerelease: true }) : policy;
+            const version = json && Object.keys(json['versions'])
+                .filter(v => semver.valid(v))
+                .sort(semver.rcompare)
+                .find(v => ranges.every(range => semver.satisfies(v, range))
+                && !policy_1.getPolicyViolation(json, v, peerPolicy));
+            if (!version) {
+                remaining.push(issue);
+                continue;
+            }
+            // Add the peer dependency next to the packages requiring it, in the first field.
+            const fields = {};
+            for (const req of issue.requiredBy) {
+                for (const { path, field } of projectDependencies[req.name] || []) {
+                    const index = kPackageJsonDependencyFields.indexOf(field);
+                    if (!(path in fields) || index < kPackageJsonDependencyFields.indexOf(fields[path])) {
+                        fields[path] = field;
+                    }
+                }
+            }
+            for (const path of Object.keys(fields)) {
+                const target = _getDependencyRange(ranges[0], version, fields[path], rangeOperator);
+                changes.push({ name: issue.name, path, field: fields[path], current: null, target });
+            }
+            logger.info(`Adding peer dependency ${JSON.stringify(issue.name)} at version ${version}, `
+                + `required by ${issue.requiredBy.map(x => x.name).join(', ')}.`);
+            reasons[issue.name] = [issue.requiredBy[0], ...(reasons[issue.requiredBy[0].name] || [])];
         }
-        return _getRecursiveVersions(packageJson, dependencies, allVersions, logger, loose);
+        return { changes, issues: remaining };
     }));
 }
+/**
+ * Read the NPM repository to resolve the versions of the packages and their peer dependencies,
+ * and record what changes in `update`, without modifying the tree. Every package.json of the
+ * `workspaces` of the root package.json, or from `packageJsonPaths`, is part of the project.
+ * `registry`, `timeout`, `retries` and `offline` configure how the repository is queried, and
+ * `excludeDeprecated`, `checkEngines`, `allowPrerelease` and `minimumReleaseAge` form the policy
+ * candidate versions must follow.
+ * @param {{[p: string]: string}} packages The requested version or dist-tag, by package name.
+ * @param {SchematicsUpdateSchema} options The schematic options.
+ * @param {PackageUpdate} update Filled with what the update changes.
+ * @returns {Rule} The rule.
+ * @private
+ */
+function _resolveUpdate(packages, options, update) {
+    const loose = !!options.loose;
+    const rangeOperator = options.rangeOperator || (loose ? '~' : 'keep');
+    return (tree, context) => {
+        const packageJsons = {};
+        const paths = workspace_1.findPackageJsonPaths(tree, options.packageJsonPaths);
+        for (const path of paths) {
+            packageJsons[path] = workspace_1.readPackageJson(tree, path);
+        }
+        const projectDependencies = _getProjectDependencies(packageJsons);
+        const localPackages = Object.keys(packageJsons)
+            .map(path => packageJsons[path]['name'])
+            .filter(name => typeof name == 'string');
+        const clientOptions = {
+            npmConfig: npmrc_1.readNpmConfig(tree, options.registry),
+            timeout: options.timeout,
+            retries: options.retries,
+            offline: options.offline,
+            // The release dates are only in the full metadata.
+            fullMetadata: !!options.minimumReleaseAge,
+        };
+        const policy = {
+            excludeDeprecated: options.excludeDeprecated !== false,
+            nodeVersions: options.checkEngines !== false ? _getProjectNodeVersions(packageJsons) : [],
+            allowPrerelease: !!options.allowPrerelease,
+            minimumReleaseAge: options.minimumReleaseAge || 0,
+            now: Date.now(),
+        };
+        const allVersions = {};
+        const groups = {};
+        return _expandPackageGroups(packages, projectDependencies, groups, clientOptions, context.logger).pipe(operators_1.mergeMap(expandedPackages => _getPackageMetadata(Object.keys(expandedPackages).filter(name => name in projectDependencies), projectDependencies, clientOptions, context.logger).pipe(operators_1.mergeMap(metadata => {
+            const resolved = _resolveVersions(projectDependencies, expandedPackages, groups, metadata, allVersions, update.reasons, policy, update.skipped, context.logger, loose);
+            update.changes = _getPackageJsonChanges(paths, projectDependencies, allVersions, rangeOperator);
+            update.peerIssues = _getPeerDependencyIssues(resolved, metadata, projectDependencies, localPackages);
+            // Plan runs fetch the same metadata as the update itself, so they fill the cache
+            // an offline update needs.
+            const migrations = _getMigrations(tree, packages, resolved, projectDependencies, options, clientOptions, context.logger).pipe(operators_1.map(packageMigrations => {
+                update.migrations = packageMigrations;
+                return tree;
+            }));
+            if (!options.addMissingPeers || update.peerIssues.length == 0) {
+                return migrations;
+            }
+            return _fixPeerDependencies(update.peerIssues, projectDependencies, update.reasons, policy, rangeOperator, clientOptions, context.logger).pipe(operators_1.mergeMap(fixes => {
+                update.changes = [...update.changes, ...fixes.changes]
+                    .sort((a, b) => paths.indexOf(a.path) - paths.indexOf(b.path));
+                update.peerIssues = fixes.issues;
+                return migrations;
+            }));
+        }))));
+    };
+}
+/**
+ * Apply the changes of the update to the package.json files, and warn about the peer
+ * dependencies that are still missing. The update plan is written to `reportPath` if it is set.
+ * With `planOnly`, only the plan is written, to `update-plan` by default.
+ * @param {SchematicsUpdateSchema} options The schematic options.
+ * @param {PackageUpdate} update What the update changes.
+ * @returns {Rule} The rule.
+ * @private
+ */
+function _applyUpdate(options, update) {
+    const planOnly = !!options.planOnly;
+    const reportPath = options.reportPath || (planOnly ? 'update-plan' : undefined);
+    return (tree, context) => {
+        for (const issue of update.peerIssues) {
+            context.logger.warn(plan_1.formatPeerIssue(issue));
+        }
+        if (reportPath) {
+            const plan = plan_1.createUpdatePlan(update.changes, update.reasons, update.skipped, update.peerIssues);
+            plan_1.writeUpdatePlan(tree, plan, reportPath);
+            if (planOnly) {
+                context.logger.info(plan_1.formatUpdatePlan(plan));
+                return tree;
+            }
+        }
+        workspace_1.applyPackageJsonChanges(tree, update.changes);
+        return tree;
+    };
+}
+/**
+ * Install the updated packages with the `packageManager` option, or the package manager
+ * detected from the project, then run the migrations of each updated package in turn. When the
+ * packages are not installed, because of `skipInstall` or because the install task does not
+ * support the package manager, the lockfile is checked against the new ranges and the commands
+ * to run the migrations are printed instead.
+ * @param {SchematicsUpdateSchema} options The schematic options.
+ * @param {PackageUpdate} update What the update changes.
+ * @returns {Rule} The rule.
+ * @private
+ */
+function _installUpdate(options, update) {
+    return (tree, context) => {
+        if (options.planOnly) {
+            return;
+        }
+        const packageManager = lockfile_1.detectPackageManager(tree, options.packageManager);
+        const canInstall = !packageManager
+            || kInstallTaskPackageManagers.indexOf(packageManager) != -1;
+        if (options.skipInstall || !canInstall) {
+            const lockfileManager = packageManager || 'npm';
+            if (!options.skipInstall) {
+                context.logger.warn(`The updated packages cannot be installed with ${lockfileManager} `
+                    + `automatically. Run "${lockfileManager} install" to install them.`);
+            }
+            const mismatches = lockfile_1.getLockfileMismatches(tree, lockfileManager, update.changes);
+            if (mismatches && mismatches.length > 0) {
+                context.logger.warn(lockfile_1.formatLockfileMismatches(lockfileManager, mismatches));
+            }
+            for (const migration of update.migrations) {
+                context.logger.warn(`The migrations of ${JSON.stringify(migration.package)} were not `
+                    + 'run because the packages were not installed. Run them after installing with:\n'
+                    + `  ng generate @schematics/package-update:migrate --package=${migration.package} `
+                    + `--collection=${migration.collection} --from=${migration.from} --to=${migration.to}`);
+            }
+            return;
+        }
+        const installTask = context.addTask(new tasks_1.NodePackageInstallTask(packageManager ? { packageManager } : {}));
+        // Each package's migrations run after the previous ones, so the order is predictable.
+        update.migrations.reduce((dependency, migration) => context.addTask(new tasks_1.RunSchematicTask('migrate', migration), [
+            dependency,
+        ]), installTask);
+    };
+}
 /**
  * Use a Rule which can return an observable, but do not actually modify the Tree.
  * This rules perform an HTTPS request to get the npm registry package.json, then resolve the
  * version from the options, and replace the version in the options by an actual version.
- * @param supportedPackages A list of packages to update (at the same version).
- * @param maybeVersion A version to update those packages to.
- * @param loose Whether to use loose version operators (instead of specific versions).
+ * @param supportedPackages A list of packages to update (at the same version), or the version
+ *   or dist-tag to update each package to. The package groups of those packages are updated too.
+ * @param options The schematic options; `version` is the version to update those packages to.
  * @private
  */
-function updatePackageJson(supportedPackages, maybeVersion = 'latest', loose = false) {
-    const version = maybeVersion ? maybeVersion : 'latest';
+function updatePackageJson(supportedPackages, options) {
+    const version = options.version ? options.version : 'latest';
+    const packages = {};
+    if (Array.isArray(supportedPackages)) {
+        for (const name of supportedPackages) {
+            packages[name] = version;
+        }
+    }
+    else {
+        Object.assign(packages, supportedPackages);
+    }
     // This will be updated as we read the NPM repository.
-    const allVersions = {};
+    const update = {
+        changes: [],
+        reasons: {},
+        skipped: [],
+        peerIssues: [],
+        migrations: [],
+    };
     return schematics_1.chain([
-        (tree, context) => {
-            const packageJsonContent = tree.read('/package.json');
-            if (!packageJsonContent) {
-                throw new schematics_1.SchematicsException('Could not find package.json.');
-            }
-            const packageJson = core_1.parseJson(packageJsonContent.toString(), core_1.JsonParseMode.Strict);
-            if (packageJson === null || typeof packageJson !== 'object' || Array.isArray(packageJson)) {
-                throw new schematics_1.SchematicsException('Could not parse package.json.');
-            }
-            const packages = {};
-            for (const name of supportedPackages) {
-                packages[name] = version;
-            }
-            return rxjs_1.concat(_getRecursiveVersions(packageJson, packages, allVersions, context.logger, loose).pipe(operators_1.ignoreElements()), rxjs_1.of(tree));
-        },
-        (tree) => {
-            const packageJsonContent = tree.read('/package.json');
-            if (!packageJsonContent) {
-                throw new schematics_1.SchematicsException('Could not find package.json.');
-            }
-            const packageJson = core_1.parseJson(packageJsonContent.toString(), core_1.JsonParseMode.Strict);
-            if (packageJson === null || typeof packageJson !== 'object' || Array.isArray(packageJson)) {
-                throw new schematics_1.SchematicsException('Could not parse package.json.');
-            }
-            for (const field of kPackageJsonDependencyFields) {
-                const deps = packageJson[field];
-                if (!deps || typeof deps !== 'object' || Array.isArray(deps)) {
-                    continue;
-                }
-                for (const depName of Object.keys(deps)) {
-                    if (allVersions[depName]) {
-                        deps[depName] = allVersions[depName];
-                    }
-                }
-            }
-            tree.overwrite('/package.json', JSON.stringify(packageJson, null, 2) + '\n');
-            return tree;
-        },
-        (_tree, context) => {
-            context.addTask(new tasks_1.NodePackageInstallTask());
-        },
+        _resolveUpdate(packages, options, update),
+        _applyUpdate(options, update),
+        _installUpdate(options, update),
     ]);
 }
 exports.updatePackageJson = updatePackageJson;
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibnBtLmpzIiwic291cmNlUm9vdCI6Ii4vIiwic291cmNlcyI6WyJwYWNrYWdlcy9zY2hlbWF0aWNzL3BhY2thZ2VfdXBkYXRlL3V0aWxpdHkvbnBtLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7O0FBQUE7Ozs7OztHQU1HO0FBQ0gsK0NBQXFGO0FBQ3JGLDJEQU1vQztBQUNwQyw0REFBMEU7QUFDMUUsK0JBQStCO0FBQy9CLCtCQU9jO0FBQ2QsOENBQStEO0FBQy9ELGlDQUFpQztBQUVqQyxNQUFNLGVBQWUsR0FBRyxPQUFPLENBQUMsa0JBQWtCLENBQUMsQ0FBQztBQUVwRCxNQUFNLDRCQUE0QixHQUFHO0lBQ25DLGNBQWM7SUFDZCxpQkFBaUI7SUFDakIsa0JBQWtCO0lBQ2xCLHNCQUFzQjtDQUN2QixDQUFDO0FBR0YsTUFBTSxtQkFBbUIsR0FBRyxJQUFJLEdBQUcsRUFBa0MsQ0FBQztBQUV0RSxtQ0FBbUMsSUFBZ0IsRUFBRSxPQUFlLEVBQUUsS0FBYztJQUNsRixNQUFNLFFBQVEsR0FBRyxJQUFJLENBQUMsV0FBVyxDQUFlLENBQUM7SUFDakQsRUFBRSxDQUFDLENBQUMsUUFBUSxJQUFJLFFBQVEsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDbEMsTUFBTSxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQVcsQ0FBQztJQUMxRCxDQUFDO0lBQUMsSUFBSSxDQUFDLENBQUM7UUFDTixFQUFFLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ2hDLE1BQU0sSUFBSSxnQ0FBbUIsQ0FBQyw4QkFBOEIsT0FBTyxJQUFJLENBQUMsQ0FBQztRQUMzRSxDQUFDO1FBQ0QsRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsSUFBSSxLQUFLLENBQUMsQ0FBQyxDQUFDO1lBQ25DLE9BQU8sR0FBRyxHQUFHLEdBQUcsT0FBTyxDQUFDO1FBQzFCLENBQUM7UUFFRCxNQUFNLGVBQWUsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxVQUFVLENBQWUsQ0FBQyxDQUFDO1FBQ3BFLE1BQU0sVUFBVSxHQUFHLE1BQU0sQ0FBQyxhQUFhLENBQUMsZUFBZSxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBRWxFLEVBQUUsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQztZQUNoQixNQUFNLElBQUksZ0NBQW1CLENBQzNCLFlBQVksT0FBTywyQ0FBMkMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQzdFLENBQUM7UUFDSixDQUFDO1FBRUQsTUFBTSxhQUFhLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUM3QyxFQUFFLENBQUMsQ0FBQyxPQUFPLElBQUksR0FBRyxDQUFDLENBQUMsQ0FBQztZQUNuQixNQUFNLENBQUMsVUFBVSxDQUFDO1FBQ3BCLENBQUM7UUFBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQztZQUN6QixNQUFNLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQztRQUN2QyxDQUFDO1FBQUMsSUFBSSxDQUFDLENBQUM7WUFDTixNQUFNLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEdBQUcsVUFBVSxDQUFDO1FBQ3pDLENBQUM7SUFDSCxDQUFDO0FBQ0gsQ0FBQztBQUVEOzs7Ozs7R0FNRztBQUNILDRCQUNFLFdBQW1CLEVBQ25CLE1BQXlCO0lBRXpCLE1BQU0sR0FBRyxHQUFHLDhCQUE4QixXQUFXLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxLQUFLLENBQUMsRUFBRSxDQUFDO0lBQzlFLE1BQU0sQ0FBQyxLQUFLLENBQUMsNkJBQTZCLElBQUksQ0FBQyxTQUFTLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBRTVFLElBQUksWUFBWSxHQUFHLG1CQUFtQixDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUNoRCxFQUFFLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUM7UUFDbEIsTUFBTSxPQUFPLEdBQUcsSUFBSSxvQkFBYSxDQUFhLENBQUMsQ0FBQyxDQUFDO1FBRWpELE1BQU0sT0FBTyxHQUFHLEtBQUssQ0FBQyxPQUFPLENBQUMsR0FBRyxFQUFFLFFBQVEsQ0FBQyxFQUFFO1lBQzVDLElBQUksSUFBSSxHQUFHLEVBQUUsQ0FBQztZQUNkLFFBQVEsQ0FBQyxFQUFFLENBQUMsTUFBTSxFQUFFLEtBQUssQ0FBQyxFQUFFLENBQUMsSUFBSSxJQUFJLEtBQUssQ0FBQyxDQUFDO1lBQzVDLFFBQVEsQ0FBQyxFQUFFLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRTtnQkFDdEIsSUFBSSxDQUFDO29CQUNILE1BQU0sSUFBSSxHQUFHLGdCQUFTLENBQUMsSUFBSSxFQUFFLG9CQUFhLENBQUMsTUFBTSxDQUFDLENBQUM7b0JBQ25ELE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBa0IsQ0FBQyxDQUFDO29CQUNqQyxPQUFPLENBQUMsUUFBUSxFQUFFLENBQUM7Z0JBQ3JCLENBQUM7Z0JBQUMsS0FBSyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztvQkFDYixPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO2dCQUNyQixDQUFDO1lBQ0gsQ0FBQyxDQUFDLENBQUM7WUFDSCxRQUFRLENBQUMsRUFBRSxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUNsRCxDQUFDLENBQUMsQ0FBQztRQUNILE9BQU8sQ0FBQyxHQUFHLEVBQUUsQ0FBQztRQUVkLFlBQVksR0FBRyxPQUFPLENBQUMsWUFBWSxFQUFFLENBQUM7UUFDdEMsbUJBQW1CLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxZQUFZLENBQUMsQ0FBQztJQUM3QyxDQUFDO0lBRUQsTUFBTSxDQUFDLFlBQVksQ0FBQztBQUN0QixDQUFDO0FBRUQ7Ozs7Ozs7Ozs7R0FVRztBQUNILCtCQUNFLFdBQXVCLEVBQ3ZCLFFBQW9DLEVBQ3BDLFdBQXVDLEVBQ3ZDLE1BQXlCLEVBQ3pCLEtBQWM7SUFFZCxNQUFNLENBQUMsV0FBYyxDQUFDLDRCQUE0QixDQUFDLENBQUMsSUFBSSxDQUN0RCxvQkFBUSxDQUFDLEtBQUssQ0FBQyxFQUFFO1FBQ2YsTUFBTSxJQUFJLEdBQUcsV0FBVyxDQUFDLEtBQUssQ0FBZSxDQUFDO1FBQzlDLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7WUFDVCxNQUFNLENBQUMsV0FBYyxDQUNuQixNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztpQkFDZCxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLElBQUksSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO2lCQUNqRSxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQ3BCLENBQUM7UUFDSixDQUFDO1FBQUMsSUFBSSxDQUFDLENBQUM7WUFDTixNQUFNLENBQUMsWUFBSyxDQUFDO1FBQ2YsQ0FBQztJQUNILENBQUMsQ0FBQyxFQUNGLG9CQUFRLENBQUMsQ0FBQyxDQUFDLE9BQU8sRUFBRSxVQUFVLENBQW1CLEVBQUUsRUFBRTtRQUNuRCxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsSUFBSSxRQUFRLENBQUMsT0FBTyxDQUFDLEtBQUssVUFBVSxDQUFDLENBQUMsQ0FBQztZQUMzRCxNQUFNLENBQUMsWUFBSyxDQUFDO1FBQ2YsQ0FBQztRQUNELEVBQUUsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxPQUFPLENBQUMsSUFBSSxNQUFNLENBQUMsVUFBVSxDQUFDLFdBQVcsQ0FBQyxPQUFPLENBQUMsRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDaEYsV0FBVyxDQUFDLE9BQU8sQ0FBQyxHQUFHLGVBQWUsQ0FBQyxTQUFTLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxFQUFFLFVBQVUsQ0FBQyxDQUFDO1lBRW5GLE1BQU0sQ0FBQyxZQUFLLENBQUM7UUFDZixDQUFDO1FBRUQsTUFBTSxDQUFDLGtCQUFrQixDQUFDLE9BQU8sRUFBRSxNQUFNLENBQUMsQ0FBQyxJQUFJLENBQzdDLGVBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxPQUFPLEVBQUUsUUFBUSxDQUFDLE9BQU8sQ0FBQyxFQUFFLE9BQU8sRUFBRSxVQUFVLEVBQUUsY0FBYyxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsQ0FDekYsQ0FBQztJQUNKLENBQUMsQ0FBQyxFQUNGLG9CQUFRLENBQUMsQ0FBQyxFQUFDLE9BQU8sRUFBRSxPQUFPLEVBQUUsVUFBVSxFQUFFLGNBQWMsRUFBQyxFQUFFLEVBQUU7UUFDMUQsTUFBTSxhQUFhLEdBQUcseUJBQXlCLENBQUMsY0FBYyxFQUFFLE9BQU8sRUFBRSxLQUFLLENBQUMsQ0FBQztRQUNoRixNQUFNLGtCQUFrQixHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsY0FBYyxDQUFDLFVBQVUsQ0FBZSxDQUFDLENBQUM7UUFDakYsTUFBTSxLQUFLLEdBQUcsTUFBTSxDQUFDLGFBQWEsQ0FBQyxrQkFBa0IsRUFBRSxhQUFhLENBQUMsQ0FBQztRQUN0RSxFQUFFLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7WUFDWCxNQUFNLENBQUMsWUFBSyxDQUFDO1FBQ2YsQ0FBQztRQUNELEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQ1gsZUFBZSxDQUFDLFVBQVUsQ0FBQyxhQUFhLENBQUMsQ0FBQyxPQUFPLEVBQ2pELGVBQWUsQ0FBQyxVQUFVLENBQUMsVUFBVSxDQUFDLENBQUMsT0FBTyxDQUNoRCxDQUFDLENBQUMsQ0FBQztZQUNELE1BQU0sSUFBSSxnQ0FBbUIsQ0FBQyw0QkFDNUIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsa0JBQWtCLFVBQVUsU0FBUyxhQUFhLElBQUksQ0FDOUUsQ0FBQztRQUNKLENBQUM7UUFFRCxNQUFNLG1CQUFtQixHQUFJLGNBQWMsQ0FBQyxVQUFVLENBQWdCLENBQUMsS0FBSyxDQUFlLENBQUM7UUFDNUYsTUFBTSxZQUFZLEdBQStCLEVBQUUsQ0FBQztRQUVwRCxNQUFNLElBQUksR0FBRyxtQkFBbUIsQ0FBQyxrQkFBa0IsQ0FBZSxDQUFDO1FBQ25FLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7WUFDVCxHQUFHLENBQUMsQ0FBQyxNQUFNLE9BQU8sSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDeEMsWUFBWSxDQUFDLE9BQU8sQ0FBQyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQVcsQ0FBQztZQUNsRCxDQUFDO1FBQ0gsQ0FBQztRQUVELE1BQU0sQ0FBQyxLQUFLLENBQUMsd0JBQXdCLElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLGVBQWUsYUFBYSxHQUFHLENBQUMsQ0FBQztRQUU3RixFQUFFLENBQUMsQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3pCLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLEVBQUUsYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUM1RCxNQUFNLElBQUksZ0NBQW1CLENBQzNCLCtFQUErRTtzQkFDN0UsR0FBRyxPQUFPLHVDQUF1QyxhQUFhLFFBQVE7c0JBQ3RFLElBQUksV0FBVyxDQUFDLE9BQU8sQ0FBQyw2QkFBNkIsQ0FDeEQsQ0FBQztZQUNKLENBQUM7WUFFRCxXQUFXLENBQUMsT0FBTyxDQUFDLEdBQUcsZUFBZSxDQUFDLFNBQVMsQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLEVBQUUsYUFBYSxDQUFDLENBQUM7UUFDeEYsQ0FBQztRQUFDLElBQUksQ0FBQyxDQUFDO1lBQ04sV0FBVyxDQUFDLE9BQU8sQ0FBQyxHQUFHLGFBQWEsQ0FBQztRQUN2QyxDQUFDO1FBRUQsTUFBTSxDQUFDLHFCQUFxQixDQUMxQixXQUFXLEVBQ1gsWUFBWSxFQUNaLFdBQVcsRUFDWCxNQUFNLEVBQ04sS0FBSyxDQUNOLENBQUM7SUFDSixDQUFDLENBQUMsQ0FDSCxDQUFDO0FBQ0osQ0FBQztBQUVEOzs7Ozs7OztHQVFHO0FBQ0gsMkJBQ0UsaUJBQTJCLEVBQzNCLFlBQVksR0FBRyxRQUFRLEVBQ3ZCLEtBQUssR0FBRyxLQUFLO0lBRWIsTUFBTSxPQUFPLEdBQUcsWUFBWSxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQztJQUN2RCxzREFBc0Q7SUFDdEQsTUFBTSxXQUFXLEdBQThCLEVBQUUsQ0FBQztJQUVsRCxNQUFNLENBQUMsa0JBQUssQ0FBQztRQUNYLENBQUMsSUFBVSxFQUFFLE9BQXlCLEVBQW9CLEVBQUU7WUFDMUQsTUFBTSxrQkFBa0IsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxDQUFDO1lBQ3RELEVBQUUsQ0FBQyxDQUFDLENBQUMsa0JBQWtCLENBQUMsQ0FBQyxDQUFDO2dCQUN4QixNQUFNLElBQUksZ0NBQW1CLENBQUMsOEJBQThCLENBQUMsQ0FBQztZQUNoRSxDQUFDO1lBQ0QsTUFBTSxXQUFXLEdBQUcsZ0JBQVMsQ0FBQyxrQkFBa0IsQ0FBQyxRQUFRLEVBQUUsRUFBRSxvQkFBYSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQ25GLEVBQUUsQ0FBQyxDQUFDLFdBQVcsS0FBSyxJQUFJLElBQUksT0FBTyxXQUFXLEtBQUssUUFBUSxJQUFJLEtBQUssQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUMxRixNQUFNLElBQUksZ0NBQW1CLENBQUMsK0JBQStCLENBQUMsQ0FBQztZQUNqRSxDQUFDO1lBQ0QsTUFBTSxRQUFRLEdBQStCLEVBQUUsQ0FBQztZQUNoRCxHQUFHLENBQUMsQ0FBQyxNQUFNLElBQUksSUFBSSxpQkFBaUIsQ0FBQyxDQUFDLENBQUM7Z0JBQ3JDLFFBQVEsQ0FBQyxJQUFJLENBQUMsR0FBRyxPQUFPLENBQUM7WUFDM0IsQ0FBQztZQUVELE1BQU0sQ0FBQyxhQUFNLENBQ1gscUJBQXFCLENBQUMsV0FBVyxFQUFFLFFBQVEsRUFBRSxXQUFXLEVBQUUsT0FBTyxDQUFDLE1BQU0sRUFBRSxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQ25GLDBCQUFjLEVBQUUsQ0FDakIsRUFDRCxTQUFZLENBQUMsSUFBSSxDQUFDLENBQ25CLENBQUM7UUFDSixDQUFDO1FBQ0QsQ0FBQyxJQUFVLEVBQUUsRUFBRTtZQUNiLE1BQU0sa0JBQWtCLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsQ0FBQztZQUN0RCxFQUFFLENBQUMsQ0FBQyxDQUFDLGtCQUFrQixDQUFDLENBQUMsQ0FBQztnQkFDeEIsTUFBTSxJQUFJLGdDQUFtQixDQUFDLDhCQUE4QixDQUFDLENBQUM7WUFDaEUsQ0FBQztZQUNELE1BQU0sV0FBVyxHQUFHLGdCQUFTLENBQUMsa0JBQWtCLENBQUMsUUFBUSxFQUFFLEVBQUUsb0JBQWEsQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUNuRixFQUFFLENBQUMsQ0FBQyxXQUFXLEtBQUssSUFBSSxJQUFJLE9BQU8sV0FBVyxLQUFLLFFBQVEsSUFBSSxLQUFLLENBQUMsT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDMUYsTUFBTSxJQUFJLGdDQUFtQixDQUFDLCtCQUErQixDQUFDLENBQUM7WUFDakUsQ0FBQztZQUVELEdBQUcsQ0FBQyxDQUFDLE1BQU0sS0FBSyxJQUFJLDRCQUE0QixDQUFDLENBQUMsQ0FBQztnQkFDakQsTUFBTSxJQUFJLEdBQUcsV0FBVyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUNoQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksSUFBSSxPQUFPLElBQUksS0FBSyxRQUFRLElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7b0JBQzdELFFBQVEsQ0FBQztnQkFDWCxDQUFDO2dCQUVELEdBQUcsQ0FBQyxDQUFDLE1BQU0sT0FBTyxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO29CQUN4QyxFQUFFLENBQUMsQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO3dCQUN6QixJQUFJLENBQUMsT0FBTyxDQUFDLEdBQUcsV0FBVyxDQUFDLE9BQU8sQ0FBQyxDQUFDO29CQUN2QyxDQUFDO2dCQUNILENBQUM7WUFDSCxDQUFDO1lBRUQsSUFBSSxDQUFDLFNBQVMsQ0FBQyxlQUFlLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxXQUFXLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO1lBRTdFLE1BQU0sQ0FBQyxJQUFJLENBQUM7UUFDZCxDQUFDO1FBQ0QsQ0FBQyxLQUFXLEVBQUUsT0FBeUIsRUFBRSxFQUFFO1lBQ3pDLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSw4QkFBc0IsRUFBRSxDQUFDLENBQUM7UUFDaEQsQ0FBQztLQUNGLENBQUMsQ0FBQztBQUNMLENBQUM7QUE5REQsOENBOERDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBJbmMuIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuaW1wb3J0IHsgSnNvbk9iamVjdCwgSnNvblBhcnNlTW9kZSwgbG9nZ2luZywgcGFyc2VKc29uIH0gZnJvbSAnQGFuZ3VsYXItZGV2a2l0L2NvcmUnO1xuaW1wb3J0IHtcbiAgUnVsZSxcbiAgU2NoZW1hdGljQ29udGV4dCxcbiAgU2NoZW1hdGljc0V4Y2VwdGlvbixcbiAgVHJlZSxcbiAgY2hhaW4sXG59IGZyb20gJ0Bhbmd1bGFyLWRldmtpdC9zY2hlbWF0aWNzJztcbmltcG9ydCB7IE5vZGVQYWNrYWdlSW5zdGFsbFRhc2sgfSBmcm9tICdAYW5ndWxhci1kZXZraXQvc2NoZW1hdGljcy90YXNrcyc7XG5pbXBvcnQgKiBhcyBodHRwcyBmcm9tICdodHRwcyc7XG5pbXBvcnQge1xuICBFTVBUWSxcbiAgT2JzZXJ2YWJsZSxcbiAgUmVwbGF5U3ViamVjdCxcbiAgY29uY2F0LFxuICBmcm9tIGFzIG9ic2VydmFibGVGcm9tLFxuICBvZiBhcyBvYnNlcnZhYmxlT2YsXG59IGZyb20gJ3J4anMnO1xuaW1wb3J0IHsgaWdub3JlRWxlbWVudHMsIG1hcCwgbWVyZ2VNYXAgfSBmcm9tICdyeGpzL29wZXJhdG9ycyc7XG5pbXBvcnQgKiBhcyBzZW12ZXIgZnJvbSAnc2VtdmVyJztcblxuY29uc3Qgc2VtdmVySW50ZXJzZWN0ID0gcmVxdWlyZSgnc2VtdmVyLWludGVyc2VjdCcpO1xuXG5jb25zdCBrUGFja2FnZUpzb25EZXBlbmRlbmN5RmllbGRzID0gW1xuICAnZGVwZW5kZW5jaWVzJyxcbiAgJ2RldkRlcGVuZGVuY2llcycsXG4gICdwZWVyRGVwZW5kZW5jaWVzJyxcbiAgJ29wdGlvbmFsRGVwZW5kZW5jaWVzJyxcbl07XG5cblxuY29uc3QgbnBtUGFja2FnZUpzb25DYWNoZSA9IG5ldyBNYXA8c3RyaW5nLCBPYnNlcnZhYmxlPEpzb25PYmplY3Q+PigpO1xuXG5mdW5jdGlvbiBfZ2V0VmVyc2lvbkZyb21OcG1QYWNrYWdlKGpzb246IEpzb25PYmplY3QsIHZlcnNpb246IHN0cmluZywgbG9vc2U6IGJvb2xlYW4pOiBzdHJpbmcge1xuICBjb25zdCBkaXN0VGFncyA9IGpzb25bJ2Rpc3QtdGFncyddIGFzIEpzb25PYmplY3Q7XG4gIGlmIChkaXN0VGFncyAmJiBkaXN0VGFnc1t2ZXJzaW9uXSkge1xuICAgIHJldHVybiAobG9vc2UgPyAnficgOiAnJykgKyBkaXN0VGFnc1t2ZXJzaW9uXSBhcyBzdHJpbmc7XG4gIH0gZWxzZSB7XG4gICAgaWYgKCFzZW12ZXIudmFsaWRSYW5nZSh2ZXJzaW9uKSkge1xuICAgICAgdGhyb3cgbmV3IFNjaGVtYXRpY3NFeGNlcHRpb24oYEludmFsaWQgcmFuZ2Ugb3IgdmVyc2lvbjogXCIke3ZlcnNpb259XCIuYCk7XG4gICAgfVxuICAgIGlmIChzZW12ZXIudmFsaWQodmVyc2lvbikgJiYgbG9vc2UpIHtcbiAgICAgIHZlcnNpb24gPSAnficgKyB2ZXJzaW9uO1xuICAgIH1cblxuICAgIGNvbnN0IHBhY2thZ2VWZXJzaW9ucyA9IE9iamVjdC5rZXlzKGpzb25bJ3ZlcnNpb25zJ10gYXMgSnNvbk9iamVjdCk7XG4gICAgY29uc3QgbWF5YmVNYXRjaCA9IHNlbXZlci5tYXhTYXRpc2Z5aW5nKHBhY2thZ2VWZXJzaW9ucywgdmVyc2lvbik7XG5cbiAgICBpZiAoIW1heWJlTWF0Y2gpIHtcbiAgICAgIHRocm93IG5ldyBTY2hlbWF0aWNzRXhjZXB0aW9uKFxuICAgICAgICBgVmVyc2lvbiBcIiR7dmVyc2lvbn1cIiBoYXMgbm8gc2F0aXNmeWluZyB2ZXJzaW9uIGZvciBwYWNrYWdlICR7anNvblsnbmFtZSddfWAsXG4gICAgICApO1xuICAgIH1cblxuICAgIGNvbnN0IG1heWJlT3BlcmF0b3IgPSB2ZXJzaW9uLm1hdGNoKC9eW35eXS8pO1xuICAgIGlmICh2ZXJzaW9uID09ICcqJykge1xuICAgICAgcmV0dXJuIG1heWJlTWF0Y2g7XG4gICAgfSBlbHNlIGlmIChtYXliZU9wZXJhdG9yKSB7XG4gICAgICByZXR1cm4gbWF5YmVPcGVyYXRvclswXSArIG1heWJlTWF0Y2g7XG4gICAgfSBlbHNlIHtcbiAgICAgIHJldHVybiAobG9vc2UgPyAnficgOiAnJykgKyBtYXliZU1hdGNoO1xuICAgIH1cbiAgfVxufVxuXG4vKipcbiAqIEdldCB0aGUgTlBNIHJlcG9zaXRvcnkncyBwYWNrYWdlLmpzb24gZm9yIGEgcGFja2FnZS4gVGhpcyBpcyBwXG4gKiBAcGFyYW0ge3N0cmluZ30gcGFja2FnZU5hbWUgVGhlIHBhY2thZ2UgbmFtZSB0byBmZXRjaC5cbiAqIEBwYXJhbSB7TG9nZ2VyQXBpfSBsb2dnZXIgQSBsb2dnZXIgaW5zdGFuY2UgdG8gbG9nIGRlYnVnIGluZm9ybWF0aW9uLlxuICogQHJldHVybnMge09ic2VydmFibGU8SnNvbk9iamVjdD59IEFuIG9ic2VydmFibGUgdGhhdCB3aWxsIHB1dCB0aGUgcGFjYWtnZS5qc29uIGNvbnRlbnQuXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfZ2V0TnBtUGFja2FnZUpzb24oXG4gIHBhY2thZ2VOYW1lOiBzdHJpbmcsXG4gIGxvZ2dlcjogbG9nZ2luZy5Mb2dnZXJBcGksXG4pOiBPYnNlcnZhYmxlPEpzb25PYmplY3Q+IHtcbiAgY29uc3QgdXJsID0gYGh0dHBzOi8vcmVnaXN0cnkubnBtanMub3JnLyR7cGFja2FnZU5hbWUucmVwbGFjZSgvXFwvL2csICclMkYnKX1gO1xuICBsb2dnZXIuZGVidWcoYEdldHRpbmcgcGFja2FnZS5qc29uIGZyb20gJHtKU09OLnN0cmluZ2lmeShwYWNrYWdlTmFtZSl9Li4uYCk7XG5cbiAgbGV0IG1heWJlUmVxdWVzdCA9IG5wbVBhY2thZ2VKc29uQ2FjaGUuZ2V0KHVybCk7XG4gIGlmICghbWF5YmVSZXF1ZXN0KSB7XG4gICAgY29uc3Qgc3ViamVjdCA9IG5ldyBSZXBsYXlTdWJqZWN0PEpzb25PYmplY3Q+KDEpO1xuXG4gICAgY29uc3QgcmVxdWVzdCA9IGh0dHBzLnJlcXVlc3QodXJsLCByZXNwb25zZSA9PiB7XG4gICAgICBsZXQgZGF0YSA9ICcnO1xuICAgICAgcmVzcG9uc2Uub24oJ2RhdGEnLCBjaHVuayA9PiBkYXRhICs9IGNodW5rKTtcbiAgICAgIHJlc3BvbnNlLm9uKCdlbmQnLCAoKSA9PiB7XG4gICAgICAgIHRyeSB7XG4gICAgICAgICAgY29uc3QganNvbiA9IHBhcnNlSnNvbihkYXRhLCBKc29uUGFyc2VNb2RlLlN0cmljdCk7XG4gICAgICAgICAgc3ViamVjdC5uZXh0KGpzb24gYXMgSnNvbk9iamVjdCk7XG4gICAgICAgICAgc3ViamVjdC5jb21wbGV0ZSgpO1xuICAgICAgICB9IGNhdGNoIChlcnIpIHtcbiAgICAgICAgICBzdWJqZWN0LmVycm9yKGVycik7XG4gICAgICAgIH1cbiAgICAgIH0pO1xuICAgICAgcmVzcG9uc2Uub24oJ2Vycm9yJywgZXJyID0+IHN1YmplY3QuZXJyb3IoZXJyKSk7XG4gICAgfSk7XG4gICAgcmVxdWVzdC5lbmQoKTtcblxuICAgIG1heWJlUmVxdWVzdCA9IHN1YmplY3QuYXNPYnNlcnZhYmxlKCk7XG4gICAgbnBtUGFja2FnZUpzb25DYWNoZS5zZXQodXJsLCBtYXliZVJlcXVlc3QpO1xuICB9XG5cbiAgcmV0dXJuIG1heWJlUmVxdWVzdDtcbn1cblxuLyoqXG4gKiBSZWN1cnNpdmVseSBnZXQgdmVyc2lvbnMgb2YgcGFja2FnZXMgdG8gdXBkYXRlIHRvLCBhbG9uZyB3aXRoIHBlZXIgZGVwZW5kZW5jaWVzLiBPbmx5IHJlY3Vyc2VcbiAqIHBlZXIgZGVwZW5kZW5jaWVzIGFuZCBvbmx5IHVwZGF0ZSB2ZXJzaW9ucyBvZiBwYWNrYWdlcyB0aGF0IGFyZSBpbiB0aGUgb3JpZ2luYWwgcGFja2FnZS5qc29uLlxuICogQHBhcmFtIHtKc29uT2JqZWN0fSBwYWNrYWdlSnNvbiBUaGUgb3JpZ2luYWwgcGFja2FnZS5qc29uIHRvIHVwZGF0ZS5cbiAqIEBwYXJhbSB7e1twOiBzdHJpbmddOiBzdHJpbmd9fSBwYWNrYWdlc1xuICogQHBhcmFtIHt7W3A6IHN0cmluZ106IHN0cmluZ319IGFsbFZlcnNpb25zXG4gKiBAcGFyYW0ge0xvZ2dlckFwaX0gbG9nZ2VyXG4gKiBAcGFyYW0ge2Jvb2xlYW59IGxvb3NlXG4gKiBAcmV0dXJucyB7T2JzZXJ2YWJsZTx2b2lkPn1cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9nZXRSZWN1cnNpdmVWZXJzaW9ucyhcbiAgcGFja2FnZUpzb246IEpzb25PYmplY3QsXG4gIHBhY2thZ2VzOiB7IFtuYW1lOiBzdHJpbmddOiBzdHJpbmcgfSxcbiAgYWxsVmVyc2lvbnM6IHsgW25hbWU6IHN0cmluZ106IHN0cmluZyB9LFxuICBsb2dnZXI6IGxvZ2dpbmcuTG9nZ2VyQXBpLFxuICBsb29zZTogYm9vbGVhbixcbik6IE9ic2VydmFibGU8dm9pZD4ge1xuICByZXR1cm4gb2JzZXJ2YWJsZUZyb20oa1BhY2thZ2VKc29uRGVwZW5kZW5jeUZpZWxkcykucGlwZShcbiAgICBtZXJnZU1hcChmaWVsZCA9PiB7XG4gICAgICBjb25zdCBkZXBzID0gcGFja2FnZUpzb25bZmllbGRdIGFzIEpzb25PYmplY3Q7XG4gICAgICBpZiAoZGVwcykge1xuICAgICAgICByZXR1cm4gb2JzZXJ2YWJsZUZyb20oXG4gICAgICAgICAgT2JqZWN0LmtleXMoZGVwcylcbiAgICAgICAgICAgIC5tYXAoZGVwTmFtZSA9PiBkZXBOYW1lIGluIGRlcHMgPyBbZGVwTmFtZSwgZGVwc1tkZXBOYW1lXV0gOiBudWxsKVxuICAgICAgICAgICAgLmZpbHRlcih4ID0+ICEheCksXG4gICAgICAgICk7XG4gICAgICB9IGVsc2Uge1xuICAgICAgICByZXR1cm4gRU1QVFk7XG4gICAgICB9XG4gICAgfSksXG4gICAgbWVyZ2VNYXAoKFtkZXBOYW1lLCBkZXBWZXJzaW9uXTogW3N0cmluZywgc3RyaW5nXSkgPT4ge1xuICAgICAgaWYgKCFwYWNrYWdlc1tkZXBOYW1lXSB8fCBwYWNrYWdlc1tkZXBOYW1lXSA9PT0gZGVwVmVyc2lvbikge1xuICAgICAgICByZXR1cm4gRU1QVFk7XG4gICAgICB9XG4gICAgICBpZiAoYWxsVmVyc2lvbnNbZGVwTmFtZV0gJiYgc2VtdmVyLmludGVyc2VjdHMoYWxsVmVyc2lvbnNbZGVwTmFtZV0sIGRlcFZlcnNpb24pKSB7XG4gICAgICAgIGFsbFZlcnNpb25zW2RlcE5hbWVdID0gc2VtdmVySW50ZXJzZWN0LmludGVyc2VjdChhbGxWZXJzaW9uc1tkZXBOYW1lXSwgZGVwVmVyc2lvbik7XG5cbiAgICAgICAgcmV0dXJuIEVNUFRZO1xuICAgICAgfVxuXG4gICAgICByZXR1cm4gX2dldE5wbVBhY2thZ2VKc29uKGRlcE5hbWUsIGxvZ2dlcikucGlwZShcbiAgICAgICAgbWFwKGpzb24gPT4gKHsgdmVyc2lvbjogcGFja2FnZXNbZGVwTmFtZV0sIGRlcE5hbWUsIGRlcFZlcnNpb24sIG5wbVBhY2thZ2VKc29uOiBqc29uIH0pKSxcbiAgICAgICk7XG4gICAgfSksXG4gICAgbWVyZ2VNYXAoKHt2ZXJzaW9uLCBkZXBOYW1lLCBkZXBWZXJzaW9uLCBucG1QYWNrYWdlSnNvbn0pID0+IHtcbiAgICAgIGNvbnN0IHVwZGF0ZVZlcnNpb24gPSBfZ2V0VmVyc2lvbkZyb21OcG1QYWNrYWdlKG5wbVBhY2thZ2VKc29uLCB2ZXJzaW9uLCBsb29zZSk7XG4gICAgICBjb25zdCBucG1QYWNrYWdlVmVyc2lvbnMgPSBPYmplY3Qua2V5cyhucG1QYWNrYWdlSnNvblsndmVyc2lvbnMnXSBhcyBKc29uT2JqZWN0KTtcbiAgICAgIGNvbnN0IG1hdGNoID0gc2VtdmVyLm1heFNhdGlzZnlpbmcobnBtUGFja2FnZVZlcnNpb25zLCB1cGRhdGVWZXJzaW9uKTtcbiAgICAgIGlmICghbWF0Y2gpIHtcbiAgICAgICAgcmV0dXJuIEVNUFRZO1xuICAgICAgfVxuICAgICAgaWYgKHNlbXZlci5sdChcbiAgICAgICAgc2VtdmVySW50ZXJzZWN0LnBhcnNlUmFuZ2UodXBkYXRlVmVyc2lvbikudmVyc2lvbixcbiAgICAgICAgc2VtdmVySW50ZXJzZWN0LnBhcnNlUmFuZ2UoZGVwVmVyc2lvbikudmVyc2lvbilcbiAgICAgICkge1xuICAgICAgICB0aHJvdyBuZXcgU2NoZW1hdGljc0V4Y2VwdGlvbihgQ2Fubm90IGRvd25ncmFkZSBwYWNrYWdlICR7XG4gICAgICAgICAgSlNPTi5zdHJpbmdpZnkoZGVwTmFtZSl9IGZyb20gdmVyc2lvbiBcIiR7ZGVwVmVyc2lvbn1cIiB0byBcIiR7dXBkYXRlVmVyc2lvbn1cIi5gLFxuICAgICAgICApO1xuICAgICAgfVxuXG4gICAgICBjb25zdCBpbm5lck5wbVBhY2thZ2VKc29uID0gKG5wbVBhY2thZ2VKc29uWyd2ZXJzaW9ucyddIGFzIEpzb25PYmplY3QpW21hdGNoXSBhcyBKc29uT2JqZWN0O1xuICAgICAgY29uc3QgZGVwZW5kZW5jaWVzOiB7IFtuYW1lOiBzdHJpbmddOiBzdHJpbmcgfSA9IHt9O1xuXG4gICAgICBjb25zdCBkZXBzID0gaW5uZXJOcG1QYWNrYWdlSnNvblsncGVlckRlcGVuZGVuY2llcyddIGFzIEpzb25PYmplY3Q7XG4gICAgICBpZiAoZGVwcykge1xuICAgICAgICBmb3IgKGNvbnN0IGRlcE5hbWUgb2YgT2JqZWN0LmtleXMoZGVwcykpIHtcbiAgICAgICAgICBkZXBlbmRlbmNpZXNbZGVwTmFtZV0gPSBkZXBzW2RlcE5hbWVdIGFzIHN0cmluZztcbiAgICAgICAgfVxuICAgICAgfVxuXG4gICAgICBsb2dnZXIuZGVidWcoYFJlY29yZGluZyB1cGRhdGUgZm9yICR7SlNPTi5zdHJpbmdpZnkoZGVwTmFtZSl9IHRvIHZlcnNpb24gJHt1cGRhdGVWZXJzaW9ufS5gKTtcblxuICAgICAgaWYgKGFsbFZlcnNpb25zW2RlcE5hbWVdKSB7XG4gICAgICAgIGlmICghc2VtdmVyLmludGVyc2VjdHMoYWxsVmVyc2lvbnNbZGVwTmFtZV0sIHVwZGF0ZVZlcnNpb24pKSB7XG4gICAgICAgICAgdGhyb3cgbmV3IFNjaGVtYXRpY3NFeGNlcHRpb24oXG4gICAgICAgICAgICAnQ2Fubm90IHVwZGF0ZSBzYWZlbHkgYmVjYXVzZSBwYWNrYWdlcyBoYXZlIGNvbmZsaWN0aW5nIGRlcGVuZGVuY2llcy4gUGFja2FnZSAnXG4gICAgICAgICAgICArIGAke2RlcE5hbWV9IHdvdWxkIG5lZWQgdG8gbWF0Y2ggYm90aCB2ZXJzaW9ucyBcIiR7dXBkYXRlVmVyc2lvbn1cIiBhbmQgYFxuICAgICAgICAgICAgKyBgXCIke2FsbFZlcnNpb25zW2RlcE5hbWVdfSwgd2hpY2ggYXJlIG5vdCBjb21wYXRpYmxlLmAsXG4gICAgICAgICAgKTtcbiAgICAgICAgfVxuXG4gICAgICAgIGFsbFZlcnNpb25zW2RlcE5hbWVdID0gc2VtdmVySW50ZXJzZWN0LmludGVyc2VjdChhbGxWZXJzaW9uc1tkZXBOYW1lXSwgdXBkYXRlVmVyc2lvbik7XG4gICAgICB9IGVsc2Uge1xuICAgICAgICBhbGxWZXJzaW9uc1tkZXBOYW1lXSA9IHVwZGF0ZVZlcnNpb247XG4gICAgICB9XG5cbiAgICAgIHJldHVybiBfZ2V0UmVjdXJzaXZlVmVyc2lvbnMoXG4gICAgICAgIHBhY2thZ2VKc29uLFxuICAgICAgICBkZXBlbmRlbmNpZXMsXG4gICAgICAgIGFsbFZlcnNpb25zLFxuICAgICAgICBsb2dnZXIsXG4gICAgICAgIGxvb3NlLFxuICAgICAgKTtcbiAgICB9KSxcbiAgKTtcbn1cblxuLyoqXG4gKiBVc2UgYSBSdWxlIHdoaWNoIGNhbiByZXR1cm4gYW4gb2JzZXJ2YWJsZSwgYnV0IGRvIG5vdCBhY3R1YWxseSBtb2RpZnkgdGhlIFRyZWUuXG4gKiBUaGlzIHJ1bGVzIHBlcmZvcm0gYW4gSFRUUFMgcmVxdWVzdCB0byBnZXQgdGhlIG5wbSByZWdpc3RyeSBwYWNrYWdlLmpzb24sIHRoZW4gcmVzb2x2ZSB0aGVcbiAqIHZlcnNpb24gZnJvbSB0aGUgb3B0aW9ucywgYW5kIHJlcGxhY2UgdGhlIHZlcnNpb24gaW4gdGhlIG9wdGlvbnMgYnkgYW4gYWN0dWFsIHZlcnNpb24uXG4gKiBAcGFyYW0gc3VwcG9ydGVkUGFja2FnZXMgQSBsaXN0IG9mIHBhY2thZ2VzIHRvIHVwZGF0ZSAoYXQgdGhlIHNhbWUgdmVyc2lvbikuXG4gKiBAcGFyYW0gbWF5YmVWZXJzaW9uIEEgdmVyc2lvbiB0byB1cGRhdGUgdGhvc2UgcGFja2FnZXMgdG8uXG4gKiBAcGFyYW0gbG9vc2UgV2hldGhlciB0byB1c2UgbG9vc2UgdmVyc2lvbiBvcGVyYXRvcnMgKGluc3RlYWQgb2Ygc3BlY2lmaWMgdmVyc2lvbnMpLlxuICogQHByaXZhdGVcbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIHVwZGF0ZVBhY2thZ2VKc29uKFxuICBzdXBwb3J0ZWRQYWNrYWdlczogc3RyaW5nW10sXG4gIG1heWJlVmVyc2lvbiA9ICdsYXRlc3QnLFxuICBsb29zZSA9IGZhbHNlLFxuKTogUnVsZSB7XG4gIGNvbnN0IHZlcnNpb24gPSBtYXliZVZlcnNpb24gPyBtYXliZVZlcnNpb24gOiAnbGF0ZXN0JztcbiAgLy8gVGhpcyB3aWxsIGJlIHVwZGF0ZWQgYXMgd2UgcmVhZCB0aGUgTlBNIHJlcG9zaXRvcnkuXG4gIGNvbnN0IGFsbFZlcnNpb25zOiB7IFtuYW1lOiBzdHJpbmddOiBzdHJpbmd9ID0ge307XG5cbiAgcmV0dXJuIGNoYWluKFtcbiAgICAodHJlZTogVHJlZSwgY29udGV4dDogU2NoZW1hdGljQ29udGV4dCk6IE9ic2VydmFibGU8VHJlZT4gPT4ge1xuICAgICAgY29uc3QgcGFja2FnZUpzb25Db250ZW50ID0gdHJlZS5yZWFkKCcvcGFja2FnZS5qc29uJyk7XG4gICAgICBpZiAoIXBhY2thZ2VKc29uQ29udGVudCkge1xuICAgICAgICB0aHJvdyBuZXcgU2NoZW1hdGljc0V4Y2VwdGlvbignQ291bGQgbm90IGZpbmQgcGFja2FnZS5qc29uLicpO1xuICAgICAgfVxuICAgICAgY29uc3QgcGFja2FnZUpzb24gPSBwYXJzZUpzb24ocGFja2FnZUpzb25Db250ZW50LnRvU3RyaW5nKCksIEpzb25QYXJzZU1vZGUuU3RyaWN0KTtcbiAgICAgIGlmIChwYWNrYWdlSnNvbiA9PT0gbnVsbCB8fCB0eXBlb2YgcGFja2FnZUpzb24gIT09ICdvYmplY3QnIHx8IEFycmF5LmlzQXJyYXkocGFja2FnZUpzb24pKSB7XG4gICAgICAgIHRocm93IG5ldyBTY2hlbWF0aWNzRXhjZXB0aW9uKCdDb3VsZCBub3QgcGFyc2UgcGFja2FnZS5qc29uLicpO1xuICAgICAgfVxuICAgICAgY29uc3QgcGFja2FnZXM6IHsgW25hbWU6IHN0cmluZ106IHN0cmluZyB9ID0ge307XG4gICAgICBmb3IgKGNvbnN0IG5hbWUgb2Ygc3VwcG9ydGVkUGFja2FnZXMpIHtcbiAgICAgICAgcGFja2FnZXNbbmFtZV0gPSB2ZXJzaW9uO1xuICAgICAgfVxuXG4gICAgICByZXR1cm4gY29uY2F0KFxuICAgICAgICBfZ2V0UmVjdXJzaXZlVmVyc2lvbnMocGFja2FnZUpzb24sIHBhY2thZ2VzLCBhbGxWZXJzaW9ucywgY29udGV4dC5sb2dnZXIsIGxvb3NlKS5waXBlKFxuICAgICAgICAgIGlnbm9yZUVsZW1lbnRzKCksXG4gICAgICAgICksXG4gICAgICAgIG9ic2VydmFibGVPZih0cmVlKSxcbiAgICAgICk7XG4gICAgfSxcbiAgICAodHJlZTogVHJlZSkgPT4ge1xuICAgICAgY29uc3QgcGFja2FnZUpzb25Db250ZW50ID0gdHJlZS5yZWFkKCcvcGFja2FnZS5qc29uJyk7XG4gICAgICBpZiAoIXBhY2thZ2VKc29uQ29udGVudCkge1xuICAgICAgICB0aHJvdyBuZXcgU2NoZW1hdGljc0V4Y2VwdGlvbignQ291bGQgbm90IGZpbmQgcGFja2FnZS5qc29uLicpO1xuICAgICAgfVxuICAgICAgY29uc3QgcGFja2FnZUpzb24gPSBwYXJzZUpzb24ocGFja2FnZUpzb25Db250ZW50LnRvU3RyaW5nKCksIEpzb25QYXJzZU1vZGUuU3RyaWN0KTtcbiAgICAgIGlmIChwYWNrYWdlSnNvbiA9PT0gbnVsbCB8fCB0eXBlb2YgcGFja2FnZUpzb24gIT09ICdvYmplY3QnIHx8IEFycmF5LmlzQXJyYXkocGFja2FnZUpzb24pKSB7XG4gICAgICAgIHRocm93IG5ldyBTY2hlbWF0aWNzRXhjZXB0aW9uKCdDb3VsZCBub3QgcGFyc2UgcGFja2FnZS5qc29uLicpO1xuICAgICAgfVxuXG4gICAgICBmb3IgKGNvbnN0IGZpZWxkIG9mIGtQYWNrYWdlSnNvbkRlcGVuZGVuY3lGaWVsZHMpIHtcbiAgICAgICAgY29uc3QgZGVwcyA9IHBhY2thZ2VKc29uW2ZpZWxkXTtcbiAgICAgICAgaWYgKCFkZXBzIHx8IHR5cGVvZiBkZXBzICE9PSAnb2JqZWN0JyB8fCBBcnJheS5pc0FycmF5KGRlcHMpKSB7XG4gICAgICAgICAgY29udGludWU7XG4gICAgICAgIH1cblxuICAgICAgICBmb3IgKGNvbnN0IGRlcE5hbWUgb2YgT2JqZWN0LmtleXMoZGVwcykpIHtcbiAgICAgICAgICBpZiAoYWxsVmVyc2lvbnNbZGVwTmFtZV0pIHtcbiAgICAgICAgICAgIGRlcHNbZGVwTmFtZV0gPSBhbGxWZXJzaW9uc1tkZXBOYW1lXTtcbiAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgIH1cblxuICAgICAgdHJlZS5vdmVyd3JpdGUoJy9wYWNrYWdlLmpzb24nLCBKU09OLnN0cmluZ2lmeShwYWNrYWdlSnNvbiwgbnVsbCwgMikgKyAnXFxuJyk7XG5cbiAgICAgIHJldHVybiB0cmVlO1xuICAgIH0sXG4gICAgKF90cmVlOiBUcmVlLCBjb250ZXh0OiBTY2hlbWF0aWNDb250ZXh0KSA9PiB7XG4gICAgICBjb250ZXh0LmFkZFRhc2sobmV3IE5vZGVQYWNrYWdlSW5zdGFsbFRhc2soKSk7XG4gICAgfSxcbiAgXSk7XG59XG4iXX0=
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibnBtLmpzIiwic291cmNlUm9vdCI6Ii4vIiwic291cmNlcyI6WyJwYWNrYWdlcy9zY2hlbWF0aWNzL3BhY2thZ2VfdXBkYXRlL3V0aWxpdHkvbnBtLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7O0FBUUEsMkRBTW9DO0FBQ3BDLDREQUE0RjtBQUM1RiwrQkFLYztBQUNkLDhDQVV3QjtBQUN4QixpQ0FBaUM7QUFFakMseUNBSW9CO0FBQ3BCLDJDQUtxQjtBQUNyQixtQ0FBd0M7QUFDeEMsaUNBT2dCO0FBQ2hCLHFDQUE0RTtBQUM1RSx5Q0FBc0U7QUFDdEUscUNBTWtCO0FBQ2xCLDJDQUtxQjtBQUVyQixNQUFNLDRCQUE0QixHQUFHO0lBQ25DLGNBQWM7SUFDZCxpQkFBaUI7SUFDakIsa0JBQWtCO0lBQ2xCLHNCQUFzQjtDQUN2QixDQUFDO0FBRUY7O0dBRUc7QUFDSCxNQUFNLDJCQUEyQixHQUFHLENBQUMsS0FBSyxFQUFFLE1BQU0sRUFBRSxNQUFNLENBQUMsQ0FBQztBQUU1RDs7R0FFRztBQUNILE1BQU0sZUFBZSxHQUF3QztJQUMzRCxPQUFPLEVBQUUsRUFBRTtJQUNYLEdBQUcsRUFBRSxHQUFHO0lBQ1IsR0FBRyxFQUFFLEdBQUc7SUFDUixJQUFJLEVBQUUsSUFBSTtDQUNYLENBQUM7QUE4QkY7Ozs7Ozs7R0FPRztBQUNILGtDQUNFLElBQWdCLEVBQ2hCLE9BQWUsRUFDZixLQUFjO0lBRWQsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLFdBQVcsQ0FBZSxDQUFDO0lBQ2pELEVBQUUsQ0FBQyxDQUFDLFFBQVEsSUFBSSxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ2xDLE1BQU0sQ0FBQztZQUNMLEtBQUssRUFBRSxLQUFLLFFBQVEsQ0FBQyxPQUFPLENBQUMsRUFBRTtZQUMvQixVQUFVLEVBQUUsUUFBUSxPQUFPLGVBQWUsUUFBUSxDQUFDLE9BQU8sQ0FBQyxHQUFHO1NBQy9ELENBQUM7SUFDSixDQUFDO0lBRUQsRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNoQyxNQUFNLElBQUksZ0NBQW1CLENBQUMsOEJBQThCLE9BQU8sSUFBSSxDQUFDLENBQUM7SUFDM0UsQ0FBQztJQUNELEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLElBQUksS0FBSyxDQUFDLENBQUMsQ0FBQztRQUNuQyxPQUFPLEdBQUcsR0FBRyxHQUFHLE9BQU8sQ0FBQztJQUMxQixDQUFDO0lBRUQsTUFBTSxlQUFlLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFlLENBQUMsQ0FBQztJQUNwRSxFQUFFLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxhQUFhLENBQUMsZUFBZSxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNwRCxNQUFNLElBQUksZ0NBQW1CLENBQzNCLFlBQVksT0FBTywyQ0FBMkMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQzdFLENBQUM7SUFDSixDQUFDO0lBRUQsTUFBTSxDQUFDLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxVQUFVLEVBQUUsMEJBQTBCLE9BQU8sR0FBRyxFQUFFLENBQUM7QUFDOUUsQ0FBQztBQUVEOzs7R0FHRztBQUNILDRCQUE0QixLQUFhO0lBQ3ZDLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDOUIsTUFBTSxDQUFDLElBQUksQ0FBQztJQUNkLENBQUM7SUFFRCx5RkFBeUY7SUFDekYsd0ZBQXdGO0lBQ3hGLElBQUksT0FBTyxHQUF5QixJQUFJLENBQUM7SUFDekMsR0FBRyxDQUFDLENBQUMsTUFBTSxXQUFXLElBQUksSUFBSSxNQUFNLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDdEQsTUFBTSxXQUFXLEdBQUcsV0FBVzthQUM1QixNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxZQUFZLE1BQU0sQ0FBQyxNQUFNLENBQUM7YUFDOUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO2FBQzNELEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUN0QixFQUFFLENBQUMsQ0FBQyxXQUFXLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDNUIsTUFBTSxDQUFDLElBQUksQ0FBQztRQUNkLENBQUM7UUFFRCxNQUFNLFVBQVUsR0FBRyxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDL0UsRUFBRSxDQUFDLENBQUMsQ0FBQyxPQUFPLElBQUksTUFBTSxDQUFDLEVBQUUsQ0FBQyxVQUFVLEVBQUUsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQy9DLE9BQU8sR0FBRyxVQUFVLENBQUM7UUFDdkIsQ0FBQztJQUNILENBQUM7SUFFRCxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7QUFDMUMsQ0FBQztBQUVEOzs7R0FHRztBQUNILHdCQUF3QixLQUFhO0lBQ25DLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDOUIsTUFBTSxDQUFDLEtBQUssQ0FBQztJQUNmLENBQUM7SUFFRCxNQUFNLENBQUMsSUFBSSxNQUFNLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLEVBQUUsQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxFQUFFO1FBQ25GLE1BQU0sQ0FBQyxVQUFVLENBQUMsTUFBTSxZQUFZLE1BQU0sQ0FBQyxNQUFNLElBQUksVUFBVSxDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQztJQUMvRixDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQ04sQ0FBQztBQUVEOzs7Ozs7Ozs7R0FTRztBQUNILDhCQUNFLElBQWdCLEVBQ2hCLFlBQWlDLEVBQ2pDLFVBQW9CO0lBRXBCLE1BQU0sUUFBUSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBZSxDQUFDLENBQUM7SUFFN0QsTUFBTSxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUU7UUFDdEMsRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUM5QixNQUFNLENBQUMsSUFBSSxDQUFDO1FBQ2QsQ0FBQztRQUNELE1BQU0sT0FBTyxHQUFHLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO1FBRWpFLE1BQU0sQ0FBQyxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUM7ZUFDcEIsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDekYsQ0FBQyxDQUFDLENBQUM7QUFDTCxDQUFDO0FBRUQ7Ozs7OztHQU1HO0FBQ0gsaUNBQWlDLFlBQTRDO0lBQzNFLE1BQU0sUUFBUSxHQUFhLEVBQUUsQ0FBQztJQUU5QixHQUFHLENBQUMsQ0FBQyxNQUFNLElBQUksSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUM3QyxNQUFNLE9BQU8sR0FBRyxZQUFZLENBQUMsSUFBSSxDQUFDLENBQUMsU0FBUyxDQUEyQixDQUFDO1FBQ3hFLE1BQU0sT0FBTyxHQUFHLE9BQU8sSUFBSSxPQUFPLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxRQUFRO1lBQzNELENBQUMsQ0FBQyxrQkFBa0IsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFXLENBQUM7WUFDL0MsQ0FBQyxDQUFDLElBQUksQ0FBQztRQUNULEVBQUUsQ0FBQyxDQUFDLE9BQU8sSUFBSSxRQUFRLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUMvQyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ3pCLENBQUM7SUFDSCxDQUFDO0lBRUQsTUFBTSxDQUFDLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7QUFDOUUsQ0FBQztBQUVEOzs7Ozs7O0dBT0c7QUFDSCxpQ0FDRSxZQUE0QztJQUU1QyxNQUFNLGFBQWEsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO0lBQ3hGLE1BQU0sWUFBWSxHQUE0QyxFQUFFLENBQUM7SUFFakUsR0FBRyxDQUFDLENBQUMsTUFBTSxJQUFJLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDN0MsR0FBRyxDQUFDLENBQUMsTUFBTSxLQUFLLElBQUksNEJBQTRCLENBQUMsQ0FBQyxDQUFDO1lBQ2pELE1BQU0sSUFBSSxHQUFHLFlBQVksQ0FBQyxJQUFJLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUN2QyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksSUFBSSxPQUFPLElBQUksS0FBSyxRQUFRLElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQzdELFFBQVEsQ0FBQztZQUNYLENBQUM7WUFFRCxHQUFHLENBQUMsQ0FBQyxNQUFNLE9BQU8sSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDeEMsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO2dCQUM1QixFQUFFLENBQUMsQ0FBQyxPQUFPLEtBQUssSUFBSSxRQUFRLElBQUksYUFBYSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7b0JBQ3JFLFlBQVksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxDQUFDLEVBQUUsRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUM7Z0JBQ3JGLENBQUM7WUFDSCxDQUFDO1FBQ0gsQ0FBQztJQUNILENBQUM7SUFFRCxNQUFNLENBQUMsWUFBWSxDQUFDO0FBQ3RCLENBQUM7QUFFRDs7Ozs7Ozs7Ozs7R0FXRztBQUNILDZCQUNFLE9BQWUsRUFDZixNQUFjLEVBQ2QsS0FBYSxFQUNiLGFBQXFCO0lBRXJCLE1BQU0sT0FBTyxHQUFHLE1BQU0sQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBQzVDLE1BQU0sYUFBYSxHQUFHLE9BQU8sQ0FBQyxLQUFLLENBQUMsbURBQW1ELENBQUMsQ0FBQztJQUV6RixFQUFFLENBQUMsQ0FBQyxNQUFNLElBQUksT0FBTyxDQUFDLENBQUMsQ0FBQztRQUN0QixNQUFNLENBQUMsTUFBTSxDQUFDO0lBQ2hCLENBQUM7SUFBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsYUFBYSxJQUFJLGVBQWUsQ0FBQyxDQUFDLENBQUM7UUFDNUMsTUFBTSxDQUFDLGVBQWUsQ0FBQyxhQUFhLENBQUMsR0FBRyxPQUFPLENBQUM7SUFDbEQsQ0FBQztJQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDO1FBQ3pCLE1BQU0sQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDO0lBQ3BDLENBQUM7SUFBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDakMsTUFBTSxDQUFDLE9BQU8sQ0FBQztJQUNqQixDQUFDO0lBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLElBQUksTUFBTSxDQUFDLFNBQVMsQ0FBQyxPQUFPLEVBQUUsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzVFLE1BQU0sQ0FBQyxPQUFPLENBQUM7SUFDakIsQ0FBQztJQUFDLElBQUksQ0FBQyxDQUFDO1FBQ04sNkRBQTZEO1FBQzdELE1BQU0sQ0FBQyxDQUFDLEtBQUssSUFBSSxrQkFBa0IsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsR0FBRyxPQUFPLENBQUM7SUFDNUQsQ0FBQztBQUNILENBQUM7QUFFRDs7Ozs7Ozs7OztHQVVHO0FBQ0gsZ0NBQ0UsS0FBZSxFQUNmLG1CQUE0RCxFQUM1RCxXQUF1QyxFQUN2QyxhQUFxQjtJQUVyQixNQUFNLE9BQU8sR0FBd0IsRUFBRSxDQUFDO0lBRXhDLEdBQUcsQ0FBQyxDQUFDLE1BQU0sSUFBSSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzVDLEdBQUcsQ0FBQyxDQUFDLE1BQU0sRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxJQUFJLG1CQUFtQixDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUM7WUFDckUsTUFBTSxNQUFNLEdBQUcsbUJBQW1CLENBQUMsS0FBSyxFQUFFLFdBQVcsQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUUsYUFBYSxDQUFDLENBQUM7WUFFbkYsRUFBRSxDQUFDLENBQUMsTUFBTSxLQUFLLEtBQUssQ0FBQyxDQUFDLENBQUM7Z0JBQ3JCLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUM7WUFDOUQsQ0FBQztRQUNILENBQUM7SUFDSCxDQUFDO0lBRUQsTUFBTSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0FBQy9FLENBQUM7QUFFRDs7Ozs7Ozs7OztHQVVHO0FBQ0gsNkJBQ0UsS0FBZSxFQUNmLG1CQUE0RCxFQUM1RCxhQUFvQyxFQUNwQyxNQUF5QjtJQUV6QixNQUFNLFFBQVEsR0FBbUMsRUFBRSxDQUFDO0lBQ3BELE1BQU0sSUFBSSxHQUFHLElBQUksR0FBRyxDQUFTLEtBQUssQ0FBQyxDQUFDO0lBQ3BDLE1BQU0sS0FBSyxHQUFHLENBQUMsSUFBWSxFQUFFLEVBQUUsQ0FBQyw0QkFBaUIsQ0FBQyxJQUFJLEVBQUUsYUFBYSxFQUFFLE1BQU0sQ0FBQyxDQUFDLElBQUksQ0FDakYsZUFBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQzlCLENBQUM7SUFFRixNQUFNLENBQUMsYUFBTSxDQUNYLFdBQWMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQ3hCLG9CQUFRLENBQUMsS0FBSyxDQUFDLEVBQ2Ysa0JBQU0sQ0FBQyxDQUFDLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUU7UUFDeEIsUUFBUSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQztRQUV0QixNQUFNLEtBQUssR0FBYSxFQUFFLENBQUM7UUFDM0IsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLFVBQVUsQ0FBZSxDQUFDO1FBQ2hELEdBQUcsQ0FBQyxDQUFDLE1BQU0sT0FBTyxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzVDLE1BQU0sSUFBSSxHQUFJLFFBQVEsQ0FBQyxPQUFPLENBQWdCLENBQUMsa0JBQWtCLENBQWUsQ0FBQztZQUNqRixHQUFHLENBQUMsQ0FBQyxNQUFNLE9BQU8sSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQzlDLEVBQUUsQ0FBQyxDQUFDLE9BQU8sSUFBSSxtQkFBbUIsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO29CQUN6RCxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDO29CQUNsQixLQUFLLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO2dCQUN0QixDQUFDO1lBQ0gsQ0FBQztRQUNILENBQUM7UUFFRCxNQUFNLENBQUMsV0FBYyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxvQkFBUSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7SUFDckQsQ0FBQyxDQUFDLEVBQ0YsMEJBQWMsRUFBRSxDQUNqQixFQUNELFNBQVksQ0FBQyxRQUFRLENBQUMsQ0FDdkIsQ0FBQztBQUNKLENBQUM7QUFFRDs7Ozs7Ozs7R0FRRztBQUNILDBCQUEwQixJQUFnQixFQUFFLE9BQWU7SUFDekQsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLFdBQVcsQ0FBZSxDQUFDO0lBQ2pELE1BQU0sUUFBUSxHQUFHLElBQUksQ0FBQyxVQUFVLENBQWUsQ0FBQztJQUNoRCxNQUFNLE1BQU0sR0FBRyxRQUFRLElBQUksUUFBUSxDQUFDLE9BQU8sQ0FBQztRQUMxQyxDQUFDLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBVztRQUM3QixDQUFDLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsSUFBSSxNQUFNLENBQUMsYUFBYSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLEVBQUUsT0FBTyxDQUFDLENBQUM7SUFDdkYsRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ2pDLE1BQU0sQ0FBQyxFQUFFLENBQUM7SUFDWixDQUFDO0lBRUQsTUFBTSxRQUFRLEdBQUksUUFBUSxDQUFDLE1BQU0sQ0FBZ0IsQ0FBQyxXQUFXLENBQUMsQ0FBQztJQUMvRCxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsSUFBSSxPQUFPLFFBQVEsSUFBSSxRQUFRLElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDeEUsTUFBTSxDQUFDLEVBQUUsQ0FBQztJQUNaLENBQUM7SUFFRCw0RUFBNEU7SUFDNUUsTUFBTSxZQUFZLEdBQUcsUUFBUSxDQUFDLGNBQWMsQ0FBQyxDQUFDO0lBQzlDLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ2hDLE1BQU0sQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksUUFBUSxDQUFhLENBQUM7SUFDcEUsQ0FBQztJQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxZQUFZLElBQUksT0FBTyxZQUFZLElBQUksUUFBUSxDQUFDLENBQUMsQ0FBQztRQUMzRCxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsQ0FBQztJQUNuQyxDQUFDO0lBQUMsSUFBSSxDQUFDLENBQUM7UUFDTixNQUFNLENBQUMsRUFBRSxDQUFDO0lBQ1osQ0FBQztBQUNILENBQUM7QUFFRDs7Ozs7Ozs7Ozs7Ozs7R0FjRztBQUNILDhCQUNFLFFBQW9DLEVBQ3BDLG1CQUE0RCxFQUM1RCxNQUFrQyxFQUNsQyxhQUFvQyxFQUNwQyxNQUF5QjtJQUV6QixNQUFNLGlCQUFpQixxQkFBUSxhQUFhLElBQUUsWUFBWSxFQUFFLElBQUksR0FBRSxDQUFDO0lBRW5FLE1BQU0sQ0FBQyxXQUFjLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLElBQUksbUJBQW1CLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FDM0Ysb0JBQVEsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLDRCQUFpQixDQUFDLElBQUksRUFBRSxpQkFBaUIsRUFBRSxNQUFNLENBQUMsQ0FBQyxJQUFJLENBQ3RFLGVBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUM5QixDQUFDLEVBQ0Ysa0JBQU0sQ0FDSixDQUFDLEdBQStCLEVBQUUsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFzQyxFQUFFLEVBQUU7UUFDdEYsR0FBRyxDQUFDLENBQUMsTUFBTSxNQUFNLElBQUksZ0JBQWdCLENBQUMsSUFBSSxFQUFFLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUM1RCxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxJQUFJLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxVQUFVLElBQUksQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLDZCQUE2QjtzQkFDdEUsR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztnQkFDaEMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQztnQkFDN0IsTUFBTSxDQUFDLE1BQU0sQ0FBQyxHQUFHLElBQUksQ0FBQztZQUN4QixDQUFDO1FBQ0gsQ0FBQztRQUVELE1BQU0sQ0FBQyxHQUFHLENBQUM7SUFDYixDQUFDLG9CQUNJLFFBQVEsRUFDZCxDQUNGLENBQUM7QUFDSixDQUFDO0FBRUQ7Ozs7Ozs7Ozs7Ozs7Ozs7R0FnQkc7QUFDSCx3QkFDRSxJQUFVLEVBQ1YsUUFBb0MsRUFDcEMsUUFBb0MsRUFDcEMsbUJBQTRELEVBQzVELE9BQStCLEVBQy9CLGFBQW9DLEVBQ3BDLE1BQXlCO0lBRXpCLE1BQU0sWUFBWSxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLG9DQUF3QixDQUFDLE1BQU0sRUFBRSxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUMxRixNQUFNLFVBQVUsR0FBRyxPQUFPLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxvQ0FBd0IsQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7SUFDbEYsTUFBTSxpQkFBaUIscUJBQVEsYUFBYSxJQUFFLFlBQVksRUFBRSxJQUFJLEdBQUUsQ0FBQztJQUVuRSx5RkFBeUY7SUFDekYsK0VBQStFO0lBQy9FLE1BQU0sS0FBSyxHQUFHO1FBQ1osR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQztRQUN4QixHQUFHLENBQUMsWUFBWSxJQUFJLFVBQVUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO2FBQ3pELE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLElBQUksUUFBUSxDQUFDLENBQUM7S0FDdkMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLElBQUksbUJBQW1CLENBQUMsQ0FBQztJQUU5QyxNQUFNLENBQUMsV0FBYyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FDL0IscUJBQVMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLDRCQUFpQixDQUFDLElBQUksRUFBRSxpQkFBaUIsRUFBRSxNQUFNLENBQUMsQ0FBQyxJQUFJLENBQ3ZFLGVBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRTtRQUNULE1BQU0sU0FBUyxHQUFHLCtCQUFtQixDQUNuQyxJQUFJLEVBQ0osSUFBSSxFQUNKLG1CQUFtQixDQUFDLElBQUksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsQ0FDaEQsQ0FBQztRQUNGLE1BQU0sTUFBTSxHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsSUFBSSxTQUFTLENBQUM7UUFDM0MsTUFBTSxXQUFXLEdBQUcsSUFBSSxJQUFJLFFBQVEsQ0FBQztRQUNyQyxNQUFNLElBQUksR0FBRyxDQUFDLFdBQVcsSUFBSSxZQUFZLENBQUMsSUFBSSxTQUFTLENBQUM7UUFDeEQsTUFBTSxFQUFFLEdBQUcsQ0FBQyxXQUFXLElBQUksVUFBVSxDQUFDLElBQUksTUFBTSxDQUFDO1FBQ2pELE1BQU0sVUFBVSxHQUFHLE1BQU0sSUFBSSxrQ0FBc0IsQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFDbEUsRUFBRSxDQUFDLENBQUMsQ0FBQyxVQUFVLElBQUksQ0FBQyxJQUFJLElBQUksQ0FBQyxFQUFFLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDeEQsTUFBTSxDQUFDLElBQUksQ0FBQztRQUNkLENBQUM7UUFDRCxNQUFNLENBQUMsS0FBSyxDQUFDLDJCQUEyQixJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxTQUFTLElBQUksT0FBTyxFQUFFLEdBQUcsQ0FBQyxDQUFDO1FBRXZGLE1BQU0sQ0FBQyxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsQ0FBQztJQUNqRCxDQUFDLENBQUMsQ0FDSCxDQUFDLEVBQ0Ysa0JBQU0sQ0FBQyxDQUFDLFNBQVMsRUFBaUMsRUFBRSxDQUFDLFNBQVMsS0FBSyxJQUFJLENBQUMsRUFDeEUsbUJBQU8sRUFBRSxDQUNWLENBQUM7QUFDSixDQUFDO0FBRUQ7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7Ozs7O0dBMEJHO0FBQ0gsMEJBQ0UsbUJBQTRELEVBQzVELFFBQW9DLEVBQ3BDLE1BQWtDLEVBQ2xDLFFBQXdDLEVBQ3hDLFdBQXVDLEVBQ3ZDLE9BQW9ELEVBQ3BELE1BQW9CLEVBQ3BCLE9BQXlCLEVBQ3pCLE1BQXlCLEVBQ3pCLEtBQWM7SUFFZCxNQUFNLEtBQUssR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRTtRQUNoRCxNQUFNLENBQUMsSUFBSSxJQUFJLG1CQUFtQjtlQUM3QixtQkFBbUIsQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsS0FBSyxLQUFLLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBQzNFLENBQUMsQ0FBQyxDQUFDO0lBRUgsTUFBTSxjQUFjLEdBQTZDLEVBQUUsQ0FBQztJQUNwRSxNQUFNLGVBQWUsR0FBeUMsRUFBRSxDQUFDO0lBQ2pFLE1BQU0sVUFBVSxHQUFHLENBQUMsSUFBWSxFQUF3QixFQUFFO1FBQ3hELEVBQUUsQ0FBQyxDQUFDLElBQUksSUFBSSxjQUFjLENBQUMsQ0FBQyxDQUFDO1lBQzNCLE1BQU0sQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDOUIsQ0FBQztRQUVELE1BQU0sSUFBSSxHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUM1QixFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksSUFBSSxDQUFDLENBQUMsSUFBSSxJQUFJLG1CQUFtQixDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzVDLE1BQU0sQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDO1FBQ3JDLENBQUM7UUFFRCxNQUFNLFFBQVEsR0FBRyxJQUFJLENBQUMsVUFBVSxDQUFlLENBQUM7UUFDaEQsTUFBTSxZQUFZLEdBQXdCLEVBQUUsQ0FBQztRQUM3QyxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUM5QixZQUFZLENBQUMsSUFBSSxDQUFDLHdCQUF3QixDQUFDLElBQUksRUFBRSxRQUFRLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUMzRSxDQUFDO1FBQ0QsR0FBRyxDQUFDLENBQUMsTUFBTSxFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsSUFBSSxtQkFBbUIsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDeEQsTUFBTSxPQUFPLEdBQUcsa0JBQWtCLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDMUMsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztnQkFDWixZQUFZLENBQUMsSUFBSSxDQUFDO29CQUNoQixLQUFLLEVBQUUsS0FBSyxPQUFPLEVBQUU7b0JBQ3JCLFVBQVUsRUFBRSxzQkFBc0IsS0FBSyxRQUFRLElBQUksOEJBQThCO29CQUNqRixpQkFBaUIsRUFBRSxJQUFJO2lCQUN4QixDQUFDLENBQUM7WUFDTCxDQUFDO1FBQ0gsQ0FBQztRQUVELE1BQU0sYUFBYSxHQUFHLFlBQVksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxjQUFjLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDO2VBQ3BFLG1CQUFtQixDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLGNBQWMsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDbkUsQ0FBQyxtQkFBTSxNQUFNLElBQUUsZUFBZSxFQUFFLElBQUksSUFDcEMsQ0FBQyxDQUFDLE1BQU0sQ0FBQztRQUNYLE1BQU0sZ0JBQWdCLHFCQUFRLGFBQWEsSUFBRSxlQUFlLEVBQUUsSUFBSSxHQUFFLENBQUM7UUFDckUsTUFBTSxVQUFVLEdBQWEsRUFBRSxDQUFDO1FBQ2hDLE1BQU0sV0FBVyxHQUFhLEVBQUUsQ0FBQztRQUNqQyxlQUFlLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDO1FBQzNCLE1BQU0sY0FBYyxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDaEcsMkZBQTJGO1FBQzNGLHFEQUFxRDtRQUNyRCxNQUFNLE9BQU8sR0FBRyxtQkFBbUIsQ0FBQyxJQUFJLENBQUM7YUFDdEMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLElBQUksTUFBTSxDQUFDLGFBQWEsQ0FBQyxjQUFjLEVBQUUsR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQzNGLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBZSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQzthQUMvQixJQUFJLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBdUIsQ0FBQztRQUNsRCxHQUFHLENBQUMsQ0FBQyxNQUFNLE9BQU8sSUFBSSxjQUFjLENBQUMsQ0FBQyxDQUFDO1lBQ3JDLE1BQU0sTUFBTSxHQUFHLE9BQU8sSUFBSSxNQUFNLENBQUMsR0FBRyxDQUFDLE9BQU8sRUFBRSxPQUFPLENBQUM7Z0JBQ3BELENBQUMsQ0FBQyxJQUFJO2dCQUNOLENBQUMsQ0FBQywyQkFBa0IsQ0FBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLGFBQWEsQ0FBQyxDQUFDO1lBQ3JELEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztnQkFDWixVQUFVLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO2dCQUN6QixRQUFRLENBQUM7WUFDWCxDQUFDO1lBQ0QsZUFBZSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsTUFBTSxFQUFFLENBQUMsQ0FBQztZQUV0RCw4RUFBOEU7WUFDOUUsRUFBRSxDQUFDLENBQUMsQ0FBQywyQkFBa0IsQ0FBQyxJQUFJLEVBQUUsT0FBTyxFQUFFLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUN6RCxVQUFVLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO2dCQUN6QixXQUFXLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1lBQzVCLENBQUM7UUFDSCxDQUFDO1FBRUQsMEZBQTBGO1FBQzFGLDRFQUE0RTtRQUM1RSxNQUFNLFNBQVMsR0FBRyxDQUFDLENBQVMsRUFBRSxFQUFFLENBQUMsbUJBQW1CLENBQUMsSUFBSSxDQUFDLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFO1lBQ3JFLE1BQU0sQ0FBQyxDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxJQUFJLE1BQU0sQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUN6RSxDQUFDLENBQUMsQ0FBQztRQUNILE1BQU0sZ0JBQWdCLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7WUFDaEQsQ0FBQyxDQUFDLFVBQVU7WUFDWixDQUFDLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLEVBQUUsR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBRWhGLE1BQU0sR0FBRyxHQUFrQjtZQUN6QixVQUFVLEVBQUUsZ0JBQWdCO1lBQzVCLFdBQVc7WUFDWCxRQUFRLEVBQUUsZUFBZSxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLFdBQVcsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1lBQ2pGLFlBQVk7WUFDWixnQkFBZ0IsRUFBRSxPQUFPLENBQUMsRUFBRTtnQkFDMUIsTUFBTSxJQUFJLEdBQUksUUFBUSxDQUFDLE9BQU8sQ0FBZ0IsQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDO2dCQUVuRSxNQUFNLENBQUMsQ0FBQyxJQUFJLElBQUksRUFBRSxDQUErQixDQUFDO1lBQ3BELENBQUM7U0FDRixDQUFDO1FBRUYsTUFBTSxPQUFPLEdBQUcsZUFBZSxDQUFDLElBQUksQ0FBQzthQUNsQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsNkJBQW9CLENBQUMsQ0FBQyxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDaEYsTUFBTSxhQUFhLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLDhCQUFxQixDQUFDLEdBQUcsRUFBRSxDQUFDLEVBQUUsWUFBWSxDQUFDLENBQUMsQ0FBQztRQUN4RixFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsYUFBYSxJQUFJLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN0RSxNQUFNLElBQUksZ0NBQW1CLENBQzNCLGlCQUFpQixJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxjQUFjLFFBQVEsQ0FBQyxJQUFJLENBQUMsc0JBQXNCO2tCQUNyRixrQkFBa0I7a0JBQ2xCLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxPQUFPLEtBQUssQ0FBQyxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUM3RCxDQUFDO1FBQ0osQ0FBQztRQUVELE1BQU0sQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLEdBQUcsR0FBRyxDQUFDO0lBQ3BDLENBQUMsQ0FBQztJQUVGLE1BQU0sUUFBUSxHQUFHLHNCQUFhLENBQUMsS0FBSyxFQUFFLFVBQVUsQ0FBQyxDQUFDO0lBRWxELHdGQUF3RjtJQUN4Rix1QkFBdUI7SUFDdkIsTUFBTSxVQUFVLEdBQWlDLEVBQUUsQ0FBQztJQUNwRCxNQUFNLEtBQUssR0FBRyxDQUFDLEdBQUcsS0FBSyxDQUFDLENBQUM7SUFDekIsR0FBRyxDQUFDLENBQUMsTUFBTSxJQUFJLElBQUksS0FBSyxDQUFDLENBQUMsQ0FBQztRQUN6QixNQUFNLEtBQUssR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDM0IsT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQztRQUNuQixFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1lBQ1YsTUFBTSxPQUFPLEdBQUcsUUFBUSxDQUFDLEtBQUssQ0FBQyxJQUFJLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNuRCxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLFFBQVEsQ0FBQyxLQUFLLENBQUMsRUFBRSxZQUFZLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztRQUMzRixDQUFDO0lBQ0gsQ0FBQztJQUNELE9BQU8sS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsQ0FBQztRQUN4QixNQUFNLElBQUksR0FBRyxLQUFLLENBQUMsS0FBSyxFQUFZLENBQUM7UUFDckMsTUFBTSxLQUFLLEdBQUksVUFBVSxDQUFDLElBQUksQ0FBbUIsQ0FBQyxnQkFBZ0IsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUVuRixHQUFHLENBQUMsQ0FBQyxNQUFNLE9BQU8sSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN6QyxFQUFFLENBQUMsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQztnQkFDcEMsUUFBUSxDQUFDO1lBQ1gsQ0FBQztZQUNELFVBQVUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxDQUFDLEVBQUUsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7WUFDdkUsRUFBRSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUN0QixPQUFPLENBQUMsT0FBTyxDQUFDLEdBQUc7b0JBQ2pCLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxRQUFRLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssQ0FBQyxPQUFPLENBQUMsRUFBRTtvQkFDeEQsR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDO2lCQUNqQixDQUFDO2dCQUNGLEtBQUssQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7WUFDdEIsQ0FBQztRQUNILENBQUM7SUFDSCxDQUFDO0lBRUQsR0FBRyxDQUFDLENBQUMsTUFBTSxJQUFJLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDekMsTUFBTSxHQUFHLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBa0IsQ0FBQztRQUM5QyxJQUFJLEtBQUssR0FBRyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDM0IsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDOUIseUVBQXlFO1lBQ3pFLE1BQU0sV0FBVyxHQUFHLHdCQUF3QixDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsRUFBRSxRQUFRLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7WUFDcEYsTUFBTSxhQUFhLEdBQUcsV0FBVyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsWUFBWSxDQUFDLENBQUM7WUFDNUQsRUFBRSxDQUFDLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQztnQkFDbEIsS0FBSyxHQUFHLGFBQWEsQ0FBQyxDQUFDLENBQUMsR0FBRyxLQUFLLENBQUM7WUFDbkMsQ0FBQztZQUVELE1BQU0sTUFBTSxHQUFHLEdBQUcsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsOEJBQXFCLENBQUMsR0FBRyxFQUFFLENBQUMsRUFBRSxHQUFHLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQztZQUN6RixFQUFFLENBQUMsQ0FBQyxNQUFNLElBQUksTUFBTSxLQUFLLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQ3hDLE1BQU0sQ0FBQyxJQUFJLENBQUMsU0FBUyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxZQUFZLFFBQVEsQ0FBQyxJQUFJLENBQUMsZUFBZSxNQUFNLElBQUk7c0JBQ3hGLDJDQUEyQyxDQUFDLENBQUM7WUFDbkQsQ0FBQztRQUNILENBQUM7UUFBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsb0JBQW9CLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxFQUFFLG1CQUFtQixDQUFDLElBQUksQ0FBQyxFQUFFLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUM3RixPQUFPLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUN0QixRQUFRLENBQUM7UUFDWCxDQUFDO1FBRUQsTUFBTSxDQUFDLEtBQUssQ0FBQyx3QkFBd0IsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsZUFBZSxLQUFLLEdBQUcsQ0FBQyxDQUFDO1FBQ2xGLFdBQVcsQ0FBQyxJQUFJLENBQUMsR0FBRyxLQUFLLENBQUM7UUFFMUIsMkVBQTJFO1FBQzNFLEdBQUcsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLGVBQWUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDdEMsTUFBTSxPQUFPLEdBQUcsTUFBTSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsT0FBTyxFQUFFLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1lBQ3JELEVBQUUsQ0FBQyxDQUFDLE9BQU8sSUFBSSxHQUFHLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLDZCQUFvQixDQUFDLENBQUMsQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQ25GLE1BQU0sQ0FBQyxJQUFJLENBQUMsV0FBVyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsQ0FBQyxPQUFPLEtBQUssQ0FBQyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7Z0JBQ2xGLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDbEIsQ0FBQztRQUNILENBQUM7SUFDSCxDQUFDO0lBRUQsTUFBTSxDQUFDLFFBQVEsQ0FBQztBQUNsQixDQUFDO0FBRUQ7Ozs7Ozs7Ozs7OztHQVlHO0FBQ0gsa0NBQ0UsUUFBb0MsRUFDcEMsUUFBd0MsRUFDeEMsbUJBQTRELEVBQzVELGFBQXVCO0lBRXZCLE1BQU0sTUFBTSxHQUE0QyxFQUFFLENBQUM7SUFFM0QsR0FBRyxDQUFDLENBQUMsTUFBTSxJQUFJLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDekMsTUFBTSxRQUFRLEdBQUcsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLFVBQVUsQ0FBZSxDQUFDO1FBQzFELE1BQU0sV0FBVyxHQUFHLFFBQVEsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQWUsQ0FBQztRQUMzRCxNQUFNLEtBQUssR0FBRyxDQUFDLFdBQVcsQ0FBQyxrQkFBa0IsQ0FBQyxJQUFJLEVBQUUsQ0FBZSxDQUFDO1FBQ3BFLE1BQU0sU0FBUyxHQUFHLENBQUMsV0FBVyxDQUFDLHNCQUFzQixDQUFDLElBQUksRUFBRSxDQUFlLENBQUM7UUFFNUUsR0FBRyxDQUFDLENBQUMsTUFBTSxJQUFJLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDdEMsTUFBTSxLQUFLLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQzFCLE1BQU0sSUFBSSxHQUFHLFNBQVMsQ0FBQyxJQUFJLENBQTJCLENBQUM7WUFDdkQsRUFBRSxDQUFDLENBQUMsT0FBTyxLQUFLLElBQUksUUFBUSxJQUFJLElBQUksSUFBSSxtQkFBbUI7bUJBQ3BELGFBQWEsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLElBQUksSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUN2RSxRQUFRLENBQUM7WUFDWCxDQUFDO1lBRUQsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFBRSxDQUFDO1lBQzlELE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxRQUFRLENBQUMsSUFBSSxDQUFDLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQztRQUN6RSxDQUFDO0lBQ0gsQ0FBQztJQUVELE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0FBQ3ZELENBQUM7QUFFRDs7Ozs7Ozs7Ozs7Ozs7Ozs7R0FpQkc7QUFDSCw4QkFDRSxNQUE2QixFQUM3QixtQkFBNEQsRUFDNUQsT0FBb0QsRUFDcEQsTUFBb0IsRUFDcEIsYUFBcUIsRUFDckIsYUFBb0MsRUFDcEMsTUFBeUI7SUFFekIsTUFBTSxDQUFDLFdBQWMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxJQUFJLENBQ2hDLG9CQUFRLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyw0QkFBaUIsQ0FBQyxLQUFLLENBQUMsSUFBSSxFQUFFLGFBQWEsRUFBRSxNQUFNLENBQUMsQ0FBQyxJQUFJLENBQ3pFLGVBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLElBQXlCLEVBQUUsQ0FBQyxDQUFDLEVBQ3pELHNCQUFVLENBQUMsR0FBRyxDQUFDLEVBQUU7UUFDZixNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUV6QixNQUFNLENBQUMsU0FBWSxDQUFDLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQzdDLENBQUMsQ0FBQyxDQUNILEVBQUUsQ0FBQyxDQUFDLEVBQ0wsbUJBQU8sRUFBRSxFQUNULGVBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRTtRQUNaLE1BQU0sT0FBTyxHQUF3QixFQUFFLENBQUM7UUFDeEMsTUFBTSxTQUFTLEdBQTBCLEVBQUUsQ0FBQztRQUU1QyxHQUFHLENBQUMsQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxJQUFJLE9BQU8sQ0FBQyxDQUFDLENBQUM7WUFDdEMsTUFBTSxNQUFNLEdBQUcsS0FBSyxDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDdEQsTUFBTSxVQUFVLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUM7Z0JBQzVDLENBQUMsbUJBQU0sTUFBTSxJQUFFLGVBQWUsRUFBRSxJQUFJLElBQ3BDLENBQUMsQ0FBQyxNQUFNLENBQUM7WUFDWCxNQUFNLE9BQU8sR0FBRyxJQUFJLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFlLENBQUM7aUJBQ2hFLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7aUJBQzVCLElBQUksQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDO2lCQUNyQixJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7bUJBQ3ZELENBQUMsMkJBQWtCLENBQUMsSUFBSSxFQUFFLENBQUMsRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFDO1lBQ2pELEVBQUUsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztnQkFDYixTQUFTLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUN0QixRQUFRLENBQUM7WUFDWCxDQUFDO1lBRUQsaUZBQWlGO1lBQ2pGLE1BQU0sTUFBTSxHQUErQixFQUFFLENBQUM7WUFDOUMsR0FBRyxDQUFDLENBQUMsTUFBTSxHQUFHLElBQUksS0FBSyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUM7Z0JBQ25DLEdBQUcsQ0FBQyxDQUFDLE1BQU0sRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLElBQUksbUJBQW1CLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUM7b0JBQ2xFLE1BQU0sS0FBSyxHQUFHLDRCQUE0QixDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQztvQkFDMUQsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksSUFBSSxNQUFNLENBQUMsSUFBSSxLQUFLLEdBQUcsNEJBQTRCLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQzt3QkFDcEYsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLEtBQUssQ0FBQztvQkFDdkIsQ0FBQztnQkFDSCxDQUFDO1lBQ0gsQ0FBQztZQUNELEdBQUcsQ0FBQyxDQUFDLE1BQU0sSUFBSSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUN2QyxNQUFNLE1BQU0sR0FBRyxtQkFBbUIsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsT0FBTyxFQUFFLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxhQUFhLENBQUMsQ0FBQztnQkFDcEYsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxLQUFLLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLENBQUMsQ0FBQztZQUN2RixDQUFDO1lBRUQsTUFBTSxDQUFDLElBQUksQ0FBQywwQkFBMEIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLGVBQWUsT0FBTyxJQUFJO2tCQUN0RixlQUFlLEtBQUssQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7WUFDcEUsT0FBTyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLEVBQUUsR0FBRyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDNUYsQ0FBQztRQUVELE1BQU0sQ0FBQyxFQUFFLE9BQU8sRUFBRSxNQUFNLEVBQUUsU0FBUyxFQUFFLENBQUM7SUFDeEMsQ0FBQyxDQUFDLENBQ0gsQ0FBQztBQUNKLENBQUM7QUFFRDs7Ozs7Ozs7Ozs7O0dBWUc7QUFDSCx3QkFDRSxRQUFvQyxFQUNwQyxPQUErQixFQUMvQixNQUFxQjtJQUVyQixNQUFNLEtBQUssR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQztJQUM5QixNQUFNLGFBQWEsR0FBRyxPQUFPLENBQUMsYUFBYSxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBRXRFLE1BQU0sQ0FBQyxDQUFDLElBQVUsRUFBRSxPQUF5QixFQUFvQixFQUFFO1FBQ2pFLE1BQU0sWUFBWSxHQUFtQyxFQUFFLENBQUM7UUFDeEQsTUFBTSxLQUFLLEdBQUcsZ0NBQW9CLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDO1FBQ25FLEdBQUcsQ0FBQyxDQUFDLE1BQU0sSUFBSSxJQUFJLEtBQUssQ0FBQyxDQUFDLENBQUM7WUFDekIsWUFBWSxDQUFDLElBQUksQ0FBQyxHQUFHLDJCQUFlLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxDQUFDO1FBQ25ELENBQUM7UUFDRCxNQUFNLG1CQUFtQixHQUFHLHVCQUF1QixDQUFDLFlBQVksQ0FBQyxDQUFDO1FBQ2xFLE1BQU0sYUFBYSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDO2FBQzVDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQzthQUN2QyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxPQUFPLElBQUksSUFBSSxRQUFRLENBQWEsQ0FBQztRQUN2RCxNQUFNLGFBQWEsR0FBMEI7WUFDM0MsU0FBUyxFQUFFLHFCQUFhLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxRQUFRLENBQUM7WUFDaEQsT0FBTyxFQUFFLE9BQU8sQ0FBQyxPQUFPO1lBQ3hCLE9BQU8sRUFBRSxPQUFPLENBQUMsT0FBTztZQUN4QixPQUFPLEVBQUUsT0FBTyxDQUFDLE9BQU87WUFDeEIsbURBQW1EO1lBQ25ELFlBQVksRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLGlCQUFpQjtTQUMxQyxDQUFDO1FBQ0YsTUFBTSxNQUFNLEdBQWlCO1lBQzNCLGlCQUFpQixFQUFFLE9BQU8sQ0FBQyxpQkFBaUIsS0FBSyxLQUFLO1lBQ3RELFlBQVksRUFBRSxPQUFPLENBQUMsWUFBWSxLQUFLLEtBQUssQ0FBQyxDQUFDLENBQUMsdUJBQXVCLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUU7WUFDekYsZUFBZSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsZUFBZTtZQUMxQyxpQkFBaUIsRUFBRSxPQUFPLENBQUMsaUJBQWlCLElBQUksQ0FBQztZQUNqRCxHQUFHLEVBQUUsSUFBSSxDQUFDLEdBQUcsRUFBRTtTQUNoQixDQUFDO1FBQ0YsTUFBTSxXQUFXLEdBQStCLEVBQUUsQ0FBQztRQUNuRCxNQUFNLE1BQU0sR0FBK0IsRUFBRSxDQUFDO1FBRTlDLE1BQU0sQ0FBQyxvQkFBb0IsQ0FDekIsUUFBUSxFQUNSLG1CQUFtQixFQUNuQixNQUFNLEVBQ04sYUFBYSxFQUNiLE9BQU8sQ0FBQyxNQUFNLENBQ2YsQ0FBQyxJQUFJLENBQ0osb0JBQVEsQ0FBQyxnQkFBZ0IsQ0FBQyxFQUFFLENBQUMsbUJBQW1CLENBQzlDLE1BQU0sQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLElBQUksbUJBQW1CLENBQUMsRUFDekUsbUJBQW1CLEVBQ25CLGFBQWEsRUFDYixPQUFPLENBQUMsTUFBTSxDQUNmLENBQUMsSUFBSSxDQUNKLG9CQUFRLENBQUMsUUFBUSxDQUFDLEVBQUU7WUFDbEIsTUFBTSxRQUFRLEdBQUcsZ0JBQWdCLENBQy9CLG1CQUFtQixFQUNuQixnQkFBZ0IsRUFDaEIsTUFBTSxFQUNOLFFBQVEsRUFDUixXQUFXLEVBQ1gsTUFBTSxDQUFDLE9BQU8sRUFDZCxNQUFNLEVBQ04sTUFBTSxDQUFDLE9BQU8sRUFDZCxPQUFPLENBQUMsTUFBTSxFQUNkLEtBQUssQ0FDTixDQUFDO1lBQ0YsTUFBTSxDQUFDLE9BQU8sR0FBRyxzQkFBc0IsQ0FDckMsS0FBSyxFQUNMLG1CQUFtQixFQUNuQixXQUFXLEVBQ1gsYUFBYSxDQUNkLENBQUM7WUFDRixNQUFNLENBQUMsVUFBVSxHQUFHLHdCQUF3QixDQUMxQyxRQUFRLEVBQ1IsUUFBUSxFQUNSLG1CQUFtQixFQUNuQixhQUFhLENBQ2QsQ0FBQztZQUNGLGlGQUFpRjtZQUNqRiwyQkFBMkI7WUFDM0IsTUFBTSxVQUFVLEdBQUcsY0FBYyxDQUMvQixJQUFJLEVBQ0osUUFBUSxFQUNSLFFBQVEsRUFDUixtQkFBbUIsRUFDbkIsT0FBTyxFQUNQLGFBQWEsRUFDYixPQUFPLENBQUMsTUFBTSxDQUNmLENBQUMsSUFBSSxDQUNKLGVBQUcsQ0FBQyxpQkFBaUIsQ0FBQyxFQUFFO2dCQUN0QixNQUFNLENBQUMsVUFBVSxHQUFHLGlCQUFpQixDQUFDO2dCQUV0QyxNQUFNLENBQUMsSUFBSSxDQUFDO1lBQ2QsQ0FBQyxDQUFDLENBQ0gsQ0FBQztZQUNGLEVBQUUsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLGVBQWUsSUFBSSxNQUFNLENBQUMsVUFBVSxDQUFDLE1BQU0sSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUM5RCxNQUFNLENBQUMsVUFBVSxDQUFDO1lBQ3BCLENBQUM7WUFFRCxNQUFNLENBQUMsb0JBQW9CLENBQ3pCLE1BQU0sQ0FBQyxVQUFVLEVBQ2pCLG1CQUFtQixFQUNuQixNQUFNLENBQUMsT0FBTyxFQUNkLE1BQU0sRUFDTixhQUFhLEVBQ2IsYUFBYSxFQUNiLE9BQU8sQ0FBQyxNQUFNLENBQ2YsQ0FBQyxJQUFJLENBQ0osb0JBQVEsQ0FBQyxLQUFLLENBQUMsRUFBRTtnQkFDZixNQUFNLENBQUMsT0FBTyxHQUFHLENBQUMsR0FBRyxNQUFNLENBQUMsT0FBTyxFQUFFLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQztxQkFDbkQsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztnQkFDakUsTUFBTSxDQUFDLFVBQVUsR0FBRyxLQUFLLENBQUMsTUFBTSxDQUFDO2dCQUVqQyxNQUFNLENBQUMsVUFBVSxDQUFDO1lBQ3BCLENBQUMsQ0FBQyxDQUNILENBQUM7UUFDSixDQUFDLENBQUMsQ0FDSCxDQUFDLENBQ0gsQ0FBQztJQUNKLENBQUMsQ0FBQztBQUNKLENBQUM7QUFFRDs7Ozs7Ozs7R0FRRztBQUNILHNCQUFzQixPQUErQixFQUFFLE1BQXFCO0lBQzFFLE1BQU0sUUFBUSxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDO0lBQ3BDLE1BQU0sVUFBVSxHQUFHLE9BQU8sQ0FBQyxVQUFVLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUM7SUFFaEYsTUFBTSxDQUFDLENBQUMsSUFBVSxFQUFFLE9BQXlCLEVBQUUsRUFBRTtRQUMvQyxHQUFHLENBQUMsQ0FBQyxNQUFNLEtBQUssSUFBSSxNQUFNLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQztZQUN0QyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxzQkFBZSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7UUFDOUMsQ0FBQztRQUVELEVBQUUsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUM7WUFDZixNQUFNLElBQUksR0FBRyx1QkFBZ0IsQ0FDM0IsTUFBTSxDQUFDLE9BQU8sRUFDZCxNQUFNLENBQUMsT0FBTyxFQUNkLE1BQU0sQ0FBQyxPQUFPLEVBQ2QsTUFBTSxDQUFDLFVBQVUsQ0FDbEIsQ0FBQztZQUNGLHNCQUFlLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxVQUFVLENBQUMsQ0FBQztZQUN4QyxFQUFFLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO2dCQUNiLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLHVCQUFnQixDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7Z0JBRTVDLE1BQU0sQ0FBQyxJQUFJLENBQUM7WUFDZCxDQUFDO1FBQ0gsQ0FBQztRQUVELG1DQUF1QixDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUM7UUFFOUMsTUFBTSxDQUFDLElBQUksQ0FBQztJQUNkLENBQUMsQ0FBQztBQUNKLENBQUM7QUFFRDs7Ozs7Ozs7OztHQVVHO0FBQ0gsd0JBQXdCLE9BQStCLEVBQUUsTUFBcUI7SUFDNUUsTUFBTSxDQUFDLENBQUMsSUFBVSxFQUFFLE9BQXlCLEVBQUUsRUFBRTtRQUMvQyxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztZQUNyQixNQUFNLENBQUM7UUFDVCxDQUFDO1FBQ0QsTUFBTSxjQUFjLEdBQUcsK0JBQW9CLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxjQUFjLENBQUMsQ0FBQztRQUMxRSxNQUFNLFVBQVUsR0FBRyxDQUFDLGNBQWM7ZUFDN0IsMkJBQTJCLENBQUMsT0FBTyxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBRS9ELEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxXQUFXLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDO1lBQ3ZDLE1BQU0sZUFBZSxHQUFHLGNBQWMsSUFBSSxLQUFLLENBQUM7WUFDaEQsRUFBRSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQztnQkFDekIsT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsaURBQWlELGVBQWUsR0FBRztzQkFDbkYsdUJBQXVCLGVBQWUsNEJBQTRCLENBQUMsQ0FBQztZQUMxRSxDQUFDO1lBQ0QsTUFBTSxVQUFVLEdBQUcsZ0NBQXFCLENBQUMsSUFBSSxFQUFFLGVBQWUsRUFBRSxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUM7WUFDaEYsRUFBRSxDQUFDLENBQUMsVUFBVSxJQUFJLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDeEMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsbUNBQXdCLENBQUMsZUFBZSxFQUFFLFVBQVUsQ0FBQyxDQUFDLENBQUM7WUFDN0UsQ0FBQztZQUNELEdBQUcsQ0FBQyxDQUFDLE1BQU0sU0FBUyxJQUFJLE1BQU0sQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDO2dCQUMxQyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxxQkFBcUIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLFlBQVk7c0JBQ2xGLGdGQUFnRjtzQkFDaEYsOERBQThELFNBQVMsQ0FBQyxPQUFPLEdBQUc7c0JBQ2xGLGdCQUFnQixTQUFTLENBQUMsVUFBVSxXQUFXLFNBQVMsQ0FBQyxJQUFJLFNBQVMsU0FBUyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7WUFDNUYsQ0FBQztZQUVELE1BQU0sQ0FBQztRQUNULENBQUM7UUFFRCxNQUFNLFdBQVcsR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLElBQUksOEJBQXNCLENBQzVELGNBQWMsQ0FBQyxDQUFDLENBQUMsRUFBRSxjQUFjLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUN6QyxDQUFDLENBQUM7UUFFSCxzRkFBc0Y7UUFDdEYsTUFBTSxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQ3RCLENBQUMsVUFBVSxFQUFFLFNBQVMsRUFBRSxFQUFFLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLHdCQUFnQixDQUFDLFNBQVMsRUFBRSxTQUFTLENBQUMsRUFBRTtZQUNyRixVQUFVO1NBQ1gsQ0FBQyxFQUNGLFdBQVcsQ0FDWixDQUFDO0lBQ0osQ0FBQyxDQUFDO0FBQ0osQ0FBQztBQUVEOzs7Ozs7OztHQVFHO0FBQ0gsMkJBQ0UsaUJBQXdELEVBQ3hELE9BQStCO0lBRS9CLE1BQU0sT0FBTyxHQUFHLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQztJQUM3RCxNQUFNLFFBQVEsR0FBK0IsRUFBRSxDQUFDO0lBQ2hELEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDckMsR0FBRyxDQUFDLENBQUMsTUFBTSxJQUFJLElBQUksaUJBQWlCLENBQUMsQ0FBQyxDQUFDO1lBQ3JDLFFBQVEsQ0FBQyxJQUFJLENBQUMsR0FBRyxPQUFPLENBQUM7UUFDM0IsQ0FBQztJQUNILENBQUM7SUFBQyxJQUFJLENBQUMsQ0FBQztRQUNOLE1BQU0sQ0FBQyxNQUFNLENBQUMsUUFBUSxFQUFFLGlCQUFpQixDQUFDLENBQUM7SUFDN0MsQ0FBQztJQUNELHNEQUFzRDtJQUN0RCxNQUFNLE1BQU0sR0FBa0I7UUFDNUIsT0FBTyxFQUFFLEVBQUU7UUFDWCxPQUFPLEVBQUUsRUFBRTtRQUNYLE9BQU8sRUFBRSxFQUFFO1FBQ1gsVUFBVSxFQUFFLEVBQUU7UUFDZCxVQUFVLEVBQUUsRUFBRTtLQUNmLENBQUM7SUFFRixNQUFNLENBQUMsa0JBQUssQ0FBQztRQUNYLGNBQWMsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLE1BQU0sQ0FBQztRQUN6QyxZQUFZLENBQUMsT0FBTyxFQUFFLE1BQU0sQ0FBQztRQUM3QixjQUFjLENBQUMsT0FBTyxFQUFFLE1BQU0sQ0FBQztLQUNoQyxDQUFDLENBQUM7QUFDTCxDQUFDO0FBM0JELDhDQTJCQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgSW5jLiBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cbmltcG9ydCB7IEpzb25PYmplY3QsIGxvZ2dpbmcgfSBmcm9tICdAYW5ndWxhci1kZXZraXQvY29yZSc7XG5pbXBvcnQge1xuICBSdWxlLFxuICBTY2hlbWF0aWNDb250ZXh0LFxuICBTY2hlbWF0aWNzRXhjZXB0aW9uLFxuICBUcmVlLFxuICBjaGFpbixcbn0gZnJvbSAnQGFuZ3VsYXItZGV2a2l0L3NjaGVtYXRpY3MnO1xuaW1wb3J0IHsgTm9kZVBhY2thZ2VJbnN0YWxsVGFzaywgUnVuU2NoZW1hdGljVGFzayB9IGZyb20gJ0Bhbmd1bGFyLWRldmtpdC9zY2hlbWF0aWNzL3Rhc2tzJztcbmltcG9ydCB7XG4gIE9ic2VydmFibGUsXG4gIGNvbmNhdCxcbiAgZnJvbSBhcyBvYnNlcnZhYmxlRnJvbSxcbiAgb2YgYXMgb2JzZXJ2YWJsZU9mLFxufSBmcm9tICdyeGpzJztcbmltcG9ydCB7XG4gIGNhdGNoRXJyb3IsXG4gIGNvbmNhdE1hcCxcbiAgZXhwYW5kLFxuICBmaWx0ZXIsXG4gIGlnbm9yZUVsZW1lbnRzLFxuICBtYXAsXG4gIG1lcmdlTWFwLFxuICByZWR1Y2UsXG4gIHRvQXJyYXksXG59IGZyb20gJ3J4anMvb3BlcmF0b3JzJztcbmltcG9ydCAqIGFzIHNlbXZlciBmcm9tICdzZW12ZXInO1xuaW1wb3J0IHsgU2NoZW1hdGljc1VwZGF0ZVNjaGVtYSB9IGZyb20gJy4uL3NjaGVtYSc7XG5pbXBvcnQge1xuICBkZXRlY3RQYWNrYWdlTWFuYWdlcixcbiAgZm9ybWF0TG9ja2ZpbGVNaXNtYXRjaGVzLFxuICBnZXRMb2NrZmlsZU1pc21hdGNoZXMsXG59IGZyb20gJy4vbG9ja2ZpbGUnO1xuaW1wb3J0IHtcbiAgUGFja2FnZU1pZ3JhdGlvbixcbiAgZ2V0SW5zdGFsbGVkVmVyc2lvbixcbiAgZ2V0TWlncmF0aW9uQ29sbGVjdGlvbixcbiAgdmFsaWRhdGVNaWdyYXRpb25WZXJzaW9uLFxufSBmcm9tICcuL21pZ3JhdGlvbic7XG5pbXBvcnQgeyByZWFkTnBtQ29uZmlnIH0gZnJvbSAnLi9ucG1yYyc7XG5pbXBvcnQge1xuICBVcGRhdGVQbGFuUGVlcklzc3VlLFxuICBVcGRhdGVQbGFuUmVxdWlyZW1lbnQsXG4gIGNyZWF0ZVVwZGF0ZVBsYW4sXG4gIGZvcm1hdFBlZXJJc3N1ZSxcbiAgZm9ybWF0VXBkYXRlUGxhbixcbiAgd3JpdGVVcGRhdGVQbGFuLFxufSBmcm9tICcuL3BsYW4nO1xuaW1wb3J0IHsgU2tpcHBlZFZlcnNpb24sIFVwZGF0ZVBvbGljeSwgZ2V0UG9saWN5VmlvbGF0aW9uIH0gZnJvbSAnLi9wb2xpY3knO1xuaW1wb3J0IHsgUmVnaXN0cnlDbGllbnRPcHRpb25zLCBnZXROcG1QYWNrYWdlSnNvbiB9IGZyb20gJy4vcmVnaXN0cnknO1xuaW1wb3J0IHtcbiAgU29sdmVyUGFja2FnZSxcbiAgU29sdmVyUmVxdWlyZW1lbnQsXG4gIHNhdGlzZmllc1JlcXVpcmVtZW50LFxuICBzYXRpc2ZpZXNSZXF1aXJlbWVudHMsXG4gIHNvbHZlVmVyc2lvbnMsXG59IGZyb20gJy4vc29sdmVyJztcbmltcG9ydCB7XG4gIFBhY2thZ2VKc29uQ2hhbmdlLFxuICBhcHBseVBhY2thZ2VKc29uQ2hhbmdlcyxcbiAgZmluZFBhY2thZ2VKc29uUGF0aHMsXG4gIHJlYWRQYWNrYWdlSnNvbixcbn0gZnJvbSAnLi93b3Jrc3BhY2UnO1xuXG5jb25zdCBrUGFja2FnZUpzb25EZXBlbmRlbmN5RmllbGRzID0gW1xuICAnZGVwZW5kZW5jaWVzJyxcbiAgJ2RldkRlcGVuZGVuY2llcycsXG4gICdwZWVyRGVwZW5kZW5jaWVzJyxcbiAgJ29wdGlvbmFsRGVwZW5kZW5jaWVzJyxcbl07XG5cbi8qKlxuICogVGhlIHBhY2thZ2UgbWFuYWdlcnMgdGhlIGluc3RhbGwgdGFzayBvZiB0aGUgZGV2a2l0IGNhbiBydW4uXG4gKi9cbmNvbnN0IGtJbnN0YWxsVGFza1BhY2thZ2VNYW5hZ2VycyA9IFsnbnBtJywgJ2NucG0nLCAneWFybiddO1xuXG4vKipcbiAqIFRoZSBvcGVyYXRvciB3cml0dGVuIGZvciBlYWNoIHZhbHVlIG9mIHRoZSBgcmFuZ2VPcGVyYXRvcmAgb3B0aW9uLCBvdGhlciB0aGFuIGBrZWVwYC5cbiAqL1xuY29uc3Qga1JhbmdlT3BlcmF0b3JzOiB7IFtyYW5nZU9wZXJhdG9yOiBzdHJpbmddOiBzdHJpbmcgfSA9IHtcbiAgJ2V4YWN0JzogJycsXG4gICdeJzogJ14nLFxuICAnfic6ICd+JyxcbiAgJz49JzogJz49Jyxcbn07XG5cblxuLyoqXG4gKiBBIGRlcGVuZGVuY3kgb2Ygb25lIG9mIHRoZSBwcm9qZWN0J3MgcGFja2FnZS5qc29uIGZpbGVzLlxuICovXG5pbnRlcmZhY2UgUHJvamVjdERlcGVuZGVuY3kge1xuICBwYXRoOiBzdHJpbmc7XG4gIGZpZWxkOiBzdHJpbmc7XG4gIHJhbmdlOiBzdHJpbmc7XG59XG5cbi8qKlxuICogV2hhdCBhbiB1cGRhdGUgY2hhbmdlcyBpbiB0aGUgcHJvamVjdC4gSXQgaXMgZmlsbGVkIGJ5IHRoZSBydWxlIHRoYXQgcmVhZHMgdGhlIE5QTVxuICogcmVwb3NpdG9yeSwgdGhlbiB1c2VkIGJ5IHRoZSBydWxlcyB0aGF0IHVwZGF0ZSB0aGUgcHJvamVjdCBhbmQgaW5zdGFsbCB0aGUgcGFja2FnZXMuXG4gKi9cbmludGVyZmFjZSBQYWNrYWdlVXBkYXRlIHtcbiAgLyoqIFRoZSBjaGFuZ2VzIHRvIGFwcGx5IHRvIHRoZSBwYWNrYWdlLmpzb24gZmlsZXMsIGluIHRoZSBvcmRlciBvZiB0aGUgZmlsZXMuICovXG4gIGNoYW5nZXM6IFBhY2thZ2VKc29uQ2hhbmdlW107XG4gIC8qKiBUaGUgcGVlciBkZXBlbmRlbmN5IGNoYWluIHRoYXQgcHVsbGVkIGVhY2ggcGFja2FnZSBpbnRvIHRoZSB1cGRhdGUuICovXG4gIHJlYXNvbnM6IHsgW25hbWU6IHN0cmluZ106IFVwZGF0ZVBsYW5SZXF1aXJlbWVudFtdIH07XG4gIC8qKiBUaGUgbmV3ZXIgdmVyc2lvbnMgdGhhdCB3ZXJlIHNraXBwZWQgYmVjYXVzZSBvZiB0aGUgdXBkYXRlIHBvbGljeS4gKi9cbiAgc2tpcHBlZDogU2tpcHBlZFZlcnNpb25bXTtcbiAgLyoqIFRoZSBwZWVyIGRlcGVuZGVuY2llcyB0aGF0IGFyZSBzdGlsbCBtaXNzaW5nIGFmdGVyIHRoZSB1cGRhdGUuICovXG4gIHBlZXJJc3N1ZXM6IFVwZGF0ZVBsYW5QZWVySXNzdWVbXTtcbiAgLyoqIFRoZSBtaWdyYXRpb25zIHRvIHJ1biBvbmNlIHRoZSBwYWNrYWdlcyBhcmUgaW5zdGFsbGVkLiAqL1xuICBtaWdyYXRpb25zOiBQYWNrYWdlTWlncmF0aW9uW107XG59XG5cblxuLyoqXG4gKiBHZXQgdGhlIHJlcXVpcmVtZW50IGEgcGFja2FnZSBtdXN0IHNhdGlzZnkgdG8gbWF0Y2ggdGhlIHJlcXVlc3RlZCB2ZXJzaW9uIG9yIGRpc3QtdGFnLlxuICogQHBhcmFtIHtKc29uT2JqZWN0fSBqc29uIFRoZSBOUE0gcGFja2FnZS5qc29uIG9mIHRoZSBwYWNrYWdlLlxuICogQHBhcmFtIHtzdHJpbmd9IHZlcnNpb24gVGhlIHJlcXVlc3RlZCB2ZXJzaW9uLCByYW5nZSBvciBkaXN0LXRhZy5cbiAqIEBwYXJhbSB7Ym9vbGVhbn0gbG9vc2UgV2hldGhlciB0byB1c2UgbG9vc2UgdmVyc2lvbiBvcGVyYXRvcnMgZm9yIHNwZWNpZmljIHZlcnNpb25zLlxuICogQHJldHVybnMge1NvbHZlclJlcXVpcmVtZW50fSBUaGUgcmVxdWlyZW1lbnQuXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfZ2V0UmVxdWVzdGVkUmVxdWlyZW1lbnQoXG4gIGpzb246IEpzb25PYmplY3QsXG4gIHZlcnNpb246IHN0cmluZyxcbiAgbG9vc2U6IGJvb2xlYW4sXG4pOiBTb2x2ZXJSZXF1aXJlbWVudCB7XG4gIGNvbnN0IGRpc3RUYWdzID0ganNvblsnZGlzdC10YWdzJ10gYXMgSnNvbk9iamVjdDtcbiAgaWYgKGRpc3RUYWdzICYmIGRpc3RUYWdzW3ZlcnNpb25dKSB7XG4gICAgcmV0dXJuIHtcbiAgICAgIHJhbmdlOiBgPD0ke2Rpc3RUYWdzW3ZlcnNpb25dfWAsXG4gICAgICByZXF1aXJlZEJ5OiBgdGhlIFwiJHt2ZXJzaW9ufVwiIGRpc3QtdGFnICgke2Rpc3RUYWdzW3ZlcnNpb25dfSlgLFxuICAgIH07XG4gIH1cblxuICBpZiAoIXNlbXZlci52YWxpZFJhbmdlKHZlcnNpb24pKSB7XG4gICAgdGhyb3cgbmV3IFNjaGVtYXRpY3NFeGNlcHRpb24oYEludmFsaWQgcmFuZ2Ugb3IgdmVyc2lvbjogXCIke3ZlcnNpb259XCIuYCk7XG4gIH1cbiAgaWYgKHNlbXZlci52YWxpZCh2ZXJzaW9uKSAmJiBsb29zZSkge1xuICAgIHZlcnNpb24gPSAnficgKyB2ZXJzaW9uO1xuICB9XG5cbiAgY29uc3QgcGFja2FnZVZlcnNpb25zID0gT2JqZWN0LmtleXMoanNvblsndmVyc2lvbnMnXSBhcyBKc29uT2JqZWN0KTtcbiAgaWYgKCFzZW12ZXIubWF4U2F0aXNmeWluZyhwYWNrYWdlVmVyc2lvbnMsIHZlcnNpb24pKSB7XG4gICAgdGhyb3cgbmV3IFNjaGVtYXRpY3NFeGNlcHRpb24oXG4gICAgICBgVmVyc2lvbiBcIiR7dmVyc2lvbn1cIiBoYXMgbm8gc2F0aXNmeWluZyB2ZXJzaW9uIGZvciBwYWNrYWdlICR7anNvblsnbmFtZSddfWAsXG4gICAgKTtcbiAgfVxuXG4gIHJldHVybiB7IHJhbmdlOiB2ZXJzaW9uLCByZXF1aXJlZEJ5OiBgdGhlIHJlcXVlc3RlZCB2ZXJzaW9uIFwiJHt2ZXJzaW9ufVwiYCB9O1xufVxuXG4vKipcbiAqIEdldCB0aGUgbG93ZXN0IHZlcnNpb24gb2YgYSByYW5nZSwgb3IgbnVsbCBpZiBpdCBjYW5ub3QgYmUgZGV0ZXJtaW5lZC5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9nZXRNaW5pbXVtVmVyc2lvbihyYW5nZTogc3RyaW5nKTogc3RyaW5nIHwgbnVsbCB7XG4gIGlmICghc2VtdmVyLnZhbGlkUmFuZ2UocmFuZ2UpKSB7XG4gICAgcmV0dXJuIG51bGw7XG4gIH1cblxuICAvLyBUaGUgbG93ZXN0IHZlcnNpb24gb2YgYSByYW5nZSBpcyB0aGUgbG93ZXN0IG9mIHRoZSBsb3dlciBib3VuZHMgb2YgaXRzIGNvbXBhcmF0b3Igc2V0c1xuICAvLyAoc2VwYXJhdGVkIGJ5IGB8fGApLiBBIHNldCB3aXRob3V0IGxvd2VyIGJvdW5kIChlLmcuIGA8OC4wLjBgIG9yIGAqYCkgaGFzIG5vIG1pbmltdW0uXG4gIGxldCBtaW5pbXVtOiBzZW12ZXIuU2VtVmVyIHwgbnVsbCA9IG51bGw7XG4gIGZvciAoY29uc3QgY29tcGFyYXRvcnMgb2YgbmV3IHNlbXZlci5SYW5nZShyYW5nZSkuc2V0KSB7XG4gICAgY29uc3QgbG93ZXJCb3VuZHMgPSBjb21wYXJhdG9yc1xuICAgICAgLmZpbHRlcihjID0+IGMuc2VtdmVyIGluc3RhbmNlb2Ygc2VtdmVyLlNlbVZlcilcbiAgICAgIC5maWx0ZXIoYyA9PiBbJycsICc9JywgJz4nLCAnPj0nXS5pbmRleE9mKGMub3BlcmF0b3IpICE9IC0xKVxuICAgICAgLm1hcChjID0+IGMuc2VtdmVyKTtcbiAgICBpZiAobG93ZXJCb3VuZHMubGVuZ3RoID09IDApIHtcbiAgICAgIHJldHVybiBudWxsO1xuICAgIH1cblxuICAgIGNvbnN0IGxvd2VyQm91bmQgPSBsb3dlckJvdW5kcy5yZWR1Y2UoKGFjYywgeCkgPT4gc2VtdmVyLmd0KHgsIGFjYykgPyB4IDogYWNjKTtcbiAgICBpZiAoIW1pbmltdW0gfHwgc2VtdmVyLmx0KGxvd2VyQm91bmQsIG1pbmltdW0pKSB7XG4gICAgICBtaW5pbXVtID0gbG93ZXJCb3VuZDtcbiAgICB9XG4gIH1cblxuICByZXR1cm4gbWluaW11bSA/IG1pbmltdW0udmVyc2lvbiA6IG51bGw7XG59XG5cbi8qKlxuICogV2hldGhlciBhIHJhbmdlIG1lbnRpb25zIGEgcHJlcmVsZWFzZSB2ZXJzaW9uLCBlLmcuIGBeNy4wLjAtYmV0YS4wYC5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9oYXNQcmVyZWxlYXNlKHJhbmdlOiBzdHJpbmcpOiBib29sZWFuIHtcbiAgaWYgKCFzZW12ZXIudmFsaWRSYW5nZShyYW5nZSkpIHtcbiAgICByZXR1cm4gZmFsc2U7XG4gIH1cblxuICByZXR1cm4gbmV3IHNlbXZlci5SYW5nZShyYW5nZSkuc2V0LnNvbWUoY29tcGFyYXRvcnMgPT4gY29tcGFyYXRvcnMuc29tZShjb21wYXJhdG9yID0+IHtcbiAgICByZXR1cm4gY29tcGFyYXRvci5zZW12ZXIgaW5zdGFuY2VvZiBzZW12ZXIuU2VtVmVyICYmIGNvbXBhcmF0b3Iuc2VtdmVyLnByZXJlbGVhc2UubGVuZ3RoID4gMDtcbiAgfSkpO1xufVxuXG4vKipcbiAqIFdoZXRoZXIgdGhlIGN1cnJlbnQgcmFuZ2VzIG9mIGEgcGFja2FnZSBhbHJlYWR5IHNhdGlzZnkgdGhlIHJhbmdlcyBpdHMgcGVlciBkZXBlbmRlbnRzXG4gKiByZXF1aXJlLCBpLmUuIGV2ZXJ5IHB1Ymxpc2hlZCB2ZXJzaW9uIHRoZXkgYWxsb3cgc2F0aXNmaWVzIGFsbCBvZiB0aGVtLiBgfjYuMC4wYCBzYXRpc2ZpZXNcbiAqIGBeNi4wLjBgLCBidXQgYH4wLjguMjBgIGRvZXMgbm90IHNhdGlzZnkgYH4wLjguMjZgIGJlY2F1c2UgMC44LjIwIGNvdWxkIGJlIGluc3RhbGxlZC5cbiAqIEBwYXJhbSB7SnNvbk9iamVjdH0ganNvbiBUaGUgTlBNIHBhY2thZ2UuanNvbiBvZiB0aGUgcGFja2FnZS5cbiAqIEBwYXJhbSB7UHJvamVjdERlcGVuZGVuY3lbXX0gZGVwZW5kZW5jaWVzIFRoZSBkZXBlbmRlbmNpZXMgb24gdGhlIHBhY2thZ2UgaW4gdGhlIHByb2plY3QuXG4gKiBAcGFyYW0ge3N0cmluZ1tdfSBwZWVyUmFuZ2VzIFRoZSByYW5nZXMgcmVxdWlyZWQgYnkgaXRzIHBlZXIgZGVwZW5kZW50cy5cbiAqIEByZXR1cm5zIHtib29sZWFufSBXaGV0aGVyIHRoZSBjdXJyZW50IHJhbmdlcyBjYW4gYmUga2VwdC5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9zYXRpc2ZpZXNQZWVyUmFuZ2VzKFxuICBqc29uOiBKc29uT2JqZWN0LFxuICBkZXBlbmRlbmNpZXM6IFByb2plY3REZXBlbmRlbmN5W10sXG4gIHBlZXJSYW5nZXM6IHN0cmluZ1tdLFxuKTogYm9vbGVhbiB7XG4gIGNvbnN0IHZlcnNpb25zID0gT2JqZWN0LmtleXMoanNvblsndmVyc2lvbnMnXSBhcyBKc29uT2JqZWN0KTtcblxuICByZXR1cm4gZGVwZW5kZW5jaWVzLmV2ZXJ5KCh7IHJhbmdlIH0pID0+IHtcbiAgICBpZiAoIXNlbXZlci52YWxpZFJhbmdlKHJhbmdlKSkge1xuICAgICAgcmV0dXJuIHRydWU7XG4gICAgfVxuICAgIGNvbnN0IGFsbG93ZWQgPSB2ZXJzaW9ucy5maWx0ZXIodiA9PiBzZW12ZXIuc2F0aXNmaWVzKHYsIHJhbmdlKSk7XG5cbiAgICByZXR1cm4gYWxsb3dlZC5sZW5ndGggPiAwXG4gICAgICAmJiBhbGxvd2VkLmV2ZXJ5KHYgPT4gcGVlclJhbmdlcy5ldmVyeShwZWVyUmFuZ2UgPT4gc2VtdmVyLnNhdGlzZmllcyh2LCBwZWVyUmFuZ2UpKSk7XG4gIH0pO1xufVxuXG4vKipcbiAqIEdldCB0aGUgb2xkZXN0IE5vZGUuanMgdmVyc2lvbnMgdGhlIHByb2plY3Qgc3VwcG9ydHMsIGZyb20gdGhlIGBlbmdpbmVzLm5vZGVgIGZpZWxkIG9mIGl0c1xuICogcGFja2FnZS5qc29uIGZpbGVzLiBJZiBub25lIGhhcyBvbmUsIHRoZSB2ZXJzaW9uIG9mIE5vZGUuanMgcnVubmluZyB0aGUgdXBkYXRlIGlzIHVzZWQuXG4gKiBAcGFyYW0ge3tbcDogc3RyaW5nXTogSnNvbk9iamVjdH19IHBhY2thZ2VKc29ucyBUaGUgcGFja2FnZS5qc29uIGNvbnRlbnRzLCBieSBwYXRoLlxuICogQHJldHVybnMge3N0cmluZ1tdfSBUaGUgTm9kZS5qcyB2ZXJzaW9ucy5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9nZXRQcm9qZWN0Tm9kZVZlcnNpb25zKHBhY2thZ2VKc29uczogeyBbcGF0aDogc3RyaW5nXTogSnNvbk9iamVjdCB9KTogc3RyaW5nW10ge1xuICBjb25zdCB2ZXJzaW9uczogc3RyaW5nW10gPSBbXTtcblxuICBmb3IgKGNvbnN0IHBhdGggb2YgT2JqZWN0LmtleXMocGFja2FnZUpzb25zKSkge1xuICAgIGNvbnN0IGVuZ2luZXMgPSBwYWNrYWdlSnNvbnNbcGF0aF1bJ2VuZ2luZXMnXSBhcyBKc29uT2JqZWN0IHwgdW5kZWZpbmVkO1xuICAgIGNvbnN0IG1pbmltdW0gPSBlbmdpbmVzICYmIHR5cGVvZiBlbmdpbmVzWydub2RlJ10gPT0gJ3N0cmluZydcbiAgICAgID8gX2dldE1pbmltdW1WZXJzaW9uKGVuZ2luZXNbJ25vZGUnXSBhcyBzdHJpbmcpXG4gICAgICA6IG51bGw7XG4gICAgaWYgKG1pbmltdW0gJiYgdmVyc2lvbnMuaW5kZXhPZihtaW5pbXVtKSA9PSAtMSkge1xuICAgICAgdmVyc2lvbnMucHVzaChtaW5pbXVtKTtcbiAgICB9XG4gIH1cblxuICByZXR1cm4gdmVyc2lvbnMubGVuZ3RoID4gMCA/IHZlcnNpb25zIDogW3Byb2Nlc3MudmVyc2lvbi5yZXBsYWNlKC9edi8sICcnKV07XG59XG5cbi8qKlxuICogR2V0IHRoZSBkZXBlbmRlbmNpZXMgb2YgYWxsIHRoZSBwYWNrYWdlLmpzb24gZmlsZXMgb2YgdGhlIHByb2plY3QsIGZyb20gYWxsIGRlcGVuZGVuY3lcbiAqIGZpZWxkcy4gRGVwZW5kZW5jaWVzIG9uIHBhY2thZ2VzIG9mIHRoZSBwcm9qZWN0IGl0c2VsZiAoZS5nLiBvdGhlciB3b3Jrc3BhY2UgcGFja2FnZXMpIGFyZVxuICogaWdub3JlZC5cbiAqIEBwYXJhbSB7e1twOiBzdHJpbmddOiBKc29uT2JqZWN0fX0gcGFja2FnZUpzb25zIFRoZSBwYWNrYWdlLmpzb24gY29udGVudHMsIGJ5IHBhdGguXG4gKiBAcmV0dXJucyB7e1twOiBzdHJpbmddOiBQcm9qZWN0RGVwZW5kZW5jeVtdfX0gRXZlcnkgb2NjdXJyZW5jZSBvZiBlYWNoIGRlcGVuZGVuY3kuXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfZ2V0UHJvamVjdERlcGVuZGVuY2llcyhcbiAgcGFja2FnZUpzb25zOiB7IFtwYXRoOiBzdHJpbmddOiBKc29uT2JqZWN0IH0sXG4pOiB7IFtuYW1lOiBzdHJpbmddOiBQcm9qZWN0RGVwZW5kZW5jeVtdIH0ge1xuICBjb25zdCBsb2NhbFBhY2thZ2VzID0gT2JqZWN0LmtleXMocGFja2FnZUpzb25zKS5tYXAocGF0aCA9PiBwYWNrYWdlSnNvbnNbcGF0aF1bJ25hbWUnXSk7XG4gIGNvbnN0IGRlcGVuZGVuY2llczogeyBbbmFtZTogc3RyaW5nXTogUHJvamVjdERlcGVuZGVuY3lbXSB9ID0ge307XG5cbiAgZm9yIChjb25zdCBwYXRoIG9mIE9iamVjdC5rZXlzKHBhY2thZ2VKc29ucykpIHtcbiAgICBmb3IgKGNvbnN0IGZpZWxkIG9mIGtQYWNrYWdlSnNvbkRlcGVuZGVuY3lGaWVsZHMpIHtcbiAgICAgIGNvbnN0IGRlcHMgPSBwYWNrYWdlSnNvbnNbcGF0aF1bZmllbGRdO1xuICAgICAgaWYgKCFkZXBzIHx8IHR5cGVvZiBkZXBzICE9PSAnb2JqZWN0JyB8fCBBcnJheS5pc0FycmF5KGRlcHMpKSB7XG4gICAgICAgIGNvbnRpbnVlO1xuICAgICAgfVxuXG4gICAgICBmb3IgKGNvbnN0IGRlcE5hbWUgb2YgT2JqZWN0LmtleXMoZGVwcykpIHtcbiAgICAgICAgY29uc3QgcmFuZ2UgPSBkZXBzW2RlcE5hbWVdO1xuICAgICAgICBpZiAodHlwZW9mIHJhbmdlID09ICdzdHJpbmcnICYmIGxvY2FsUGFja2FnZXMuaW5kZXhPZihkZXBOYW1lKSA9PSAtMSkge1xuICAgICAgICAgIGRlcGVuZGVuY2llc1tkZXBOYW1lXSA9IFsuLi4oZGVwZW5kZW5jaWVzW2RlcE5hbWVdIHx8IFtdKSwgeyBwYXRoLCBmaWVsZCwgcmFuZ2UgfV07XG4gICAgICAgIH1cbiAgICAgIH1cbiAgICB9XG4gIH1cblxuICByZXR1cm4gZGVwZW5kZW5jaWVzO1xufVxuXG4vKipcbiAqIEdldCB0aGUgcmFuZ2UgdG8gd3JpdGUgaW4gcGFja2FnZS5qc29uIGZvciBhIGRlcGVuZGVuY3kuIEFuIG9wZXJhdG9yIGluIHRoZSB0YXJnZXQgKGZyb20gYVxuICogcmVxdWVzdGVkIHJhbmdlIGxpa2UgYF42LjEuMGApIHdpbnMsIHRoZW4gdGhlIGByYW5nZU9wZXJhdG9yYCBvcHRpb24uIE90aGVyd2lzZSB0aGUgb3BlcmF0b3JcbiAqIG9mIHRoZSBjdXJyZW50IHJhbmdlIGlzIGtlcHQgKGBeYCwgYH5gLCBgPj1gIG9yIGFuIGV4YWN0IHZlcnNpb24pLCBhbmQgY29tcGxleCByYW5nZXMgYXJlIGtlcHRcbiAqIGFzIGlzIGlmIHRoZSByZXNvbHZlZCB2ZXJzaW9uIHNhdGlzZmllcyB0aGVtLlxuICogQHBhcmFtIHtzdHJpbmd9IGN1cnJlbnQgVGhlIGN1cnJlbnQgcmFuZ2Ugb2YgdGhlIGRlcGVuZGVuY3kuXG4gKiBAcGFyYW0ge3N0cmluZ30gdGFyZ2V0IFRoZSByZXNvbHZlZCB2ZXJzaW9uLCB3aXRoIGFuIG9wdGlvbmFsIGBeYCBvciBgfmAgb3BlcmF0b3IuXG4gKiBAcGFyYW0ge3N0cmluZ30gZmllbGQgVGhlIGZpZWxkIHRoZSBkZXBlbmRlbmN5IGxpdmVzIGluLlxuICogQHBhcmFtIHtzdHJpbmd9IHJhbmdlT3BlcmF0b3IgVGhlIGByYW5nZU9wZXJhdG9yYCBvcHRpb24uXG4gKiBAcmV0dXJucyB7c3RyaW5nfSBUaGUgcmFuZ2UuXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfZ2V0RGVwZW5kZW5jeVJhbmdlKFxuICBjdXJyZW50OiBzdHJpbmcsXG4gIHRhcmdldDogc3RyaW5nLFxuICBmaWVsZDogc3RyaW5nLFxuICByYW5nZU9wZXJhdG9yOiBzdHJpbmcsXG4pOiBzdHJpbmcge1xuICBjb25zdCB2ZXJzaW9uID0gdGFyZ2V0LnJlcGxhY2UoL15bfl5dLywgJycpO1xuICBjb25zdCBtYXliZU9wZXJhdG9yID0gY3VycmVudC5tYXRjaCgvXlxccyooXFxefH58Pj0pXFxzKlxcZCsoXFwuXFxkKyk/KFxcLlxcZCspPygtW1xcdy5dKyk/XFxzKiQvKTtcblxuICBpZiAodGFyZ2V0ICE9IHZlcnNpb24pIHtcbiAgICByZXR1cm4gdGFyZ2V0O1xuICB9IGVsc2UgaWYgKHJhbmdlT3BlcmF0b3IgaW4ga1JhbmdlT3BlcmF0b3JzKSB7XG4gICAgcmV0dXJuIGtSYW5nZU9wZXJhdG9yc1tyYW5nZU9wZXJhdG9yXSArIHZlcnNpb247XG4gIH0gZWxzZSBpZiAobWF5YmVPcGVyYXRvcikge1xuICAgIHJldHVybiBtYXliZU9wZXJhdG9yWzFdICsgdmVyc2lvbjtcbiAgfSBlbHNlIGlmIChzZW12ZXIudmFsaWQoY3VycmVudCkpIHtcbiAgICByZXR1cm4gdmVyc2lvbjtcbiAgfSBlbHNlIGlmIChzZW12ZXIudmFsaWRSYW5nZShjdXJyZW50KSAmJiBzZW12ZXIuc2F0aXNmaWVzKHZlcnNpb24sIGN1cnJlbnQpKSB7XG4gICAgcmV0dXJuIGN1cnJlbnQ7XG4gIH0gZWxzZSB7XG4gICAgLy8gTGlicmFyaWVzIHNob3VsZCBzdGF5IGNvbXBhdGlibGUgd2l0aCBhIHJhbmdlIG9mIHZlcnNpb25zLlxuICAgIHJldHVybiAoZmllbGQgPT0gJ3BlZXJEZXBlbmRlbmNpZXMnID8gJ14nIDogJycpICsgdmVyc2lvbjtcbiAgfVxufVxuXG4vKipcbiAqIEdldCB0aGUgY2hhbmdlcyB0byBhcHBseSB0byB0aGUgcGFja2FnZS5qc29uIGZpbGVzIG9mIHRoZSBwcm9qZWN0LlxuICogQHBhcmFtIHtzdHJpbmdbXX0gcGF0aHMgVGhlIHBhdGhzIG9mIHRoZSBwYWNrYWdlLmpzb24gZmlsZXMsIGluIG9yZGVyLlxuICogQHBhcmFtIHt7W3A6IHN0cmluZ106IFByb2plY3REZXBlbmRlbmN5W119fSBwcm9qZWN0RGVwZW5kZW5jaWVzIFRoZSBkZXBlbmRlbmNpZXMgb2YgdGhlXG4gKiAgIHByb2plY3QuXG4gKiBAcGFyYW0ge3tbcDogc3RyaW5nXTogc3RyaW5nfX0gYWxsVmVyc2lvbnMgVGhlIHZlcnNpb24gdG8gdXBkYXRlIGVhY2ggcGFja2FnZSB0bywgd2l0aCB0aGVcbiAqICAgb3BlcmF0b3Igb2YgdGhlIHJlcXVlc3RlZCByYW5nZSBpZiBhbnkuXG4gKiBAcGFyYW0ge3N0cmluZ30gcmFuZ2VPcGVyYXRvciBUaGUgYHJhbmdlT3BlcmF0b3JgIG9wdGlvbi5cbiAqIEByZXR1cm5zIHtQYWNrYWdlSnNvbkNoYW5nZVtdfSBUaGUgY2hhbmdlcywgaW4gdGhlIG9yZGVyIG9mIHRoZSBwYWNrYWdlLmpzb24gZmlsZXMuXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfZ2V0UGFja2FnZUpzb25DaGFuZ2VzKFxuICBwYXRoczogc3RyaW5nW10sXG4gIHByb2plY3REZXBlbmRlbmNpZXM6IHsgW25hbWU6IHN0cmluZ106IFByb2plY3REZXBlbmRlbmN5W10gfSxcbiAgYWxsVmVyc2lvbnM6IHsgW25hbWU6IHN0cmluZ106IHN0cmluZyB9LFxuICByYW5nZU9wZXJhdG9yOiBzdHJpbmcsXG4pOiBQYWNrYWdlSnNvbkNoYW5nZVtdIHtcbiAgY29uc3QgY2hhbmdlczogUGFja2FnZUpzb25DaGFuZ2VbXSA9IFtdO1xuXG4gIGZvciAoY29uc3QgbmFtZSBvZiBPYmplY3Qua2V5cyhhbGxWZXJzaW9ucykpIHtcbiAgICBmb3IgKGNvbnN0IHsgcGF0aCwgZmllbGQsIHJhbmdlIH0gb2YgcHJvamVjdERlcGVuZGVuY2llc1tuYW1lXSB8fCBbXSkge1xuICAgICAgY29uc3QgdGFyZ2V0ID0gX2dldERlcGVuZGVuY3lSYW5nZShyYW5nZSwgYWxsVmVyc2lvbnNbbmFtZV0sIGZpZWxkLCByYW5nZU9wZXJhdG9yKTtcblxuICAgICAgaWYgKHRhcmdldCAhPT0gcmFuZ2UpIHtcbiAgICAgICAgY2hhbmdlcy5wdXNoKHsgbmFtZSwgcGF0aCwgZmllbGQsIGN1cnJlbnQ6IHJhbmdlLCB0YXJnZXQgfSk7XG4gICAgICB9XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIGNoYW5nZXMuc29ydCgoYSwgYikgPT4gcGF0aHMuaW5kZXhPZihhLnBhdGgpIC0gcGF0aHMuaW5kZXhPZihiLnBhdGgpKTtcbn1cblxuLyoqXG4gKiBHZXQgdGhlIE5QTSByZXBvc2l0b3J5J3MgcGFja2FnZS5qc29uIGZvciBwYWNrYWdlcyBhbmQsIHJlY3Vyc2l2ZWx5LCBmb3IgdGhlaXIgcGVlclxuICogZGVwZW5kZW5jaWVzIHRoYXQgYXJlIGFsc28gaW4gdGhlIHByb2plY3QncyBwYWNrYWdlLmpzb24uXG4gKiBAcGFyYW0ge3N0cmluZ1tdfSBuYW1lcyBUaGUgcGFja2FnZSBuYW1lcyB0byBmZXRjaC5cbiAqIEBwYXJhbSB7e1twOiBzdHJpbmddOiBQcm9qZWN0RGVwZW5kZW5jeVtdfX0gcHJvamVjdERlcGVuZGVuY2llcyBUaGUgZGVwZW5kZW5jaWVzIG9mIHRoZVxuICogICBwcm9qZWN0LlxuICogQHBhcmFtIHtSZWdpc3RyeUNsaWVudE9wdGlvbnN9IGNsaWVudE9wdGlvbnMgVGhlIHJlZ2lzdHJ5IGNsaWVudCBvcHRpb25zLlxuICogQHBhcmFtIHtMb2dnZXJBcGl9IGxvZ2dlciBBIGxvZ2dlciBpbnN0YW5jZSB0byBsb2cgZGVidWcgaW5mb3JtYXRpb24uXG4gKiBAcmV0dXJucyB7T2JzZXJ2YWJsZTx7W3A6IHN0cmluZ106IEpzb25PYmplY3R9Pn0gVGhlIHBhY2thZ2UuanNvbiBjb250ZW50cywgYnkgcGFja2FnZSBuYW1lLlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX2dldFBhY2thZ2VNZXRhZGF0YShcbiAgbmFtZXM6IHN0cmluZ1tdLFxuICBwcm9qZWN0RGVwZW5kZW5jaWVzOiB7IFtuYW1lOiBzdHJpbmddOiBQcm9qZWN0RGVwZW5kZW5jeVtdIH0sXG4gIGNsaWVudE9wdGlvbnM6IFJlZ2lzdHJ5Q2xpZW50T3B0aW9ucyxcbiAgbG9nZ2VyOiBsb2dnaW5nLkxvZ2dlckFwaSxcbik6IE9ic2VydmFibGU8eyBbbmFtZTogc3RyaW5nXTogSnNvbk9iamVjdCB9PiB7XG4gIGNvbnN0IG1ldGFkYXRhOiB7IFtuYW1lOiBzdHJpbmddOiBKc29uT2JqZWN0IH0gPSB7fTtcbiAgY29uc3Qgc2VlbiA9IG5ldyBTZXQ8c3RyaW5nPihuYW1lcyk7XG4gIGNvbnN0IGZldGNoID0gKG5hbWU6IHN0cmluZykgPT4gZ2V0TnBtUGFja2FnZUpzb24obmFtZSwgY2xpZW50T3B0aW9ucywgbG9nZ2VyKS5waXBlKFxuICAgIG1hcChqc29uID0+ICh7IG5hbWUsIGpzb24gfSkpLFxuICApO1xuXG4gIHJldHVybiBjb25jYXQoXG4gICAgb2JzZXJ2YWJsZUZyb20obmFtZXMpLnBpcGUoXG4gICAgICBtZXJnZU1hcChmZXRjaCksXG4gICAgICBleHBhbmQoKHsgbmFtZSwganNvbiB9KSA9PiB7XG4gICAgICAgIG1ldGFkYXRhW25hbWVdID0ganNvbjtcblxuICAgICAgICBjb25zdCBwZWVyczogc3RyaW5nW10gPSBbXTtcbiAgICAgICAgY29uc3QgdmVyc2lvbnMgPSBqc29uWyd2ZXJzaW9ucyddIGFzIEpzb25PYmplY3Q7XG4gICAgICAgIGZvciAoY29uc3QgdmVyc2lvbiBvZiBPYmplY3Qua2V5cyh2ZXJzaW9ucykpIHtcbiAgICAgICAgICBjb25zdCBkZXBzID0gKHZlcnNpb25zW3ZlcnNpb25dIGFzIEpzb25PYmplY3QpWydwZWVyRGVwZW5kZW5jaWVzJ10gYXMgSnNvbk9iamVjdDtcbiAgICAgICAgICBmb3IgKGNvbnN0IGRlcE5hbWUgb2YgT2JqZWN0LmtleXMoZGVwcyB8fCB7fSkpIHtcbiAgICAgICAgICAgIGlmIChkZXBOYW1lIGluIHByb2plY3REZXBlbmRlbmNpZXMgJiYgIXNlZW4uaGFzKGRlcE5hbWUpKSB7XG4gICAgICAgICAgICAgIHNlZW4uYWRkKGRlcE5hbWUpO1xuICAgICAgICAgICAgICBwZWVycy5wdXNoKGRlcE5hbWUpO1xuICAgICAgICAgICAgfVxuICAgICAgICAgIH1cbiAgICAgICAgfVxuXG4gICAgICAgIHJldHVybiBvYnNlcnZhYmxlRnJvbShwZWVycykucGlwZShtZXJnZU1hcChmZXRjaCkpO1xuICAgICAgfSksXG4gICAgICBpZ25vcmVFbGVtZW50cygpLFxuICAgICksXG4gICAgb2JzZXJ2YWJsZU9mKG1ldGFkYXRhKSxcbiAgKTtcbn1cblxuLyoqXG4gKiBHZXQgdGhlIG1lbWJlcnMgb2YgdGhlIHBhY2thZ2UgZ3JvdXAgb2YgYSBwYWNrYWdlLCBhcyBkZWNsYXJlZCBieSB0aGUgYG5nLXVwZGF0ZWAgZmllbGQgb2ZcbiAqIHRoZSBwYWNrYWdlLmpzb24gb2YgdGhlIHZlcnNpb24gaXQgd2lsbCBiZSB1cGRhdGVkIHRvLiBSZXR1cm5zIGFuIGVtcHR5IGFycmF5IGlmIHRoZSBwYWNrYWdlXG4gKiBoYXMgbm8gZ3JvdXAuXG4gKiBAcGFyYW0ge0pzb25PYmplY3R9IGpzb24gVGhlIGZ1bGwgTlBNIHBhY2thZ2UuanNvbiBvZiB0aGUgcGFja2FnZS5cbiAqIEBwYXJhbSB7c3RyaW5nfSB2ZXJzaW9uIFRoZSByZXF1ZXN0ZWQgdmVyc2lvbiwgcmFuZ2Ugb3IgZGlzdC10YWcuXG4gKiBAcmV0dXJucyB7c3RyaW5nW119IFRoZSBuYW1lcyBvZiB0aGUgcGFja2FnZXMgaW4gdGhlIGdyb3VwLlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX2dldFBhY2thZ2VHcm91cChqc29uOiBKc29uT2JqZWN0LCB2ZXJzaW9uOiBzdHJpbmcpOiBzdHJpbmdbXSB7XG4gIGNvbnN0IGRpc3RUYWdzID0ganNvblsnZGlzdC10YWdzJ10gYXMgSnNvbk9iamVjdDtcbiAgY29uc3QgdmVyc2lvbnMgPSBqc29uWyd2ZXJzaW9ucyddIGFzIEpzb25PYmplY3Q7XG4gIGNvbnN0IHRhcmdldCA9IGRpc3RUYWdzICYmIGRpc3RUYWdzW3ZlcnNpb25dXG4gICAgPyBkaXN0VGFnc1t2ZXJzaW9uXSBhcyBzdHJpbmdcbiAgICA6IHNlbXZlci52YWxpZFJhbmdlKHZlcnNpb24pICYmIHNlbXZlci5tYXhTYXRpc2Z5aW5nKE9iamVjdC5rZXlzKHZlcnNpb25zKSwgdmVyc2lvbik7XG4gIGlmICghdGFyZ2V0IHx8ICF2ZXJzaW9uc1t0YXJnZXRdKSB7XG4gICAgcmV0dXJuIFtdO1xuICB9XG5cbiAgY29uc3QgbmdVcGRhdGUgPSAodmVyc2lvbnNbdGFyZ2V0XSBhcyBKc29uT2JqZWN0KVsnbmctdXBkYXRlJ107XG4gIGlmICghbmdVcGRhdGUgfHwgdHlwZW9mIG5nVXBkYXRlICE9ICdvYmplY3QnIHx8IEFycmF5LmlzQXJyYXkobmdVcGRhdGUpKSB7XG4gICAgcmV0dXJuIFtdO1xuICB9XG5cbiAgLy8gVGhlIGdyb3VwIGNhbiBiZSBhbiBhcnJheSBvZiBuYW1lcyBvciBhbiBvYmplY3Qgd2hvc2Uga2V5cyBhcmUgdGhlIG5hbWVzLlxuICBjb25zdCBwYWNrYWdlR3JvdXAgPSBuZ1VwZGF0ZVsncGFja2FnZUdyb3VwJ107XG4gIGlmIChBcnJheS5pc0FycmF5KHBhY2thZ2VHcm91cCkpIHtcbiAgICByZXR1cm4gcGFja2FnZUdyb3VwLmZpbHRlcih4ID0+IHR5cGVvZiB4ID09ICdzdHJpbmcnKSBhcyBzdHJpbmdbXTtcbiAgfSBlbHNlIGlmIChwYWNrYWdlR3JvdXAgJiYgdHlwZW9mIHBhY2thZ2VHcm91cCA9PSAnb2JqZWN0Jykge1xuICAgIHJldHVybiBPYmplY3Qua2V5cyhwYWNrYWdlR3JvdXApO1xuICB9IGVsc2Uge1xuICAgIHJldHVybiBbXTtcbiAgfVxufVxuXG4vKipcbiAqIEFkZCB0aGUgbWVtYmVycyBvZiB0aGUgcGFja2FnZSBncm91cHMgb2YgdGhlIHJlcXVlc3RlZCBwYWNrYWdlcywgc28gYSBncm91cCBpcyBhbHdheXNcbiAqIHVwZGF0ZWQgaW4gbG9ja3N0ZXAuIE1lbWJlcnMgYXJlIHJlcXVlc3RlZCB3aXRoIHRoZSBzYW1lIHZlcnNpb24gYXMgdGhlIHBhY2thZ2UgZGVjbGFyaW5nXG4gKiB0aGUgZ3JvdXAsIHVubGVzcyB0aGV5IHdlcmUgcmVxdWVzdGVkIGV4cGxpY2l0bHkuXG4gKiBAcGFyYW0ge3tbcDogc3RyaW5nXTogc3RyaW5nfX0gcGFja2FnZXMgVGhlIHJlcXVlc3RlZCB2ZXJzaW9uIG9yIGRpc3QtdGFnLCBieSBwYWNrYWdlIG5hbWUuXG4gKiBAcGFyYW0ge3tbcDogc3RyaW5nXTogUHJvamVjdERlcGVuZGVuY3lbXX19IHByb2plY3REZXBlbmRlbmNpZXMgVGhlIGRlcGVuZGVuY2llcyBvZiB0aGVcbiAqICAgcHJvamVjdC4gT25seSB0aGUgZ3JvdXBzIG9mIHBhY2thZ2VzIHRoZSBwcm9qZWN0IGRlcGVuZHMgb24gYXJlIGV4cGFuZGVkLlxuICogQHBhcmFtIHt7W3A6IHN0cmluZ106IHN0cmluZ319IGdyb3VwcyBGaWxsZWQgd2l0aCB0aGUgcGFja2FnZSBkZWNsYXJpbmcgdGhlIGdyb3VwLCBmb3IgZWFjaFxuICogICBtZW1iZXIgdGhhdCB3YXMgYWRkZWQuXG4gKiBAcGFyYW0ge1JlZ2lzdHJ5Q2xpZW50T3B0aW9uc30gY2xpZW50T3B0aW9ucyBUaGUgcmVnaXN0cnkgY2xpZW50IG9wdGlvbnMuXG4gKiBAcGFyYW0ge0xvZ2dlckFwaX0gbG9nZ2VyIEEgbG9nZ2VyIGluc3RhbmNlIHRvIGxvZyBkZWJ1ZyBpbmZvcm1hdGlvbi5cbiAqIEByZXR1cm5zIHtPYnNlcnZhYmxlPHtbcDogc3RyaW5nXTogc3RyaW5nfT59IFRoZSByZXF1ZXN0ZWQgcGFja2FnZXMgYWxvbmcgd2l0aCB0aGUgbWVtYmVyc1xuICogICBvZiB0aGVpciBncm91cHMuXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfZXhwYW5kUGFja2FnZUdyb3VwcyhcbiAgcGFja2FnZXM6IHsgW25hbWU6IHN0cmluZ106IHN0cmluZyB9LFxuICBwcm9qZWN0RGVwZW5kZW5jaWVzOiB7IFtuYW1lOiBzdHJpbmddOiBQcm9qZWN0RGVwZW5kZW5jeVtdIH0sXG4gIGdyb3VwczogeyBbbmFtZTogc3RyaW5nXTogc3RyaW5nIH0sXG4gIGNsaWVudE9wdGlvbnM6IFJlZ2lzdHJ5Q2xpZW50T3B0aW9ucyxcbiAgbG9nZ2VyOiBsb2dnaW5nLkxvZ2dlckFwaSxcbik6IE9ic2VydmFibGU8eyBbbmFtZTogc3RyaW5nXTogc3RyaW5nIH0+IHtcbiAgY29uc3QgZnVsbENsaWVudE9wdGlvbnMgPSB7IC4uLmNsaWVudE9wdGlvbnMsIGZ1bGxNZXRhZGF0YTogdHJ1ZSB9O1xuXG4gIHJldHVybiBvYnNlcnZhYmxlRnJvbShPYmplY3Qua2V5cyhwYWNrYWdlcykuZmlsdGVyKG5hbWUgPT4gbmFtZSBpbiBwcm9qZWN0RGVwZW5kZW5jaWVzKSkucGlwZShcbiAgICBtZXJnZU1hcChuYW1lID0+IGdldE5wbVBhY2thZ2VKc29uKG5hbWUsIGZ1bGxDbGllbnRPcHRpb25zLCBsb2dnZXIpLnBpcGUoXG4gICAgICBtYXAoanNvbiA9PiAoeyBuYW1lLCBqc29uIH0pKSxcbiAgICApKSxcbiAgICByZWR1Y2UoXG4gICAgICAoYWNjOiB7IFtuYW1lOiBzdHJpbmddOiBzdHJpbmcgfSwgeyBuYW1lLCBqc29uIH06IHsgbmFtZTogc3RyaW5nLCBqc29uOiBKc29uT2JqZWN0IH0pID0+IHtcbiAgICAgICAgZm9yIChjb25zdCBtZW1iZXIgb2YgX2dldFBhY2thZ2VHcm91cChqc29uLCBwYWNrYWdlc1tuYW1lXSkpIHtcbiAgICAgICAgICBpZiAoIShtZW1iZXIgaW4gYWNjKSkge1xuICAgICAgICAgICAgbG9nZ2VyLmRlYnVnKGBBZGRpbmcgJHtKU09OLnN0cmluZ2lmeShtZW1iZXIpfSBmcm9tIHRoZSBwYWNrYWdlIGdyb3VwIG9mIGBcbiAgICAgICAgICAgICAgKyBgJHtKU09OLnN0cmluZ2lmeShuYW1lKX0uYCk7XG4gICAgICAgICAgICBhY2NbbWVtYmVyXSA9IHBhY2thZ2VzW25hbWVdO1xuICAgICAgICAgICAgZ3JvdXBzW21lbWJlcl0gPSBuYW1lO1xuICAgICAgICAgIH1cbiAgICAgICAgfVxuXG4gICAgICAgIHJldHVybiBhY2M7XG4gICAgICB9LFxuICAgICAgeyAuLi5wYWNrYWdlcyB9LFxuICAgICksXG4gICk7XG59XG5cbi8qKlxuICogR2V0IHRoZSBtaWdyYXRpb25zIHRvIHJ1biBmb3IgdGhlIHBhY2thZ2VzIHRoYXQgYXJlIHVwZGF0ZWQsIGZyb20gdGhlIHZlcnNpb24gY3VycmVudGx5XG4gKiBpbnN0YWxsZWQgdG8gdGhlIHZlcnNpb24gcmVzb2x2ZWQuIFRoZSBgZnJvbWAgYW5kIGB0b2Agb3B0aW9ucyBvdmVycmlkZSB0aG9zZSB2ZXJzaW9ucyBmb3JcbiAqIHRoZSByZXF1ZXN0ZWQgcGFja2FnZXMsIHdoaWNoIGFsbG93cyByZS1ydW5uaW5nIHRoZSBtaWdyYXRpb25zIG9mIGEgcmFuZ2Ugb2YgdmVyc2lvbnMgZXZlblxuICogd2hlbiB0aGUgcGFja2FnZSBpcyBhbHJlYWR5IHVwIHRvIGRhdGUuIFRoZSBtaWdyYXRpb25zIGFyZSBkZWNsYXJlZCBpbiB0aGUgZnVsbCBtZXRhZGF0YSxcbiAqIHdoaWNoIGlzIG9ubHkgZmV0Y2hlZCBmb3IgdGhlc2UgcGFja2FnZXMuXG4gKiBAcGFyYW0ge1RyZWV9IHRyZWUgVGhlIHRyZWUgdG8gcmVhZCB0aGUgaW5zdGFsbGVkIHZlcnNpb25zIGZyb20uXG4gKiBAcGFyYW0ge3tbcDogc3RyaW5nXTogc3RyaW5nfX0gcGFja2FnZXMgVGhlIHJlcXVlc3RlZCB2ZXJzaW9uIG9yIGRpc3QtdGFnLCBieSBwYWNrYWdlIG5hbWUuXG4gKiBAcGFyYW0ge3tbcDogc3RyaW5nXTogc3RyaW5nfX0gcmVzb2x2ZWQgVGhlIHJlc29sdmVkIHZlcnNpb24sIGJ5IHBhY2thZ2UgbmFtZS5cbiAqIEBwYXJhbSB7e1twOiBzdHJpbmddOiBQcm9qZWN0RGVwZW5kZW5jeVtdfX0gcHJvamVjdERlcGVuZGVuY2llcyBUaGUgZGVwZW5kZW5jaWVzIG9mIHRoZVxuICogICBwcm9qZWN0LlxuICogQHBhcmFtIHtTY2hlbWF0aWNzVXBkYXRlU2NoZW1hfSBvcHRpb25zIFRoZSBzY2hlbWF0aWMgb3B0aW9ucy5cbiAqIEBwYXJhbSB7UmVnaXN0cnlDbGllbnRPcHRpb25zfSBjbGllbnRPcHRpb25zIFRoZSByZWdpc3RyeSBjbGllbnQgb3B0aW9ucy5cbiAqIEBwYXJhbSB7TG9nZ2VyQXBpfSBsb2dnZXIgQSBsb2dnZXIgaW5zdGFuY2UgdG8gbG9nIGRlYnVnIGluZm9ybWF0aW9uLlxuICogQHJldHVybnMge09ic2VydmFibGU8UGFja2FnZU1pZ3JhdGlvbltdPn0gVGhlIG1pZ3JhdGlvbnMgdG8gcnVuLCBpbiB0aGUgb3JkZXIgb2YgcmVzb2x1dGlvbi5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9nZXRNaWdyYXRpb25zKFxuICB0cmVlOiBUcmVlLFxuICBwYWNrYWdlczogeyBbbmFtZTogc3RyaW5nXTogc3RyaW5nIH0sXG4gIHJlc29sdmVkOiB7IFtuYW1lOiBzdHJpbmddOiBzdHJpbmcgfSxcbiAgcHJvamVjdERlcGVuZGVuY2llczogeyBbbmFtZTogc3RyaW5nXTogUHJvamVjdERlcGVuZGVuY3lbXSB9LFxuICBvcHRpb25zOiBTY2hlbWF0aWNzVXBkYXRlU2NoZW1hLFxuICBjbGllbnRPcHRpb25zOiBSZWdpc3RyeUNsaWVudE9wdGlvbnMsXG4gIGxvZ2dlcjogbG9nZ2luZy5Mb2dnZXJBcGksXG4pOiBPYnNlcnZhYmxlPFBhY2thZ2VNaWdyYXRpb25bXT4ge1xuICBjb25zdCBmcm9tT3ZlcnJpZGUgPSBvcHRpb25zLmZyb20gPyB2YWxpZGF0ZU1pZ3JhdGlvblZlcnNpb24oJ2Zyb20nLCBvcHRpb25zLmZyb20pIDogbnVsbDtcbiAgY29uc3QgdG9PdmVycmlkZSA9IG9wdGlvbnMudG8gPyB2YWxpZGF0ZU1pZ3JhdGlvblZlcnNpb24oJ3RvJywgb3B0aW9ucy50bykgOiBudWxsO1xuICBjb25zdCBmdWxsQ2xpZW50T3B0aW9ucyA9IHsgLi4uY2xpZW50T3B0aW9ucywgZnVsbE1ldGFkYXRhOiB0cnVlIH07XG5cbiAgLy8gS2VlcCB0aGUgb3JkZXIgb2YgcmVzb2x1dGlvbiwgc28gbWlncmF0aW9ucyBvZiByZXF1ZXN0ZWQgcGFja2FnZXMgcnVuIGZpcnN0LiBSZXF1ZXN0ZWRcbiAgLy8gcGFja2FnZXMgdGhhdCBhcmUgbm90IHVwZGF0ZWQgb25seSBoYXZlIG1pZ3JhdGlvbnMgd2hlbiB0aGV5IGFyZSBvdmVycmlkZGVuLlxuICBjb25zdCBuYW1lcyA9IFtcbiAgICAuLi5PYmplY3Qua2V5cyhyZXNvbHZlZCksXG4gICAgLi4uKGZyb21PdmVycmlkZSB8fCB0b092ZXJyaWRlID8gT2JqZWN0LmtleXMocGFja2FnZXMpIDogW10pXG4gICAgICAuZmlsdGVyKG5hbWUgPT4gIShuYW1lIGluIHJlc29sdmVkKSksXG4gIF0uZmlsdGVyKG5hbWUgPT4gbmFtZSBpbiBwcm9qZWN0RGVwZW5kZW5jaWVzKTtcblxuICByZXR1cm4gb2JzZXJ2YWJsZUZyb20obmFtZXMpLnBpcGUoXG4gICAgY29uY2F0TWFwKG5hbWUgPT4gZ2V0TnBtUGFja2FnZUpzb24obmFtZSwgZnVsbENsaWVudE9wdGlvbnMsIGxvZ2dlcikucGlwZShcbiAgICAgIG1hcChqc29uID0+IHtcbiAgICAgICAgY29uc3QgaW5zdGFsbGVkID0gZ2V0SW5zdGFsbGVkVmVyc2lvbihcbiAgICAgICAgICB0cmVlLFxuICAgICAgICAgIGpzb24sXG4gICAgICAgICAgcHJvamVjdERlcGVuZGVuY2llc1tuYW1lXS5tYXAoZGVwID0+IGRlcC5yYW5nZSksXG4gICAgICAgICk7XG4gICAgICAgIGNvbnN0IHRhcmdldCA9IHJlc29sdmVkW25hbWVdIHx8IGluc3RhbGxlZDtcbiAgICAgICAgY29uc3QgaXNSZXF1ZXN0ZWQgPSBuYW1lIGluIHBhY2thZ2VzO1xuICAgICAgICBjb25zdCBmcm9tID0gKGlzUmVxdWVzdGVkICYmIGZyb21PdmVycmlkZSkgfHwgaW5zdGFsbGVkO1xuICAgICAgICBjb25zdCB0byA9IChpc1JlcXVlc3RlZCAmJiB0b092ZXJyaWRlKSB8fCB0YXJnZXQ7XG4gICAgICAgIGNvbnN0IGNvbGxlY3Rpb24gPSB0YXJnZXQgJiYgZ2V0TWlncmF0aW9uQ29sbGVjdGlvbihqc29uLCB0YXJnZXQpO1xuICAgICAgICBpZiAoIWNvbGxlY3Rpb24gfHwgIWZyb20gfHwgIXRvIHx8ICFzZW12ZXIuZ3QodG8sIGZyb20pKSB7XG4gICAgICAgICAgcmV0dXJuIG51bGw7XG4gICAgICAgIH1cbiAgICAgICAgbG9nZ2VyLmRlYnVnKGBSZWNvcmRpbmcgbWlncmF0aW9ucyBvZiAke0pTT04uc3RyaW5naWZ5KG5hbWUpfSBmcm9tICR7ZnJvbX0gdG8gJHt0b30uYCk7XG5cbiAgICAgICAgcmV0dXJuIHsgcGFja2FnZTogbmFtZSwgY29sbGVjdGlvbiwgZnJvbSwgdG8gfTtcbiAgICAgIH0pLFxuICAgICkpLFxuICAgIGZpbHRlcigobWlncmF0aW9uKTogbWlncmF0aW9uIGlzIFBhY2thZ2VNaWdyYXRpb24gPT4gbWlncmF0aW9uICE9PSBudWxsKSxcbiAgICB0b0FycmF5KCksXG4gICk7XG59XG5cbi8qKlxuICogUmVzb2x2ZSB0aGUgdmVyc2lvbnMgb2YgcGFja2FnZXMgdG8gdXBkYXRlIHRvLCBhbG9uZyB3aXRoIHBlZXIgZGVwZW5kZW5jaWVzLiBPbmx5IHBlZXJcbiAqIGRlcGVuZGVuY2llcyB0aGF0IGFyZSBpbiB0aGUgb3JpZ2luYWwgcGFja2FnZS5qc29uIGZpbGVzIGFyZSB1cGRhdGVkLCB3aGVuIHRoZWlyIGN1cnJlbnRcbiAqIHJhbmdlcyBkbyBub3Qgc2F0aXNmeSB0aGUgbmV3IHZlcnNpb25zLCBhbmQgYSBzaW5nbGUgdmVyc2lvbiBpcyByZXNvbHZlZCBmb3IgZWFjaCBwYWNrYWdlXG4gKiBhY3Jvc3MgYWxsIG9mIHRoZW0uIFdoZW4gdGhlIG5ld2VzdCB2ZXJzaW9ucyBoYXZlIGNvbmZsaWN0aW5nIHBlZXJcbiAqIGRlcGVuZGVuY2llcywgb2xkZXIgdmVyc2lvbnMgYXJlIHRyaWVkIHVudGlsIGEgY29tcGF0aWJsZSBzZXQgaXMgZm91bmQuXG4gKiBAcGFyYW0ge3tbcDogc3RyaW5nXTogUHJvamVjdERlcGVuZGVuY3lbXX19IHByb2plY3REZXBlbmRlbmNpZXMgVGhlIGRlcGVuZGVuY2llcyBvZiB0aGVcbiAqICAgb3JpZ2luYWwgcGFja2FnZS5qc29uIGZpbGVzLlxuICogQHBhcmFtIHt7W3A6IHN0cmluZ106IHN0cmluZ319IHBhY2thZ2VzIFRoZSByZXF1ZXN0ZWQgdmVyc2lvbiBvciBkaXN0LXRhZywgYnkgcGFja2FnZSBuYW1lLlxuICogQHBhcmFtIHt7W3A6IHN0cmluZ106IHN0cmluZ319IGdyb3VwcyBUaGUgcGFja2FnZSB3aG9zZSBncm91cCBhZGRlZCBlYWNoIHBhY2thZ2UgdGhhdCB3YXNcbiAqICAgbm90IHJlcXVlc3RlZCBleHBsaWNpdGx5LlxuICogQHBhcmFtIHt7W3A6IHN0cmluZ106IEpzb25PYmplY3R9fSBtZXRhZGF0YSBUaGUgTlBNIHBhY2thZ2UuanNvbiwgYnkgcGFja2FnZSBuYW1lLlxuICogQHBhcmFtIHt7W3A6IHN0cmluZ106IHN0cmluZ319IGFsbFZlcnNpb25zIEZpbGxlZCB3aXRoIHRoZSB2ZXJzaW9uIHRvIHVwZGF0ZSBlYWNoIHBhY2thZ2UgdG8sXG4gKiAgIHByZWZpeGVkIHdpdGggdGhlIG9wZXJhdG9yIG9mIHRoZSByZXF1ZXN0ZWQgcmFuZ2UgaWYgaXQgaGFzIG9uZS5cbiAqIEBwYXJhbSB7e1twOiBzdHJpbmddOiBVcGRhdGVQbGFuUmVxdWlyZW1lbnRbXX19IHJlYXNvbnMgRmlsbGVkIHdpdGggdGhlIHBhY2thZ2UgZ3JvdXAgb3JcbiAqICAgcGVlciBkZXBlbmRlbmN5IGNoYWluIHRoYXQgcHVsbGVkIGVhY2ggcGFja2FnZSBpbnRvIHRoZSB1cGRhdGUuXG4gKiBAcGFyYW0ge1VwZGF0ZVBvbGljeX0gcG9saWN5IFRoZSBwb2xpY3kgY2FuZGlkYXRlIHZlcnNpb25zIG5ld2VyIHRoYW4gdGhlIGN1cnJlbnQgb25lcyBtdXN0XG4gKiAgIGZvbGxvdy4gUHJlcmVsZWFzZXMgYXJlIGFsd2F5cyBhbGxvd2VkIGZvciBhIHBhY2thZ2Ugd2hvc2UgcmVxdWVzdGVkIG9yIGN1cnJlbnQgcmFuZ2VcbiAqICAgbWVudGlvbnMgb25lLCBhbmQgb3RoZXJ3aXNlIHdoZW4gYSBwZWVyIGRlcGVuZGVuY3kgcmFuZ2UgYXNrcyBmb3IgdGhlbS5cbiAqIEBwYXJhbSB7U2tpcHBlZFZlcnNpb25bXX0gc2tpcHBlZCBGaWxsZWQgd2l0aCB0aGUgdmVyc2lvbnMgbmV3ZXIgdGhhbiB0aGUgcmVzb2x2ZWQgb25lcyB0aGF0XG4gKiAgIHdlcmUgc2tpcHBlZCBiZWNhdXNlIG9mIHRoZSBwb2xpY3kuXG4gKiBAcGFyYW0ge0xvZ2dlckFwaX0gbG9nZ2VyXG4gKiBAcGFyYW0ge2Jvb2xlYW59IGxvb3NlXG4gKiBAcmV0dXJucyB7e1twOiBzdHJpbmddOiBzdHJpbmd9fSBUaGUgcmVzb2x2ZWQgdmVyc2lvbiBvZiB0aGUgcGFja2FnZXMgdGhhdCBhcmUgdXBkYXRlZCwgYnlcbiAqICAgcGFja2FnZSBuYW1lLlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX3Jlc29sdmVWZXJzaW9ucyhcbiAgcHJvamVjdERlcGVuZGVuY2llczogeyBbbmFtZTogc3RyaW5nXTogUHJvamVjdERlcGVuZGVuY3lbXSB9LFxuICBwYWNrYWdlczogeyBbbmFtZTogc3RyaW5nXTogc3RyaW5nIH0sXG4gIGdyb3VwczogeyBbbmFtZTogc3RyaW5nXTogc3RyaW5nIH0sXG4gIG1ldGFkYXRhOiB7IFtuYW1lOiBzdHJpbmddOiBKc29uT2JqZWN0IH0sXG4gIGFsbFZlcnNpb25zOiB7IFtuYW1lOiBzdHJpbmddOiBzdHJpbmcgfSxcbiAgcmVhc29uczogeyBbbmFtZTogc3RyaW5nXTogVXBkYXRlUGxhblJlcXVpcmVtZW50W10gfSxcbiAgcG9saWN5OiBVcGRhdGVQb2xpY3ksXG4gIHNraXBwZWQ6IFNraXBwZWRWZXJzaW9uW10sXG4gIGxvZ2dlcjogbG9nZ2luZy5Mb2dnZXJBcGksXG4gIGxvb3NlOiBib29sZWFuLFxuKTogeyBbbmFtZTogc3RyaW5nXTogc3RyaW5nIH0ge1xuICBjb25zdCBuYW1lcyA9IE9iamVjdC5rZXlzKHBhY2thZ2VzKS5maWx0ZXIobmFtZSA9PiB7XG4gICAgcmV0dXJuIG5hbWUgaW4gcHJvamVjdERlcGVuZGVuY2llc1xuICAgICAgJiYgcHJvamVjdERlcGVuZGVuY2llc1tuYW1lXS5zb21lKGRlcCA9PiBkZXAucmFuZ2UgIT09IHBhY2thZ2VzW25hbWVdKTtcbiAgfSk7XG5cbiAgY29uc3Qgc29sdmVyUGFja2FnZXM6IHsgW25hbWU6IHN0cmluZ106IFNvbHZlclBhY2thZ2UgfCBudWxsIH0gPSB7fTtcbiAgY29uc3Qgc2tpcHBlZFZlcnNpb25zOiB7IFtuYW1lOiBzdHJpbmddOiBTa2lwcGVkVmVyc2lvbltdIH0gPSB7fTtcbiAgY29uc3QgZ2V0UGFja2FnZSA9IChuYW1lOiBzdHJpbmcpOiBTb2x2ZXJQYWNrYWdlIHwgbnVsbCA9PiB7XG4gICAgaWYgKG5hbWUgaW4gc29sdmVyUGFja2FnZXMpIHtcbiAgICAgIHJldHVybiBzb2x2ZXJQYWNrYWdlc1tuYW1lXTtcbiAgICB9XG5cbiAgICBjb25zdCBqc29uID0gbWV0YWRhdGFbbmFtZV07XG4gICAgaWYgKCFqc29uIHx8ICEobmFtZSBpbiBwcm9qZWN0RGVwZW5kZW5jaWVzKSkge1xuICAgICAgcmV0dXJuIHNvbHZlclBhY2thZ2VzW25hbWVdID0gbnVsbDtcbiAgICB9XG5cbiAgICBjb25zdCB2ZXJzaW9ucyA9IGpzb25bJ3ZlcnNpb25zJ10gYXMgSnNvbk9iamVjdDtcbiAgICBjb25zdCByZXF1aXJlbWVudHM6IFNvbHZlclJlcXVpcmVtZW50W10gPSBbXTtcbiAgICBpZiAobmFtZXMuaW5kZXhPZihuYW1lKSAhPSAtMSkge1xuICAgICAgcmVxdWlyZW1lbnRzLnB1c2goX2dldFJlcXVlc3RlZFJlcXVpcmVtZW50KGpzb24sIHBhY2thZ2VzW25hbWVdLCBsb29zZSkpO1xuICAgIH1cbiAgICBmb3IgKGNvbnN0IHsgcGF0aCwgcmFuZ2UgfSBvZiBwcm9qZWN0RGVwZW5kZW5jaWVzW25hbWVdKSB7XG4gICAgICBjb25zdCBtaW5pbXVtID0gX2dldE1pbmltdW1WZXJzaW9uKHJhbmdlKTtcbiAgICAgIGlmIChtaW5pbXVtKSB7XG4gICAgICAgIHJlcXVpcmVtZW50cy5wdXNoKHtcbiAgICAgICAgICByYW5nZTogYD49JHttaW5pbXVtfWAsXG4gICAgICAgICAgcmVxdWlyZWRCeTogYHRoZSBjdXJyZW50IHJhbmdlIFwiJHtyYW5nZX1cIiBpbiAke3BhdGh9LCB3aGljaCBjYW5ub3QgYmUgZG93bmdyYWRlZGAsXG4gICAgICAgICAgaW5jbHVkZVByZXJlbGVhc2U6IHRydWUsXG4gICAgICAgIH0pO1xuICAgICAgfVxuICAgIH1cblxuICAgIGNvbnN0IHBhY2thZ2VQb2xpY3kgPSByZXF1aXJlbWVudHMuc29tZShyZXEgPT4gX2hhc1ByZXJlbGVhc2UocmVxLnJhbmdlKSlcbiAgICAgIHx8IHByb2plY3REZXBlbmRlbmNpZXNbbmFtZV0uc29tZShkZXAgPT4gX2hhc1ByZXJlbGVhc2UoZGVwLnJhbmdlKSlcbiAgICAgID8geyAuLi5wb2xpY3ksIGFsbG93UHJlcmVsZWFzZTogdHJ1ZSB9XG4gICAgICA6IHBvbGljeTtcbiAgICBjb25zdCBwcmVyZWxlYXNlUG9saWN5ID0geyAuLi5wYWNrYWdlUG9saWN5LCBhbGxvd1ByZXJlbGVhc2U6IHRydWUgfTtcbiAgICBjb25zdCBjYW5kaWRhdGVzOiBzdHJpbmdbXSA9IFtdO1xuICAgIGNvbnN0IHByZXJlbGVhc2VzOiBzdHJpbmdbXSA9IFtdO1xuICAgIHNraXBwZWRWZXJzaW9uc1tuYW1lXSA9IFtdO1xuICAgIGNvbnN0IHNvcnRlZFZlcnNpb25zID0gT2JqZWN0LmtleXModmVyc2lvbnMpLmZpbHRlcih2ID0+IHNlbXZlci52YWxpZCh2KSkuc29ydChzZW12ZXIucmNvbXBhcmUpO1xuICAgIC8vIFRoZSBwb2xpY3kgb25seSBhcHBsaWVzIHRvIG5ld2VyIHZlcnNpb25zIHRoYW4gdGhlIGN1cnJlbnQgb25lcywgc28gYSBwYWNrYWdlIGNhbiBhbHdheXNcbiAgICAvLyBzdGF5IG9uIHRoZSB2ZXJzaW9uIGl0cyBjdXJyZW50IHJhbmdlcyByZXNvbHZlIHRvLlxuICAgIGNvbnN0IGN1cnJlbnQgPSBwcm9qZWN0RGVwZW5kZW5jaWVzW25hbWVdXG4gICAgICAubWFwKGRlcCA9PiBzZW12ZXIudmFsaWRSYW5nZShkZXAucmFuZ2UpICYmIHNlbXZlci5tYXhTYXRpc2Z5aW5nKHNvcnRlZFZlcnNpb25zLCBkZXAucmFuZ2UpKVxuICAgICAgLmZpbHRlcigodik6IHYgaXMgc3RyaW5nID0+ICEhdilcbiAgICAgIC5zb3J0KHNlbXZlci5yY29tcGFyZSlbMF0gYXMgc3RyaW5nIHwgdW5kZWZpbmVkO1xuICAgIGZvciAoY29uc3QgdmVyc2lvbiBvZiBzb3J0ZWRWZXJzaW9ucykge1xuICAgICAgY29uc3QgcmVhc29uID0gY3VycmVudCAmJiBzZW12ZXIubHRlKHZlcnNpb24sIGN1cnJlbnQpXG4gICAgICAgID8gbnVsbFxuICAgICAgICA6IGdldFBvbGljeVZpb2xhdGlvbihqc29uLCB2ZXJzaW9uLCBwYWNrYWdlUG9saWN5KTtcbiAgICAgIGlmICghcmVhc29uKSB7XG4gICAgICAgIGNhbmRpZGF0ZXMucHVzaCh2ZXJzaW9uKTtcbiAgICAgICAgY29udGludWU7XG4gICAgICB9XG4gICAgICBza2lwcGVkVmVyc2lvbnNbbmFtZV0ucHVzaCh7IG5hbWUsIHZlcnNpb24sIHJlYXNvbiB9KTtcblxuICAgICAgLy8gUHJlcmVsZWFzZXMgY2FuIHN0aWxsIGJlIHBpY2tlZCB3aGVuIGEgcGVlciBkZXBlbmRlbmN5IHJhbmdlIGFza3MgZm9yIHRoZW0uXG4gICAgICBpZiAoIWdldFBvbGljeVZpb2xhdGlvbihqc29uLCB2ZXJzaW9uLCBwcmVyZWxlYXNlUG9saWN5KSkge1xuICAgICAgICBjYW5kaWRhdGVzLnB1c2godmVyc2lvbik7XG4gICAgICAgIHByZXJlbGVhc2VzLnB1c2godmVyc2lvbik7XG4gICAgICB9XG4gICAgfVxuXG4gICAgLy8gUHJlZmVyIHRoZSB2ZXJzaW9ucyB0aGUgcHJvamVjdCBhbHJlYWR5IGFsbG93cyBmb3IgdGhlIHBhY2thZ2VzIHRoYXQgYXJlIG5vdCByZXF1ZXN0ZWQsXG4gICAgLy8gc28gYSBwZWVyIGRlcGVuZGVuY3kgaXMgb25seSB1cGRhdGVkIHdoZW4gdGhlIHJlcXVlc3RlZCBwYWNrYWdlcyBuZWVkIGl0LlxuICAgIGNvbnN0IGlzQ3VycmVudCA9ICh2OiBzdHJpbmcpID0+IHByb2plY3REZXBlbmRlbmNpZXNbbmFtZV0uZXZlcnkoZGVwID0+IHtcbiAgICAgIHJldHVybiAhc2VtdmVyLnZhbGlkUmFuZ2UoZGVwLnJhbmdlKSB8fCBzZW12ZXIuc2F0aXNmaWVzKHYsIGRlcC5yYW5nZSk7XG4gICAgfSk7XG4gICAgY29uc3Qgc29ydGVkQ2FuZGlkYXRlcyA9IG5hbWVzLmluZGV4T2YobmFtZSkgIT0gLTFcbiAgICAgID8gY2FuZGlkYXRlc1xuICAgICAgOiBbLi4uY2FuZGlkYXRlcy5maWx0ZXIoaXNDdXJyZW50KSwgLi4uY2FuZGlkYXRlcy5maWx0ZXIodiA9PiAhaXNDdXJyZW50KHYpKV07XG5cbiAgICBjb25zdCBwa2c6IFNvbHZlclBhY2thZ2UgPSB7XG4gICAgICBjYW5kaWRhdGVzOiBzb3J0ZWRDYW5kaWRhdGVzLFxuICAgICAgcHJlcmVsZWFzZXMsXG4gICAgICBleGNsdWRlZDogc2tpcHBlZFZlcnNpb25zW25hbWVdLmZpbHRlcih4ID0+IHByZXJlbGVhc2VzLmluZGV4T2YoeC52ZXJzaW9uKSA9PSAtMSksXG4gICAgICByZXF1aXJlbWVudHMsXG4gICAgICBwZWVyRGVwZW5kZW5jaWVzOiB2ZXJzaW9uID0+IHtcbiAgICAgICAgY29uc3QgZGVwcyA9ICh2ZXJzaW9uc1t2ZXJzaW9uXSBhcyBKc29uT2JqZWN0KVsncGVlckRlcGVuZGVuY2llcyddO1xuXG4gICAgICAgIHJldHVybiAoZGVwcyB8fCB7fSkgYXMgeyBbbmFtZTogc3RyaW5nXTogc3RyaW5nIH07XG4gICAgICB9LFxuICAgIH07XG5cbiAgICBjb25zdCBibG9ja2VkID0gc2tpcHBlZFZlcnNpb25zW25hbWVdXG4gICAgICAuZmlsdGVyKHggPT4gcmVxdWlyZW1lbnRzLmV2ZXJ5KHJlcSA9PiBzYXRpc2ZpZXNSZXF1aXJlbWVudCh4LnZlcnNpb24sIHJlcSkpKTtcbiAgICBjb25zdCBpc1NhdGlzZmlhYmxlID0gY2FuZGlkYXRlcy5zb21lKHYgPT4gc2F0aXNmaWVzUmVxdWlyZW1lbnRzKHBrZywgdiwgcmVxdWlyZW1lbnRzKSk7XG4gICAgaWYgKG5hbWVzLmluZGV4T2YobmFtZSkgIT0gLTEgJiYgIWlzU2F0aXNmaWFibGUgJiYgYmxvY2tlZC5sZW5ndGggPiAwKSB7XG4gICAgICB0aHJvdyBuZXcgU2NoZW1hdGljc0V4Y2VwdGlvbihcbiAgICAgICAgYE5vIHZlcnNpb24gb2YgJHtKU09OLnN0cmluZ2lmeShuYW1lKX0gbWF0Y2hpbmcgXCIke3BhY2thZ2VzW25hbWVdfVwiIGlzIGFsbG93ZWQgYnkgdGhlIGBcbiAgICAgICAgKyAndXBkYXRlIHBvbGljeTpcXG4nXG4gICAgICAgICsgYmxvY2tlZC5tYXAoeCA9PiBgICAke3gudmVyc2lvbn06ICR7eC5yZWFzb259YCkuam9pbignXFxuJyksXG4gICAgICApO1xuICAgIH1cblxuICAgIHJldHVybiBzb2x2ZXJQYWNrYWdlc1tuYW1lXSA9IHBrZztcbiAgfTtcblxuICBjb25zdCByZXNvbHZlZCA9IHNvbHZlVmVyc2lvbnMobmFtZXMsIGdldFBhY2thZ2UpO1xuXG4gIC8vIENvbGxlY3QgdGhlIHBlZXIgZGVwZW5kZW5jeSByYW5nZXMgb2YgdGhlIHJlc29sdmVkIHZlcnNpb25zLCBhbmQgdGhlIGZpcnN0IGNoYWluIHRoYXRcbiAgLy8gcHVsbGVkIGVhY2ggcGFja2FnZS5cbiAgY29uc3QgcGVlclJhbmdlczogeyBbbmFtZTogc3RyaW5nXTogc3RyaW5nW10gfSA9IHt9O1xuICBjb25zdCBxdWV1ZSA9IFsuLi5uYW1lc107XG4gIGZvciAoY29uc3QgbmFtZSBvZiBuYW1lcykge1xuICAgIGNvbnN0IG93bmVyID0gZ3JvdXBzW25hbWVdO1xuICAgIHJlYXNvbnNbbmFtZV0gPSBbXTtcbiAgICBpZiAob3duZXIpIHtcbiAgICAgIGNvbnN0IHZlcnNpb24gPSByZXNvbHZlZFtvd25lcl0gfHwgcGFja2FnZXNbb3duZXJdO1xuICAgICAgcmVhc29uc1tuYW1lXS5wdXNoKHsgbmFtZTogb3duZXIsIHZlcnNpb24sIHJhbmdlOiBwYWNrYWdlc1tvd25lcl0sIHBhY2thZ2VHcm91cDogdHJ1ZSB9KTtcbiAgICB9XG4gIH1cbiAgd2hpbGUgKHF1ZXVlLmxlbmd0aCA+IDApIHtcbiAgICBjb25zdCBuYW1lID0gcXVldWUuc2hpZnQoKSBhcyBzdHJpbmc7XG4gICAgY29uc3QgcGVlcnMgPSAoZ2V0UGFja2FnZShuYW1lKSBhcyBTb2x2ZXJQYWNrYWdlKS5wZWVyRGVwZW5kZW5jaWVzKHJlc29sdmVkW25hbWVdKTtcblxuICAgIGZvciAoY29uc3QgZGVwTmFtZSBvZiBPYmplY3Qua2V5cyhwZWVycykpIHtcbiAgICAgIGlmIChyZXNvbHZlZFtkZXBOYW1lXSA9PT0gdW5kZWZpbmVkKSB7XG4gICAgICAgIGNvbnRpbnVlO1xuICAgICAgfVxuICAgICAgcGVlclJhbmdlc1tkZXBOYW1lXSA9IFsuLi4ocGVlclJhbmdlc1tkZXBOYW1lXSB8fCBbXSksIHBlZXJzW2RlcE5hbWVdXTtcbiAgICAgIGlmICghcmVhc29uc1tkZXBOYW1lXSkge1xuICAgICAgICByZWFzb25zW2RlcE5hbWVdID0gW1xuICAgICAgICAgIHsgbmFtZSwgdmVyc2lvbjogcmVzb2x2ZWRbbmFtZV0sIHJhbmdlOiBwZWVyc1tkZXBOYW1lXSB9LFxuICAgICAgICAgIC4uLnJlYXNvbnNbbmFtZV0sXG4gICAgICAgIF07XG4gICAgICAgIHF1ZXVlLnB1c2goZGVwTmFtZSk7XG4gICAgICB9XG4gICAgfVxuICB9XG5cbiAgZm9yIChjb25zdCBuYW1lIG9mIE9iamVjdC5rZXlzKHJlc29sdmVkKSkge1xuICAgIGNvbnN0IHBrZyA9IGdldFBhY2thZ2UobmFtZSkgYXMgU29sdmVyUGFja2FnZTtcbiAgICBsZXQgcmFuZ2UgPSByZXNvbHZlZFtuYW1lXTtcbiAgICBpZiAobmFtZXMuaW5kZXhPZihuYW1lKSAhPSAtMSkge1xuICAgICAgLy8gQSByZXF1ZXN0ZWQgcmFuZ2UgbGlrZSBgXjYuMS4wYCBhbHNvIHNldHMgdGhlIG9wZXJhdG9yIG9mIHRoZSBwYWNrYWdlLlxuICAgICAgY29uc3QgcmVxdWlyZW1lbnQgPSBfZ2V0UmVxdWVzdGVkUmVxdWlyZW1lbnQobWV0YWRhdGFbbmFtZV0sIHBhY2thZ2VzW25hbWVdLCBsb29zZSk7XG4gICAgICBjb25zdCBtYXliZU9wZXJhdG9yID0gcmVxdWlyZW1lbnQucmFuZ2UubWF0Y2goL15cXHMqKFt+Xl0pLyk7XG4gICAgICBpZiAobWF5YmVPcGVyYXRvcikge1xuICAgICAgICByYW5nZSA9IG1heWJlT3BlcmF0b3JbMV0gKyByYW5nZTtcbiAgICAgIH1cblxuICAgICAgY29uc3QgbmV3ZXN0ID0gcGtnLmNhbmRpZGF0ZXMuZmluZCh2ID0+IHNhdGlzZmllc1JlcXVpcmVtZW50cyhwa2csIHYsIHBrZy5yZXF1aXJlbWVudHMpKTtcbiAgICAgIGlmIChuZXdlc3QgJiYgbmV3ZXN0ICE9PSByZXNvbHZlZFtuYW1lXSkge1xuICAgICAgICBsb2dnZXIuaW5mbyhgVXNpbmcgJHtKU09OLnN0cmluZ2lmeShuYW1lKX0gdmVyc2lvbiAke3Jlc29sdmVkW25hbWVdfSBpbnN0ZWFkIG9mICR7bmV3ZXN0fSwgYFxuICAgICAgICAgICsgJ2JlY2F1c2Ugb2YgY29uZmxpY3RpbmcgcGVlciBkZXBlbmRlbmNpZXMuJyk7XG4gICAgICB9XG4gICAgfSBlbHNlIGlmIChfc2F0aXNmaWVzUGVlclJhbmdlcyhtZXRhZGF0YVtuYW1lXSwgcHJvamVjdERlcGVuZGVuY2llc1tuYW1lXSwgcGVlclJhbmdlc1tuYW1lXSkpIHtcbiAgICAgIGRlbGV0ZSByZXNvbHZlZFtuYW1lXTtcbiAgICAgIGNvbnRpbnVlO1xuICAgIH1cblxuICAgIGxvZ2dlci5kZWJ1ZyhgUmVjb3JkaW5nIHVwZGF0ZSBmb3IgJHtKU09OLnN0cmluZ2lmeShuYW1lKX0gdG8gdmVyc2lvbiAke3JhbmdlfS5gKTtcbiAgICBhbGxWZXJzaW9uc1tuYW1lXSA9IHJhbmdlO1xuXG4gICAgLy8gT25seSByZXBvcnQgdGhlIHZlcnNpb25zIHRoYXQgd291bGQgaGF2ZSBiZWVuIHBpY2tlZCB3aXRob3V0IHRoZSBwb2xpY3kuXG4gICAgZm9yIChjb25zdCB4IG9mIHNraXBwZWRWZXJzaW9uc1tuYW1lXSkge1xuICAgICAgY29uc3QgaXNOZXdlciA9IHNlbXZlci5ndCh4LnZlcnNpb24sIHJlc29sdmVkW25hbWVdKTtcbiAgICAgIGlmIChpc05ld2VyICYmIHBrZy5yZXF1aXJlbWVudHMuZXZlcnkocmVxID0+IHNhdGlzZmllc1JlcXVpcmVtZW50KHgudmVyc2lvbiwgcmVxKSkpIHtcbiAgICAgICAgbG9nZ2VyLmluZm8oYFNraXBwZWQgJHtKU09OLnN0cmluZ2lmeShuYW1lKX0gdmVyc2lvbiAke3gudmVyc2lvbn06ICR7eC5yZWFzb259LmApO1xuICAgICAgICBza2lwcGVkLnB1c2goeCk7XG4gICAgICB9XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIHJlc29sdmVkO1xufVxuXG4vKipcbiAqIENvbGxlY3QgdGhlIHBlZXIgZGVwZW5kZW5jaWVzIG9mIHRoZSByZXNvbHZlZCB2ZXJzaW9ucyB0aGF0IGFyZSBtaXNzaW5nIGZyb20gYWxsIHRoZVxuICogcGFja2FnZS5qc29uIGZpbGVzIG9mIHRoZSBwcm9qZWN0LiBQZWVyIGRlcGVuZGVuY2llcyB0aGUgcHJvamVjdCBsaXN0cyBhcmUgcmVzb2x2ZWQgd2l0aCB0aGVcbiAqIG90aGVyIHBhY2thZ2VzLCBzbyB0aGVpciByYW5nZXMgYXJlIGFscmVhZHkgdXBkYXRlZCB3aGVuIG5lZWRlZC4gT3B0aW9uYWwgcGVlciBkZXBlbmRlbmNpZXNcbiAqIChmcm9tIGBwZWVyRGVwZW5kZW5jaWVzTWV0YWApIGFuZCBwYWNrYWdlcyBvZiB0aGUgcHJvamVjdCBpdHNlbGYgYXJlIGlnbm9yZWQuXG4gKiBAcGFyYW0ge3tbcDogc3RyaW5nXTogc3RyaW5nfX0gcmVzb2x2ZWQgVGhlIHJlc29sdmVkIHZlcnNpb24sIGJ5IHBhY2thZ2UgbmFtZS5cbiAqIEBwYXJhbSB7e1twOiBzdHJpbmddOiBKc29uT2JqZWN0fX0gbWV0YWRhdGEgVGhlIE5QTSBwYWNrYWdlLmpzb24sIGJ5IHBhY2thZ2UgbmFtZS5cbiAqIEBwYXJhbSB7e1twOiBzdHJpbmddOiBQcm9qZWN0RGVwZW5kZW5jeVtdfX0gcHJvamVjdERlcGVuZGVuY2llcyBUaGUgZGVwZW5kZW5jaWVzIG9mIHRoZVxuICogICBwcm9qZWN0LlxuICogQHBhcmFtIHtzdHJpbmdbXX0gbG9jYWxQYWNrYWdlcyBUaGUgbmFtZXMgb2YgdGhlIHBhY2thZ2VzIG9mIHRoZSBwcm9qZWN0LlxuICogQHJldHVybnMge1VwZGF0ZVBsYW5QZWVySXNzdWVbXX0gVGhlIG1pc3NpbmcgcGVlciBkZXBlbmRlbmNpZXMuXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfZ2V0UGVlckRlcGVuZGVuY3lJc3N1ZXMoXG4gIHJlc29sdmVkOiB7IFtuYW1lOiBzdHJpbmddOiBzdHJpbmcgfSxcbiAgbWV0YWRhdGE6IHsgW25hbWU6IHN0cmluZ106IEpzb25PYmplY3QgfSxcbiAgcHJvamVjdERlcGVuZGVuY2llczogeyBbbmFtZTogc3RyaW5nXTogUHJvamVjdERlcGVuZGVuY3lbXSB9LFxuICBsb2NhbFBhY2thZ2VzOiBzdHJpbmdbXSxcbik6IFVwZGF0ZVBsYW5QZWVySXNzdWVbXSB7XG4gIGNvbnN0IGlzc3VlczogeyBbbmFtZTogc3RyaW5nXTogVXBkYXRlUGxhblBlZXJJc3N1ZSB9ID0ge307XG5cbiAgZm9yIChjb25zdCBuYW1lIG9mIE9iamVjdC5rZXlzKHJlc29sdmVkKSkge1xuICAgIGNvbnN0IHZlcnNpb25zID0gbWV0YWRhdGFbbmFtZV1bJ3ZlcnNpb25zJ10gYXMgSnNvbk9iamVjdDtcbiAgICBjb25zdCB2ZXJzaW9uSnNvbiA9IHZlcnNpb25zW3Jlc29sdmVkW25hbWVdXSBhcyBKc29uT2JqZWN0O1xuICAgIGNvbnN0IHBlZXJzID0gKHZlcnNpb25Kc29uWydwZWVyRGVwZW5kZW5jaWVzJ10gfHwge30pIGFzIEpzb25PYmplY3Q7XG4gICAgY29uc3QgcGVlcnNNZXRhID0gKHZlcnNpb25Kc29uWydwZWVyRGVwZW5kZW5jaWVzTWV0YSddIHx8IHt9KSBhcyBKc29uT2JqZWN0O1xuXG4gICAgZm9yIChjb25zdCBwZWVyIG9mIE9iamVjdC5rZXlzKHBlZXJzKSkge1xuICAgICAgY29uc3QgcmFuZ2UgPSBwZWVyc1twZWVyXTtcbiAgICAgIGNvbnN0IG1ldGEgPSBwZWVyc01ldGFbcGVlcl0gYXMgSnNvbk9iamVjdCB8IHVuZGVmaW5lZDtcbiAgICAgIGlmICh0eXBlb2YgcmFuZ2UgIT0gJ3N0cmluZycgfHwgcGVlciBpbiBwcm9qZWN0RGVwZW5kZW5jaWVzXG4gICAgICAgICAgfHwgbG9jYWxQYWNrYWdlcy5pbmRleE9mKHBlZXIpICE9IC0xIHx8IChtZXRhICYmIG1ldGFbJ29wdGlvbmFsJ10pKSB7XG4gICAgICAgIGNvbnRpbnVlO1xuICAgICAgfVxuXG4gICAgICBpc3N1ZXNbcGVlcl0gPSBpc3N1ZXNbcGVlcl0gfHwgeyBuYW1lOiBwZWVyLCByZXF1aXJlZEJ5OiBbXSB9O1xuICAgICAgaXNzdWVzW3BlZXJdLnJlcXVpcmVkQnkucHVzaCh7IG5hbWUsIHZlcnNpb246IHJlc29sdmVkW25hbWVdLCByYW5nZSB9KTtcbiAgICB9XG4gIH1cblxuICByZXR1cm4gT2JqZWN0LmtleXMoaXNzdWVzKS5tYXAobmFtZSA9PiBpc3N1ZXNbbmFtZV0pO1xufVxuXG4vKipcbiAqIEdldCB0aGUgY2hhbmdlcyB0aGF0IGFkZCB0aGUgbWlzc2luZyBwZWVyIGRlcGVuZGVuY2llcywgYXQgdGhlIGhpZ2hlc3QgdmVyc2lvbiBhbGxvd2VkIGJ5IHRoZVxuICogcG9saWN5IHRoYXQgc2F0aXNmaWVzIGV2ZXJ5IHBhY2thZ2UgcmVxdWlyaW5nIHRoZW0uIFRoZXkgYXJlIGFkZGVkIHRvIGVhY2ggcGFja2FnZS5qc29uIHRoYXRcbiAqIGRlcGVuZHMgb24gYSBwYWNrYWdlIHJlcXVpcmluZyB0aGVtLCBpbiB0aGUgc2FtZSBmaWVsZCAoZS5nLiBgZGV2RGVwZW5kZW5jaWVzYCksIHdpdGggdGhlXG4gKiBvcGVyYXRvciBvZiB0aGUgcmVxdWlyZWQgcmFuZ2UuXG4gKiBAcGFyYW0ge1VwZGF0ZVBsYW5QZWVySXNzdWVbXX0gaXNzdWVzIFRoZSBtaXNzaW5nIHBlZXIgZGVwZW5kZW5jaWVzLlxuICogQHBhcmFtIHt7W3A6IHN0cmluZ106IFByb2plY3REZXBlbmRlbmN5W119fSBwcm9qZWN0RGVwZW5kZW5jaWVzIFRoZSBkZXBlbmRlbmNpZXMgb2YgdGhlXG4gKiAgIHByb2plY3QuXG4gKiBAcGFyYW0ge3tbcDogc3RyaW5nXTogVXBkYXRlUGxhblJlcXVpcmVtZW50W119fSByZWFzb25zIEZpbGxlZCB3aXRoIHRoZSBwYWNrYWdlIHRoYXQgcmVxdWlyZXNcbiAqICAgZWFjaCBwZWVyIGRlcGVuZGVuY3kgdGhhdCBpcyBhZGRlZC5cbiAqIEBwYXJhbSB7VXBkYXRlUG9saWN5fSBwb2xpY3kgVGhlIHBvbGljeSB0aGUgdmVyc2lvbnMgbXVzdCBmb2xsb3cuXG4gKiBAcGFyYW0ge3N0cmluZ30gcmFuZ2VPcGVyYXRvciBUaGUgYHJhbmdlT3BlcmF0b3JgIG9wdGlvbi5cbiAqIEBwYXJhbSB7UmVnaXN0cnlDbGllbnRPcHRpb25zfSBjbGllbnRPcHRpb25zIFRoZSByZWdpc3RyeSBjbGllbnQgb3B0aW9ucy5cbiAqIEBwYXJhbSB7TG9nZ2VyQXBpfSBsb2dnZXIgQSBsb2dnZXIgaW5zdGFuY2UgdG8gbG9nIGRlYnVnIGluZm9ybWF0aW9uLlxuICogQHJldHVybnMge09ic2VydmFibGU8e2NoYW5nZXM6IFBhY2thZ2VKc29uQ2hhbmdlW10sIGlzc3VlczogVXBkYXRlUGxhblBlZXJJc3N1ZVtdfT59IFRoZVxuICogICBjaGFuZ2VzLCBhbmQgdGhlIGlzc3VlcyB0aGF0IGNvdWxkIG5vdCBiZSBmaXhlZC5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9maXhQZWVyRGVwZW5kZW5jaWVzKFxuICBpc3N1ZXM6IFVwZGF0ZVBsYW5QZWVySXNzdWVbXSxcbiAgcHJvamVjdERlcGVuZGVuY2llczogeyBbbmFtZTogc3RyaW5nXTogUHJvamVjdERlcGVuZGVuY3lbXSB9LFxuICByZWFzb25zOiB7IFtuYW1lOiBzdHJpbmddOiBVcGRhdGVQbGFuUmVxdWlyZW1lbnRbXSB9LFxuICBwb2xpY3k6IFVwZGF0ZVBvbGljeSxcbiAgcmFuZ2VPcGVyYXRvcjogc3RyaW5nLFxuICBjbGllbnRPcHRpb25zOiBSZWdpc3RyeUNsaWVudE9wdGlvbnMsXG4gIGxvZ2dlcjogbG9nZ2luZy5Mb2dnZXJBcGksXG4pOiBPYnNlcnZhYmxlPHsgY2hhbmdlczogUGFja2FnZUpzb25DaGFuZ2VbXSwgaXNzdWVzOiBVcGRhdGVQbGFuUGVlcklzc3VlW10gfT4ge1xuICByZXR1cm4gb2JzZXJ2YWJsZUZyb20oaXNzdWVzKS5waXBlKFxuICAgIG1lcmdlTWFwKGlzc3VlID0+IGdldE5wbVBhY2thZ2VKc29uKGlzc3VlLm5hbWUsIGNsaWVudE9wdGlvbnMsIGxvZ2dlcikucGlwZShcbiAgICAgIG1hcChqc29uID0+ICh7IGlzc3VlLCBqc29uOiBqc29uIGFzIEpzb25PYmplY3QgfCBudWxsIH0pKSxcbiAgICAgIGNhdGNoRXJyb3IoZXJyID0+IHtcbiAgICAgICAgbG9nZ2VyLndhcm4oZXJyLm1lc3NhZ2UpO1xuXG4gICAgICAgIHJldHVybiBvYnNlcnZhYmxlT2YoeyBpc3N1ZSwganNvbjogbnVsbCB9KTtcbiAgICAgIH0pLFxuICAgICksIDEpLFxuICAgIHRvQXJyYXkoKSxcbiAgICBtYXAocmVzdWx0cyA9PiB7XG4gICAgICBjb25zdCBjaGFuZ2VzOiBQYWNrYWdlSnNvbkNoYW5nZVtdID0gW107XG4gICAgICBjb25zdCByZW1haW5pbmc6IFVwZGF0ZVBsYW5QZWVySXNzdWVbXSA9IFtdO1xuXG4gICAgICBmb3IgKGNvbnN0IHsgaXNzdWUsIGpzb24gfSBvZiByZXN1bHRzKSB7XG4gICAgICAgIGNvbnN0IHJhbmdlcyA9IGlzc3VlLnJlcXVpcmVkQnkubWFwKHJlcSA9PiByZXEucmFuZ2UpO1xuICAgICAgICBjb25zdCBwZWVyUG9saWN5ID0gcmFuZ2VzLnNvbWUoX2hhc1ByZXJlbGVhc2UpXG4gICAgICAgICAgPyB7IC4uLnBvbGljeSwgYWxsb3dQcmVyZWxlYXNlOiB0cnVlIH1cbiAgICAgICAgICA6IHBvbGljeTtcbiAgICAgICAgY29uc3QgdmVyc2lvbiA9IGpzb24gJiYgT2JqZWN0LmtleXMoanNvblsndmVyc2lvbnMnXSBhcyBKc29uT2JqZWN0KVxuICAgICAgICAgIC5maWx0ZXIodiA9PiBzZW12ZXIudmFsaWQodikpXG4gICAgICAgICAgLnNvcnQoc2VtdmVyLnJjb21wYXJlKVxuICAgICAgICAgIC5maW5kKHYgPT4gcmFuZ2VzLmV2ZXJ5KHJhbmdlID0+IHNlbXZlci5zYXRpc2ZpZXModiwgcmFuZ2UpKVxuICAgICAgICAgICAgJiYgIWdldFBvbGljeVZpb2xhdGlvbihqc29uLCB2LCBwZWVyUG9saWN5KSk7XG4gICAgICAgIGlmICghdmVyc2lvbikge1xuICAgICAgICAgIHJlbWFpbmluZy5wdXNoKGlzc3VlKTtcbiAgICAgICAgICBjb250aW51ZTtcbiAgICAgICAgfVxuXG4gICAgICAgIC8vIEFkZCB0aGUgcGVlciBkZXBlbmRlbmN5IG5leHQgdG8gdGhlIHBhY2thZ2VzIHJlcXVpcmluZyBpdCwgaW4gdGhlIGZpcnN0IGZpZWxkLlxuICAgICAgICBjb25zdCBmaWVsZHM6IHsgW3BhdGg6IHN0cmluZ106IHN0cmluZyB9ID0ge307XG4gICAgICAgIGZvciAoY29uc3QgcmVxIG9mIGlzc3VlLnJlcXVpcmVkQnkpIHtcbiAgICAgICAgICBmb3IgKGNvbnN0IHsgcGF0aCwgZmllbGQgfSBvZiBwcm9qZWN0RGVwZW5kZW5jaWVzW3JlcS5uYW1lXSB8fCBbXSkge1xuICAgICAgICAgICAgY29uc3QgaW5kZXggPSBrUGFja2FnZUpzb25EZXBlbmRlbmN5RmllbGRzLmluZGV4T2YoZmllbGQpO1xuICAgICAgICAgICAgaWYgKCEocGF0aCBpbiBmaWVsZHMpIHx8IGluZGV4IDwga1BhY2thZ2VKc29uRGVwZW5kZW5jeUZpZWxkcy5pbmRleE9mKGZpZWxkc1twYXRoXSkpIHtcbiAgICAgICAgICAgICAgZmllbGRzW3BhdGhdID0gZmllbGQ7XG4gICAgICAgICAgICB9XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIGZvciAoY29uc3QgcGF0aCBvZiBPYmplY3Qua2V5cyhmaWVsZHMpKSB7XG4gICAgICAgICAgY29uc3QgdGFyZ2V0ID0gX2dldERlcGVuZGVuY3lSYW5nZShyYW5nZXNbMF0sIHZlcnNpb24sIGZpZWxkc1twYXRoXSwgcmFuZ2VPcGVyYXRvcik7XG4gICAgICAgICAgY2hhbmdlcy5wdXNoKHsgbmFtZTogaXNzdWUubmFtZSwgcGF0aCwgZmllbGQ6IGZpZWxkc1twYXRoXSwgY3VycmVudDogbnVsbCwgdGFyZ2V0IH0pO1xuICAgICAgICB9XG5cbiAgICAgICAgbG9nZ2VyLmluZm8oYEFkZGluZyBwZWVyIGRlcGVuZGVuY3kgJHtKU09OLnN0cmluZ2lmeShpc3N1ZS5uYW1lKX0gYXQgdmVyc2lvbiAke3ZlcnNpb259LCBgXG4gICAgICAgICAgKyBgcmVxdWlyZWQgYnkgJHtpc3N1ZS5yZXF1aXJlZEJ5Lm1hcCh4ID0+IHgubmFtZSkuam9pbignLCAnKX0uYCk7XG4gICAgICAgIHJlYXNvbnNbaXNzdWUubmFtZV0gPSBbaXNzdWUucmVxdWlyZWRCeVswXSwgLi4uKHJlYXNvbnNbaXNzdWUucmVxdWlyZWRCeVswXS5uYW1lXSB8fCBbXSldO1xuICAgICAgfVxuXG4gICAgICByZXR1cm4geyBjaGFuZ2VzLCBpc3N1ZXM6IHJlbWFpbmluZyB9O1xuICAgIH0pLFxuICApO1xufVxuXG4vKipcbiAqIFJlYWQgdGhlIE5QTSByZXBvc2l0b3J5IHRvIHJlc29sdmUgdGhlIHZlcnNpb25zIG9mIHRoZSBwYWNrYWdlcyBhbmQgdGhlaXIgcGVlciBkZXBlbmRlbmNpZXMsXG4gKiBhbmQgcmVjb3JkIHdoYXQgY2hhbmdlcyBpbiBgdXBkYXRlYCwgd2l0aG91dCBtb2RpZnlpbmcgdGhlIHRyZWUuIEV2ZXJ5IHBhY2thZ2UuanNvbiBvZiB0aGVcbiAqIGB3b3Jrc3BhY2VzYCBvZiB0aGUgcm9vdCBwYWNrYWdlLmpzb24sIG9yIGZyb20gYHBhY2thZ2VKc29uUGF0aHNgLCBpcyBwYXJ0IG9mIHRoZSBwcm9qZWN0LlxuICogYHJlZ2lzdHJ5YCwgYHRpbWVvdXRgLCBgcmV0cmllc2AgYW5kIGBvZmZsaW5lYCBjb25maWd1cmUgaG93IHRoZSByZXBvc2l0b3J5IGlzIHF1ZXJpZWQsIGFuZFxuICogYGV4Y2x1ZGVEZXByZWNhdGVkYCwgYGNoZWNrRW5naW5lc2AsIGBhbGxvd1ByZXJlbGVhc2VgIGFuZCBgbWluaW11bVJlbGVhc2VBZ2VgIGZvcm0gdGhlIHBvbGljeVxuICogY2FuZGlkYXRlIHZlcnNpb25zIG11c3QgZm9sbG93LlxuICogQHBhcmFtIHt7W3A6IHN0cmluZ106IHN0cmluZ319IHBhY2thZ2VzIFRoZSByZXF1ZXN0ZWQgdmVyc2lvbiBvciBkaXN0LXRhZywgYnkgcGFja2FnZSBuYW1lLlxuICogQHBhcmFtIHtTY2hlbWF0aWNzVXBkYXRlU2NoZW1hfSBvcHRpb25zIFRoZSBzY2hlbWF0aWMgb3B0aW9ucy5cbiAqIEBwYXJhbSB7UGFja2FnZVVwZGF0ZX0gdXBkYXRlIEZpbGxlZCB3aXRoIHdoYXQgdGhlIHVwZGF0ZSBjaGFuZ2VzLlxuICogQHJldHVybnMge1J1bGV9IFRoZSBydWxlLlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX3Jlc29sdmVVcGRhdGUoXG4gIHBhY2thZ2VzOiB7IFtuYW1lOiBzdHJpbmddOiBzdHJpbmcgfSxcbiAgb3B0aW9uczogU2NoZW1hdGljc1VwZGF0ZVNjaGVtYSxcbiAgdXBkYXRlOiBQYWNrYWdlVXBkYXRlLFxuKTogUnVsZSB7XG4gIGNvbnN0IGxvb3NlID0gISFvcHRpb25zLmxvb3NlO1xuICBjb25zdCByYW5nZU9wZXJhdG9yID0gb3B0aW9ucy5yYW5nZU9wZXJhdG9yIHx8IChsb29zZSA/ICd+JyA6ICdrZWVwJyk7XG5cbiAgcmV0dXJuICh0cmVlOiBUcmVlLCBjb250ZXh0OiBTY2hlbWF0aWNDb250ZXh0KTogT2JzZXJ2YWJsZTxUcmVlPiA9PiB7XG4gICAgY29uc3QgcGFja2FnZUpzb25zOiB7IFtwYXRoOiBzdHJpbmddOiBKc29uT2JqZWN0IH0gPSB7fTtcbiAgICBjb25zdCBwYXRocyA9IGZpbmRQYWNrYWdlSnNvblBhdGhzKHRyZWUsIG9wdGlvbnMucGFja2FnZUpzb25QYXRocyk7XG4gICAgZm9yIChjb25zdCBwYXRoIG9mIHBhdGhzKSB7XG4gICAgICBwYWNrYWdlSnNvbnNbcGF0aF0gPSByZWFkUGFja2FnZUpzb24odHJlZSwgcGF0aCk7XG4gICAgfVxuICAgIGNvbnN0IHByb2plY3REZXBlbmRlbmNpZXMgPSBfZ2V0UHJvamVjdERlcGVuZGVuY2llcyhwYWNrYWdlSnNvbnMpO1xuICAgIGNvbnN0IGxvY2FsUGFja2FnZXMgPSBPYmplY3Qua2V5cyhwYWNrYWdlSnNvbnMpXG4gICAgICAubWFwKHBhdGggPT4gcGFja2FnZUpzb25zW3BhdGhdWyduYW1lJ10pXG4gICAgICAuZmlsdGVyKG5hbWUgPT4gdHlwZW9mIG5hbWUgPT0gJ3N0cmluZycpIGFzIHN0cmluZ1tdO1xuICAgIGNvbnN0IGNsaWVudE9wdGlvbnM6IFJlZ2lzdHJ5Q2xpZW50T3B0aW9ucyA9IHtcbiAgICAgIG5wbUNvbmZpZzogcmVhZE5wbUNvbmZpZyh0cmVlLCBvcHRpb25zLnJlZ2lzdHJ5KSxcbiAgICAgIHRpbWVvdXQ6IG9wdGlvbnMudGltZW91dCxcbiAgICAgIHJldHJpZXM6IG9wdGlvbnMucmV0cmllcyxcbiAgICAgIG9mZmxpbmU6IG9wdGlvbnMub2ZmbGluZSxcbiAgICAgIC8vIFRoZSByZWxlYXNlIGRhdGVzIGFyZSBvbmx5IGluIHRoZSBmdWxsIG1ldGFkYXRhLlxuICAgICAgZnVsbE1ldGFkYXRhOiAhIW9wdGlvbnMubWluaW11bVJlbGVhc2VBZ2UsXG4gICAgfTtcbiAgICBjb25zdCBwb2xpY3k6IFVwZGF0ZVBvbGljeSA9IHtcbiAgICAgIGV4Y2x1ZGVEZXByZWNhdGVkOiBvcHRpb25zLmV4Y2x1ZGVEZXByZWNhdGVkICE9PSBmYWxzZSxcbiAgICAgIG5vZGVWZXJzaW9uczogb3B0aW9ucy5jaGVja0VuZ2luZXMgIT09IGZhbHNlID8gX2dldFByb2plY3ROb2RlVmVyc2lvbnMocGFja2FnZUpzb25zKSA6IFtdLFxuICAgICAgYWxsb3dQcmVyZWxlYXNlOiAhIW9wdGlvbnMuYWxsb3dQcmVyZWxlYXNlLFxuICAgICAgbWluaW11bVJlbGVhc2VBZ2U6IG9wdGlvbnMubWluaW11bVJlbGVhc2VBZ2UgfHwgMCxcbiAgICAgIG5vdzogRGF0ZS5ub3coKSxcbiAgICB9O1xuICAgIGNvbnN0IGFsbFZlcnNpb25zOiB7IFtuYW1lOiBzdHJpbmddOiBzdHJpbmcgfSA9IHt9O1xuICAgIGNvbnN0IGdyb3VwczogeyBbbmFtZTogc3RyaW5nXTogc3RyaW5nIH0gPSB7fTtcblxuICAgIHJldHVybiBfZXhwYW5kUGFja2FnZUdyb3VwcyhcbiAgICAgIHBhY2thZ2VzLFxuICAgICAgcHJvamVjdERlcGVuZGVuY2llcyxcbiAgICAgIGdyb3VwcyxcbiAgICAgIGNsaWVudE9wdGlvbnMsXG4gICAgICBjb250ZXh0LmxvZ2dlcixcbiAgICApLnBpcGUoXG4gICAgICBtZXJnZU1hcChleHBhbmRlZFBhY2thZ2VzID0+IF9nZXRQYWNrYWdlTWV0YWRhdGEoXG4gICAgICAgIE9iamVjdC5rZXlzKGV4cGFuZGVkUGFja2FnZXMpLmZpbHRlcihuYW1lID0+IG5hbWUgaW4gcHJvamVjdERlcGVuZGVuY2llcyksXG4gICAgICAgIHByb2plY3REZXBlbmRlbmNpZXMsXG4gICAgICAgIGNsaWVudE9wdGlvbnMsXG4gICAgICAgIGNvbnRleHQubG9nZ2VyLFxuICAgICAgKS5waXBlKFxuICAgICAgICBtZXJnZU1hcChtZXRhZGF0YSA9PiB7XG4gICAgICAgICAgY29uc3QgcmVzb2x2ZWQgPSBfcmVzb2x2ZVZlcnNpb25zKFxuICAgICAgICAgICAgcHJvamVjdERlcGVuZGVuY2llcyxcbiAgICAgICAgICAgIGV4cGFuZGVkUGFja2FnZXMsXG4gICAgICAgICAgICBncm91cHMsXG4gICAgICAgICAgICBtZXRhZGF0YSxcbiAgICAgICAgICAgIGFsbFZlcnNpb25zLFxuICAgICAgICAgICAgdXBkYXRlLnJlYXNvbnMsXG4gICAgICAgICAgICBwb2xpY3ksXG4gICAgICAgICAgICB1cGRhdGUuc2tpcHBlZCxcbiAgICAgICAgICAgIGNvbnRleHQubG9nZ2VyLFxuICAgICAgICAgICAgbG9vc2UsXG4gICAgICAgICAgKTtcbiAgICAgICAgICB1cGRhdGUuY2hhbmdlcyA9IF9nZXRQYWNrYWdlSnNvbkNoYW5nZXMoXG4gICAgICAgICAgICBwYXRocyxcbiAgICAgICAgICAgIHByb2plY3REZXBlbmRlbmNpZXMsXG4gICAgICAgICAgICBhbGxWZXJzaW9ucyxcbiAgICAgICAgICAgIHJhbmdlT3BlcmF0b3IsXG4gICAgICAgICAgKTtcbiAgICAgICAgICB1cGRhdGUucGVlcklzc3VlcyA9IF9nZXRQZWVyRGVwZW5kZW5jeUlzc3VlcyhcbiAgICAgICAgICAgIHJlc29sdmVkLFxuICAgICAgICAgICAgbWV0YWRhdGEsXG4gICAgICAgICAgICBwcm9qZWN0RGVwZW5kZW5jaWVzLFxuICAgICAgICAgICAgbG9jYWxQYWNrYWdlcyxcbiAgICAgICAgICApO1xuICAgICAgICAgIC8vIFBsYW4gcnVucyBmZXRjaCB0aGUgc2FtZSBtZXRhZGF0YSBhcyB0aGUgdXBkYXRlIGl0c2VsZiwgc28gdGhleSBmaWxsIHRoZSBjYWNoZVxuICAgICAgICAgIC8vIGFuIG9mZmxpbmUgdXBkYXRlIG5lZWRzLlxuICAgICAgICAgIGNvbnN0IG1pZ3JhdGlvbnMgPSBfZ2V0TWlncmF0aW9ucyhcbiAgICAgICAgICAgIHRyZWUsXG4gICAgICAgICAgICBwYWNrYWdlcyxcbiAgICAgICAgICAgIHJlc29sdmVkLFxuICAgICAgICAgICAgcHJvamVjdERlcGVuZGVuY2llcyxcbiAgICAgICAgICAgIG9wdGlvbnMsXG4gICAgICAgICAgICBjbGllbnRPcHRpb25zLFxuICAgICAgICAgICAgY29udGV4dC5sb2dnZXIsXG4gICAgICAgICAgKS5waXBlKFxuICAgICAgICAgICAgbWFwKHBhY2thZ2VNaWdyYXRpb25zID0+IHtcbiAgICAgICAgICAgICAgdXBkYXRlLm1pZ3JhdGlvbnMgPSBwYWNrYWdlTWlncmF0aW9ucztcblxuICAgICAgICAgICAgICByZXR1cm4gdHJlZTtcbiAgICAgICAgICAgIH0pLFxuICAgICAgICAgICk7XG4gICAgICAgICAgaWYgKCFvcHRpb25zLmFkZE1pc3NpbmdQZWVycyB8fCB1cGRhdGUucGVlcklzc3Vlcy5sZW5ndGggPT0gMCkge1xuICAgICAgICAgICAgcmV0dXJuIG1pZ3JhdGlvbnM7XG4gICAgICAgICAgfVxuXG4gICAgICAgICAgcmV0dXJuIF9maXhQZWVyRGVwZW5kZW5jaWVzKFxuICAgICAgICAgICAgdXBkYXRlLnBlZXJJc3N1ZXMsXG4gICAgICAgICAgICBwcm9qZWN0RGVwZW5kZW5jaWVzLFxuICAgICAgICAgICAgdXBkYXRlLnJlYXNvbnMsXG4gICAgICAgICAgICBwb2xpY3ksXG4gICAgICAgICAgICByYW5nZU9wZXJhdG9yLFxuICAgICAgICAgICAgY2xpZW50T3B0aW9ucyxcbiAgICAgICAgICAgIGNvbnRleHQubG9nZ2VyLFxuICAgICAgICAgICkucGlwZShcbiAgICAgICAgICAgIG1lcmdlTWFwKGZpeGVzID0+IHtcbiAgICAgICAgICAgICAgdXBkYXRlLmNoYW5nZXMgPSBbLi4udXBkYXRlLmNoYW5nZXMsIC4uLmZpeGVzLmNoYW5nZXNdXG4gICAgICAgICAgICAgICAgLnNvcnQoKGEsIGIpID0+IHBhdGhzLmluZGV4T2YoYS5wYXRoKSAtIHBhdGhzLmluZGV4T2YoYi5wYXRoKSk7XG4gICAgICAgICAgICAgIHVwZGF0ZS5wZWVySXNzdWVzID0gZml4ZXMuaXNzdWVzO1xuXG4gICAgICAgICAgICAgIHJldHVybiBtaWdyYXRpb25zO1xuICAgICAgICAgICAgfSksXG4gICAgICAgICAgKTtcbiAgICAgICAgfSksXG4gICAgICApKSxcbiAgICApO1xuICB9O1xufVxuXG4vKipcbiAqIEFwcGx5IHRoZSBjaGFuZ2VzIG9mIHRoZSB1cGRhdGUgdG8gdGhlIHBhY2thZ2UuanNvbiBmaWxlcywgYW5kIHdhcm4gYWJvdXQgdGhlIHBlZXJcbiAqIGRlcGVuZGVuY2llcyB0aGF0IGFyZSBzdGlsbCBtaXNzaW5nLiBUaGUgdXBkYXRlIHBsYW4gaXMgd3JpdHRlbiB0byBgcmVwb3J0UGF0aGAgaWYgaXQgaXMgc2V0LlxuICogV2l0aCBgcGxhbk9ubHlgLCBvbmx5IHRoZSBwbGFuIGlzIHdyaXR0ZW4sIHRvIGB1cGRhdGUtcGxhbmAgYnkgZGVmYXVsdC5cbiAqIEBwYXJhbSB7U2NoZW1hdGljc1VwZGF0ZVNjaGVtYX0gb3B0aW9ucyBUaGUgc2NoZW1hdGljIG9wdGlvbnMuXG4gKiBAcGFyYW0ge1BhY2thZ2VVcGRhdGV9IHVwZGF0ZSBXaGF0IHRoZSB1cGRhdGUgY2hhbmdlcy5cbiAqIEByZXR1cm5zIHtSdWxlfSBUaGUgcnVsZS5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9hcHBseVVwZGF0ZShvcHRpb25zOiBTY2hlbWF0aWNzVXBkYXRlU2NoZW1hLCB1cGRhdGU6IFBhY2thZ2VVcGRhdGUpOiBSdWxlIHtcbiAgY29uc3QgcGxhbk9ubHkgPSAhIW9wdGlvbnMucGxhbk9ubHk7XG4gIGNvbnN0IHJlcG9ydFBhdGggPSBvcHRpb25zLnJlcG9ydFBhdGggfHwgKHBsYW5Pbmx5ID8gJ3VwZGF0ZS1wbGFuJyA6IHVuZGVmaW5lZCk7XG5cbiAgcmV0dXJuICh0cmVlOiBUcmVlLCBjb250ZXh0OiBTY2hlbWF0aWNDb250ZXh0KSA9PiB7XG4gICAgZm9yIChjb25zdCBpc3N1ZSBvZiB1cGRhdGUucGVlcklzc3Vlcykge1xuICAgICAgY29udGV4dC5sb2dnZXIud2Fybihmb3JtYXRQZWVySXNzdWUoaXNzdWUpKTtcbiAgICB9XG5cbiAgICBpZiAocmVwb3J0UGF0aCkge1xuICAgICAgY29uc3QgcGxhbiA9IGNyZWF0ZVVwZGF0ZVBsYW4oXG4gICAgICAgIHVwZGF0ZS5jaGFuZ2VzLFxuICAgICAgICB1cGRhdGUucmVhc29ucyxcbiAgICAgICAgdXBkYXRlLnNraXBwZWQsXG4gICAgICAgIHVwZGF0ZS5wZWVySXNzdWVzLFxuICAgICAgKTtcbiAgICAgIHdyaXRlVXBkYXRlUGxhbih0cmVlLCBwbGFuLCByZXBvcnRQYXRoKTtcbiAgICAgIGlmIChwbGFuT25seSkge1xuICAgICAgICBjb250ZXh0LmxvZ2dlci5pbmZvKGZvcm1hdFVwZGF0ZVBsYW4ocGxhbikpO1xuXG4gICAgICAgIHJldHVybiB0cmVlO1xuICAgICAgfVxuICAgIH1cblxuICAgIGFwcGx5UGFja2FnZUpzb25DaGFuZ2VzKHRyZWUsIHVwZGF0ZS5jaGFuZ2VzKTtcblxuICAgIHJldHVybiB0cmVlO1xuICB9O1xufVxuXG4vKipcbiAqIEluc3RhbGwgdGhlIHVwZGF0ZWQgcGFja2FnZXMgd2l0aCB0aGUgYHBhY2thZ2VNYW5hZ2VyYCBvcHRpb24sIG9yIHRoZSBwYWNrYWdlIG1hbmFnZXJcbiAqIGRldGVjdGVkIGZyb20gdGhlIHByb2plY3QsIHRoZW4gcnVuIHRoZSBtaWdyYXRpb25zIG9mIGVhY2ggdXBkYXRlZCBwYWNrYWdlIGluIHR1cm4uIFdoZW4gdGhlXG4gKiBwYWNrYWdlcyBhcmUgbm90IGluc3RhbGxlZCwgYmVjYXVzZSBvZiBgc2tpcEluc3RhbGxgIG9yIGJlY2F1c2UgdGhlIGluc3RhbGwgdGFzayBkb2VzIG5vdFxuICogc3VwcG9ydCB0aGUgcGFja2FnZSBtYW5hZ2VyLCB0aGUgbG9ja2ZpbGUgaXMgY2hlY2tlZCBhZ2FpbnN0IHRoZSBuZXcgcmFuZ2VzIGFuZCB0aGUgY29tbWFuZHNcbiAqIHRvIHJ1biB0aGUgbWlncmF0aW9ucyBhcmUgcHJpbnRlZCBpbnN0ZWFkLlxuICogQHBhcmFtIHtTY2hlbWF0aWNzVXBkYXRlU2NoZW1hfSBvcHRpb25zIFRoZSBzY2hlbWF0aWMgb3B0aW9ucy5cbiAqIEBwYXJhbSB7UGFja2FnZVVwZGF0ZX0gdXBkYXRlIFdoYXQgdGhlIHVwZGF0ZSBjaGFuZ2VzLlxuICogQHJldHVybnMge1J1bGV9IFRoZSBydWxlLlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX2luc3RhbGxVcGRhdGUob3B0aW9uczogU2NoZW1hdGljc1VwZGF0ZVNjaGVtYSwgdXBkYXRlOiBQYWNrYWdlVXBkYXRlKTogUnVsZSB7XG4gIHJldHVybiAodHJlZTogVHJlZSwgY29udGV4dDogU2NoZW1hdGljQ29udGV4dCkgPT4ge1xuICAgIGlmIChvcHRpb25zLnBsYW5Pbmx5KSB7XG4gICAgICByZXR1cm47XG4gICAgfVxuICAgIGNvbnN0IHBhY2thZ2VNYW5hZ2VyID0gZGV0ZWN0UGFja2FnZU1hbmFnZXIodHJlZSwgb3B0aW9ucy5wYWNrYWdlTWFuYWdlcik7XG4gICAgY29uc3QgY2FuSW5zdGFsbCA9ICFwYWNrYWdlTWFuYWdlclxuICAgICAgfHwga0luc3RhbGxUYXNrUGFja2FnZU1hbmFnZXJzLmluZGV4T2YocGFja2FnZU1hbmFnZXIpICE9IC0xO1xuXG4gICAgaWYgKG9wdGlvbnMuc2tpcEluc3RhbGwgfHwgIWNhbkluc3RhbGwpIHtcbiAgICAgIGNvbnN0IGxvY2tmaWxlTWFuYWdlciA9IHBhY2thZ2VNYW5hZ2VyIHx8ICducG0nO1xuICAgICAgaWYgKCFvcHRpb25zLnNraXBJbnN0YWxsKSB7XG4gICAgICAgIGNvbnRleHQubG9nZ2VyLndhcm4oYFRoZSB1cGRhdGVkIHBhY2thZ2VzIGNhbm5vdCBiZSBpbnN0YWxsZWQgd2l0aCAke2xvY2tmaWxlTWFuYWdlcn0gYFxuICAgICAgICAgICsgYGF1dG9tYXRpY2FsbHkuIFJ1biBcIiR7bG9ja2ZpbGVNYW5hZ2VyfSBpbnN0YWxsXCIgdG8gaW5zdGFsbCB0aGVtLmApO1xuICAgICAgfVxuICAgICAgY29uc3QgbWlzbWF0Y2hlcyA9IGdldExvY2tmaWxlTWlzbWF0Y2hlcyh0cmVlLCBsb2NrZmlsZU1hbmFnZXIsIHVwZGF0ZS5jaGFuZ2VzKTtcbiAgICAgIGlmIChtaXNtYXRjaGVzICYmIG1pc21hdGNoZXMubGVuZ3RoID4gMCkge1xuICAgICAgICBjb250ZXh0LmxvZ2dlci53YXJuKGZvcm1hdExvY2tmaWxlTWlzbWF0Y2hlcyhsb2NrZmlsZU1hbmFnZXIsIG1pc21hdGNoZXMpKTtcbiAgICAgIH1cbiAgICAgIGZvciAoY29uc3QgbWlncmF0aW9uIG9mIHVwZGF0ZS5taWdyYXRpb25zKSB7XG4gICAgICAgIGNvbnRleHQubG9nZ2VyLndhcm4oYFRoZSBtaWdyYXRpb25zIG9mICR7SlNPTi5zdHJpbmdpZnkobWlncmF0aW9uLnBhY2thZ2UpfSB3ZXJlIG5vdCBgXG4gICAgICAgICAgKyAncnVuIGJlY2F1c2UgdGhlIHBhY2thZ2VzIHdlcmUgbm90IGluc3RhbGxlZC4gUnVuIHRoZW0gYWZ0ZXIgaW5zdGFsbGluZyB3aXRoOlxcbidcbiAgICAgICAgICArIGAgIG5nIGdlbmVyYXRlIEBzY2hlbWF0aWNzL3BhY2thZ2UtdXBkYXRlOm1pZ3JhdGUgLS1wYWNrYWdlPSR7bWlncmF0aW9uLnBhY2thZ2V9IGBcbiAgICAgICAgICArIGAtLWNvbGxlY3Rpb249JHttaWdyYXRpb24uY29sbGVjdGlvbn0gLS1mcm9tPSR7bWlncmF0aW9uLmZyb219IC0tdG89JHttaWdyYXRpb24udG99YCk7XG4gICAgICB9XG5cbiAgICAgIHJldHVybjtcbiAgICB9XG5cbiAgICBjb25zdCBpbnN0YWxsVGFzayA9IGNvbnRleHQuYWRkVGFzayhuZXcgTm9kZVBhY2thZ2VJbnN0YWxsVGFzayhcbiAgICAgIHBhY2thZ2VNYW5hZ2VyID8geyBwYWNrYWdlTWFuYWdlciB9IDoge30sXG4gICAgKSk7XG5cbiAgICAvLyBFYWNoIHBhY2thZ2UncyBtaWdyYXRpb25zIHJ1biBhZnRlciB0aGUgcHJldmlvdXMgb25lcywgc28gdGhlIG9yZGVyIGlzIHByZWRpY3RhYmxlLlxuICAgIHVwZGF0ZS5taWdyYXRpb25zLnJlZHVjZShcbiAgICAgIChkZXBlbmRlbmN5LCBtaWdyYXRpb24pID0+IGNvbnRleHQuYWRkVGFzayhuZXcgUnVuU2NoZW1hdGljVGFzaygnbWlncmF0ZScsIG1pZ3JhdGlvbiksIFtcbiAgICAgICAgZGVwZW5kZW5jeSxcbiAgICAgIF0pLFxuICAgICAgaW5zdGFsbFRhc2ssXG4gICAgKTtcbiAgfTtcbn1cblxuLyoqXG4gKiBVc2UgYSBSdWxlIHdoaWNoIGNhbiByZXR1cm4gYW4gb2JzZXJ2YWJsZSwgYnV0IGRvIG5vdCBhY3R1YWxseSBtb2RpZnkgdGhlIFRyZWUuXG4gKiBUaGlzIHJ1bGVzIHBlcmZvcm0gYW4gSFRUUFMgcmVxdWVzdCB0byBnZXQgdGhlIG5wbSByZWdpc3RyeSBwYWNrYWdlLmpzb24sIHRoZW4gcmVzb2x2ZSB0aGVcbiAqIHZlcnNpb24gZnJvbSB0aGUgb3B0aW9ucywgYW5kIHJlcGxhY2UgdGhlIHZlcnNpb24gaW4gdGhlIG9wdGlvbnMgYnkgYW4gYWN0dWFsIHZlcnNpb24uXG4gKiBAcGFyYW0gc3VwcG9ydGVkUGFja2FnZXMgQSBsaXN0IG9mIHBhY2thZ2VzIHRvIHVwZGF0ZSAoYXQgdGhlIHNhbWUgdmVyc2lvbiksIG9yIHRoZSB2ZXJzaW9uXG4gKiAgIG9yIGRpc3QtdGFnIHRvIHVwZGF0ZSBlYWNoIHBhY2thZ2UgdG8uIFRoZSBwYWNrYWdlIGdyb3VwcyBvZiB0aG9zZSBwYWNrYWdlcyBhcmUgdXBkYXRlZCB0b28uXG4gKiBAcGFyYW0gb3B0aW9ucyBUaGUgc2NoZW1hdGljIG9wdGlvbnM7IGB2ZXJzaW9uYCBpcyB0aGUgdmVyc2lvbiB0byB1cGRhdGUgdGhvc2UgcGFja2FnZXMgdG8uXG4gKiBAcHJpdmF0ZVxuICovXG5leHBvcnQgZnVuY3Rpb24gdXBkYXRlUGFja2FnZUpzb24oXG4gIHN1cHBvcnRlZFBhY2thZ2VzOiBzdHJpbmdbXSB8IHsgW25hbWU6IHN0cmluZ106IHN0cmluZyB9LFxuICBvcHRpb25zOiBTY2hlbWF0aWNzVXBkYXRlU2NoZW1hLFxuKTogUnVsZSB7XG4gIGNvbnN0IHZlcnNpb24gPSBvcHRpb25zLnZlcnNpb24gPyBvcHRpb25zLnZlcnNpb24gOiAnbGF0ZXN0JztcbiAgY29uc3QgcGFja2FnZXM6IHsgW25hbWU6IHN0cmluZ106IHN0cmluZyB9ID0ge307XG4gIGlmIChBcnJheS5pc0FycmF5KHN1cHBvcnRlZFBhY2thZ2VzKSkge1xuICAgIGZvciAoY29uc3QgbmFtZSBvZiBzdXBwb3J0ZWRQYWNrYWdlcykge1xuICAgICAgcGFja2FnZXNbbmFtZV0gPSB2ZXJzaW9uO1xuICAgIH1cbiAgfSBlbHNlIHtcbiAgICBPYmplY3QuYXNzaWduKHBhY2thZ2VzLCBzdXBwb3J0ZWRQYWNrYWdlcyk7XG4gIH1cbiAgLy8gVGhpcyB3aWxsIGJlIHVwZGF0ZWQgYXMgd2UgcmVhZCB0aGUgTlBNIHJlcG9zaXRvcnkuXG4gIGNvbnN0IHVwZGF0ZTogUGFja2FnZVVwZGF0ZSA9IHtcbiAgICBjaGFuZ2VzOiBbXSxcbiAgICByZWFzb25zOiB7fSxcbiAgICBza2lwcGVkOiBbXSxcbiAgICBwZWVySXNzdWVzOiBbXSxcbiAgICBtaWdyYXRpb25zOiBbXSxcbiAgfTtcblxuICByZXR1cm4gY2hhaW4oW1xuICAgIF9yZXNvbHZlVXBkYXRlKHBhY2thZ2VzLCBvcHRpb25zLCB1cGRhdGUpLFxuICAgIF9hcHBseVVwZGF0ZShvcHRpb25zLCB1cGRhdGUpLFxuICAgIF9pbnN0YWxsVXBkYXRlKG9wdGlvbnMsIHVwZGF0ZSksXG4gIF0pO1xufVxuIl19
\ No newline at end of file
@@ -0,0 +1,53 @@
+/// <reference types="node" />
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Tree } from '@angular-devkit/schematics';
+import * as http from 'http';
+/**
+ * The merged npm configuration, as read from every .npmrc file and the environment. Keys are
+ * the same as in a .npmrc file (e.g. `registry`, `@scope:registry`, `//host/:_authToken`).
+ */
+export interface NpmConfig {
+    [key: string]: string | boolean | string[] | undefined;
+}
+/**
+ * The options needed to perform a request against a registry URL.
+ */
+export interface NpmRequestOptions {
+    headers: {
+        [name: string]: string;
+    };
+    agent?: http.Agent;
+    ca?: string | string[];
+    rejectUnauthorized: boolean;
+}
+/**
+ * Read the npm configuration the same way npm does, from (in order of precedence) the registry
+ * option, the environment, the project's .npmrc, the user's .npmrc and the global npmrc.
+ * @param {Tree} tree The tree to read the project's .npmrc from.
+ * @param {string} registry An optional registry that overrides every other configuration.
+ * @returns {NpmConfig} The merged configuration.
+ */
+export declare function readNpmConfig(tree: Tree, registry?: string): NpmConfig;
+/**
+ * Get the registry URL to use for a package, taking into account scoped registries. The URL
+ * always ends with a slash.
+ * @param {NpmConfig} config The npm configuration.
+ * @param {string} packageName The name of the package.
+ * @returns {string} The registry URL.
+ */
+export declare function getRegistryForPackage(config: NpmConfig, packageName: string): string;
+/**
+ * Get the headers, agent and TLS options to use for a request against a registry URL. This
+ * resolves the auth token or basic auth, the proxy, and the `strict-ssl`, `ca` and `cafile`
+ * settings.
+ * @param {NpmConfig} config The npm configuration.
+ * @param {string} requestUrl The full URL that will be requested.
+ * @returns {NpmRequestOptions} The options to pass to `http.request()` or `https.request()`.
+ */
+export declare function getRequestOptions(config: NpmConfig, requestUrl: string): NpmRequestOptions;
@@ -0,0 +1,223 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const schematics_1 = require("@angular-devkit/schematics");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const url = require("url");
+const ini = require('ini');
+const kDefaultRegistry = 'https://registry.npmjs.org/';
+/**
+ * Replace `${VAR}` references with the matching environment variables, like npm does.
+ * @private
+ */
+function _substituteEnv(value) {
+    return value.replace(/(\\*)\$\{([^}]+)\}/g, (match, escapes, name) => {
+        if (escapes.length % 2) {
+            return match.substr((escapes.length + 1) / 2);
+        }
+        const envValue = process.env[name];
+        if (envValue === undefined) {
+            throw new schematics_1.SchematicsException(`Failed to replace env in config: ${match}`);
+        }
+        return escapes.substr(escapes.length / 2) + envValue;
+    });
+}
+/**
+ * Parse the content of a .npmrc file. Sections are ignored, as npm does not use them.
+ * @private
+ */
+function _parseNpmrc(content) {
+    const config = {};
+    const parsed = ini.parse(content);
+    for (const key of Object.keys(parsed)) {
+        const value = parsed[key];
+        if (typeof value == 'string') {
+            config[_substituteEnv(key)] = _substituteEnv(value);
+        }
+        else if (typeof value == 'boolean') {
+            config[_substituteEnv(key)] = value;
+        }
+        else if (Array.isArray(value)) {
+            config[_substituteEnv(key)] = value.map(x => _substituteEnv('' + x));
+        }
+    }
+    return config;
+}
+/**
+ * Read a .npmrc file from the file system. Returns an empty config if the file does not exist.
+ * @private
+ */
+function _readNpmrcFile(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf-8');
+    }
+    catch (_) {
+        return {};
+    }
+    return _parseNpmrc(content);
+}
+/**
+ * Read the npm configuration from `npm_config_*` environment variables.
+ * @private
+ */
+function _readEnvConfig() {
+    const config = {};
+    for (const name of Object.keys(process.env)) {
+        if (!/^npm_config_/i.test(name) || !process.env[name]) {
+            continue;
+        }
+        const key = name.substr(11).replace(/(?!^)_/g, '-').toLowerCase();
+        config[key] = process.env[name];
+    }
+    return config;
+}
+/**
+ * Read the npm configuration the same way npm does, from (in order of precedence) the registry
+ * option, the environment, the project's .npmrc, the user's .npmrc and the global npmrc.
+ * @param {Tree} tree The tree to read the project's .npmrc from.
+ * @param {string} registry An optional registry that overrides every other configuration.
+ * @returns {NpmConfig} The merged configuration.
+ */
+function readNpmConfig(tree, registry) {
+    const envConfig = _readEnvConfig();
+    const prefix = envConfig['prefix']
+        || (process.platform == 'win32'
+            ? path.dirname(process.execPath)
+            : path.dirname(path.dirname(process.execPath)));
+    const globalConfigPath = envConfig['globalconfig']
+        || path.join(prefix, 'etc', 'npmrc');
+    const userConfigPath = envConfig['userconfig']
+        || path.join(os.homedir(), '.npmrc');
+    const projectNpmrc = tree.read('/.npmrc');
+    const projectConfig = projectNpmrc ? _parseNpmrc(projectNpmrc.toString()) : {};
+    const config = Object.assign({}, _readNpmrcFile(globalConfigPath), _readNpmrcFile(userConfigPath), projectConfig, envConfig);
+    if (registry) {
+        config['registry'] = registry;
+    }
+    return config;
+}
+exports.readNpmConfig = readNpmConfig;
+/**
+ * Get the registry URL to use for a package, taking into account scoped registries. The URL
+ * always ends with a slash.
+ * @param {NpmConfig} config The npm configuration.
+ * @param {string} packageName The name of the package.
+ * @returns {string} The registry URL.
+ */
+function getRegistryForPackage(config, packageName) {
+    let registry = config['registry'];
+    const maybeScope = packageName.match(/^(@[^/]+)\//);
+    if (maybeScope && config[`${maybeScope[1]}:registry`]) {
+        registry = config[`${maybeScope[1]}:registry`];
+    }
+    registry = registry || kDefaultRegistry;
+    return registry.endsWith('/') ? registry : registry + '/';
+}
+exports.getRegistryForPackage = getRegistryForPackage;
+/**
+ * Find the value of a per-registry key (e.g. `_authToken`) for a URL. The most specific path
+ * wins, e.g. `//host/path/:_authToken` is used before `//host/:_authToken`.
+ * @private
+ */
+function _getRegistryValue(config, requestUrl, key) {
+    const parsed = url.parse(requestUrl);
+    const segments = (parsed.pathname || '/').split('/');
+    while (segments.length > 0) {
+        const nerfDart = `//${parsed.host}${segments.join('/')}`.replace(/\/?$/, '/');
+        const value = config[`${nerfDart}:${key}`];
+        if (value !== undefined) {
+            return value;
+        }
+        segments.pop();
+    }
+    return undefined;
+}
+/**
+ * Whether a host matches the `noproxy` configuration.
+ * @private
+ */
+function _isNoProxy(config, hostname) {
+    const noProxy = (config['noproxy'] || process.env['NO_PROXY'] || process.env['no_proxy']);
+    if (!noProxy) {
+        return false;
+    }
+    return (Array.isArray(noProxy) ? noProxy : noProxy.split(','))
+        .map(x => x.trim().replace(/^\*?\.?/, ''))
+        .filter(x => !!x)
+        .some(x => hostname == x || hostname.endsWith('.' + x));
+}
+/**
+ * Get the headers, agent and TLS options to use for a request against a registry URL. This
+ * resolves the auth token or basic auth, the proxy, and the `strict-ssl`, `ca` and `cafile`
+ * settings.
+ * @param {NpmConfig} config The npm configuration.
+ * @param {string} requestUrl The full URL that will be requested.
+ * @returns {NpmRequestOptions} The options to pass to `http.request()` or `https.request()`.
+ */
+function getRequestOptions(config, requestUrl) {
+    const parsed = url.parse(requestUrl);
+    const isHttps = parsed.protocol == 'https:';
+    const headers = {};
+    const token = _getRegistryValue(config, requestUrl, '_authToken');
+    const auth = _getRegistryValue(config, requestUrl, '_auth');
+    const username = _getRegistryValue(config, requestUrl, 'username');
+    const password = _getRegistryValue(config, requestUrl, '_password');
+    const isDefaultRegistry = requestUrl.startsWith(getRegistryForPackage(config, ''));
+    if (token) {
+        headers['authorization'] = `Bearer ${token}`;
+    }
+    else if (auth) {
+        headers['authorization'] = `Basic ${auth}`;
+    }
+    else if (username && password) {
+        const decodedPassword = Buffer.from(password, 'base64').toString();
+        headers['authorization'] = 'Basic '
+            + Buffer.from(`${username}:${decodedPassword}`).toString('base64');
+    }
+    else if (isDefaultRegistry && config['_authToken']) {
+        // Legacy, unscoped configuration only applies to the default registry.
+        headers['authorization'] = `Bearer ${config['_authToken']}`;
+    }
+    else if (isDefaultRegistry && config['_auth']) {
+        headers['authorization'] = `Basic ${config['_auth']}`;
+    }
+    let ca = config['ca'];
+    if (!ca && config['cafile']) {
+        try {
+            ca = fs.readFileSync(config['cafile'], 'utf-8');
+        }
+        catch (err) {
+            throw new schematics_1.SchematicsException(`Could not read cafile "${config['cafile']}": ${err.message}`);
+        }
+    }
+    const strictSsl = config['strict-ssl'];
+    const rejectUnauthorized = !(strictSsl === false || strictSsl === 'false');
+    const proxy = (isHttps
+        ? config['https-proxy'] || config['proxy'] || process.env['HTTPS_PROXY']
+            || process.env['https_proxy']
+        : config['proxy'] || process.env['HTTP_PROXY'] || process.env['http_proxy']);
+    let agent = undefined;
+    if (proxy && !_isNoProxy(config, parsed.hostname || '')) {
+        const proxyOptions = Object.assign({}, url.parse(proxy), { ca, rejectUnauthorized });
+        if (isHttps) {
+            const HttpsProxyAgent = require('https-proxy-agent');
+            agent = new HttpsProxyAgent(proxyOptions);
+        }
+        else {
+            const HttpProxyAgent = require('http-proxy-agent');
+            agent = new HttpProxyAgent(proxyOptions);
+        }
+    }
+    return { headers, agent, ca, rejectUnauthorized };
+}
+exports.getRequestOptions = getRequestOptions;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibnBtcmMuanMiLCJzb3VyY2VSb290IjoiLi8iLCJzb3VyY2VzIjpbInBhY2thZ2VzL3NjaGVtYXRpY3MvcGFja2FnZV91cGRhdGUvdXRpbGl0eS9ucG1yYy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOztBQUFBOzs7Ozs7R0FNRztBQUNILDJEQUF1RTtBQUN2RSx5QkFBeUI7QUFFekIseUJBQXlCO0FBQ3pCLDZCQUE2QjtBQUM3QiwyQkFBMkI7QUFFM0IsTUFBTSxHQUFHLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDO0FBRTNCLE1BQU0sZ0JBQWdCLEdBQUcsNkJBQTZCLENBQUM7QUFzQnZEOzs7R0FHRztBQUNILHdCQUF3QixLQUFhO0lBQ25DLE1BQU0sQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLHFCQUFxQixFQUFFLENBQUMsS0FBSyxFQUFFLE9BQWUsRUFBRSxJQUFZLEVBQUUsRUFBRTtRQUNuRixFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDdkIsTUFBTSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQ2hELENBQUM7UUFDRCxNQUFNLFFBQVEsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ25DLEVBQUUsQ0FBQyxDQUFDLFFBQVEsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDO1lBQzNCLE1BQU0sSUFBSSxnQ0FBbUIsQ0FBQyxvQ0FBb0MsS0FBSyxFQUFFLENBQUMsQ0FBQztRQUM3RSxDQUFDO1FBRUQsTUFBTSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUM7SUFDdkQsQ0FBQyxDQUFDLENBQUM7QUFDTCxDQUFDO0FBRUQ7OztHQUdHO0FBQ0gscUJBQXFCLE9BQWU7SUFDbEMsTUFBTSxNQUFNLEdBQWMsRUFBRSxDQUFDO0lBQzdCLE1BQU0sTUFBTSxHQUFHLEdBQUcsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7SUFFbEMsR0FBRyxDQUFDLENBQUMsTUFBTSxHQUFHLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDdEMsTUFBTSxLQUFLLEdBQUcsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQzFCLEVBQUUsQ0FBQyxDQUFDLE9BQU8sS0FBSyxJQUFJLFFBQVEsQ0FBQyxDQUFDLENBQUM7WUFDN0IsTUFBTSxDQUFDLGNBQWMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLGNBQWMsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUN0RCxDQUFDO1FBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLE9BQU8sS0FBSyxJQUFJLFNBQVMsQ0FBQyxDQUFDLENBQUM7WUFDckMsTUFBTSxDQUFDLGNBQWMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQztRQUN0QyxDQUFDO1FBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ2hDLE1BQU0sQ0FBQyxjQUFjLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsY0FBYyxDQUFDLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3ZFLENBQUM7SUFDSCxDQUFDO0lBRUQsTUFBTSxDQUFDLE1BQU0sQ0FBQztBQUNoQixDQUFDO0FBRUQ7OztHQUdHO0FBQ0gsd0JBQXdCLFFBQWdCO0lBQ3RDLElBQUksT0FBZSxDQUFDO0lBQ3BCLElBQUksQ0FBQztRQUNILE9BQU8sR0FBRyxFQUFFLENBQUMsWUFBWSxDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUMsQ0FBQztJQUMvQyxDQUFDO0lBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNYLE1BQU0sQ0FBQyxFQUFFLENBQUM7SUFDWixDQUFDO0lBRUQsTUFBTSxDQUFDLFdBQVcsQ0FBQyxPQUFPLENBQUMsQ0FBQztBQUM5QixDQUFDO0FBRUQ7OztHQUdHO0FBQ0g7SUFDRSxNQUFNLE1BQU0sR0FBYyxFQUFFLENBQUM7SUFFN0IsR0FBRyxDQUFDLENBQUMsTUFBTSxJQUFJLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzVDLEVBQUUsQ0FBQyxDQUFDLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3RELFFBQVEsQ0FBQztRQUNYLENBQUM7UUFDRCxNQUFNLEdBQUcsR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsR0FBRyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7UUFDbEUsTUFBTSxDQUFDLEdBQUcsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDbEMsQ0FBQztJQUVELE1BQU0sQ0FBQyxNQUFNLENBQUM7QUFDaEIsQ0FBQztBQUVEOzs7Ozs7R0FNRztBQUNILHVCQUE4QixJQUFVLEVBQUUsUUFBaUI7SUFDekQsTUFBTSxTQUFTLEdBQUcsY0FBYyxFQUFFLENBQUM7SUFFbkMsTUFBTSxNQUFNLEdBQUksU0FBUyxDQUFDLFFBQVEsQ0FBd0I7V0FDckQsQ0FBQyxPQUFPLENBQUMsUUFBUSxJQUFJLE9BQU87WUFDM0IsQ0FBQyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQztZQUNoQyxDQUFDLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDdEQsTUFBTSxnQkFBZ0IsR0FBSSxTQUFTLENBQUMsY0FBYyxDQUF3QjtXQUNyRSxJQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsT0FBTyxDQUFDLENBQUM7SUFDdkMsTUFBTSxjQUFjLEdBQUksU0FBUyxDQUFDLFlBQVksQ0FBd0I7V0FDakUsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsT0FBTyxFQUFFLEVBQUUsUUFBUSxDQUFDLENBQUM7SUFFdkMsTUFBTSxZQUFZLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUMxQyxNQUFNLGFBQWEsR0FBRyxZQUFZLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxZQUFZLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO0lBRS9FLE1BQU0sTUFBTSxxQkFDUCxjQUFjLENBQUMsZ0JBQWdCLENBQUMsRUFDaEMsY0FBYyxDQUFDLGNBQWMsQ0FBQyxFQUM5QixhQUFhLEVBQ2IsU0FBUyxDQUNiLENBQUM7SUFFRixFQUFFLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO1FBQ2IsTUFBTSxDQUFDLFVBQVUsQ0FBQyxHQUFHLFFBQVEsQ0FBQztJQUNoQyxDQUFDO0lBRUQsTUFBTSxDQUFDLE1BQU0sQ0FBQztBQUNoQixDQUFDO0FBM0JELHNDQTJCQztBQUVEOzs7Ozs7R0FNRztBQUNILCtCQUFzQyxNQUFpQixFQUFFLFdBQW1CO0lBQzFFLElBQUksUUFBUSxHQUFHLE1BQU0sQ0FBQyxVQUFVLENBQXVCLENBQUM7SUFFeEQsTUFBTSxVQUFVLEdBQUcsV0FBVyxDQUFDLEtBQUssQ0FBQyxhQUFhLENBQUMsQ0FBQztJQUNwRCxFQUFFLENBQUMsQ0FBQyxVQUFVLElBQUksTUFBTSxDQUFDLEdBQUcsVUFBVSxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDdEQsUUFBUSxHQUFHLE1BQU0sQ0FBQyxHQUFHLFVBQVUsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFXLENBQUM7SUFDM0QsQ0FBQztJQUVELFFBQVEsR0FBRyxRQUFRLElBQUksZ0JBQWdCLENBQUM7SUFFeEMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsUUFBUSxHQUFHLEdBQUcsQ0FBQztBQUM1RCxDQUFDO0FBWEQsc0RBV0M7QUFFRDs7OztHQUlHO0FBQ0gsMkJBQTJCLE1BQWlCLEVBQUUsVUFBa0IsRUFBRSxHQUFXO0lBQzNFLE1BQU0sTUFBTSxHQUFHLEdBQUcsQ0FBQyxLQUFLLENBQUMsVUFBVSxDQUFDLENBQUM7SUFDckMsTUFBTSxRQUFRLEdBQUcsQ0FBQyxNQUFNLENBQUMsUUFBUSxJQUFJLEdBQUcsQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUVyRCxPQUFPLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUM7UUFDM0IsTUFBTSxRQUFRLEdBQUcsS0FBSyxNQUFNLENBQUMsSUFBSSxHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1FBQzlFLE1BQU0sS0FBSyxHQUFHLE1BQU0sQ0FBQyxHQUFHLFFBQVEsSUFBSSxHQUFHLEVBQUUsQ0FBQyxDQUFDO1FBQzNDLEVBQUUsQ0FBQyxDQUFDLEtBQUssS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDO1lBQ3hCLE1BQU0sQ0FBQyxLQUFLLENBQUM7UUFDZixDQUFDO1FBQ0QsUUFBUSxDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ2pCLENBQUM7SUFFRCxNQUFNLENBQUMsU0FBUyxDQUFDO0FBQ25CLENBQUM7QUFFRDs7O0dBR0c7QUFDSCxvQkFBb0IsTUFBaUIsRUFBRSxRQUFnQjtJQUNyRCxNQUFNLE9BQU8sR0FBRyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsSUFBSSxPQUFPLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQ3pELENBQUM7SUFDaEMsRUFBRSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1FBQ2IsTUFBTSxDQUFDLEtBQUssQ0FBQztJQUNmLENBQUM7SUFFRCxNQUFNLENBQUMsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7U0FDM0QsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsRUFBRSxDQUFDLENBQUM7U0FDekMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztTQUNoQixJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxRQUFRLElBQUksQ0FBQyxJQUFJLFFBQVEsQ0FBQyxRQUFRLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7QUFDNUQsQ0FBQztBQUVEOzs7Ozs7O0dBT0c7QUFDSCwyQkFBa0MsTUFBaUIsRUFBRSxVQUFrQjtJQUNyRSxNQUFNLE1BQU0sR0FBRyxHQUFHLENBQUMsS0FBSyxDQUFDLFVBQVUsQ0FBQyxDQUFDO0lBQ3JDLE1BQU0sT0FBTyxHQUFHLE1BQU0sQ0FBQyxRQUFRLElBQUksUUFBUSxDQUFDO0lBQzVDLE1BQU0sT0FBTyxHQUErQixFQUFFLENBQUM7SUFFL0MsTUFBTSxLQUFLLEdBQUcsaUJBQWlCLENBQUMsTUFBTSxFQUFFLFVBQVUsRUFBRSxZQUFZLENBQUMsQ0FBQztJQUNsRSxNQUFNLElBQUksR0FBRyxpQkFBaUIsQ0FBQyxNQUFNLEVBQUUsVUFBVSxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBQzVELE1BQU0sUUFBUSxHQUFHLGlCQUFpQixDQUFDLE1BQU0sRUFBRSxVQUFVLEVBQUUsVUFBVSxDQUFDLENBQUM7SUFDbkUsTUFBTSxRQUFRLEdBQUcsaUJBQWlCLENBQUMsTUFBTSxFQUFFLFVBQVUsRUFBRSxXQUFXLENBQUMsQ0FBQztJQUNwRSxNQUFNLGlCQUFpQixHQUFHLFVBQVUsQ0FBQyxVQUFVLENBQUMscUJBQXFCLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFFbkYsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUNWLE9BQU8sQ0FBQyxlQUFlLENBQUMsR0FBRyxVQUFVLEtBQUssRUFBRSxDQUFDO0lBQy9DLENBQUM7SUFBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUNoQixPQUFPLENBQUMsZUFBZSxDQUFDLEdBQUcsU0FBUyxJQUFJLEVBQUUsQ0FBQztJQUM3QyxDQUFDO0lBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLFFBQVEsSUFBSSxRQUFRLENBQUMsQ0FBQyxDQUFDO1FBQ2hDLE1BQU0sZUFBZSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBa0IsRUFBRSxRQUFRLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUM3RSxPQUFPLENBQUMsZUFBZSxDQUFDLEdBQUcsUUFBUTtjQUMvQixNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsUUFBUSxJQUFJLGVBQWUsRUFBRSxDQUFDLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ3ZFLENBQUM7SUFBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsaUJBQWlCLElBQUksTUFBTSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNyRCx1RUFBdUU7UUFDdkUsT0FBTyxDQUFDLGVBQWUsQ0FBQyxHQUFHLFVBQVUsTUFBTSxDQUFDLFlBQVksQ0FBQyxFQUFFLENBQUM7SUFDOUQsQ0FBQztJQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxpQkFBaUIsSUFBSSxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ2hELE9BQU8sQ0FBQyxlQUFlLENBQUMsR0FBRyxTQUFTLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDO0lBQ3hELENBQUM7SUFFRCxJQUFJLEVBQUUsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFrQyxDQUFDO0lBQ3ZELEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxJQUFJLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDNUIsSUFBSSxDQUFDO1lBQ0gsRUFBRSxHQUFHLEVBQUUsQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBVyxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBQzVELENBQUM7UUFBQyxLQUFLLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1lBQ2IsTUFBTSxJQUFJLGdDQUFtQixDQUFDLDBCQUEwQixNQUFNLENBQUMsUUFBUSxDQUFDLE1BQU0sR0FBRyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7UUFDL0YsQ0FBQztJQUNILENBQUM7SUFDRCxNQUFNLFNBQVMsR0FBRyxNQUFNLENBQUMsWUFBWSxDQUFDLENBQUM7SUFDdkMsTUFBTSxrQkFBa0IsR0FBRyxDQUFDLENBQUMsU0FBUyxLQUFLLEtBQUssSUFBSSxTQUFTLEtBQUssT0FBTyxDQUFDLENBQUM7SUFFM0UsTUFBTSxLQUFLLEdBQUcsQ0FBQyxPQUFPO1FBQ3BCLENBQUMsQ0FBQyxNQUFNLENBQUMsYUFBYSxDQUFDLElBQUksTUFBTSxDQUFDLE9BQU8sQ0FBQyxJQUFJLE9BQU8sQ0FBQyxHQUFHLENBQUMsYUFBYSxDQUFDO2VBQ25FLE9BQU8sQ0FBQyxHQUFHLENBQUMsYUFBYSxDQUFDO1FBQy9CLENBQUMsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLElBQUksT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsSUFBSSxPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxDQUN6RCxDQUFDO0lBRXJCLElBQUksS0FBSyxHQUEyQixTQUFTLENBQUM7SUFDOUMsRUFBRSxDQUFDLENBQUMsS0FBSyxJQUFJLENBQUMsVUFBVSxDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsUUFBUSxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN4RCxNQUFNLFlBQVkscUJBQVEsR0FBRyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsSUFBRSxFQUFFLEVBQUUsa0JBQWtCLEdBQUUsQ0FBQztRQUNyRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO1lBQ1osTUFBTSxlQUFlLEdBQUcsT0FBTyxDQUFDLG1CQUFtQixDQUFDLENBQUM7WUFDckQsS0FBSyxHQUFHLElBQUksZUFBZSxDQUFDLFlBQVksQ0FBQyxDQUFDO1FBQzVDLENBQUM7UUFBQyxJQUFJLENBQUMsQ0FBQztZQUNOLE1BQU0sY0FBYyxHQUFHLE9BQU8sQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDO1lBQ25ELEtBQUssR0FBRyxJQUFJLGNBQWMsQ0FBQyxZQUFZLENBQUMsQ0FBQztRQUMzQyxDQUFDO0lBQ0gsQ0FBQztJQUVELE1BQU0sQ0FBQyxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFLGtCQUFrQixFQUFFLENBQUM7QUFDcEQsQ0FBQztBQXhERCw4Q0F3REMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIEluYy4gQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5pbXBvcnQgeyBTY2hlbWF0aWNzRXhjZXB0aW9uLCBUcmVlIH0gZnJvbSAnQGFuZ3VsYXItZGV2a2l0L3NjaGVtYXRpY3MnO1xuaW1wb3J0ICogYXMgZnMgZnJvbSAnZnMnO1xuaW1wb3J0ICogYXMgaHR0cCBmcm9tICdodHRwJztcbmltcG9ydCAqIGFzIG9zIGZyb20gJ29zJztcbmltcG9ydCAqIGFzIHBhdGggZnJvbSAncGF0aCc7XG5pbXBvcnQgKiBhcyB1cmwgZnJvbSAndXJsJztcblxuY29uc3QgaW5pID0gcmVxdWlyZSgnaW5pJyk7XG5cbmNvbnN0IGtEZWZhdWx0UmVnaXN0cnkgPSAnaHR0cHM6Ly9yZWdpc3RyeS5ucG1qcy5vcmcvJztcblxuXG4vKipcbiAqIFRoZSBtZXJnZWQgbnBtIGNvbmZpZ3VyYXRpb24sIGFzIHJlYWQgZnJvbSBldmVyeSAubnBtcmMgZmlsZSBhbmQgdGhlIGVudmlyb25tZW50LiBLZXlzIGFyZVxuICogdGhlIHNhbWUgYXMgaW4gYSAubnBtcmMgZmlsZSAoZS5nLiBgcmVnaXN0cnlgLCBgQHNjb3BlOnJlZ2lzdHJ5YCwgYC8vaG9zdC86X2F1dGhUb2tlbmApLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIE5wbUNvbmZpZyB7XG4gIFtrZXk6IHN0cmluZ106IHN0cmluZyB8IGJvb2xlYW4gfCBzdHJpbmdbXSB8IHVuZGVmaW5lZDtcbn1cblxuLyoqXG4gKiBUaGUgb3B0aW9ucyBuZWVkZWQgdG8gcGVyZm9ybSBhIHJlcXVlc3QgYWdhaW5zdCBhIHJlZ2lzdHJ5IFVSTC5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBOcG1SZXF1ZXN0T3B0aW9ucyB7XG4gIGhlYWRlcnM6IHsgW25hbWU6IHN0cmluZ106IHN0cmluZyB9O1xuICBhZ2VudD86IGh0dHAuQWdlbnQ7XG4gIGNhPzogc3RyaW5nIHwgc3RyaW5nW107XG4gIHJlamVjdFVuYXV0aG9yaXplZDogYm9vbGVhbjtcbn1cblxuXG4vKipcbiAqIFJlcGxhY2UgYCR7VkFSfWAgcmVmZXJlbmNlcyB3aXRoIHRoZSBtYXRjaGluZyBlbnZpcm9ubWVudCB2YXJpYWJsZXMsIGxpa2UgbnBtIGRvZXMuXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfc3Vic3RpdHV0ZUVudih2YWx1ZTogc3RyaW5nKTogc3RyaW5nIHtcbiAgcmV0dXJuIHZhbHVlLnJlcGxhY2UoLyhcXFxcKilcXCRcXHsoW159XSspXFx9L2csIChtYXRjaCwgZXNjYXBlczogc3RyaW5nLCBuYW1lOiBzdHJpbmcpID0+IHtcbiAgICBpZiAoZXNjYXBlcy5sZW5ndGggJSAyKSB7XG4gICAgICByZXR1cm4gbWF0Y2guc3Vic3RyKChlc2NhcGVzLmxlbmd0aCArIDEpIC8gMik7XG4gICAgfVxuICAgIGNvbnN0IGVudlZhbHVlID0gcHJvY2Vzcy5lbnZbbmFtZV07XG4gICAgaWYgKGVudlZhbHVlID09PSB1bmRlZmluZWQpIHtcbiAgICAgIHRocm93IG5ldyBTY2hlbWF0aWNzRXhjZXB0aW9uKGBGYWlsZWQgdG8gcmVwbGFjZSBlbnYgaW4gY29uZmlnOiAke21hdGNofWApO1xuICAgIH1cblxuICAgIHJldHVybiBlc2NhcGVzLnN1YnN0cihlc2NhcGVzLmxlbmd0aCAvIDIpICsgZW52VmFsdWU7XG4gIH0pO1xufVxuXG4vKipcbiAqIFBhcnNlIHRoZSBjb250ZW50IG9mIGEgLm5wbXJjIGZpbGUuIFNlY3Rpb25zIGFyZSBpZ25vcmVkLCBhcyBucG0gZG9lcyBub3QgdXNlIHRoZW0uXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfcGFyc2VOcG1yYyhjb250ZW50OiBzdHJpbmcpOiBOcG1Db25maWcge1xuICBjb25zdCBjb25maWc6IE5wbUNvbmZpZyA9IHt9O1xuICBjb25zdCBwYXJzZWQgPSBpbmkucGFyc2UoY29udGVudCk7XG5cbiAgZm9yIChjb25zdCBrZXkgb2YgT2JqZWN0LmtleXMocGFyc2VkKSkge1xuICAgIGNvbnN0IHZhbHVlID0gcGFyc2VkW2tleV07XG4gICAgaWYgKHR5cGVvZiB2YWx1ZSA9PSAnc3RyaW5nJykge1xuICAgICAgY29uZmlnW19zdWJzdGl0dXRlRW52KGtleSldID0gX3N1YnN0aXR1dGVFbnYodmFsdWUpO1xuICAgIH0gZWxzZSBpZiAodHlwZW9mIHZhbHVlID09ICdib29sZWFuJykge1xuICAgICAgY29uZmlnW19zdWJzdGl0dXRlRW52KGtleSldID0gdmFsdWU7XG4gICAgfSBlbHNlIGlmIChBcnJheS5pc0FycmF5KHZhbHVlKSkge1xuICAgICAgY29uZmlnW19zdWJzdGl0dXRlRW52KGtleSldID0gdmFsdWUubWFwKHggPT4gX3N1YnN0aXR1dGVFbnYoJycgKyB4KSk7XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIGNvbmZpZztcbn1cblxuLyoqXG4gKiBSZWFkIGEgLm5wbXJjIGZpbGUgZnJvbSB0aGUgZmlsZSBzeXN0ZW0uIFJldHVybnMgYW4gZW1wdHkgY29uZmlnIGlmIHRoZSBmaWxlIGRvZXMgbm90IGV4aXN0LlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX3JlYWROcG1yY0ZpbGUoZmlsZVBhdGg6IHN0cmluZyk6IE5wbUNvbmZpZyB7XG4gIGxldCBjb250ZW50OiBzdHJpbmc7XG4gIHRyeSB7XG4gICAgY29udGVudCA9IGZzLnJlYWRGaWxlU3luYyhmaWxlUGF0aCwgJ3V0Zi04Jyk7XG4gIH0gY2F0Y2ggKF8pIHtcbiAgICByZXR1cm4ge307XG4gIH1cblxuICByZXR1cm4gX3BhcnNlTnBtcmMoY29udGVudCk7XG59XG5cbi8qKlxuICogUmVhZCB0aGUgbnBtIGNvbmZpZ3VyYXRpb24gZnJvbSBgbnBtX2NvbmZpZ18qYCBlbnZpcm9ubWVudCB2YXJpYWJsZXMuXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfcmVhZEVudkNvbmZpZygpOiBOcG1Db25maWcge1xuICBjb25zdCBjb25maWc6IE5wbUNvbmZpZyA9IHt9O1xuXG4gIGZvciAoY29uc3QgbmFtZSBvZiBPYmplY3Qua2V5cyhwcm9jZXNzLmVudikpIHtcbiAgICBpZiAoIS9ebnBtX2NvbmZpZ18vaS50ZXN0KG5hbWUpIHx8ICFwcm9jZXNzLmVudltuYW1lXSkge1xuICAgICAgY29udGludWU7XG4gICAgfVxuICAgIGNvbnN0IGtleSA9IG5hbWUuc3Vic3RyKDExKS5yZXBsYWNlKC8oPyFeKV8vZywgJy0nKS50b0xvd2VyQ2FzZSgpO1xuICAgIGNvbmZpZ1trZXldID0gcHJvY2Vzcy5lbnZbbmFtZV07XG4gIH1cblxuICByZXR1cm4gY29uZmlnO1xufVxuXG4vKipcbiAqIFJlYWQgdGhlIG5wbSBjb25maWd1cmF0aW9uIHRoZSBzYW1lIHdheSBucG0gZG9lcywgZnJvbSAoaW4gb3JkZXIgb2YgcHJlY2VkZW5jZSkgdGhlIHJlZ2lzdHJ5XG4gKiBvcHRpb24sIHRoZSBlbnZpcm9ubWVudCwgdGhlIHByb2plY3QncyAubnBtcmMsIHRoZSB1c2VyJ3MgLm5wbXJjIGFuZCB0aGUgZ2xvYmFsIG5wbXJjLlxuICogQHBhcmFtIHtUcmVlfSB0cmVlIFRoZSB0cmVlIHRvIHJlYWQgdGhlIHByb2plY3QncyAubnBtcmMgZnJvbS5cbiAqIEBwYXJhbSB7c3RyaW5nfSByZWdpc3RyeSBBbiBvcHRpb25hbCByZWdpc3RyeSB0aGF0IG92ZXJyaWRlcyBldmVyeSBvdGhlciBjb25maWd1cmF0aW9uLlxuICogQHJldHVybnMge05wbUNvbmZpZ30gVGhlIG1lcmdlZCBjb25maWd1cmF0aW9uLlxuICovXG5leHBvcnQgZnVuY3Rpb24gcmVhZE5wbUNvbmZpZyh0cmVlOiBUcmVlLCByZWdpc3RyeT86IHN0cmluZyk6IE5wbUNvbmZpZyB7XG4gIGNvbnN0IGVudkNvbmZpZyA9IF9yZWFkRW52Q29uZmlnKCk7XG5cbiAgY29uc3QgcHJlZml4ID0gKGVudkNvbmZpZ1sncHJlZml4J10gYXMgc3RyaW5nIHwgdW5kZWZpbmVkKVxuICAgIHx8IChwcm9jZXNzLnBsYXRmb3JtID09ICd3aW4zMidcbiAgICAgICAgPyBwYXRoLmRpcm5hbWUocHJvY2Vzcy5leGVjUGF0aClcbiAgICAgICAgOiBwYXRoLmRpcm5hbWUocGF0aC5kaXJuYW1lKHByb2Nlc3MuZXhlY1BhdGgpKSk7XG4gIGNvbnN0IGdsb2JhbENvbmZpZ1BhdGggPSAoZW52Q29uZmlnWydnbG9iYWxjb25maWcnXSBhcyBzdHJpbmcgfCB1bmRlZmluZWQpXG4gICAgfHwgcGF0aC5qb2luKHByZWZpeCwgJ2V0YycsICducG1yYycpO1xuICBjb25zdCB1c2VyQ29uZmlnUGF0aCA9IChlbnZDb25maWdbJ3VzZXJjb25maWcnXSBhcyBzdHJpbmcgfCB1bmRlZmluZWQpXG4gICAgfHwgcGF0aC5qb2luKG9zLmhvbWVkaXIoKSwgJy5ucG1yYycpO1xuXG4gIGNvbnN0IHByb2plY3ROcG1yYyA9IHRyZWUucmVhZCgnLy5ucG1yYycpO1xuICBjb25zdCBwcm9qZWN0Q29uZmlnID0gcHJvamVjdE5wbXJjID8gX3BhcnNlTnBtcmMocHJvamVjdE5wbXJjLnRvU3RyaW5nKCkpIDoge307XG5cbiAgY29uc3QgY29uZmlnOiBOcG1Db25maWcgPSB7XG4gICAgLi4uX3JlYWROcG1yY0ZpbGUoZ2xvYmFsQ29uZmlnUGF0aCksXG4gICAgLi4uX3JlYWROcG1yY0ZpbGUodXNlckNvbmZpZ1BhdGgpLFxuICAgIC4uLnByb2plY3RDb25maWcsXG4gICAgLi4uZW52Q29uZmlnLFxuICB9O1xuXG4gIGlmIChyZWdpc3RyeSkge1xuICAgIGNvbmZpZ1sncmVnaXN0cnknXSA9IHJlZ2lzdHJ5O1xuICB9XG5cbiAgcmV0dXJuIGNvbmZpZztcbn1cblxuLyoqXG4gKiBHZXQgdGhlIHJlZ2lzdHJ5IFVSTCB0byB1c2UgZm9yIGEgcGFja2FnZSwgdGFraW5nIGludG8gYWNjb3VudCBzY29wZWQgcmVnaXN0cmllcy4gVGhlIFVSTFxuICogYWx3YXlzIGVuZHMgd2l0aCBhIHNsYXNoLlxuICogQHBhcmFtIHtOcG1Db25maWd9IGNvbmZpZyBUaGUgbnBtIGNvbmZpZ3VyYXRpb24uXG4gKiBAcGFyYW0ge3N0cmluZ30gcGFja2FnZU5hbWUgVGhlIG5hbWUgb2YgdGhlIHBhY2thZ2UuXG4gKiBAcmV0dXJucyB7c3RyaW5nfSBUaGUgcmVnaXN0cnkgVVJMLlxuICovXG5leHBvcnQgZnVuY3Rpb24gZ2V0UmVnaXN0cnlGb3JQYWNrYWdlKGNvbmZpZzogTnBtQ29uZmlnLCBwYWNrYWdlTmFtZTogc3RyaW5nKTogc3RyaW5nIHtcbiAgbGV0IHJlZ2lzdHJ5ID0gY29uZmlnWydyZWdpc3RyeSddIGFzIHN0cmluZyB8IHVuZGVmaW5lZDtcblxuICBjb25zdCBtYXliZVNjb3BlID0gcGFja2FnZU5hbWUubWF0Y2goL14oQFteL10rKVxcLy8pO1xuICBpZiAobWF5YmVTY29wZSAmJiBjb25maWdbYCR7bWF5YmVTY29wZVsxXX06cmVnaXN0cnlgXSkge1xuICAgIHJlZ2lzdHJ5ID0gY29uZmlnW2Ake21heWJlU2NvcGVbMV19OnJlZ2lzdHJ5YF0gYXMgc3RyaW5nO1xuICB9XG5cbiAgcmVnaXN0cnkgPSByZWdpc3RyeSB8fCBrRGVmYXVsdFJlZ2lzdHJ5O1xuXG4gIHJldHVybiByZWdpc3RyeS5lbmRzV2l0aCgnLycpID8gcmVnaXN0cnkgOiByZWdpc3RyeSArICcvJztcbn1cblxuLyoqXG4gKiBGaW5kIHRoZSB2YWx1ZSBvZiBhIHBlci1yZWdpc3RyeSBrZXkgKGUuZy4gYF9hdXRoVG9rZW5gKSBmb3IgYSBVUkwuIFRoZSBtb3N0IHNwZWNpZmljIHBhdGhcbiAqIHdpbnMsIGUuZy4gYC8vaG9zdC9wYXRoLzpfYXV0aFRva2VuYCBpcyB1c2VkIGJlZm9yZSBgLy9ob3N0LzpfYXV0aFRva2VuYC5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9nZXRSZWdpc3RyeVZhbHVlKGNvbmZpZzogTnBtQ29uZmlnLCByZXF1ZXN0VXJsOiBzdHJpbmcsIGtleTogc3RyaW5nKSB7XG4gIGNvbnN0IHBhcnNlZCA9IHVybC5wYXJzZShyZXF1ZXN0VXJsKTtcbiAgY29uc3Qgc2VnbWVudHMgPSAocGFyc2VkLnBhdGhuYW1lIHx8ICcvJykuc3BsaXQoJy8nKTtcblxuICB3aGlsZSAoc2VnbWVudHMubGVuZ3RoID4gMCkge1xuICAgIGNvbnN0IG5lcmZEYXJ0ID0gYC8vJHtwYXJzZWQuaG9zdH0ke3NlZ21lbnRzLmpvaW4oJy8nKX1gLnJlcGxhY2UoL1xcLz8kLywgJy8nKTtcbiAgICBjb25zdCB2YWx1ZSA9IGNvbmZpZ1tgJHtuZXJmRGFydH06JHtrZXl9YF07XG4gICAgaWYgKHZhbHVlICE9PSB1bmRlZmluZWQpIHtcbiAgICAgIHJldHVybiB2YWx1ZTtcbiAgICB9XG4gICAgc2VnbWVudHMucG9wKCk7XG4gIH1cblxuICByZXR1cm4gdW5kZWZpbmVkO1xufVxuXG4vKipcbiAqIFdoZXRoZXIgYSBob3N0IG1hdGNoZXMgdGhlIGBub3Byb3h5YCBjb25maWd1cmF0aW9uLlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX2lzTm9Qcm94eShjb25maWc6IE5wbUNvbmZpZywgaG9zdG5hbWU6IHN0cmluZyk6IGJvb2xlYW4ge1xuICBjb25zdCBub1Byb3h5ID0gKGNvbmZpZ1snbm9wcm94eSddIHx8IHByb2Nlc3MuZW52WydOT19QUk9YWSddIHx8IHByb2Nlc3MuZW52Wydub19wcm94eSddKSBhc1xuICAgIHN0cmluZyB8IHN0cmluZ1tdIHwgdW5kZWZpbmVkO1xuICBpZiAoIW5vUHJveHkpIHtcbiAgICByZXR1cm4gZmFsc2U7XG4gIH1cblxuICByZXR1cm4gKEFycmF5LmlzQXJyYXkobm9Qcm94eSkgPyBub1Byb3h5IDogbm9Qcm94eS5zcGxpdCgnLCcpKVxuICAgIC5tYXAoeCA9PiB4LnRyaW0oKS5yZXBsYWNlKC9eXFwqP1xcLj8vLCAnJykpXG4gICAgLmZpbHRlcih4ID0+ICEheClcbiAgICAuc29tZSh4ID0+IGhvc3RuYW1lID09IHggfHwgaG9zdG5hbWUuZW5kc1dpdGgoJy4nICsgeCkpO1xufVxuXG4vKipcbiAqIEdldCB0aGUgaGVhZGVycywgYWdlbnQgYW5kIFRMUyBvcHRpb25zIHRvIHVzZSBmb3IgYSByZXF1ZXN0IGFnYWluc3QgYSByZWdpc3RyeSBVUkwuIFRoaXNcbiAqIHJlc29sdmVzIHRoZSBhdXRoIHRva2VuIG9yIGJhc2ljIGF1dGgsIHRoZSBwcm94eSwgYW5kIHRoZSBgc3RyaWN0LXNzbGAsIGBjYWAgYW5kIGBjYWZpbGVgXG4gKiBzZXR0aW5ncy5cbiAqIEBwYXJhbSB7TnBtQ29uZmlnfSBjb25maWcgVGhlIG5wbSBjb25maWd1cmF0aW9uLlxuICogQHBhcmFtIHtzdHJpbmd9IHJlcXVlc3RVcmwgVGhlIGZ1bGwgVVJMIHRoYXQgd2lsbCBiZSByZXF1ZXN0ZWQuXG4gKiBAcmV0dXJucyB7TnBtUmVxdWVzdE9wdGlvbnN9IFRoZSBvcHRpb25zIHRvIHBhc3MgdG8gYGh0dHAucmVxdWVzdCgpYCBvciBgaHR0cHMucmVxdWVzdCgpYC5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGdldFJlcXVlc3RPcHRpb25zKGNvbmZpZzogTnBtQ29uZmlnLCByZXF1ZXN0VXJsOiBzdHJpbmcpOiBOcG1SZXF1ZXN0T3B0aW9ucyB7XG4gIGNvbnN0IHBhcnNlZCA9IHVybC5wYXJzZShyZXF1ZXN0VXJsKTtcbiAgY29uc3QgaXNIdHRwcyA9IHBhcnNlZC5wcm90b2NvbCA9PSAnaHR0cHM6JztcbiAgY29uc3QgaGVhZGVyczogeyBbbmFtZTogc3RyaW5nXTogc3RyaW5nIH0gPSB7fTtcblxuICBjb25zdCB0b2tlbiA9IF9nZXRSZWdpc3RyeVZhbHVlKGNvbmZpZywgcmVxdWVzdFVybCwgJ19hdXRoVG9rZW4nKTtcbiAgY29uc3QgYXV0aCA9IF9nZXRSZWdpc3RyeVZhbHVlKGNvbmZpZywgcmVxdWVzdFVybCwgJ19hdXRoJyk7XG4gIGNvbnN0IHVzZXJuYW1lID0gX2dldFJlZ2lzdHJ5VmFsdWUoY29uZmlnLCByZXF1ZXN0VXJsLCAndXNlcm5hbWUnKTtcbiAgY29uc3QgcGFzc3dvcmQgPSBfZ2V0UmVnaXN0cnlWYWx1ZShjb25maWcsIHJlcXVlc3RVcmwsICdfcGFzc3dvcmQnKTtcbiAgY29uc3QgaXNEZWZhdWx0UmVnaXN0cnkgPSByZXF1ZXN0VXJsLnN0YXJ0c1dpdGgoZ2V0UmVnaXN0cnlGb3JQYWNrYWdlKGNvbmZpZywgJycpKTtcblxuICBpZiAodG9rZW4pIHtcbiAgICBoZWFkZXJzWydhdXRob3JpemF0aW9uJ10gPSBgQmVhcmVyICR7dG9rZW59YDtcbiAgfSBlbHNlIGlmIChhdXRoKSB7XG4gICAgaGVhZGVyc1snYXV0aG9yaXphdGlvbiddID0gYEJhc2ljICR7YXV0aH1gO1xuICB9IGVsc2UgaWYgKHVzZXJuYW1lICYmIHBhc3N3b3JkKSB7XG4gICAgY29uc3QgZGVjb2RlZFBhc3N3b3JkID0gQnVmZmVyLmZyb20ocGFzc3dvcmQgYXMgc3RyaW5nLCAnYmFzZTY0JykudG9TdHJpbmcoKTtcbiAgICBoZWFkZXJzWydhdXRob3JpemF0aW9uJ10gPSAnQmFzaWMgJ1xuICAgICAgKyBCdWZmZXIuZnJvbShgJHt1c2VybmFtZX06JHtkZWNvZGVkUGFzc3dvcmR9YCkudG9TdHJpbmcoJ2Jhc2U2NCcpO1xuICB9IGVsc2UgaWYgKGlzRGVmYXVsdFJlZ2lzdHJ5ICYmIGNvbmZpZ1snX2F1dGhUb2tlbiddKSB7XG4gICAgLy8gTGVnYWN5LCB1bnNjb3BlZCBjb25maWd1cmF0aW9uIG9ubHkgYXBwbGllcyB0byB0aGUgZGVmYXVsdCByZWdpc3RyeS5cbiAgICBoZWFkZXJzWydhdXRob3JpemF0aW9uJ10gPSBgQmVhcmVyICR7Y29uZmlnWydfYXV0aFRva2VuJ119YDtcbiAgfSBlbHNlIGlmIChpc0RlZmF1bHRSZWdpc3RyeSAmJiBjb25maWdbJ19hdXRoJ10pIHtcbiAgICBoZWFkZXJzWydhdXRob3JpemF0aW9uJ10gPSBgQmFzaWMgJHtjb25maWdbJ19hdXRoJ119YDtcbiAgfVxuXG4gIGxldCBjYSA9IGNvbmZpZ1snY2EnXSBhcyBzdHJpbmcgfCBzdHJpbmdbXSB8IHVuZGVmaW5lZDtcbiAgaWYgKCFjYSAmJiBjb25maWdbJ2NhZmlsZSddKSB7XG4gICAgdHJ5IHtcbiAgICAgIGNhID0gZnMucmVhZEZpbGVTeW5jKGNvbmZpZ1snY2FmaWxlJ10gYXMgc3RyaW5nLCAndXRmLTgnKTtcbiAgICB9IGNhdGNoIChlcnIpIHtcbiAgICAgIHRocm93IG5ldyBTY2hlbWF0aWNzRXhjZXB0aW9uKGBDb3VsZCBub3QgcmVhZCBjYWZpbGUgXCIke2NvbmZpZ1snY2FmaWxlJ119XCI6ICR7ZXJyLm1lc3NhZ2V9YCk7XG4gICAgfVxuICB9XG4gIGNvbnN0IHN0cmljdFNzbCA9IGNvbmZpZ1snc3RyaWN0LXNzbCddO1xuICBjb25zdCByZWplY3RVbmF1dGhvcml6ZWQgPSAhKHN0cmljdFNzbCA9PT0gZmFsc2UgfHwgc3RyaWN0U3NsID09PSAnZmFsc2UnKTtcblxuICBjb25zdCBwcm94eSA9IChpc0h0dHBzXG4gICAgPyBjb25maWdbJ2h0dHBzLXByb3h5J10gfHwgY29uZmlnWydwcm94eSddIHx8IHByb2Nlc3MuZW52WydIVFRQU19QUk9YWSddXG4gICAgICB8fCBwcm9jZXNzLmVudlsnaHR0cHNfcHJveHknXVxuICAgIDogY29uZmlnWydwcm94eSddIHx8IHByb2Nlc3MuZW52WydIVFRQX1BST1hZJ10gfHwgcHJvY2Vzcy5lbnZbJ2h0dHBfcHJveHknXSkgYXNcbiAgICBzdHJpbmcgfCB1bmRlZmluZWQ7XG5cbiAgbGV0IGFnZW50OiBodHRwLkFnZW50IHwgdW5kZWZpbmVkID0gdW5kZWZpbmVkO1xuICBpZiAocHJveHkgJiYgIV9pc05vUHJveHkoY29uZmlnLCBwYXJzZWQuaG9zdG5hbWUgfHwgJycpKSB7XG4gICAgY29uc3QgcHJveHlPcHRpb25zID0geyAuLi51cmwucGFyc2UocHJveHkpLCBjYSwgcmVqZWN0VW5hdXRob3JpemVkIH07XG4gICAgaWYgKGlzSHR0cHMpIHtcbiAgICAgIGNvbnN0IEh0dHBzUHJveHlBZ2VudCA9IHJlcXVpcmUoJ2h0dHBzLXByb3h5LWFnZW50Jyk7XG4gICAgICBhZ2VudCA9IG5ldyBIdHRwc1Byb3h5QWdlbnQocHJveHlPcHRpb25zKTtcbiAgICB9IGVsc2Uge1xuICAgICAgY29uc3QgSHR0cFByb3h5QWdlbnQgPSByZXF1aXJlKCdodHRwLXByb3h5LWFnZW50Jyk7XG4gICAgICBhZ2VudCA9IG5ldyBIdHRwUHJveHlBZ2VudChwcm94eU9wdGlvbnMpO1xuICAgIH1cbiAgfVxuXG4gIHJldHVybiB7IGhlYWRlcnMsIGFnZW50LCBjYSwgcmVqZWN0VW5hdXRob3JpemVkIH07XG59XG4iXX0=
\ No newline at end of file
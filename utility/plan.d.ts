@@ -0,0 +1,81 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Tree } from '@angular-devkit/schematics';
+import { SkippedVersion } from './policy';
+import { PackageJsonChange } from './workspace';
+/**
+ * A link in the chain of peer dependencies that pulled a package into the update.
+ */
+export interface UpdatePlanRequirement {
+    /** The package that declares the peer dependency or the package group. */
+    name: string;
+    /** The version of that package that will be installed. */
+    version: string;
+    /** The range it requires. */
+    range: string;
+    /** Whether the package is required as a member of the package group of `name`. */
+    packageGroup?: boolean;
+}
+/**
+ * A single package update, in a single package.json.
+ */
+export interface UpdatePlanEntry extends PackageJsonChange {
+    /**
+     * Why this package is updated. An empty array means it was requested directly, otherwise the
+     * first item is the package that requires it, the second the package that requires the first,
+     * and so on.
+     */
+    why: UpdatePlanRequirement[];
+}
+/**
+ * A peer dependency of the packages that will be installed, which is missing from the project.
+ */
+export interface UpdatePlanPeerIssue {
+    /** The name of the peer dependency. */
+    name: string;
+    /** The packages that require it, with the range each of them requires. */
+    requiredBy: UpdatePlanRequirement[];
+}
+export interface UpdatePlan {
+    packages: UpdatePlanEntry[];
+    /** The newer versions that were not picked because of the update policy. */
+    skipped: SkippedVersion[];
+    /** The peer dependencies that are still missing after the update. */
+    peers: UpdatePlanPeerIssue[];
+}
+/**
+ * Create the update plan from the changes to the package.json files.
+ * @param {PackageJsonChange[]} changes The changes that will be applied.
+ * @param {{[p: string]: UpdatePlanRequirement[]}} reasons The package group or peer dependency
+ *   chain that pulled each package, by package name.
+ * @param {SkippedVersion[]} skipped The versions skipped because of the update policy.
+ * @param {UpdatePlanPeerIssue[]} peers The peer dependencies that are not satisfied.
+ * @returns {UpdatePlan} The plan.
+ */
+export declare function createUpdatePlan(changes: PackageJsonChange[], reasons: {
+    [name: string]: UpdatePlanRequirement[];
+}, skipped: SkippedVersion[], peers: UpdatePlanPeerIssue[]): UpdatePlan;
+/**
+ * Format a peer dependency issue for the user.
+ * @param {UpdatePlanPeerIssue} issue The issue to format.
+ * @returns {string} The message.
+ */
+export declare function formatPeerIssue(issue: UpdatePlanPeerIssue): string;
+/**
+ * Format an update plan as a Markdown table.
+ * @param {UpdatePlan} plan The plan to format.
+ * @returns {string} The Markdown content.
+ */
+export declare function formatUpdatePlan(plan: UpdatePlan): string;
+/**
+ * Write the update plan in the tree, as `<reportPath>.json` and `<reportPath>.md`.
+ * @param {Tree} tree The tree to write to.
+ * @param {UpdatePlan} plan The plan to write.
+ * @param {string} reportPath The path of the report, without extension.
+ */
+export declare function writeUpdatePlan(tree: Tree, plan: UpdatePlan, reportPath: string): void;
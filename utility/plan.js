@@ -0,0 +1,90 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * Create the update plan from the changes to the package.json files.
+ * @param {PackageJsonChange[]} changes The changes that will be applied.
+ * @param {{[p: string]: UpdatePlanRequirement[]}} reasons The package group or peer dependency
+ *   chain that pulled each package, by package name.
+ * @param {SkippedVersion[]} skipped The versions skipped because of the update policy.
+ * @param {UpdatePlanPeerIssue[]} peers The peer dependencies that are not satisfied.
+ * @returns {UpdatePlan} The plan.
+ */
+function createUpdatePlan(changes, reasons, skipped, peers) {
+    return {
+        packages: changes.map(change => (Object.assign({}, change, { why: reasons[change.name] || [] }))),
+        skipped,
+        peers,
+    };
+}
+exports.createUpdatePlan = createUpdatePlan;
+/**
+ * Format a peer dependency issue for the user.
+ * @param {UpdatePlanPeerIssue} issue The issue to format.
+ * @returns {string} The message.
+ */
+function formatPeerIssue(issue) {
+    const requiredBy = issue.requiredBy
+        .map(req => `"${req.range}" (required by ${req.name}@${req.version})`)
+        .join(', ');
+    return `Peer dependency ${JSON.stringify(issue.name)} is missing: ${requiredBy}.`;
+}
+exports.formatPeerIssue = formatPeerIssue;
+/**
+ * Format an update plan as a Markdown table.
+ * @param {UpdatePlan} plan The plan to format.
+ * @returns {string} The Markdown content.
+ */
+function formatUpdatePlan(plan) {
+    const escape = (str) => str.replace(/\|/g, '\\|');
+    const lines = [
+        '# Update Plan',
+        '',
+        '| Package | File | Field | Current | Target | Required by |',
+        '| --- | --- | --- | --- | --- | --- |',
+    ];
+    for (const entry of plan.packages) {
+        const why = entry.why.length == 0
+            ? '(requested)'
+            : entry.why.map(req => req.packageGroup
+                ? `package group of ${req.name}@${req.version}`
+                : `${req.name}@${req.version} (${req.range})`).join(' <- ');
+        const current = entry.current === null ? '(added)' : entry.current;
+        lines.push(`| ${[entry.name, entry.path, entry.field, current, entry.target, why]
+            .map(escape).join(' | ')} |`);
+    }
+    if (plan.skipped.length > 0) {
+        lines.push('', '## Skipped Versions', '', '| Package | Version | Reason |', '| --- | --- | --- |', ...plan.skipped.map(x => `| ${[x.name, x.version, x.reason].map(escape).join(' | ')} |`));
+    }
+    if (plan.peers.length > 0) {
+        lines.push('', '## Missing Peer Dependencies', '', '| Package | Required by |', '| --- | --- |', ...plan.peers.map(issue => {
+            const requiredBy = issue.requiredBy
+                .map(req => `${req.name}@${req.version} (${req.range})`)
+                .join(', ');
+            return `| ${[issue.name, requiredBy].map(escape).join(' | ')} |`;
+        }));
+    }
+    return lines.join('\n') + '\n';
+}
+exports.formatUpdatePlan = formatUpdatePlan;
+/**
+ * Write the update plan in the tree, as `<reportPath>.json` and `<reportPath>.md`.
+ * @param {Tree} tree The tree to write to.
+ * @param {UpdatePlan} plan The plan to write.
+ * @param {string} reportPath The path of the report, without extension.
+ */
+function writeUpdatePlan(tree, plan, reportPath) {
+    const files = {
+        [`/${reportPath.replace(/^\//, '')}.json`]: JSON.stringify(plan, null, 2) + '\n',
+        [`/${reportPath.replace(/^\//, '')}.md`]: formatUpdatePlan(plan),
+    };
+    for (const path of Object.keys(files)) {
+        if (tree.exists(path)) {
+            tree.overwrite(path, files[path]);
+        }
+        else {
+            tree.create(path, files[path]);
+        }
+    }
+}
+exports.writeUpdatePlan = writeUpdatePlan;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicGxhbi5qcyIsInNvdXJjZVJvb3QiOiIuLyIsInNvdXJjZXMiOlsicGFja2FnZXMvc2NoZW1hdGljcy9wYWNrYWdlX3VwZGF0ZS91dGlsaXR5L3BsYW4udHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6Ijs7QUF5REE7Ozs7Ozs7O0dBUUc7QUFDSCwwQkFDRSxPQUE0QixFQUM1QixPQUFvRCxFQUNwRCxPQUF5QixFQUN6QixLQUE0QjtJQUU1QixNQUFNLENBQUM7UUFDTCxRQUFRLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLG1CQUFNLE1BQU0sSUFBRSxHQUFHLEVBQUUsT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLElBQUcsQ0FBQztRQUNqRixPQUFPO1FBQ1AsS0FBSztLQUNOLENBQUM7QUFDSixDQUFDO0FBWEQsNENBV0M7QUFFRDs7OztHQUlHO0FBQ0gseUJBQWdDLEtBQTBCO0lBQ3hELE1BQU0sVUFBVSxHQUFHLEtBQUssQ0FBQyxVQUFVO1NBQ2hDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLElBQUksR0FBRyxDQUFDLEtBQUssa0JBQWtCLEdBQUcsQ0FBQyxJQUFJLElBQUksR0FBRyxDQUFDLE9BQU8sR0FBRyxDQUFDO1NBQ3JFLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUVkLE1BQU0sQ0FBQyxtQkFBbUIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLGdCQUFnQixVQUFVLEdBQUcsQ0FBQztBQUNwRixDQUFDO0FBTkQsMENBTUM7QUFFRDs7OztHQUlHO0FBQ0gsMEJBQWlDLElBQWdCO0lBQy9DLE1BQU0sTUFBTSxHQUFHLENBQUMsR0FBVyxFQUFFLEVBQUUsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxLQUFLLENBQUMsQ0FBQztJQUMxRCxNQUFNLEtBQUssR0FBRztRQUNaLGVBQWU7UUFDZixFQUFFO1FBQ0YsNkRBQTZEO1FBQzdELHVDQUF1QztLQUN4QyxDQUFDO0lBRUYsR0FBRyxDQUFDLENBQUMsTUFBTSxLQUFLLElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7UUFDbEMsTUFBTSxHQUFHLEdBQUcsS0FBSyxDQUFDLEdBQUcsQ0FBQyxNQUFNLElBQUksQ0FBQztZQUMvQixDQUFDLENBQUMsYUFBYTtZQUNmLENBQUMsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxZQUFZO2dCQUNuQyxDQUFDLENBQUMsb0JBQW9CLEdBQUcsQ0FBQyxJQUFJLElBQUksR0FBRyxDQUFDLE9BQU8sRUFBRTtnQkFDL0MsQ0FBQyxDQUFDLEdBQUcsR0FBRyxDQUFDLElBQUksSUFBSSxHQUFHLENBQUMsT0FBTyxLQUFLLEdBQUcsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUVsRSxNQUFNLE9BQU8sR0FBRyxLQUFLLENBQUMsT0FBTyxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDO1FBQ25FLEtBQUssQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsS0FBSyxDQUFDLElBQUksRUFBRSxLQUFLLENBQUMsS0FBSyxFQUFFLE9BQU8sRUFBRSxLQUFLLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQzthQUM5RSxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNsQyxDQUFDO0lBRUQsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUM1QixLQUFLLENBQUMsSUFBSSxDQUNSLEVBQUUsRUFDRixxQkFBcUIsRUFDckIsRUFBRSxFQUNGLGdDQUFnQyxFQUNoQyxxQkFBcUIsRUFDckIsR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUN6RixDQUFDO0lBQ0osQ0FBQztJQUVELEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDMUIsS0FBSyxDQUFDLElBQUksQ0FDUixFQUFFLEVBQ0YsOEJBQThCLEVBQzlCLEVBQUUsRUFDRiwyQkFBMkIsRUFDM0IsZUFBZSxFQUNmLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUU7WUFDeEIsTUFBTSxVQUFVLEdBQUcsS0FBSyxDQUFDLFVBQVU7aUJBQ2hDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsR0FBRyxDQUFDLElBQUksSUFBSSxHQUFHLENBQUMsT0FBTyxLQUFLLEdBQUcsQ0FBQyxLQUFLLEdBQUcsQ0FBQztpQkFDdkQsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1lBRWQsTUFBTSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsSUFBSSxFQUFFLFVBQVUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQztRQUNuRSxDQUFDLENBQUMsQ0FDSCxDQUFDO0lBQ0osQ0FBQztJQUVELE1BQU0sQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQztBQUNqQyxDQUFDO0FBbERELDRDQWtEQztBQUVEOzs7OztHQUtHO0FBQ0gseUJBQWdDLElBQVUsRUFBRSxJQUFnQixFQUFFLFVBQWtCO0lBQzlFLE1BQU0sS0FBSyxHQUErQjtRQUN4QyxDQUFDLElBQUksVUFBVSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLE9BQU8sQ0FBQyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJO1FBQ2hGLENBQUMsSUFBSSxVQUFVLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsS0FBSyxDQUFDLEVBQUUsZ0JBQWdCLENBQUMsSUFBSSxDQUFDO0tBQ2pFLENBQUM7SUFFRixHQUFHLENBQUMsQ0FBQyxNQUFNLElBQUksSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN0QyxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN0QixJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUNwQyxDQUFDO1FBQUMsSUFBSSxDQUFDLENBQUM7WUFDTixJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUNqQyxDQUFDO0lBQ0gsQ0FBQztBQUNILENBQUM7QUFiRCwwQ0FhQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgSW5jLiBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cbmltcG9ydCB7IFRyZWUgfSBmcm9tICdAYW5ndWxhci1kZXZraXQvc2NoZW1hdGljcyc7XG5pbXBvcnQgeyBTa2lwcGVkVmVyc2lvbiB9IGZyb20gJy4vcG9saWN5JztcbmltcG9ydCB7IFBhY2thZ2VKc29uQ2hhbmdlIH0gZnJvbSAnLi93b3Jrc3BhY2UnO1xuXG5cbi8qKlxuICogQSBsaW5rIGluIHRoZSBjaGFpbiBvZiBwZWVyIGRlcGVuZGVuY2llcyB0aGF0IHB1bGxlZCBhIHBhY2thZ2UgaW50byB0aGUgdXBkYXRlLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIFVwZGF0ZVBsYW5SZXF1aXJlbWVudCB7XG4gIC8qKiBUaGUgcGFja2FnZSB0aGF0IGRlY2xhcmVzIHRoZSBwZWVyIGRlcGVuZGVuY3kgb3IgdGhlIHBhY2thZ2UgZ3JvdXAuICovXG4gIG5hbWU6IHN0cmluZztcbiAgLyoqIFRoZSB2ZXJzaW9uIG9mIHRoYXQgcGFja2FnZSB0aGF0IHdpbGwgYmUgaW5zdGFsbGVkLiAqL1xuICB2ZXJzaW9uOiBzdHJpbmc7XG4gIC8qKiBUaGUgcmFuZ2UgaXQgcmVxdWlyZXMuICovXG4gIHJhbmdlOiBzdHJpbmc7XG4gIC8qKiBXaGV0aGVyIHRoZSBwYWNrYWdlIGlzIHJlcXVpcmVkIGFzIGEgbWVtYmVyIG9mIHRoZSBwYWNrYWdlIGdyb3VwIG9mIGBuYW1lYC4gKi9cbiAgcGFja2FnZUdyb3VwPzogYm9vbGVhbjtcbn1cblxuLyoqXG4gKiBBIHNpbmdsZSBwYWNrYWdlIHVwZGF0ZSwgaW4gYSBzaW5nbGUgcGFja2FnZS5qc29uLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIFVwZGF0ZVBsYW5FbnRyeSBleHRlbmRzIFBhY2thZ2VKc29uQ2hhbmdlIHtcbiAgLyoqXG4gICAqIFdoeSB0aGlzIHBhY2thZ2UgaXMgdXBkYXRlZC4gQW4gZW1wdHkgYXJyYXkgbWVhbnMgaXQgd2FzIHJlcXVlc3RlZCBkaXJlY3RseSwgb3RoZXJ3aXNlIHRoZVxuICAgKiBmaXJzdCBpdGVtIGlzIHRoZSBwYWNrYWdlIHRoYXQgcmVxdWlyZXMgaXQsIHRoZSBzZWNvbmQgdGhlIHBhY2thZ2UgdGhhdCByZXF1aXJlcyB0aGUgZmlyc3QsXG4gICAqIGFuZCBzbyBvbi5cbiAgICovXG4gIHdoeTogVXBkYXRlUGxhblJlcXVpcmVtZW50W107XG59XG5cbi8qKlxuICogQSBwZWVyIGRlcGVuZGVuY3kgb2YgdGhlIHBhY2thZ2VzIHRoYXQgd2lsbCBiZSBpbnN0YWxsZWQsIHdoaWNoIGlzIG1pc3NpbmcgZnJvbSB0aGUgcHJvamVjdC5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBVcGRhdGVQbGFuUGVlcklzc3VlIHtcbiAgLyoqIFRoZSBuYW1lIG9mIHRoZSBwZWVyIGRlcGVuZGVuY3kuICovXG4gIG5hbWU6IHN0cmluZztcbiAgLyoqIFRoZSBwYWNrYWdlcyB0aGF0IHJlcXVpcmUgaXQsIHdpdGggdGhlIHJhbmdlIGVhY2ggb2YgdGhlbSByZXF1aXJlcy4gKi9cbiAgcmVxdWlyZWRCeTogVXBkYXRlUGxhblJlcXVpcmVtZW50W107XG59XG5cbmV4cG9ydCBpbnRlcmZhY2UgVXBkYXRlUGxhbiB7XG4gIHBhY2thZ2VzOiBVcGRhdGVQbGFuRW50cnlbXTtcbiAgLyoqIFRoZSBuZXdlciB2ZXJzaW9ucyB0aGF0IHdlcmUgbm90IHBpY2tlZCBiZWNhdXNlIG9mIHRoZSB1cGRhdGUgcG9saWN5LiAqL1xuICBza2lwcGVkOiBTa2lwcGVkVmVyc2lvbltdO1xuICAvKiogVGhlIHBlZXIgZGVwZW5kZW5jaWVzIHRoYXQgYXJlIHN0aWxsIG1pc3NpbmcgYWZ0ZXIgdGhlIHVwZGF0ZS4gKi9cbiAgcGVlcnM6IFVwZGF0ZVBsYW5QZWVySXNzdWVbXTtcbn1cblxuXG4vKipcbiAqIENyZWF0ZSB0aGUgdXBkYXRlIHBsYW4gZnJvbSB0aGUgY2hhbmdlcyB0byB0aGUgcGFja2FnZS5qc29uIGZpbGVzLlxuICogQHBhcmFtIHtQYWNrYWdlSnNvbkNoYW5nZVtdfSBjaGFuZ2VzIFRoZSBjaGFuZ2VzIHRoYXQgd2lsbCBiZSBhcHBsaWVkLlxuICogQHBhcmFtIHt7W3A6IHN0cmluZ106IFVwZGF0ZVBsYW5SZXF1aXJlbWVudFtdfX0gcmVhc29ucyBUaGUgcGFja2FnZSBncm91cCBvciBwZWVyIGRlcGVuZGVuY3lcbiAqICAgY2hhaW4gdGhhdCBwdWxsZWQgZWFjaCBwYWNrYWdlLCBieSBwYWNrYWdlIG5hbWUuXG4gKiBAcGFyYW0ge1NraXBwZWRWZXJzaW9uW119IHNraXBwZWQgVGhlIHZlcnNpb25zIHNraXBwZWQgYmVjYXVzZSBvZiB0aGUgdXBkYXRlIHBvbGljeS5cbiAqIEBwYXJhbSB7VXBkYXRlUGxhblBlZXJJc3N1ZVtdfSBwZWVycyBUaGUgcGVlciBkZXBlbmRlbmNpZXMgdGhhdCBhcmUgbm90IHNhdGlzZmllZC5cbiAqIEByZXR1cm5zIHtVcGRhdGVQbGFufSBUaGUgcGxhbi5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGNyZWF0ZVVwZGF0ZVBsYW4oXG4gIGNoYW5nZXM6IFBhY2thZ2VKc29uQ2hhbmdlW10sXG4gIHJlYXNvbnM6IHsgW25hbWU6IHN0cmluZ106IFVwZGF0ZVBsYW5SZXF1aXJlbWVudFtdIH0sXG4gIHNraXBwZWQ6IFNraXBwZWRWZXJzaW9uW10sXG4gIHBlZXJzOiBVcGRhdGVQbGFuUGVlcklzc3VlW10sXG4pOiBVcGRhdGVQbGFuIHtcbiAgcmV0dXJuIHtcbiAgICBwYWNrYWdlczogY2hhbmdlcy5tYXAoY2hhbmdlID0+ICh7IC4uLmNoYW5nZSwgd2h5OiByZWFzb25zW2NoYW5nZS5uYW1lXSB8fCBbXSB9KSksXG4gICAgc2tpcHBlZCxcbiAgICBwZWVycyxcbiAgfTtcbn1cblxuLyoqXG4gKiBGb3JtYXQgYSBwZWVyIGRlcGVuZGVuY3kgaXNzdWUgZm9yIHRoZSB1c2VyLlxuICogQHBhcmFtIHtVcGRhdGVQbGFuUGVlcklzc3VlfSBpc3N1ZSBUaGUgaXNzdWUgdG8gZm9ybWF0LlxuICogQHJldHVybnMge3N0cmluZ30gVGhlIG1lc3NhZ2UuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBmb3JtYXRQZWVySXNzdWUoaXNzdWU6IFVwZGF0ZVBsYW5QZWVySXNzdWUpOiBzdHJpbmcge1xuICBjb25zdCByZXF1aXJlZEJ5ID0gaXNzdWUucmVxdWlyZWRCeVxuICAgIC5tYXAocmVxID0+IGBcIiR7cmVxLnJhbmdlfVwiIChyZXF1aXJlZCBieSAke3JlcS5uYW1lfUAke3JlcS52ZXJzaW9ufSlgKVxuICAgIC5qb2luKCcsICcpO1xuXG4gIHJldHVybiBgUGVlciBkZXBlbmRlbmN5ICR7SlNPTi5zdHJpbmdpZnkoaXNzdWUubmFtZSl9IGlzIG1pc3Npbmc6ICR7cmVxdWlyZWRCeX0uYDtcbn1cblxuLyoqXG4gKiBGb3JtYXQgYW4gdXBkYXRlIHBsYW4gYXMgYSBNYXJrZG93biB0YWJsZS5cbiAqIEBwYXJhbSB7VXBkYXRlUGxhbn0gcGxhbiBUaGUgcGxhbiB0byBmb3JtYXQuXG4gKiBAcmV0dXJucyB7c3RyaW5nfSBUaGUgTWFya2Rvd24gY29udGVudC5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGZvcm1hdFVwZGF0ZVBsYW4ocGxhbjogVXBkYXRlUGxhbik6IHN0cmluZyB7XG4gIGNvbnN0IGVzY2FwZSA9IChzdHI6IHN0cmluZykgPT4gc3RyLnJlcGxhY2UoL1xcfC9nLCAnXFxcXHwnKTtcbiAgY29uc3QgbGluZXMgPSBbXG4gICAgJyMgVXBkYXRlIFBsYW4nLFxuICAgICcnLFxuICAgICd8IFBhY2thZ2UgfCBGaWxlIHwgRmllbGQgfCBDdXJyZW50IHwgVGFyZ2V0IHwgUmVxdWlyZWQgYnkgfCcsXG4gICAgJ3wgLS0tIHwgLS0tIHwgLS0tIHwgLS0tIHwgLS0tIHwgLS0tIHwnLFxuICBdO1xuXG4gIGZvciAoY29uc3QgZW50cnkgb2YgcGxhbi5wYWNrYWdlcykge1xuICAgIGNvbnN0IHdoeSA9IGVudHJ5LndoeS5sZW5ndGggPT0gMFxuICAgICAgPyAnKHJlcXVlc3RlZCknXG4gICAgICA6IGVudHJ5LndoeS5tYXAocmVxID0+IHJlcS5wYWNrYWdlR3JvdXBcbiAgICAgICAgICA/IGBwYWNrYWdlIGdyb3VwIG9mICR7cmVxLm5hbWV9QCR7cmVxLnZlcnNpb259YFxuICAgICAgICAgIDogYCR7cmVxLm5hbWV9QCR7cmVxLnZlcnNpb259ICgke3JlcS5yYW5nZX0pYCkuam9pbignIDwtICcpO1xuXG4gICAgY29uc3QgY3VycmVudCA9IGVudHJ5LmN1cnJlbnQgPT09IG51bGwgPyAnKGFkZGVkKScgOiBlbnRyeS5jdXJyZW50O1xuICAgIGxpbmVzLnB1c2goYHwgJHtbZW50cnkubmFtZSwgZW50cnkucGF0aCwgZW50cnkuZmllbGQsIGN1cnJlbnQsIGVudHJ5LnRhcmdldCwgd2h5XVxuICAgICAgLm1hcChlc2NhcGUpLmpvaW4oJyB8ICcpfSB8YCk7XG4gIH1cblxuICBpZiAocGxhbi5za2lwcGVkLmxlbmd0aCA+IDApIHtcbiAgICBsaW5lcy5wdXNoKFxuICAgICAgJycsXG4gICAgICAnIyMgU2tpcHBlZCBWZXJzaW9ucycsXG4gICAgICAnJyxcbiAgICAgICd8IFBhY2thZ2UgfCBWZXJzaW9uIHwgUmVhc29uIHwnLFxuICAgICAgJ3wgLS0tIHwgLS0tIHwgLS0tIHwnLFxuICAgICAgLi4ucGxhbi5za2lwcGVkLm1hcCh4ID0+IGB8ICR7W3gubmFtZSwgeC52ZXJzaW9uLCB4LnJlYXNvbl0ubWFwKGVzY2FwZSkuam9pbignIHwgJyl9IHxgKSxcbiAgICApO1xuICB9XG5cbiAgaWYgKHBsYW4ucGVlcnMubGVuZ3RoID4gMCkge1xuICAgIGxpbmVzLnB1c2goXG4gICAgICAnJyxcbiAgICAgICcjIyBNaXNzaW5nIFBlZXIgRGVwZW5kZW5jaWVzJyxcbiAgICAgICcnLFxuICAgICAgJ3wgUGFja2FnZSB8IFJlcXVpcmVkIGJ5IHwnLFxuICAgICAgJ3wgLS0tIHwgLS0tIHwnLFxuICAgICAgLi4ucGxhbi5wZWVycy5tYXAoaXNzdWUgPT4ge1xuICAgICAgICBjb25zdCByZXF1aXJlZEJ5ID0gaXNzdWUucmVxdWlyZWRCeVxuICAgICAgICAgIC5tYXAocmVxID0+IGAke3JlcS5uYW1lfUAke3JlcS52ZXJzaW9ufSAoJHtyZXEucmFuZ2V9KWApXG4gICAgICAgICAgLmpvaW4oJywgJyk7XG5cbiAgICAgICAgcmV0dXJuIGB8ICR7W2lzc3VlLm5hbWUsIHJlcXVpcmVkQnldLm1hcChlc2NhcGUpLmpvaW4oJyB8ICcpfSB8YDtcbiAgICAgIH0pLFxuICAgICk7XG4gIH1cblxuICByZXR1cm4gbGluZXMuam9pbignXFxuJykgKyAnXFxuJztcbn1cblxuLyoqXG4gKiBXcml0ZSB0aGUgdXBkYXRlIHBsYW4gaW4gdGhlIHRyZWUsIGFzIGA8cmVwb3J0UGF0aD4uanNvbmAgYW5kIGA8cmVwb3J0UGF0aD4ubWRgLlxuICogQHBhcmFtIHtUcmVlfSB0cmVlIFRoZSB0cmVlIHRvIHdyaXRlIHRvLlxuICogQHBhcmFtIHtVcGRhdGVQbGFufSBwbGFuIFRoZSBwbGFuIHRvIHdyaXRlLlxuICogQHBhcmFtIHtzdHJpbmd9IHJlcG9ydFBhdGggVGhlIHBhdGggb2YgdGhlIHJlcG9ydCwgd2l0aG91dCBleHRlbnNpb24uXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiB3cml0ZVVwZGF0ZVBsYW4odHJlZTogVHJlZSwgcGxhbjogVXBkYXRlUGxhbiwgcmVwb3J0UGF0aDogc3RyaW5nKSB7XG4gIGNvbnN0IGZpbGVzOiB7IFtwYXRoOiBzdHJpbmddOiBzdHJpbmcgfSA9IHtcbiAgICBbYC8ke3JlcG9ydFBhdGgucmVwbGFjZSgvXlxcLy8sICcnKX0uanNvbmBdOiBKU09OLnN0cmluZ2lmeShwbGFuLCBudWxsLCAyKSArICdcXG4nLFxuICAgIFtgLyR7cmVwb3J0UGF0aC5yZXBsYWNlKC9eXFwvLywgJycpfS5tZGBdOiBmb3JtYXRVcGRhdGVQbGFuKHBsYW4pLFxuICB9O1xuXG4gIGZvciAoY29uc3QgcGF0aCBvZiBPYmplY3Qua2V5cyhmaWxlcykpIHtcbiAgICBpZiAodHJlZS5leGlzdHMocGF0aCkpIHtcbiAgICAgIHRyZWUub3ZlcndyaXRlKHBhdGgsIGZpbGVzW3BhdGhdKTtcbiAgICB9IGVsc2Uge1xuICAgICAgdHJlZS5jcmVhdGUocGF0aCwgZmlsZXNbcGF0aF0pO1xuICAgIH1cbiAgfVxufVxuIl19
\ No newline at end of file
@@ -0,0 +1,46 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { JsonObject } from '@angular-devkit/core';
+/**
+ * The rules a version must follow to be picked by the update.
+ */
+export interface UpdatePolicy {
+    /** Whether deprecated versions are skipped. */
+    excludeDeprecated: boolean;
+    /**
+     * The oldest Node.js versions the project supports. Versions whose `engines.node` does not
+     * accept all of them are skipped. An empty array disables the check.
+     */
+    nodeVersions: string[];
+    /** Whether prerelease versions can be picked. */
+    allowPrerelease: boolean;
+    /** The minimum number of days since a version was published for it to be picked. */
+    minimumReleaseAge: number;
+    /** The current time, in milliseconds since the epoch. */
+    now: number;
+}
+/**
+ * A version that was not picked because of the update policy.
+ */
+export interface SkippedVersion {
+    /** The name of the package. */
+    name: string;
+    /** The version that was skipped. */
+    version: string;
+    /** Why the version was skipped. */
+    reason: string;
+}
+/**
+ * Get the reason why a version of a package breaks the update policy.
+ * @param {JsonObject} json The NPM package.json of the package. The `time` field, which is only
+ *   in the full metadata, is needed to check the release age.
+ * @param {string} version The version to check.
+ * @param {UpdatePolicy} policy The update policy.
+ * @returns {string | null} The reason, or null if the version can be picked.
+ */
+export declare function getPolicyViolation(json: JsonObject, version: string, policy: UpdatePolicy): string | null;
@@ -0,0 +1,44 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const semver = require("semver");
+const kMillisecondsPerDay = 24 * 60 * 60 * 1000;
+/**
+ * Get the reason why a version of a package breaks the update policy.
+ * @param {JsonObject} json The NPM package.json of the package. The `time` field, which is only
+ *   in the full metadata, is needed to check the release age.
+ * @param {string} version The version to check.
+ * @param {UpdatePolicy} policy The update policy.
+ * @returns {string | null} The reason, or null if the version can be picked.
+ */
+function getPolicyViolation(json, version, policy) {
+    const versionJson = json['versions'][version];
+    const deprecated = versionJson['deprecated'];
+    if (policy.excludeDeprecated && deprecated) {
+        return typeof deprecated == 'string' ? `deprecated: ${deprecated}` : 'deprecated';
+    }
+    if (!policy.allowPrerelease && semver.prerelease(version)) {
+        return 'prerelease';
+    }
+    const engines = versionJson['engines'];
+    const node = engines && engines['node'];
+    if (typeof node == 'string' && semver.validRange(node)) {
+        const unsupported = policy.nodeVersions.filter(x => !semver.satisfies(x, node));
+        if (unsupported.length > 0) {
+            return `requires Node.js "${node}", but the project supports Node.js ${unsupported[0]}`;
+        }
+    }
+    const time = json['time'];
+    const published = time && typeof time[version] == 'string'
+        ? Date.parse(time[version])
+        : NaN;
+    if (policy.minimumReleaseAge > 0 && !isNaN(published)) {
+        const age = (policy.now - published) / kMillisecondsPerDay;
+        if (age < policy.minimumReleaseAge) {
+            return `published ${Math.floor(age)} day(s) ago, which is less than the minimum release `
+                + `age of ${policy.minimumReleaseAge} day(s)`;
+        }
+    }
+    return null;
+}
+exports.getPolicyViolation = getPolicyViolation;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicG9saWN5LmpzIiwic291cmNlUm9vdCI6Ii4vIiwic291cmNlcyI6WyJwYWNrYWdlcy9zY2hlbWF0aWNzL3BhY2thZ2VfdXBkYXRlL3V0aWxpdHkvcG9saWN5LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7O0FBUUEsaUNBQWlDO0FBR2pDLE1BQU0sbUJBQW1CLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsSUFBSSxDQUFDO0FBbUNoRDs7Ozs7OztHQU9HO0FBQ0gsNEJBQ0UsSUFBZ0IsRUFDaEIsT0FBZSxFQUNmLE1BQW9CO0lBRXBCLE1BQU0sV0FBVyxHQUFJLElBQUksQ0FBQyxVQUFVLENBQWdCLENBQUMsT0FBTyxDQUFlLENBQUM7SUFFNUUsTUFBTSxVQUFVLEdBQUcsV0FBVyxDQUFDLFlBQVksQ0FBQyxDQUFDO0lBQzdDLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxpQkFBaUIsSUFBSSxVQUFVLENBQUMsQ0FBQyxDQUFDO1FBQzNDLE1BQU0sQ0FBQyxPQUFPLFVBQVUsSUFBSSxRQUFRLENBQUMsQ0FBQyxDQUFDLGVBQWUsVUFBVSxFQUFFLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQztJQUNwRixDQUFDO0lBRUQsRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsZUFBZSxJQUFJLE1BQU0sQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzFELE1BQU0sQ0FBQyxZQUFZLENBQUM7SUFDdEIsQ0FBQztJQUVELE1BQU0sT0FBTyxHQUFHLFdBQVcsQ0FBQyxTQUFTLENBQTJCLENBQUM7SUFDakUsTUFBTSxJQUFJLEdBQUcsT0FBTyxJQUFJLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUN4QyxFQUFFLENBQUMsQ0FBQyxPQUFPLElBQUksSUFBSSxRQUFRLElBQUksTUFBTSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDdkQsTUFBTSxXQUFXLEdBQUcsTUFBTSxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUM7UUFDaEYsRUFBRSxDQUFDLENBQUMsV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzNCLE1BQU0sQ0FBQyxxQkFBcUIsSUFBSSx1Q0FBdUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7UUFDMUYsQ0FBQztJQUNILENBQUM7SUFFRCxNQUFNLElBQUksR0FBRyxJQUFJLENBQUMsTUFBTSxDQUEyQixDQUFDO0lBQ3BELE1BQU0sU0FBUyxHQUFHLElBQUksSUFBSSxPQUFPLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxRQUFRO1FBQ3hELENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQVcsQ0FBQztRQUNyQyxDQUFDLENBQUMsR0FBRyxDQUFDO0lBQ1IsRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLGlCQUFpQixHQUFHLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDdEQsTUFBTSxHQUFHLEdBQUcsQ0FBQyxNQUFNLENBQUMsR0FBRyxHQUFHLFNBQVMsQ0FBQyxHQUFHLG1CQUFtQixDQUFDO1FBQzNELEVBQUUsQ0FBQyxDQUFDLEdBQUcsR0FBRyxNQUFNLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxDQUFDO1lBQ25DLE1BQU0sQ0FBQyxhQUFhLElBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLHNEQUFzRDtrQkFDckYsVUFBVSxNQUFNLENBQUMsaUJBQWlCLFNBQVMsQ0FBQztRQUNsRCxDQUFDO0lBQ0gsQ0FBQztJQUVELE1BQU0sQ0FBQyxJQUFJLENBQUM7QUFDZCxDQUFDO0FBdENELGdEQXNDQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgSW5jLiBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cbmltcG9ydCB7IEpzb25PYmplY3QgfSBmcm9tICdAYW5ndWxhci1kZXZraXQvY29yZSc7XG5pbXBvcnQgKiBhcyBzZW12ZXIgZnJvbSAnc2VtdmVyJztcblxuXG5jb25zdCBrTWlsbGlzZWNvbmRzUGVyRGF5ID0gMjQgKiA2MCAqIDYwICogMTAwMDtcblxuXG4vKipcbiAqIFRoZSBydWxlcyBhIHZlcnNpb24gbXVzdCBmb2xsb3cgdG8gYmUgcGlja2VkIGJ5IHRoZSB1cGRhdGUuXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgVXBkYXRlUG9saWN5IHtcbiAgLyoqIFdoZXRoZXIgZGVwcmVjYXRlZCB2ZXJzaW9ucyBhcmUgc2tpcHBlZC4gKi9cbiAgZXhjbHVkZURlcHJlY2F0ZWQ6IGJvb2xlYW47XG4gIC8qKlxuICAgKiBUaGUgb2xkZXN0IE5vZGUuanMgdmVyc2lvbnMgdGhlIHByb2plY3Qgc3VwcG9ydHMuIFZlcnNpb25zIHdob3NlIGBlbmdpbmVzLm5vZGVgIGRvZXMgbm90XG4gICAqIGFjY2VwdCBhbGwgb2YgdGhlbSBhcmUgc2tpcHBlZC4gQW4gZW1wdHkgYXJyYXkgZGlzYWJsZXMgdGhlIGNoZWNrLlxuICAgKi9cbiAgbm9kZVZlcnNpb25zOiBzdHJpbmdbXTtcbiAgLyoqIFdoZXRoZXIgcHJlcmVsZWFzZSB2ZXJzaW9ucyBjYW4gYmUgcGlja2VkLiAqL1xuICBhbGxvd1ByZXJlbGVhc2U6IGJvb2xlYW47XG4gIC8qKiBUaGUgbWluaW11bSBudW1iZXIgb2YgZGF5cyBzaW5jZSBhIHZlcnNpb24gd2FzIHB1Ymxpc2hlZCBmb3IgaXQgdG8gYmUgcGlja2VkLiAqL1xuICBtaW5pbXVtUmVsZWFzZUFnZTogbnVtYmVyO1xuICAvKiogVGhlIGN1cnJlbnQgdGltZSwgaW4gbWlsbGlzZWNvbmRzIHNpbmNlIHRoZSBlcG9jaC4gKi9cbiAgbm93OiBudW1iZXI7XG59XG5cbi8qKlxuICogQSB2ZXJzaW9uIHRoYXQgd2FzIG5vdCBwaWNrZWQgYmVjYXVzZSBvZiB0aGUgdXBkYXRlIHBvbGljeS5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBTa2lwcGVkVmVyc2lvbiB7XG4gIC8qKiBUaGUgbmFtZSBvZiB0aGUgcGFja2FnZS4gKi9cbiAgbmFtZTogc3RyaW5nO1xuICAvKiogVGhlIHZlcnNpb24gdGhhdCB3YXMgc2tpcHBlZC4gKi9cbiAgdmVyc2lvbjogc3RyaW5nO1xuICAvKiogV2h5IHRoZSB2ZXJzaW9uIHdhcyBza2lwcGVkLiAqL1xuICByZWFzb246IHN0cmluZztcbn1cblxuXG4vKipcbiAqIEdldCB0aGUgcmVhc29uIHdoeSBhIHZlcnNpb24gb2YgYSBwYWNrYWdlIGJyZWFrcyB0aGUgdXBkYXRlIHBvbGljeS5cbiAqIEBwYXJhbSB7SnNvbk9iamVjdH0ganNvbiBUaGUgTlBNIHBhY2thZ2UuanNvbiBvZiB0aGUgcGFja2FnZS4gVGhlIGB0aW1lYCBmaWVsZCwgd2hpY2ggaXMgb25seVxuICogICBpbiB0aGUgZnVsbCBtZXRhZGF0YSwgaXMgbmVlZGVkIHRvIGNoZWNrIHRoZSByZWxlYXNlIGFnZS5cbiAqIEBwYXJhbSB7c3RyaW5nfSB2ZXJzaW9uIFRoZSB2ZXJzaW9uIHRvIGNoZWNrLlxuICogQHBhcmFtIHtVcGRhdGVQb2xpY3l9IHBvbGljeSBUaGUgdXBkYXRlIHBvbGljeS5cbiAqIEByZXR1cm5zIHtzdHJpbmcgfCBudWxsfSBUaGUgcmVhc29uLCBvciBudWxsIGlmIHRoZSB2ZXJzaW9uIGNhbiBiZSBwaWNrZWQuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBnZXRQb2xpY3lWaW9sYXRpb24oXG4gIGpzb246IEpzb25PYmplY3QsXG4gIHZlcnNpb246IHN0cmluZyxcbiAgcG9saWN5OiBVcGRhdGVQb2xpY3ksXG4pOiBzdHJpbmcgfCBudWxsIHtcbiAgY29uc3QgdmVyc2lvbkpzb24gPSAoanNvblsndmVyc2lvbnMnXSBhcyBKc29uT2JqZWN0KVt2ZXJzaW9uXSBhcyBKc29uT2JqZWN0O1xuXG4gIGNvbnN0IGRlcHJlY2F0ZWQgPSB2ZXJzaW9uSnNvblsnZGVwcmVjYXRlZCddO1xuICBpZiAocG9saWN5LmV4Y2x1ZGVEZXByZWNhdGVkICYmIGRlcHJlY2F0ZWQpIHtcbiAgICByZXR1cm4gdHlwZW9mIGRlcHJlY2F0ZWQgPT0gJ3N0cmluZycgPyBgZGVwcmVjYXRlZDogJHtkZXByZWNhdGVkfWAgOiAnZGVwcmVjYXRlZCc7XG4gIH1cblxuICBpZiAoIXBvbGljeS5hbGxvd1ByZXJlbGVhc2UgJiYgc2VtdmVyLnByZXJlbGVhc2UodmVyc2lvbikpIHtcbiAgICByZXR1cm4gJ3ByZXJlbGVhc2UnO1xuICB9XG5cbiAgY29uc3QgZW5naW5lcyA9IHZlcnNpb25Kc29uWydlbmdpbmVzJ10gYXMgSnNvbk9iamVjdCB8IHVuZGVmaW5lZDtcbiAgY29uc3Qgbm9kZSA9IGVuZ2luZXMgJiYgZW5naW5lc1snbm9kZSddO1xuICBpZiAodHlwZW9mIG5vZGUgPT0gJ3N0cmluZycgJiYgc2VtdmVyLnZhbGlkUmFuZ2Uobm9kZSkpIHtcbiAgICBjb25zdCB1bnN1cHBvcnRlZCA9IHBvbGljeS5ub2RlVmVyc2lvbnMuZmlsdGVyKHggPT4gIXNlbXZlci5zYXRpc2ZpZXMoeCwgbm9kZSkpO1xuICAgIGlmICh1bnN1cHBvcnRlZC5sZW5ndGggPiAwKSB7XG4gICAgICByZXR1cm4gYHJlcXVpcmVzIE5vZGUuanMgXCIke25vZGV9XCIsIGJ1dCB0aGUgcHJvamVjdCBzdXBwb3J0cyBOb2RlLmpzICR7dW5zdXBwb3J0ZWRbMF19YDtcbiAgICB9XG4gIH1cblxuICBjb25zdCB0aW1lID0ganNvblsndGltZSddIGFzIEpzb25PYmplY3QgfCB1bmRlZmluZWQ7XG4gIGNvbnN0IHB1Ymxpc2hlZCA9IHRpbWUgJiYgdHlwZW9mIHRpbWVbdmVyc2lvbl0gPT0gJ3N0cmluZydcbiAgICA/IERhdGUucGFyc2UodGltZVt2ZXJzaW9uXSBhcyBzdHJpbmcpXG4gICAgOiBOYU47XG4gIGlmIChwb2xpY3kubWluaW11bVJlbGVhc2VBZ2UgPiAwICYmICFpc05hTihwdWJsaXNoZWQpKSB7XG4gICAgY29uc3QgYWdlID0gKHBvbGljeS5ub3cgLSBwdWJsaXNoZWQpIC8ga01pbGxpc2Vjb25kc1BlckRheTtcbiAgICBpZiAoYWdlIDwgcG9saWN5Lm1pbmltdW1SZWxlYXNlQWdlKSB7XG4gICAgICByZXR1cm4gYHB1Ymxpc2hlZCAke01hdGguZmxvb3IoYWdlKX0gZGF5KHMpIGFnbywgd2hpY2ggaXMgbGVzcyB0aGFuIHRoZSBtaW5pbXVtIHJlbGVhc2UgYFxuICAgICAgICArIGBhZ2Ugb2YgJHtwb2xpY3kubWluaW11bVJlbGVhc2VBZ2V9IGRheShzKWA7XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIG51bGw7XG59XG4iXX0=
\ No newline at end of file
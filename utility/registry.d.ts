@@ -0,0 +1,35 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { JsonObject, logging } from '@angular-devkit/core';
+import { Observable } from 'rxjs';
+import { NpmConfig } from './npmrc';
+export interface RegistryClientOptions {
+    /** The npm configuration, used to resolve the registry and its auth. */
+    npmConfig: NpmConfig;
+    /** The timeout of a single request, in milliseconds. */
+    timeout?: number;
+    /** How many times a request is retried after a network error, a timeout or a 5xx status. */
+    retries?: number;
+    /** Only use the on-disk cache, without any network access. */
+    offline?: boolean;
+    /**
+     * Fetch the full package metadata instead of the abbreviated one. The abbreviated metadata
+     * is much smaller, but does not contain the `time` field nor custom package.json fields.
+     */
+    fullMetadata?: boolean;
+}
+/**
+ * Get the NPM repository's package.json for a package. Requests are cached in memory for the
+ * duration of the process, and on disk so they can be reused when offline. Network errors,
+ * timeouts and 5xx statuses are retried with an exponential backoff.
+ * @param {string} packageName The package name to fetch.
+ * @param {RegistryClientOptions} options The registry client options.
+ * @param {LoggerApi} logger A logger instance to log debug information.
+ * @returns {Observable<JsonObject>} An observable that will put the pacakge.json content.
+ */
+export declare function getNpmPackageJson(packageName: string, options: RegistryClientOptions, logger: logging.LoggerApi): Observable<JsonObject>;
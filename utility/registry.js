@@ -0,0 +1,243 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const core_1 = require("@angular-devkit/core");
+const schematics_1 = require("@angular-devkit/schematics");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const os = require("os");
+const path = require("path");
+const rxjs_1 = require("rxjs");
+const operators_1 = require("rxjs/operators");
+const url = require("url");
+const npmrc_1 = require("./npmrc");
+const kAbbreviatedMetadataAccept = 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8, */*';
+const kDefaultTimeout = 30000;
+const kDefaultRetries = 2;
+const kRetryBaseDelay = 1000;
+/**
+ * An error from the registry. Retryable errors are network errors, timeouts and 5xx statuses.
+ */
+class RegistryRequestError extends schematics_1.SchematicsException {
+    constructor(message, retryable) {
+        super(message);
+        this.retryable = retryable;
+    }
+}
+const npmPackageJsonCache = new Map();
+/**
+ * Get the directory of the on-disk metadata cache, inside npm's cache directory.
+ * @private
+ */
+function _getCacheDirectory(npmConfig) {
+    const npmCache = npmConfig['cache']
+        || (process.platform == 'win32'
+            ? path.join(process.env['APPDATA'] || os.homedir(), 'npm-cache')
+            : path.join(os.homedir(), '.npm'));
+    return path.join(npmCache, '_schematics-package-update');
+}
+/**
+ * Get the path of the cache file for a request.
+ * @private
+ */
+function _getCachePath(npmConfig, cacheKey) {
+    return path.join(_getCacheDirectory(npmConfig), encodeURIComponent(cacheKey) + '.json');
+}
+/**
+ * Read an entry from the on-disk cache, or null if there is none.
+ * @private
+ */
+function _readCache(cachePath) {
+    try {
+        return JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    }
+    catch (_) {
+        return null;
+    }
+}
+/**
+ * Write an entry to the on-disk cache. Errors are ignored, as the cache is only an optimization
+ * when online.
+ * @private
+ */
+function _writeCache(cachePath, entry) {
+    try {
+        const dir = path.dirname(cachePath);
+        dir.split(path.sep).reduce((parent, segment) => {
+            const current = parent ? path.join(parent, segment) : segment || path.sep;
+            if (!fs.existsSync(current)) {
+                fs.mkdirSync(current);
+            }
+            return current;
+        }, '');
+        fs.writeFileSync(cachePath, JSON.stringify(entry));
+    }
+    catch (_) { }
+}
+/**
+ * Parse the content of a registry response.
+ * @private
+ */
+function _parseMetadata(packageName, requestUrl, data) {
+    const invalid = (reason) => new schematics_1.SchematicsException(`Invalid package metadata received for package ${JSON.stringify(packageName)} `
+        + `(${requestUrl}): ${reason}`);
+    let json;
+    try {
+        json = core_1.parseJson(data, core_1.JsonParseMode.Strict);
+    }
+    catch (err) {
+        throw invalid(err.message);
+    }
+    if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+        throw invalid('expected a JSON object.');
+    }
+    return json;
+}
+/**
+ * Perform a single request against the registry. Resolves to the response's body, or to the
+ * cached entry if the registry answers that it was not modified.
+ * @private
+ */
+function _request(packageName, requestUrl, options, cached) {
+    return new rxjs_1.Observable(observer => {
+        // The request can still emit errors after it was aborted, so only settle once.
+        let settled = false;
+        const settle = (result) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            if (result instanceof Error) {
+                observer.error(result);
+            }
+            else {
+                observer.next(result);
+                observer.complete();
+            }
+        };
+        const networkError = (err) => new RegistryRequestError(`Could not get package ${JSON.stringify(packageName)} (${requestUrl}): ${err.message}`, true);
+        const requestOptions = Object.assign({}, url.parse(requestUrl), npmrc_1.getRequestOptions(options.npmConfig, requestUrl));
+        requestOptions.headers['accept'] = options.fullMetadata
+            ? 'application/json'
+            : kAbbreviatedMetadataAccept;
+        if (cached && cached.etag) {
+            requestOptions.headers['if-none-match'] = cached.etag;
+        }
+        const doRequest = requestOptions.protocol == 'http:' ? http.request : https.request;
+        const request = doRequest(requestOptions, response => {
+            const statusCode = response.statusCode || 0;
+            let data = '';
+            response.on('data', chunk => data += chunk);
+            response.on('end', () => {
+                if (statusCode == 304 && cached) {
+                    settle(cached);
+                }
+                else if (statusCode >= 200 && statusCode < 300) {
+                    const etag = response.headers['etag'];
+                    settle({ etag: Array.isArray(etag) ? etag[0] : etag, data });
+                }
+                else if (statusCode == 404) {
+                    settle(new RegistryRequestError(`Package ${JSON.stringify(packageName)} was not found in the registry `
+                        + `(${requestUrl}).`, false));
+                }
+                else if (statusCode == 401 || statusCode == 403) {
+                    settle(new RegistryRequestError(`Not authorized to get package ${JSON.stringify(packageName)} (${requestUrl}, `
+                        + `status ${statusCode}). Check the auth configuration of the registry in .npmrc.`, false));
+                }
+                else {
+                    settle(new RegistryRequestError(`Could not get package ${JSON.stringify(packageName)} (${requestUrl}), the registry `
+                        + `answered with status ${statusCode}.`, statusCode >= 500));
+                }
+            });
+            response.on('error', err => settle(networkError(err)));
+        });
+        request.setTimeout(options.timeout || kDefaultTimeout, () => {
+            settle(new RegistryRequestError(`Timed out getting package ${JSON.stringify(packageName)} (${requestUrl}).`, true));
+            request.abort();
+        });
+        request.on('error', err => settle(networkError(err)));
+        request.end();
+        return () => {
+            settled = true;
+            request.abort();
+        };
+    });
+}
+/**
+ * Get the NPM repository's package.json for a package. Requests are cached in memory for the
+ * duration of the process, and on disk so they can be reused when offline. Network errors,
+ * timeouts and 5xx statuses are retried with an exponential backoff.
+ * @param {string} packageName The package name to fetch.
+ * @param {RegistryClientOptions} options The registry client options.
+ * @param {LoggerApi} logger A logger instance to log debug information.
+ * @returns {Observable<JsonObject>} An observable that will put the pacakge.json content.
+ */
+function getNpmPackageJson(packageName, options, logger) {
+    const registry = npmrc_1.getRegistryForPackage(options.npmConfig, packageName);
+    const requestUrl = `${registry}${packageName.replace(/\//g, '%2F')}`;
+    const cacheKey = (options.fullMetadata ? 'full:' : 'abbreviated:') + requestUrl;
+    logger.debug(`Getting package.json from ${JSON.stringify(packageName)} (${requestUrl})...`);
+    // The full metadata is a superset of the abbreviated one, so reuse it if it was fetched.
+    let maybeRequest = npmPackageJsonCache.get(cacheKey)
+        || npmPackageJsonCache.get('full:' + requestUrl);
+    if (!maybeRequest) {
+        const subject = new rxjs_1.ReplaySubject(1);
+        const cachePath = _getCachePath(options.npmConfig, cacheKey);
+        const cached = _readCache(cachePath);
+        // When offline or when the registry fails, the full metadata can stand in for the
+        // abbreviated one.
+        const stale = cached || (options.fullMetadata
+            ? null
+            : _readCache(_getCachePath(options.npmConfig, 'full:' + requestUrl)));
+        const retries = options.retries === undefined ? kDefaultRetries : options.retries;
+        let request;
+        if (options.offline) {
+            request = stale
+                ? rxjs_1.of(stale)
+                : rxjs_1.throwError(new schematics_1.SchematicsException(`Package ${JSON.stringify(packageName)} is not in the offline cache `
+                    + `(${_getCacheDirectory(options.npmConfig)}). Run the update once with network access `
+                    + 'to populate it.'));
+        }
+        else {
+            request = rxjs_1.defer(() => _request(packageName, requestUrl, options, cached)).pipe(operators_1.retryWhen(errors => errors.pipe(operators_1.mergeMap((err, attempt) => {
+                if (!(err instanceof RegistryRequestError) || !err.retryable || attempt >= retries) {
+                    return rxjs_1.throwError(err);
+                }
+                const delay = kRetryBaseDelay * Math.pow(2, attempt);
+                logger.debug(`${err.message} Retrying in ${delay}ms...`);
+                return rxjs_1.timer(delay);
+            }))), operators_1.catchError(err => {
+                if (!stale || !(err instanceof RegistryRequestError) || !err.retryable) {
+                    return rxjs_1.throwError(err);
+                }
+                logger.warn(`${err.message} Using the cached metadata instead.`);
+                return rxjs_1.of(stale);
+            }));
+        }
+        request.subscribe(entry => {
+            try {
+                const json = _parseMetadata(packageName, requestUrl, entry.data);
+                if (!options.offline && entry !== stale) {
+                    _writeCache(cachePath, entry);
+                }
+                subject.next(json);
+                subject.complete();
+            }
+            catch (err) {
+                subject.error(err);
+            }
+        }, err => subject.error(err));
+        maybeRequest = subject.asObservable();
+        npmPackageJsonCache.set(cacheKey, maybeRequest);
+    }
+    return maybeRequest;
+}
+exports.getNpmPackageJson = getNpmPackageJson;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVnaXN0cnkuanMiLCJzb3VyY2VSb290IjoiLi8iLCJzb3VyY2VzIjpbInBhY2thZ2VzL3NjaGVtYXRpY3MvcGFja2FnZV91cGRhdGUvdXRpbGl0eS9yZWdpc3RyeS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiOztBQUFBOzs7Ozs7R0FNRztBQUNILCtDQUFxRjtBQUNyRiwyREFBaUU7QUFDakUseUJBQXlCO0FBQ3pCLDZCQUE2QjtBQUM3QiwrQkFBK0I7QUFDL0IseUJBQXlCO0FBQ3pCLDZCQUE2QjtBQUM3QiwrQkFPYztBQUNkLDhDQUFpRTtBQUNqRSwyQkFBMkI7QUFDM0IsbUNBQThFO0FBRzlFLE1BQU0sMEJBQTBCLEdBQzlCLDBFQUEwRSxDQUFDO0FBQzdFLE1BQU0sZUFBZSxHQUFHLEtBQUssQ0FBQztBQUM5QixNQUFNLGVBQWUsR0FBRyxDQUFDLENBQUM7QUFDMUIsTUFBTSxlQUFlLEdBQUcsSUFBSSxDQUFDO0FBeUI3Qjs7R0FFRztBQUNILDBCQUEyQixTQUFRLGdDQUFtQjtJQUNwRCxZQUFZLE9BQWUsRUFBa0IsU0FBa0I7UUFDN0QsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBRDRCLGNBQVMsR0FBVCxTQUFTLENBQVM7SUFFL0QsQ0FBQztDQUNGO0FBR0QsTUFBTSxtQkFBbUIsR0FBRyxJQUFJLEdBQUcsRUFBa0MsQ0FBQztBQUd0RTs7O0dBR0c7QUFDSCw0QkFBNEIsU0FBb0I7SUFDOUMsTUFBTSxRQUFRLEdBQUksU0FBUyxDQUFDLE9BQU8sQ0FBd0I7V0FDdEQsQ0FBQyxPQUFPLENBQUMsUUFBUSxJQUFJLE9BQU87WUFDM0IsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFLENBQUMsT0FBTyxFQUFFLEVBQUUsV0FBVyxDQUFDO1lBQ2hFLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxPQUFPLEVBQUUsRUFBRSxNQUFNLENBQUMsQ0FBQyxDQUFDO0lBRXpDLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSw0QkFBNEIsQ0FBQyxDQUFDO0FBQzNELENBQUM7QUFFRDs7O0dBR0c7QUFDSCx1QkFBdUIsU0FBb0IsRUFBRSxRQUFnQjtJQUMzRCxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxTQUFTLENBQUMsRUFBRSxrQkFBa0IsQ0FBQyxRQUFRLENBQUMsR0FBRyxPQUFPLENBQUMsQ0FBQztBQUMxRixDQUFDO0FBRUQ7OztHQUdHO0FBQ0gsb0JBQW9CLFNBQWlCO0lBQ25DLElBQUksQ0FBQztRQUNILE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsU0FBUyxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7SUFDekQsQ0FBQztJQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDWCxNQUFNLENBQUMsSUFBSSxDQUFDO0lBQ2QsQ0FBQztBQUNILENBQUM7QUFFRDs7OztHQUlHO0FBQ0gscUJBQXFCLFNBQWlCLEVBQUUsS0FBaUI7SUFDdkQsSUFBSSxDQUFDO1FBQ0gsTUFBTSxHQUFHLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUNwQyxHQUFHLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLEVBQUUsT0FBTyxFQUFFLEVBQUU7WUFDN0MsTUFBTSxPQUFPLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxJQUFJLElBQUksQ0FBQyxHQUFHLENBQUM7WUFDMUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDNUIsRUFBRSxDQUFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsQ0FBQztZQUN4QixDQUFDO1lBRUQsTUFBTSxDQUFDLE9BQU8sQ0FBQztRQUNqQixDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDUCxFQUFFLENBQUMsYUFBYSxDQUFDLFNBQVMsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7SUFDckQsQ0FBQztJQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQSxDQUFDO0FBQ2hCLENBQUM7QUFFRDs7O0dBR0c7QUFDSCx3QkFBd0IsV0FBbUIsRUFBRSxVQUFrQixFQUFFLElBQVk7SUFDM0UsTUFBTSxPQUFPLEdBQUcsQ0FBQyxNQUFjLEVBQUUsRUFBRSxDQUFDLElBQUksZ0NBQW1CLENBQ3pELGlEQUFpRCxJQUFJLENBQUMsU0FBUyxDQUFDLFdBQVcsQ0FBQyxHQUFHO1VBQzdFLElBQUksVUFBVSxNQUFNLE1BQU0sRUFBRSxDQUMvQixDQUFDO0lBQ0YsSUFBSSxJQUFJLENBQUM7SUFDVCxJQUFJLENBQUM7UUFDSCxJQUFJLEdBQUcsZ0JBQVMsQ0FBQyxJQUFJLEVBQUUsb0JBQWEsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUMvQyxDQUFDO0lBQUMsS0FBSyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUNiLE1BQU0sT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUM3QixDQUFDO0lBQ0QsRUFBRSxDQUFDLENBQUMsSUFBSSxLQUFLLElBQUksSUFBSSxPQUFPLElBQUksS0FBSyxRQUFRLElBQUksS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDckUsTUFBTSxPQUFPLENBQUMseUJBQXlCLENBQUMsQ0FBQztJQUMzQyxDQUFDO0lBRUQsTUFBTSxDQUFDLElBQUksQ0FBQztBQUNkLENBQUM7QUFFRDs7OztHQUlHO0FBQ0gsa0JBQ0UsV0FBbUIsRUFDbkIsVUFBa0IsRUFDbEIsT0FBOEIsRUFDOUIsTUFBeUI7SUFFekIsTUFBTSxDQUFDLElBQUksaUJBQVUsQ0FBYSxRQUFRLENBQUMsRUFBRTtRQUMzQywrRUFBK0U7UUFDL0UsSUFBSSxPQUFPLEdBQUcsS0FBSyxDQUFDO1FBQ3BCLE1BQU0sTUFBTSxHQUFHLENBQUMsTUFBMEIsRUFBRSxFQUFFO1lBQzVDLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7Z0JBQ1osTUFBTSxDQUFDO1lBQ1QsQ0FBQztZQUNELE9BQU8sR0FBRyxJQUFJLENBQUM7WUFDZixFQUFFLENBQUMsQ0FBQyxNQUFNLFlBQVksS0FBSyxDQUFDLENBQUMsQ0FBQztnQkFDNUIsUUFBUSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUN6QixDQUFDO1lBQUMsSUFBSSxDQUFDLENBQUM7Z0JBQ04sUUFBUSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztnQkFDdEIsUUFBUSxDQUFDLFFBQVEsRUFBRSxDQUFDO1lBQ3RCLENBQUM7UUFDSCxDQUFDLENBQUM7UUFDRixNQUFNLFlBQVksR0FBRyxDQUFDLEdBQVUsRUFBRSxFQUFFLENBQUMsSUFBSSxvQkFBb0IsQ0FDM0QseUJBQXlCLElBQUksQ0FBQyxTQUFTLENBQUMsV0FBVyxDQUFDLEtBQUssVUFBVSxNQUFNLEdBQUcsQ0FBQyxPQUFPLEVBQUUsRUFDdEYsSUFBSSxDQUNMLENBQUM7UUFFRixNQUFNLGNBQWMscUJBQ2YsR0FBRyxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUMsRUFDckIseUJBQWlCLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSxVQUFVLENBQUMsQ0FDcEQsQ0FBQztRQUNGLGNBQWMsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLEdBQUcsT0FBTyxDQUFDLFlBQVk7WUFDckQsQ0FBQyxDQUFDLGtCQUFrQjtZQUNwQixDQUFDLENBQUMsMEJBQTBCLENBQUM7UUFDL0IsRUFBRSxDQUFDLENBQUMsTUFBTSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1lBQzFCLGNBQWMsQ0FBQyxPQUFPLENBQUMsZUFBZSxDQUFDLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQztRQUN4RCxDQUFDO1FBRUQsTUFBTSxTQUFTLEdBQUcsY0FBYyxDQUFDLFFBQVEsSUFBSSxPQUFPLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUM7UUFDcEYsTUFBTSxPQUFPLEdBQUcsU0FBUyxDQUFDLGNBQWMsRUFBRSxRQUFRLENBQUMsRUFBRTtZQUNuRCxNQUFNLFVBQVUsR0FBRyxRQUFRLENBQUMsVUFBVSxJQUFJLENBQUMsQ0FBQztZQUM1QyxJQUFJLElBQUksR0FBRyxFQUFFLENBQUM7WUFDZCxRQUFRLENBQUMsRUFBRSxDQUFDLE1BQU0sRUFBRSxLQUFLLENBQUMsRUFBRSxDQUFDLElBQUksSUFBSSxLQUFLLENBQUMsQ0FBQztZQUM1QyxRQUFRLENBQUMsRUFBRSxDQUFDLEtBQUssRUFBRSxHQUFHLEVBQUU7Z0JBQ3RCLEVBQUUsQ0FBQyxDQUFDLFVBQVUsSUFBSSxHQUFHLElBQUksTUFBTSxDQUFDLENBQUMsQ0FBQztvQkFDaEMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDO2dCQUNqQixDQUFDO2dCQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxVQUFVLElBQUksR0FBRyxJQUFJLFVBQVUsR0FBRyxHQUFHLENBQUMsQ0FBQyxDQUFDO29CQUNqRCxNQUFNLElBQUksR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDO29CQUN0QyxNQUFNLENBQUMsRUFBRSxJQUFJLEVBQUUsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztnQkFDL0QsQ0FBQztnQkFBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsVUFBVSxJQUFJLEdBQUcsQ0FBQyxDQUFDLENBQUM7b0JBQzdCLE1BQU0sQ0FBQyxJQUFJLG9CQUFvQixDQUM3QixXQUFXLElBQUksQ0FBQyxTQUFTLENBQUMsV0FBVyxDQUFDLGlDQUFpQzswQkFDckUsSUFBSSxVQUFVLElBQUksRUFDcEIsS0FBSyxDQUNOLENBQUMsQ0FBQztnQkFDTCxDQUFDO2dCQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxVQUFVLElBQUksR0FBRyxJQUFJLFVBQVUsSUFBSSxHQUFHLENBQUMsQ0FBQyxDQUFDO29CQUNsRCxNQUFNLENBQUMsSUFBSSxvQkFBb0IsQ0FDN0IsaUNBQWlDLElBQUksQ0FBQyxTQUFTLENBQUMsV0FBVyxDQUFDLEtBQUssVUFBVSxJQUFJOzBCQUM3RSxVQUFVLFVBQVUsNERBQTRELEVBQ2xGLEtBQUssQ0FDTixDQUFDLENBQUM7Z0JBQ0wsQ0FBQztnQkFBQyxJQUFJLENBQUMsQ0FBQztvQkFDTixNQUFNLENBQUMsSUFBSSxvQkFBb0IsQ0FDN0IseUJBQXlCLElBQUksQ0FBQyxTQUFTLENBQUMsV0FBVyxDQUFDLEtBQUssVUFBVSxrQkFBa0I7MEJBQ25GLHdCQUF3QixVQUFVLEdBQUcsRUFDdkMsVUFBVSxJQUFJLEdBQUcsQ0FDbEIsQ0FBQyxDQUFDO2dCQUNMLENBQUM7WUFDSCxDQUFDLENBQUMsQ0FBQztZQUNILFFBQVEsQ0FBQyxFQUFFLENBQUMsT0FBTyxFQUFFLEdBQUcsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDekQsQ0FBQyxDQUFDLENBQUM7UUFFSCxPQUFPLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxPQUFPLElBQUksZUFBZSxFQUFFLEdBQUcsRUFBRTtZQUMxRCxNQUFNLENBQUMsSUFBSSxvQkFBb0IsQ0FDN0IsNkJBQTZCLElBQUksQ0FBQyxTQUFTLENBQUMsV0FBVyxDQUFDLEtBQUssVUFBVSxJQUFJLEVBQzNFLElBQUksQ0FDTCxDQUFDLENBQUM7WUFDSCxPQUFPLENBQUMsS0FBSyxFQUFFLENBQUM7UUFDbEIsQ0FBQyxDQUFDLENBQUM7UUFDSCxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3RELE9BQU8sQ0FBQyxHQUFHLEVBQUUsQ0FBQztRQUVkLE1BQU0sQ0FBQyxHQUFHLEVBQUU7WUFDVixPQUFPLEdBQUcsSUFBSSxDQUFDO1lBQ2YsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDO1FBQ2xCLENBQUMsQ0FBQztJQUNKLENBQUMsQ0FBQyxDQUFDO0FBQ0wsQ0FBQztBQUVEOzs7Ozs7OztHQVFHO0FBQ0gsMkJBQ0UsV0FBbUIsRUFDbkIsT0FBOEIsRUFDOUIsTUFBeUI7SUFFekIsTUFBTSxRQUFRLEdBQUcsNkJBQXFCLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSxXQUFXLENBQUMsQ0FBQztJQUN2RSxNQUFNLFVBQVUsR0FBRyxHQUFHLFFBQVEsR0FBRyxXQUFXLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxLQUFLLENBQUMsRUFBRSxDQUFDO0lBQ3JFLE1BQU0sUUFBUSxHQUFHLENBQUMsT0FBTyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxjQUFjLENBQUMsR0FBRyxVQUFVLENBQUM7SUFDaEYsTUFBTSxDQUFDLEtBQUssQ0FBQyw2QkFBNkIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxXQUFXLENBQUMsS0FBSyxVQUFVLE1BQU0sQ0FBQyxDQUFDO0lBRTVGLHlGQUF5RjtJQUN6RixJQUFJLFlBQVksR0FBRyxtQkFBbUIsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDO1dBQy9DLG1CQUFtQixDQUFDLEdBQUcsQ0FBQyxPQUFPLEdBQUcsVUFBVSxDQUFDLENBQUM7SUFDbkQsRUFBRSxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDO1FBQ2xCLE1BQU0sT0FBTyxHQUFHLElBQUksb0JBQWEsQ0FBYSxDQUFDLENBQUMsQ0FBQztRQUNqRCxNQUFNLFNBQVMsR0FBRyxhQUFhLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSxRQUFRLENBQUMsQ0FBQztRQUM3RCxNQUFNLE1BQU0sR0FBRyxVQUFVLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDckMsa0ZBQWtGO1FBQ2xGLG1CQUFtQjtRQUNuQixNQUFNLEtBQUssR0FBRyxNQUFNLElBQUksQ0FBQyxPQUFPLENBQUMsWUFBWTtZQUMzQyxDQUFDLENBQUMsSUFBSTtZQUNOLENBQUMsQ0FBQyxVQUFVLENBQUMsYUFBYSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsT0FBTyxHQUFHLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN4RSxNQUFNLE9BQU8sR0FBRyxPQUFPLENBQUMsT0FBTyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsZUFBZSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDO1FBRWxGLElBQUksT0FBK0IsQ0FBQztRQUNwQyxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQztZQUNwQixPQUFPLEdBQUcsS0FBSztnQkFDYixDQUFDLENBQUMsU0FBWSxDQUFDLEtBQUssQ0FBQztnQkFDckIsQ0FBQyxDQUFDLGlCQUFVLENBQUMsSUFBSSxnQ0FBbUIsQ0FDbEMsV0FBVyxJQUFJLENBQUMsU0FBUyxDQUFDLFdBQVcsQ0FBQywrQkFBK0I7c0JBQ25FLElBQUksa0JBQWtCLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyw2Q0FBNkM7c0JBQ3RGLGlCQUFpQixDQUNwQixDQUFDLENBQUM7UUFDUCxDQUFDO1FBQUMsSUFBSSxDQUFDLENBQUM7WUFDTixPQUFPLEdBQUcsWUFBSyxDQUFDLEdBQUcsRUFBRSxDQUFDLFFBQVEsQ0FBQyxXQUFXLEVBQUUsVUFBVSxFQUFFLE9BQU8sRUFBRSxNQUFNLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FDNUUscUJBQVMsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQzdCLG9CQUFRLENBQUMsQ0FBQyxHQUFVLEVBQUUsT0FBZSxFQUFFLEVBQUU7Z0JBQ3ZDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLFlBQVksb0JBQW9CLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxTQUFTLElBQUksT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLENBQUM7b0JBQ25GLE1BQU0sQ0FBQyxpQkFBVSxDQUFDLEdBQUcsQ0FBQyxDQUFDO2dCQUN6QixDQUFDO2dCQUNELE1BQU0sS0FBSyxHQUFHLGVBQWUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRSxPQUFPLENBQUMsQ0FBQztnQkFDckQsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLEdBQUcsQ0FBQyxPQUFPLGdCQUFnQixLQUFLLE9BQU8sQ0FBQyxDQUFDO2dCQUV6RCxNQUFNLENBQUMsWUFBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO1lBQ3RCLENBQUMsQ0FBQyxDQUNILENBQUMsRUFDRixzQkFBVSxDQUFDLEdBQUcsQ0FBQyxFQUFFO2dCQUNmLEVBQUUsQ0FBQyxDQUFDLENBQUMsS0FBSyxJQUFJLENBQUMsQ0FBQyxHQUFHLFlBQVksb0JBQW9CLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO29CQUN2RSxNQUFNLENBQUMsaUJBQVUsQ0FBQyxHQUFHLENBQUMsQ0FBQztnQkFDekIsQ0FBQztnQkFDRCxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsR0FBRyxDQUFDLE9BQU8scUNBQXFDLENBQUMsQ0FBQztnQkFFakUsTUFBTSxDQUFDLFNBQVksQ0FBQyxLQUFtQixDQUFDLENBQUM7WUFDM0MsQ0FBQyxDQUFDLENBQ0gsQ0FBQztRQUNKLENBQUM7UUFFRCxPQUFPLENBQUMsU0FBUyxDQUNmLEtBQUssQ0FBQyxFQUFFO1lBQ04sSUFBSSxDQUFDO2dCQUNILE1BQU0sSUFBSSxHQUFHLGNBQWMsQ0FBQyxXQUFXLEVBQUUsVUFBVSxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztnQkFDakUsRUFBRSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsT0FBTyxJQUFJLEtBQUssS0FBSyxLQUFLLENBQUMsQ0FBQyxDQUFDO29CQUN4QyxXQUFXLENBQUMsU0FBUyxFQUFFLEtBQUssQ0FBQyxDQUFDO2dCQUNoQyxDQUFDO2dCQUNELE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7Z0JBQ25CLE9BQU8sQ0FBQyxRQUFRLEVBQUUsQ0FBQztZQUNyQixDQUFDO1lBQUMsS0FBSyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztnQkFDYixPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQ3JCLENBQUM7UUFDSCxDQUFDLEVBQ0QsR0FBRyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUMxQixDQUFDO1FBRUYsWUFBWSxHQUFHLE9BQU8sQ0FBQyxZQUFZLEVBQUUsQ0FBQztRQUN0QyxtQkFBbUIsQ0FBQyxHQUFHLENBQUMsUUFBUSxFQUFFLFlBQVksQ0FBQyxDQUFDO0lBQ2xELENBQUM7SUFFRCxNQUFNLENBQUMsWUFBWSxDQUFDO0FBQ3RCLENBQUM7QUE5RUQsOENBOEVDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBJbmMuIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuaW1wb3J0IHsgSnNvbk9iamVjdCwgSnNvblBhcnNlTW9kZSwgbG9nZ2luZywgcGFyc2VKc29uIH0gZnJvbSAnQGFuZ3VsYXItZGV2a2l0L2NvcmUnO1xuaW1wb3J0IHsgU2NoZW1hdGljc0V4Y2VwdGlvbiB9IGZyb20gJ0Bhbmd1bGFyLWRldmtpdC9zY2hlbWF0aWNzJztcbmltcG9ydCAqIGFzIGZzIGZyb20gJ2ZzJztcbmltcG9ydCAqIGFzIGh0dHAgZnJvbSAnaHR0cCc7XG5pbXBvcnQgKiBhcyBodHRwcyBmcm9tICdodHRwcyc7XG5pbXBvcnQgKiBhcyBvcyBmcm9tICdvcyc7XG5pbXBvcnQgKiBhcyBwYXRoIGZyb20gJ3BhdGgnO1xuaW1wb3J0IHtcbiAgT2JzZXJ2YWJsZSxcbiAgUmVwbGF5U3ViamVjdCxcbiAgZGVmZXIsXG4gIG9mIGFzIG9ic2VydmFibGVPZixcbiAgdGhyb3dFcnJvcixcbiAgdGltZXIsXG59IGZyb20gJ3J4anMnO1xuaW1wb3J0IHsgY2F0Y2hFcnJvciwgbWVyZ2VNYXAsIHJldHJ5V2hlbiB9IGZyb20gJ3J4anMvb3BlcmF0b3JzJztcbmltcG9ydCAqIGFzIHVybCBmcm9tICd1cmwnO1xuaW1wb3J0IHsgTnBtQ29uZmlnLCBnZXRSZWdpc3RyeUZvclBhY2thZ2UsIGdldFJlcXVlc3RPcHRpb25zIH0gZnJvbSAnLi9ucG1yYyc7XG5cblxuY29uc3Qga0FiYnJldmlhdGVkTWV0YWRhdGFBY2NlcHQgPVxuICAnYXBwbGljYXRpb24vdm5kLm5wbS5pbnN0YWxsLXYxK2pzb247IHE9MS4wLCBhcHBsaWNhdGlvbi9qc29uOyBxPTAuOCwgKi8qJztcbmNvbnN0IGtEZWZhdWx0VGltZW91dCA9IDMwMDAwO1xuY29uc3Qga0RlZmF1bHRSZXRyaWVzID0gMjtcbmNvbnN0IGtSZXRyeUJhc2VEZWxheSA9IDEwMDA7XG5cblxuZXhwb3J0IGludGVyZmFjZSBSZWdpc3RyeUNsaWVudE9wdGlvbnMge1xuICAvKiogVGhlIG5wbSBjb25maWd1cmF0aW9uLCB1c2VkIHRvIHJlc29sdmUgdGhlIHJlZ2lzdHJ5IGFuZCBpdHMgYXV0aC4gKi9cbiAgbnBtQ29uZmlnOiBOcG1Db25maWc7XG4gIC8qKiBUaGUgdGltZW91dCBvZiBhIHNpbmdsZSByZXF1ZXN0LCBpbiBtaWxsaXNlY29uZHMuICovXG4gIHRpbWVvdXQ/OiBudW1iZXI7XG4gIC8qKiBIb3cgbWFueSB0aW1lcyBhIHJlcXVlc3QgaXMgcmV0cmllZCBhZnRlciBhIG5ldHdvcmsgZXJyb3IsIGEgdGltZW91dCBvciBhIDV4eCBzdGF0dXMuICovXG4gIHJldHJpZXM/OiBudW1iZXI7XG4gIC8qKiBPbmx5IHVzZSB0aGUgb24tZGlzayBjYWNoZSwgd2l0aG91dCBhbnkgbmV0d29yayBhY2Nlc3MuICovXG4gIG9mZmxpbmU/OiBib29sZWFuO1xuICAvKipcbiAgICogRmV0Y2ggdGhlIGZ1bGwgcGFja2FnZSBtZXRhZGF0YSBpbnN0ZWFkIG9mIHRoZSBhYmJyZXZpYXRlZCBvbmUuIFRoZSBhYmJyZXZpYXRlZCBtZXRhZGF0YVxuICAgKiBpcyBtdWNoIHNtYWxsZXIsIGJ1dCBkb2VzIG5vdCBjb250YWluIHRoZSBgdGltZWAgZmllbGQgbm9yIGN1c3RvbSBwYWNrYWdlLmpzb24gZmllbGRzLlxuICAgKi9cbiAgZnVsbE1ldGFkYXRhPzogYm9vbGVhbjtcbn1cblxuaW50ZXJmYWNlIENhY2hlRW50cnkge1xuICBldGFnPzogc3RyaW5nO1xuICBkYXRhOiBzdHJpbmc7XG59XG5cblxuLyoqXG4gKiBBbiBlcnJvciBmcm9tIHRoZSByZWdpc3RyeS4gUmV0cnlhYmxlIGVycm9ycyBhcmUgbmV0d29yayBlcnJvcnMsIHRpbWVvdXRzIGFuZCA1eHggc3RhdHVzZXMuXG4gKi9cbmNsYXNzIFJlZ2lzdHJ5UmVxdWVzdEVycm9yIGV4dGVuZHMgU2NoZW1hdGljc0V4Y2VwdGlvbiB7XG4gIGNvbnN0cnVjdG9yKG1lc3NhZ2U6IHN0cmluZywgcHVibGljIHJlYWRvbmx5IHJldHJ5YWJsZTogYm9vbGVhbikge1xuICAgIHN1cGVyKG1lc3NhZ2UpO1xuICB9XG59XG5cblxuY29uc3QgbnBtUGFja2FnZUpzb25DYWNoZSA9IG5ldyBNYXA8c3RyaW5nLCBPYnNlcnZhYmxlPEpzb25PYmplY3Q+PigpO1xuXG5cbi8qKlxuICogR2V0IHRoZSBkaXJlY3Rvcnkgb2YgdGhlIG9uLWRpc2sgbWV0YWRhdGEgY2FjaGUsIGluc2lkZSBucG0ncyBjYWNoZSBkaXJlY3RvcnkuXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfZ2V0Q2FjaGVEaXJlY3RvcnkobnBtQ29uZmlnOiBOcG1Db25maWcpOiBzdHJpbmcge1xuICBjb25zdCBucG1DYWNoZSA9IChucG1Db25maWdbJ2NhY2hlJ10gYXMgc3RyaW5nIHwgdW5kZWZpbmVkKVxuICAgIHx8IChwcm9jZXNzLnBsYXRmb3JtID09ICd3aW4zMidcbiAgICAgICAgPyBwYXRoLmpvaW4ocHJvY2Vzcy5lbnZbJ0FQUERBVEEnXSB8fCBvcy5ob21lZGlyKCksICducG0tY2FjaGUnKVxuICAgICAgICA6IHBhdGguam9pbihvcy5ob21lZGlyKCksICcubnBtJykpO1xuXG4gIHJldHVybiBwYXRoLmpvaW4obnBtQ2FjaGUsICdfc2NoZW1hdGljcy1wYWNrYWdlLXVwZGF0ZScpO1xufVxuXG4vKipcbiAqIEdldCB0aGUgcGF0aCBvZiB0aGUgY2FjaGUgZmlsZSBmb3IgYSByZXF1ZXN0LlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX2dldENhY2hlUGF0aChucG1Db25maWc6IE5wbUNvbmZpZywgY2FjaGVLZXk6IHN0cmluZyk6IHN0cmluZyB7XG4gIHJldHVybiBwYXRoLmpvaW4oX2dldENhY2hlRGlyZWN0b3J5KG5wbUNvbmZpZyksIGVuY29kZVVSSUNvbXBvbmVudChjYWNoZUtleSkgKyAnLmpzb24nKTtcbn1cblxuLyoqXG4gKiBSZWFkIGFuIGVudHJ5IGZyb20gdGhlIG9uLWRpc2sgY2FjaGUsIG9yIG51bGwgaWYgdGhlcmUgaXMgbm9uZS5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9yZWFkQ2FjaGUoY2FjaGVQYXRoOiBzdHJpbmcpOiBDYWNoZUVudHJ5IHwgbnVsbCB7XG4gIHRyeSB7XG4gICAgcmV0dXJuIEpTT04ucGFyc2UoZnMucmVhZEZpbGVTeW5jKGNhY2hlUGF0aCwgJ3V0Zi04JykpO1xuICB9IGNhdGNoIChfKSB7XG4gICAgcmV0dXJuIG51bGw7XG4gIH1cbn1cblxuLyoqXG4gKiBXcml0ZSBhbiBlbnRyeSB0byB0aGUgb24tZGlzayBjYWNoZS4gRXJyb3JzIGFyZSBpZ25vcmVkLCBhcyB0aGUgY2FjaGUgaXMgb25seSBhbiBvcHRpbWl6YXRpb25cbiAqIHdoZW4gb25saW5lLlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX3dyaXRlQ2FjaGUoY2FjaGVQYXRoOiBzdHJpbmcsIGVudHJ5OiBDYWNoZUVudHJ5KSB7XG4gIHRyeSB7XG4gICAgY29uc3QgZGlyID0gcGF0aC5kaXJuYW1lKGNhY2hlUGF0aCk7XG4gICAgZGlyLnNwbGl0KHBhdGguc2VwKS5yZWR1Y2UoKHBhcmVudCwgc2VnbWVudCkgPT4ge1xuICAgICAgY29uc3QgY3VycmVudCA9IHBhcmVudCA/IHBhdGguam9pbihwYXJlbnQsIHNlZ21lbnQpIDogc2VnbWVudCB8fCBwYXRoLnNlcDtcbiAgICAgIGlmICghZnMuZXhpc3RzU3luYyhjdXJyZW50KSkge1xuICAgICAgICBmcy5ta2RpclN5bmMoY3VycmVudCk7XG4gICAgICB9XG5cbiAgICAgIHJldHVybiBjdXJyZW50O1xuICAgIH0sICcnKTtcbiAgICBmcy53cml0ZUZpbGVTeW5jKGNhY2hlUGF0aCwgSlNPTi5zdHJpbmdpZnkoZW50cnkpKTtcbiAgfSBjYXRjaCAoXykge31cbn1cblxuLyoqXG4gKiBQYXJzZSB0aGUgY29udGVudCBvZiBhIHJlZ2lzdHJ5IHJlc3BvbnNlLlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX3BhcnNlTWV0YWRhdGEocGFja2FnZU5hbWU6IHN0cmluZywgcmVxdWVzdFVybDogc3RyaW5nLCBkYXRhOiBzdHJpbmcpOiBKc29uT2JqZWN0IHtcbiAgY29uc3QgaW52YWxpZCA9IChyZWFzb246IHN0cmluZykgPT4gbmV3IFNjaGVtYXRpY3NFeGNlcHRpb24oXG4gICAgYEludmFsaWQgcGFja2FnZSBtZXRhZGF0YSByZWNlaXZlZCBmb3IgcGFja2FnZSAke0pTT04uc3RyaW5naWZ5KHBhY2thZ2VOYW1lKX0gYFxuICAgICsgYCgke3JlcXVlc3RVcmx9KTogJHtyZWFzb259YCxcbiAgKTtcbiAgbGV0IGpzb247XG4gIHRyeSB7XG4gICAganNvbiA9IHBhcnNlSnNvbihkYXRhLCBKc29uUGFyc2VNb2RlLlN0cmljdCk7XG4gIH0gY2F0Y2ggKGVycikge1xuICAgIHRocm93IGludmFsaWQoZXJyLm1lc3NhZ2UpO1xuICB9XG4gIGlmIChqc29uID09PSBudWxsIHx8IHR5cGVvZiBqc29uICE9PSAnb2JqZWN0JyB8fCBBcnJheS5pc0FycmF5KGpzb24pKSB7XG4gICAgdGhyb3cgaW52YWxpZCgnZXhwZWN0ZWQgYSBKU09OIG9iamVjdC4nKTtcbiAgfVxuXG4gIHJldHVybiBqc29uO1xufVxuXG4vKipcbiAqIFBlcmZvcm0gYSBzaW5nbGUgcmVxdWVzdCBhZ2FpbnN0IHRoZSByZWdpc3RyeS4gUmVzb2x2ZXMgdG8gdGhlIHJlc3BvbnNlJ3MgYm9keSwgb3IgdG8gdGhlXG4gKiBjYWNoZWQgZW50cnkgaWYgdGhlIHJlZ2lzdHJ5IGFuc3dlcnMgdGhhdCBpdCB3YXMgbm90IG1vZGlmaWVkLlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX3JlcXVlc3QoXG4gIHBhY2thZ2VOYW1lOiBzdHJpbmcsXG4gIHJlcXVlc3RVcmw6IHN0cmluZyxcbiAgb3B0aW9uczogUmVnaXN0cnlDbGllbnRPcHRpb25zLFxuICBjYWNoZWQ6IENhY2hlRW50cnkgfCBudWxsLFxuKTogT2JzZXJ2YWJsZTxDYWNoZUVudHJ5PiB7XG4gIHJldHVybiBuZXcgT2JzZXJ2YWJsZTxDYWNoZUVudHJ5PihvYnNlcnZlciA9PiB7XG4gICAgLy8gVGhlIHJlcXVlc3QgY2FuIHN0aWxsIGVtaXQgZXJyb3JzIGFmdGVyIGl0IHdhcyBhYm9ydGVkLCBzbyBvbmx5IHNldHRsZSBvbmNlLlxuICAgIGxldCBzZXR0bGVkID0gZmFsc2U7XG4gICAgY29uc3Qgc2V0dGxlID0gKHJlc3VsdDogQ2FjaGVFbnRyeSB8IEVycm9yKSA9PiB7XG4gICAgICBpZiAoc2V0dGxlZCkge1xuICAgICAgICByZXR1cm47XG4gICAgICB9XG4gICAgICBzZXR0bGVkID0gdHJ1ZTtcbiAgICAgIGlmIChyZXN1bHQgaW5zdGFuY2VvZiBFcnJvcikge1xuICAgICAgICBvYnNlcnZlci5lcnJvcihyZXN1bHQpO1xuICAgICAgfSBlbHNlIHtcbiAgICAgICAgb2JzZXJ2ZXIubmV4dChyZXN1bHQpO1xuICAgICAgICBvYnNlcnZlci5jb21wbGV0ZSgpO1xuICAgICAgfVxuICAgIH07XG4gICAgY29uc3QgbmV0d29ya0Vycm9yID0gKGVycjogRXJyb3IpID0+IG5ldyBSZWdpc3RyeVJlcXVlc3RFcnJvcihcbiAgICAgIGBDb3VsZCBub3QgZ2V0IHBhY2thZ2UgJHtKU09OLnN0cmluZ2lmeShwYWNrYWdlTmFtZSl9ICgke3JlcXVlc3RVcmx9KTogJHtlcnIubWVzc2FnZX1gLFxuICAgICAgdHJ1ZSxcbiAgICApO1xuXG4gICAgY29uc3QgcmVxdWVzdE9wdGlvbnMgPSB7XG4gICAgICAuLi51cmwucGFyc2UocmVxdWVzdFVybCksXG4gICAgICAuLi5nZXRSZXF1ZXN0T3B0aW9ucyhvcHRpb25zLm5wbUNvbmZpZywgcmVxdWVzdFVybCksXG4gICAgfTtcbiAgICByZXF1ZXN0T3B0aW9ucy5oZWFkZXJzWydhY2NlcHQnXSA9IG9wdGlvbnMuZnVsbE1ldGFkYXRhXG4gICAgICA/ICdhcHBsaWNhdGlvbi9qc29uJ1xuICAgICAgOiBrQWJicmV2aWF0ZWRNZXRhZGF0YUFjY2VwdDtcbiAgICBpZiAoY2FjaGVkICYmIGNhY2hlZC5ldGFnKSB7XG4gICAgICByZXF1ZXN0T3B0aW9ucy5oZWFkZXJzWydpZi1ub25lLW1hdGNoJ10gPSBjYWNoZWQuZXRhZztcbiAgICB9XG5cbiAgICBjb25zdCBkb1JlcXVlc3QgPSByZXF1ZXN0T3B0aW9ucy5wcm90b2NvbCA9PSAnaHR0cDonID8gaHR0cC5yZXF1ZXN0IDogaHR0cHMucmVxdWVzdDtcbiAgICBjb25zdCByZXF1ZXN0ID0gZG9SZXF1ZXN0KHJlcXVlc3RPcHRpb25zLCByZXNwb25zZSA9PiB7XG4gICAgICBjb25zdCBzdGF0dXNDb2RlID0gcmVzcG9uc2Uuc3RhdHVzQ29kZSB8fCAwO1xuICAgICAgbGV0IGRhdGEgPSAnJztcbiAgICAgIHJlc3BvbnNlLm9uKCdkYXRhJywgY2h1bmsgPT4gZGF0YSArPSBjaHVuayk7XG4gICAgICByZXNwb25zZS5vbignZW5kJywgKCkgPT4ge1xuICAgICAgICBpZiAoc3RhdHVzQ29kZSA9PSAzMDQgJiYgY2FjaGVkKSB7XG4gICAgICAgICAgc2V0dGxlKGNhY2hlZCk7XG4gICAgICAgIH0gZWxzZSBpZiAoc3RhdHVzQ29kZSA+PSAyMDAgJiYgc3RhdHVzQ29kZSA8IDMwMCkge1xuICAgICAgICAgIGNvbnN0IGV0YWcgPSByZXNwb25zZS5oZWFkZXJzWydldGFnJ107XG4gICAgICAgICAgc2V0dGxlKHsgZXRhZzogQXJyYXkuaXNBcnJheShldGFnKSA/IGV0YWdbMF0gOiBldGFnLCBkYXRhIH0pO1xuICAgICAgICB9IGVsc2UgaWYgKHN0YXR1c0NvZGUgPT0gNDA0KSB7XG4gICAgICAgICAgc2V0dGxlKG5ldyBSZWdpc3RyeVJlcXVlc3RFcnJvcihcbiAgICAgICAgICAgIGBQYWNrYWdlICR7SlNPTi5zdHJpbmdpZnkocGFja2FnZU5hbWUpfSB3YXMgbm90IGZvdW5kIGluIHRoZSByZWdpc3RyeSBgXG4gICAgICAgICAgICArIGAoJHtyZXF1ZXN0VXJsfSkuYCxcbiAgICAgICAgICAgIGZhbHNlLFxuICAgICAgICAgICkpO1xuICAgICAgICB9IGVsc2UgaWYgKHN0YXR1c0NvZGUgPT0gNDAxIHx8IHN0YXR1c0NvZGUgPT0gNDAzKSB7XG4gICAgICAgICAgc2V0dGxlKG5ldyBSZWdpc3RyeVJlcXVlc3RFcnJvcihcbiAgICAgICAgICAgIGBOb3QgYXV0aG9yaXplZCB0byBnZXQgcGFja2FnZSAke0pTT04uc3RyaW5naWZ5KHBhY2thZ2VOYW1lKX0gKCR7cmVxdWVzdFVybH0sIGBcbiAgICAgICAgICAgICsgYHN0YXR1cyAke3N0YXR1c0NvZGV9KS4gQ2hlY2sgdGhlIGF1dGggY29uZmlndXJhdGlvbiBvZiB0aGUgcmVnaXN0cnkgaW4gLm5wbXJjLmAsXG4gICAgICAgICAgICBmYWxzZSxcbiAgICAgICAgICApKTtcbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICBzZXR0bGUobmV3IFJlZ2lzdHJ5UmVxdWVzdEVycm9yKFxuICAgICAgICAgICAgYENvdWxkIG5vdCBnZXQgcGFja2FnZSAke0pTT04uc3RyaW5naWZ5KHBhY2thZ2VOYW1lKX0gKCR7cmVxdWVzdFVybH0pLCB0aGUgcmVnaXN0cnkgYFxuICAgICAgICAgICAgKyBgYW5zd2VyZWQgd2l0aCBzdGF0dXMgJHtzdGF0dXNDb2RlfS5gLFxuICAgICAgICAgICAgc3RhdHVzQ29kZSA+PSA1MDAsXG4gICAgICAgICAgKSk7XG4gICAgICAgIH1cbiAgICAgIH0pO1xuICAgICAgcmVzcG9uc2Uub24oJ2Vycm9yJywgZXJyID0+IHNldHRsZShuZXR3b3JrRXJyb3IoZXJyKSkpO1xuICAgIH0pO1xuXG4gICAgcmVxdWVzdC5zZXRUaW1lb3V0KG9wdGlvbnMudGltZW91dCB8fCBrRGVmYXVsdFRpbWVvdXQsICgpID0+IHtcbiAgICAgIHNldHRsZShuZXcgUmVnaXN0cnlSZXF1ZXN0RXJyb3IoXG4gICAgICAgIGBUaW1lZCBvdXQgZ2V0dGluZyBwYWNrYWdlICR7SlNPTi5zdHJpbmdpZnkocGFja2FnZU5hbWUpfSAoJHtyZXF1ZXN0VXJsfSkuYCxcbiAgICAgICAgdHJ1ZSxcbiAgICAgICkpO1xuICAgICAgcmVxdWVzdC5hYm9ydCgpO1xuICAgIH0pO1xuICAgIHJlcXVlc3Qub24oJ2Vycm9yJywgZXJyID0+IHNldHRsZShuZXR3b3JrRXJyb3IoZXJyKSkpO1xuICAgIHJlcXVlc3QuZW5kKCk7XG5cbiAgICByZXR1cm4gKCkgPT4ge1xuICAgICAgc2V0dGxlZCA9IHRydWU7XG4gICAgICByZXF1ZXN0LmFib3J0KCk7XG4gICAgfTtcbiAgfSk7XG59XG5cbi8qKlxuICogR2V0IHRoZSBOUE0gcmVwb3NpdG9yeSdzIHBhY2thZ2UuanNvbiBmb3IgYSBwYWNrYWdlLiBSZXF1ZXN0cyBhcmUgY2FjaGVkIGluIG1lbW9yeSBmb3IgdGhlXG4gKiBkdXJhdGlvbiBvZiB0aGUgcHJvY2VzcywgYW5kIG9uIGRpc2sgc28gdGhleSBjYW4gYmUgcmV1c2VkIHdoZW4gb2ZmbGluZS4gTmV0d29yayBlcnJvcnMsXG4gKiB0aW1lb3V0cyBhbmQgNXh4IHN0YXR1c2VzIGFyZSByZXRyaWVkIHdpdGggYW4gZXhwb25lbnRpYWwgYmFja29mZi5cbiAqIEBwYXJhbSB7c3RyaW5nfSBwYWNrYWdlTmFtZSBUaGUgcGFja2FnZSBuYW1lIHRvIGZldGNoLlxuICogQHBhcmFtIHtSZWdpc3RyeUNsaWVudE9wdGlvbnN9IG9wdGlvbnMgVGhlIHJlZ2lzdHJ5IGNsaWVudCBvcHRpb25zLlxuICogQHBhcmFtIHtMb2dnZXJBcGl9IGxvZ2dlciBBIGxvZ2dlciBpbnN0YW5jZSB0byBsb2cgZGVidWcgaW5mb3JtYXRpb24uXG4gKiBAcmV0dXJucyB7T2JzZXJ2YWJsZTxKc29uT2JqZWN0Pn0gQW4gb2JzZXJ2YWJsZSB0aGF0IHdpbGwgcHV0IHRoZSBwYWNha2dlLmpzb24gY29udGVudC5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGdldE5wbVBhY2thZ2VKc29uKFxuICBwYWNrYWdlTmFtZTogc3RyaW5nLFxuICBvcHRpb25zOiBSZWdpc3RyeUNsaWVudE9wdGlvbnMsXG4gIGxvZ2dlcjogbG9nZ2luZy5Mb2dnZXJBcGksXG4pOiBPYnNlcnZhYmxlPEpzb25PYmplY3Q+IHtcbiAgY29uc3QgcmVnaXN0cnkgPSBnZXRSZWdpc3RyeUZvclBhY2thZ2Uob3B0aW9ucy5ucG1Db25maWcsIHBhY2thZ2VOYW1lKTtcbiAgY29uc3QgcmVxdWVzdFVybCA9IGAke3JlZ2lzdHJ5fSR7cGFja2FnZU5hbWUucmVwbGFjZSgvXFwvL2csICclMkYnKX1gO1xuICBjb25zdCBjYWNoZUtleSA9IChvcHRpb25zLmZ1bGxNZXRhZGF0YSA/ICdmdWxsOicgOiAnYWJicmV2aWF0ZWQ6JykgKyByZXF1ZXN0VXJsO1xuICBsb2dnZXIuZGVidWcoYEdldHRpbmcgcGFja2FnZS5qc29uIGZyb20gJHtKU09OLnN0cmluZ2lmeShwYWNrYWdlTmFtZSl9ICgke3JlcXVlc3RVcmx9KS4uLmApO1xuXG4gIC8vIFRoZSBmdWxsIG1ldGFkYXRhIGlzIGEgc3VwZXJzZXQgb2YgdGhlIGFiYnJldmlhdGVkIG9uZSwgc28gcmV1c2UgaXQgaWYgaXQgd2FzIGZldGNoZWQuXG4gIGxldCBtYXliZVJlcXVlc3QgPSBucG1QYWNrYWdlSnNvbkNhY2hlLmdldChjYWNoZUtleSlcbiAgICB8fCBucG1QYWNrYWdlSnNvbkNhY2hlLmdldCgnZnVsbDonICsgcmVxdWVzdFVybCk7XG4gIGlmICghbWF5YmVSZXF1ZXN0KSB7XG4gICAgY29uc3Qgc3ViamVjdCA9IG5ldyBSZXBsYXlTdWJqZWN0PEpzb25PYmplY3Q+KDEpO1xuICAgIGNvbnN0IGNhY2hlUGF0aCA9IF9nZXRDYWNoZVBhdGgob3B0aW9ucy5ucG1Db25maWcsIGNhY2hlS2V5KTtcbiAgICBjb25zdCBjYWNoZWQgPSBfcmVhZENhY2hlKGNhY2hlUGF0aCk7XG4gICAgLy8gV2hlbiBvZmZsaW5lIG9yIHdoZW4gdGhlIHJlZ2lzdHJ5IGZhaWxzLCB0aGUgZnVsbCBtZXRhZGF0YSBjYW4gc3RhbmQgaW4gZm9yIHRoZVxuICAgIC8vIGFiYnJldmlhdGVkIG9uZS5cbiAgICBjb25zdCBzdGFsZSA9IGNhY2hlZCB8fCAob3B0aW9ucy5mdWxsTWV0YWRhdGFcbiAgICAgID8gbnVsbFxuICAgICAgOiBfcmVhZENhY2hlKF9nZXRDYWNoZVBhdGgob3B0aW9ucy5ucG1Db25maWcsICdmdWxsOicgKyByZXF1ZXN0VXJsKSkpO1xuICAgIGNvbnN0IHJldHJpZXMgPSBvcHRpb25zLnJldHJpZXMgPT09IHVuZGVmaW5lZCA/IGtEZWZhdWx0UmV0cmllcyA6IG9wdGlvbnMucmV0cmllcztcblxuICAgIGxldCByZXF1ZXN0OiBPYnNlcnZhYmxlPENhY2hlRW50cnk+O1xuICAgIGlmIChvcHRpb25zLm9mZmxpbmUpIHtcbiAgICAgIHJlcXVlc3QgPSBzdGFsZVxuICAgICAgICA/IG9ic2VydmFibGVPZihzdGFsZSlcbiAgICAgICAgOiB0aHJvd0Vycm9yKG5ldyBTY2hlbWF0aWNzRXhjZXB0aW9uKFxuICAgICAgICAgIGBQYWNrYWdlICR7SlNPTi5zdHJpbmdpZnkocGFja2FnZU5hbWUpfSBpcyBub3QgaW4gdGhlIG9mZmxpbmUgY2FjaGUgYFxuICAgICAgICAgICsgYCgke19nZXRDYWNoZURpcmVjdG9yeShvcHRpb25zLm5wbUNvbmZpZyl9KS4gUnVuIHRoZSB1cGRhdGUgb25jZSB3aXRoIG5ldHdvcmsgYWNjZXNzIGBcbiAgICAgICAgICArICd0byBwb3B1bGF0ZSBpdC4nLFxuICAgICAgICApKTtcbiAgICB9IGVsc2Uge1xuICAgICAgcmVxdWVzdCA9IGRlZmVyKCgpID0+IF9yZXF1ZXN0KHBhY2thZ2VOYW1lLCByZXF1ZXN0VXJsLCBvcHRpb25zLCBjYWNoZWQpKS5waXBlKFxuICAgICAgICByZXRyeVdoZW4oZXJyb3JzID0+IGVycm9ycy5waXBlKFxuICAgICAgICAgIG1lcmdlTWFwKChlcnI6IEVycm9yLCBhdHRlbXB0OiBudW1iZXIpID0+IHtcbiAgICAgICAgICAgIGlmICghKGVyciBpbnN0YW5jZW9mIFJlZ2lzdHJ5UmVxdWVzdEVycm9yKSB8fCAhZXJyLnJldHJ5YWJsZSB8fCBhdHRlbXB0ID49IHJldHJpZXMpIHtcbiAgICAgICAgICAgICAgcmV0dXJuIHRocm93RXJyb3IoZXJyKTtcbiAgICAgICAgICAgIH1cbiAgICAgICAgICAgIGNvbnN0IGRlbGF5ID0ga1JldHJ5QmFzZURlbGF5ICogTWF0aC5wb3coMiwgYXR0ZW1wdCk7XG4gICAgICAgICAgICBsb2dnZXIuZGVidWcoYCR7ZXJyLm1lc3NhZ2V9IFJldHJ5aW5nIGluICR7ZGVsYXl9bXMuLi5gKTtcblxuICAgICAgICAgICAgcmV0dXJuIHRpbWVyKGRlbGF5KTtcbiAgICAgICAgICB9KSxcbiAgICAgICAgKSksXG4gICAgICAgIGNhdGNoRXJyb3IoZXJyID0+IHtcbiAgICAgICAgICBpZiAoIXN0YWxlIHx8ICEoZXJyIGluc3RhbmNlb2YgUmVnaXN0cnlSZXF1ZXN0RXJyb3IpIHx8ICFlcnIucmV0cnlhYmxlKSB7XG4gICAgICAgICAgICByZXR1cm4gdGhyb3dFcnJvcihlcnIpO1xuICAgICAgICAgIH1cbiAgICAgICAgICBsb2dnZXIud2FybihgJHtlcnIubWVzc2FnZX0gVXNpbmcgdGhlIGNhY2hlZCBtZXRhZGF0YSBpbnN0ZWFkLmApO1xuXG4gICAgICAgICAgcmV0dXJuIG9ic2VydmFibGVPZihzdGFsZSBhcyBDYWNoZUVudHJ5KTtcbiAgICAgICAgfSksXG4gICAgICApO1xuICAgIH1cblxuICAgIHJlcXVlc3Quc3Vic2NyaWJlKFxuICAgICAgZW50cnkgPT4ge1xuICAgICAgICB0cnkge1xuICAgICAgICAgIGNvbnN0IGpzb24gPSBfcGFyc2VNZXRhZGF0YShwYWNrYWdlTmFtZSwgcmVxdWVzdFVybCwgZW50cnkuZGF0YSk7XG4gICAgICAgICAgaWYgKCFvcHRpb25zLm9mZmxpbmUgJiYgZW50cnkgIT09IHN0YWxlKSB7XG4gICAgICAgICAgICBfd3JpdGVDYWNoZShjYWNoZVBhdGgsIGVudHJ5KTtcbiAgICAgICAgICB9XG4gICAgICAgICAgc3ViamVjdC5uZXh0KGpzb24pO1xuICAgICAgICAgIHN1YmplY3QuY29tcGxldGUoKTtcbiAgICAgICAgfSBjYXRjaCAoZXJyKSB7XG4gICAgICAgICAgc3ViamVjdC5lcnJvcihlcnIpO1xuICAgICAgICB9XG4gICAgICB9LFxuICAgICAgZXJyID0+IHN1YmplY3QuZXJyb3IoZXJyKSxcbiAgICApO1xuXG4gICAgbWF5YmVSZXF1ZXN0ID0gc3ViamVjdC5hc09ic2VydmFibGUoKTtcbiAgICBucG1QYWNrYWdlSnNvbkNhY2hlLnNldChjYWNoZUtleSwgbWF5YmVSZXF1ZXN0KTtcbiAgfVxuXG4gIHJldHVybiBtYXliZVJlcXVlc3Q7XG59XG4iXX0=
\ No newline at end of file
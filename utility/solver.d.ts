@@ -0,0 +1,69 @@
+/**
+ * A range that the version of a package must satisfy, along with a human readable description
+ * of where it comes from (e.g. `@angular/core@6.1.0`).
+ */
+export interface SolverRequirement {
+    range: string;
+    requiredBy: string;
+    /**
+     * Whether prerelease versions satisfy the range like any other version. By default, and like
+     * npm, `>=6.0.0` is not satisfied by `7.0.0-beta.0`.
+     */
+    includePrerelease?: boolean;
+}
+/**
+ * A package the solver can pick a version for.
+ */
+export interface SolverPackage {
+    /** All the versions of the package, from the most to the least preferred. */
+    candidates: string[];
+    /**
+     * The prerelease versions of the candidates that are only picked when a requirement asks for
+     * them, like npm does: `^7.0.0-beta.0` allows `7.0.0-beta.1`, but `>=6.0.0` does not.
+     */
+    prereleases?: string[];
+    /** The versions that cannot be picked and why, to explain the conflicts they would solve. */
+    excluded?: {
+        version: string;
+        reason: string;
+    }[];
+    /** Requirements that apply regardless of other packages (e.g. the requested version). */
+    requirements: SolverRequirement[];
+    /** Returns the peer dependencies of a version of the package. */
+    peerDependencies(version: string): {
+        [name: string]: string;
+    };
+}
+/**
+ * Whether a version satisfies a requirement.
+ * @param {string} version The version to test.
+ * @param {SolverRequirement} requirement The requirement to satisfy.
+ * @returns {boolean} Whether the version satisfies the requirement.
+ */
+export declare function satisfiesRequirement(version: string, requirement: SolverRequirement): boolean;
+/**
+ * Whether a version of a package satisfies a list of requirements. Prereleases of the package
+ * that need to be asked for must also satisfy one of the requirements without
+ * `includePrerelease`.
+ * @param {SolverPackage} pkg The package.
+ * @param {string} version The version to test.
+ * @param {SolverRequirement[]} requirements The requirements to satisfy.
+ * @returns {boolean} Whether the version satisfies all the requirements.
+ */
+export declare function satisfiesRequirements(pkg: SolverPackage, version: string, requirements: SolverRequirement[]): boolean;
+/**
+ * Find the highest set of mutually compatible versions for a list of packages and their peer
+ * dependencies, backtracking through older versions when peer dependency ranges conflict.
+ * Packages are resolved in order, so earlier packages have priority for their newest version.
+ * Versions whose peer dependencies conflict with the packages already resolved are never tried,
+ * and when no version of a package works the solver jumps back to the packages that caused the
+ * conflict instead of the previous one.
+ * @param {string[]} names The names of the packages to resolve.
+ * @param {(name: string) => SolverPackage | null} getPackage A function that returns the
+ *   package to resolve, or null if the package should not be managed by the solver (its
+ *   requirements are then ignored).
+ * @returns {{[name: string]: string}} The resolved versions, by package name.
+ */
+export declare function solveVersions(names: string[], getPackage: (name: string) => SolverPackage | null): {
+    [name: string]: string;
+};
@@ -0,0 +1,189 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const schematics_1 = require("@angular-devkit/schematics");
+const semver = require("semver");
+/**
+ * The maximum number of candidate versions the solver will try before giving up.
+ */
+const kMaxSolverSteps = 10000;
+/**
+ * Whether a version satisfies a requirement.
+ * @param {string} version The version to test.
+ * @param {SolverRequirement} requirement The requirement to satisfy.
+ * @returns {boolean} Whether the version satisfies the requirement.
+ */
+function satisfiesRequirement(version, requirement) {
+    if (!requirement.includePrerelease) {
+        return semver.satisfies(version, requirement.range);
+    }
+    // Test the comparators directly, which skips the filtering of prereleases done by the range.
+    return new semver.Range(requirement.range).set
+        .some(comparators => comparators.every(comparator => comparator.test(version)));
+}
+exports.satisfiesRequirement = satisfiesRequirement;
+/**
+ * Whether a version of a package satisfies a list of requirements. Prereleases of the package
+ * that need to be asked for must also satisfy one of the requirements without
+ * `includePrerelease`.
+ * @param {SolverPackage} pkg The package.
+ * @param {string} version The version to test.
+ * @param {SolverRequirement[]} requirements The requirements to satisfy.
+ * @returns {boolean} Whether the version satisfies all the requirements.
+ */
+function satisfiesRequirements(pkg, version, requirements) {
+    if (!requirements.every(req => satisfiesRequirement(version, req))) {
+        return false;
+    }
+    return (pkg.prereleases || []).indexOf(version) == -1
+        || requirements.some(req => semver.satisfies(version, req.range));
+}
+exports.satisfiesRequirements = satisfiesRequirements;
+/**
+ * Format a conflict on a package for the user.
+ * @private
+ */
+function _formatConflict(name, requirements, version) {
+    const lines = requirements.map(req => `    "${req.range}" (required by ${req.requiredBy})`);
+    if (version) {
+        return `  Package ${JSON.stringify(name)} would need to be at version "${version}" and `
+            + 'match all of:\n' + lines.join('\n');
+    }
+    else {
+        return `  Package ${JSON.stringify(name)} has no version that matches all of:\n`
+            + lines.join('\n');
+    }
+}
+/**
+ * Format the versions of a package that match all the requirements but cannot be picked, or
+ * return null if there are none.
+ * @private
+ */
+function _formatExcluded(name, pkg, requirements) {
+    const excluded = (pkg.excluded || [])
+        .filter(x => requirements.every(req => satisfiesRequirement(x.version, req)));
+    if (excluded.length == 0) {
+        return null;
+    }
+    return `No version of ${JSON.stringify(name)} matching all of:\n`
+        + requirements.map(req => `    "${req.range}" (required by ${req.requiredBy})`).join('\n')
+        + '\nis allowed by the update policy:\n'
+        + excluded.map(x => `  ${x.version}: ${x.reason}`).join('\n');
+}
+/**
+ * Find the highest set of mutually compatible versions for a list of packages and their peer
+ * dependencies, backtracking through older versions when peer dependency ranges conflict.
+ * Packages are resolved in order, so earlier packages have priority for their newest version.
+ * Versions whose peer dependencies conflict with the packages already resolved are never tried,
+ * and when no version of a package works the solver jumps back to the packages that caused the
+ * conflict instead of the previous one.
+ * @param {string[]} names The names of the packages to resolve.
+ * @param {(name: string) => SolverPackage | null} getPackage A function that returns the
+ *   package to resolve, or null if the package should not be managed by the solver (its
+ *   requirements are then ignored).
+ * @returns {{[name: string]: string}} The resolved versions, by package name.
+ */
+function solveVersions(names, getPackage) {
+    const assignments = {};
+    const requirements = {};
+    let conflict = null;
+    let excludedConflict = null;
+    let steps = 0;
+    function _getRequirements(name) {
+        const pkg = getPackage(name);
+        return [...(pkg ? pkg.requirements : []), ...(requirements[name] || [])];
+    }
+    function _getCandidates(name, extra = []) {
+        const pkg = getPackage(name);
+        const reqs = [..._getRequirements(name), ...extra];
+        return pkg ? pkg.candidates.filter(v => satisfiesRequirements(pkg, v, reqs)) : [];
+    }
+    function _recordMissingVersion(name, reqs) {
+        conflict = conflict || _formatConflict(name, reqs);
+        excludedConflict = excludedConflict
+            || _formatExcluded(name, getPackage(name), reqs);
+    }
+    // Returns the packages a version conflicts with, or null if it is compatible with the packages
+    // resolved so far.
+    function _getConflicts(name, version) {
+        const peers = getPackage(name).peerDependencies(version);
+        for (const peer of Object.keys(peers).filter(x => !!getPackage(x))) {
+            const requirement = { range: peers[peer], requiredBy: `${name}@${version}` };
+            const maybeVersion = assignments[peer];
+            if (maybeVersion !== undefined && !semver.satisfies(maybeVersion, peers[peer])) {
+                conflict = conflict || _formatConflict(peer, [..._getRequirements(peer), requirement], maybeVersion);
+                return [peer];
+            }
+            else if (maybeVersion === undefined && _getCandidates(peer, [requirement]).length == 0) {
+                _recordMissingVersion(peer, [..._getRequirements(peer), requirement]);
+                return (requirements[peer] || []).map(req => req.source);
+            }
+        }
+        return null;
+    }
+    // Returns null if the pending packages could be resolved, or else the resolved packages that
+    // caused the conflict.
+    function _visit(pending) {
+        const name = pending.find(x => !(x in assignments));
+        if (name === undefined) {
+            return null;
+        }
+        const pkg = getPackage(name);
+        const culprits = new Set((requirements[name] || []).map(req => req.source));
+        const candidates = _getCandidates(name);
+        if (candidates.length == 0) {
+            _recordMissingVersion(name, _getRequirements(name));
+            return culprits;
+        }
+        for (const version of candidates) {
+            const conflicts = _getConflicts(name, version);
+            if (conflicts) {
+                conflicts.forEach(x => culprits.add(x));
+                continue;
+            }
+            if (++steps > kMaxSolverSteps) {
+                throw new schematics_1.SchematicsException(`Could not find compatible versions after trying ${kMaxSolverSteps} combinations.`
+                    + (conflict ? ` The first conflict found was:\n${conflict}` : ''));
+            }
+            const peers = pkg.peerDependencies(version);
+            const managedPeers = Object.keys(peers).filter(peer => !!getPackage(peer));
+            assignments[name] = version;
+            for (const peer of managedPeers) {
+                requirements[peer] = [
+                    ...(requirements[peer] || []),
+                    { range: peers[peer], requiredBy: `${name}@${version}`, source: name },
+                ];
+            }
+            const newPending = managedPeers.filter(x => pending.indexOf(x) == -1);
+            const maybeCulprits = _visit([...pending, ...newPending]);
+            if (!maybeCulprits) {
+                return null;
+            }
+            delete assignments[name];
+            for (const peer of managedPeers) {
+                requirements[peer] = requirements[peer].slice(0, -1);
+            }
+            if (!maybeCulprits.has(name)) {
+                // Other versions of this package cannot solve a conflict it is not part of.
+                return maybeCulprits;
+            }
+            maybeCulprits.forEach(x => x !== name && culprits.add(x));
+        }
+        return culprits;
+    }
+    if (_visit(names)) {
+        // Versions that were excluded (e.g. deprecated ones) are the most likely cause.
+        throw new schematics_1.SchematicsException(excludedConflict || ('Cannot update safely because packages have conflicting dependencies, and no older '
+            + 'versions could resolve the conflict.'
+            + (conflict ? `\n${conflict}` : '')));
+    }
+    return assignments;
+}
+exports.solveVersions = solveVersions;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic29sdmVyLmpzIiwic291cmNlUm9vdCI6Ii4vIiwic291cmNlcyI6WyJwYWNrYWdlcy9zY2hlbWF0aWNzL3BhY2thZ2VfdXBkYXRlL3V0aWxpdHkvc29sdmVyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7O0FBQUE7Ozs7OztHQU1HO0FBQ0gsMkRBQWlFO0FBQ2pFLGlDQUFpQztBQUdqQzs7R0FFRztBQUNILE1BQU0sZUFBZSxHQUFHLEtBQUssQ0FBQztBQTZDOUI7Ozs7O0dBS0c7QUFDSCw4QkFBcUMsT0FBZSxFQUFFLFdBQThCO0lBQ2xGLEVBQUUsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQztRQUNuQyxNQUFNLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxPQUFPLEVBQUUsV0FBVyxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ3RELENBQUM7SUFFRCw2RkFBNkY7SUFDN0YsTUFBTSxDQUFDLElBQUksTUFBTSxDQUFDLEtBQUssQ0FBQyxXQUFXLENBQUMsS0FBSyxDQUFDLENBQUMsR0FBRztTQUMzQyxJQUFJLENBQUMsV0FBVyxDQUFDLEVBQUUsQ0FBQyxXQUFXLENBQUMsS0FBSyxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUM7QUFDcEYsQ0FBQztBQVJELG9EQVFDO0FBRUQ7Ozs7Ozs7O0dBUUc7QUFDSCwrQkFDRSxHQUFrQixFQUNsQixPQUFlLEVBQ2YsWUFBaUM7SUFFakMsRUFBRSxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsb0JBQW9CLENBQUMsT0FBTyxFQUFFLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ25FLE1BQU0sQ0FBQyxLQUFLLENBQUM7SUFDZixDQUFDO0lBRUQsTUFBTSxDQUFDLENBQUMsR0FBRyxDQUFDLFdBQVcsSUFBSSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDO1dBQ2hELFlBQVksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztBQUN0RSxDQUFDO0FBWEQsc0RBV0M7QUFFRDs7O0dBR0c7QUFDSCx5QkFDRSxJQUFZLEVBQ1osWUFBaUMsRUFDakMsT0FBZ0I7SUFFaEIsTUFBTSxLQUFLLEdBQUcsWUFBWSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLFFBQVEsR0FBRyxDQUFDLEtBQUssa0JBQWtCLEdBQUcsQ0FBQyxVQUFVLEdBQUcsQ0FBQyxDQUFDO0lBQzVGLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7UUFDWixNQUFNLENBQUMsYUFBYSxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxpQ0FBaUMsT0FBTyxRQUFRO2NBQ3BGLGlCQUFpQixHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDM0MsQ0FBQztJQUFDLElBQUksQ0FBQyxDQUFDO1FBQ04sTUFBTSxDQUFDLGFBQWEsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsd0NBQXdDO2NBQzVFLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDdkIsQ0FBQztBQUNILENBQUM7QUFFRDs7OztHQUlHO0FBQ0gseUJBQ0UsSUFBWSxFQUNaLEdBQWtCLEVBQ2xCLFlBQWlDO0lBRWpDLE1BQU0sUUFBUSxHQUFHLENBQUMsR0FBRyxDQUFDLFFBQVEsSUFBSSxFQUFFLENBQUM7U0FDbEMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLG9CQUFvQixDQUFDLENBQUMsQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2hGLEVBQUUsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxNQUFNLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN6QixNQUFNLENBQUMsSUFBSSxDQUFDO0lBQ2QsQ0FBQztJQUVELE1BQU0sQ0FBQyxpQkFBaUIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMscUJBQXFCO1VBQzdELFlBQVksQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxRQUFRLEdBQUcsQ0FBQyxLQUFLLGtCQUFrQixHQUFHLENBQUMsVUFBVSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDO1VBQ3hGLHNDQUFzQztVQUN0QyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLENBQUMsT0FBTyxLQUFLLENBQUMsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztBQUNsRSxDQUFDO0FBRUQ7Ozs7Ozs7Ozs7OztHQVlHO0FBQ0gsdUJBQ0UsS0FBZSxFQUNmLFVBQWtEO0lBRWxELE1BQU0sV0FBVyxHQUErQixFQUFFLENBQUM7SUFDbkQsTUFBTSxZQUFZLEdBQTBDLEVBQUUsQ0FBQztJQUMvRCxJQUFJLFFBQVEsR0FBa0IsSUFBSSxDQUFDO0lBQ25DLElBQUksZ0JBQWdCLEdBQWtCLElBQUksQ0FBQztJQUMzQyxJQUFJLEtBQUssR0FBRyxDQUFDLENBQUM7SUFFZCwwQkFBMEIsSUFBWTtRQUNwQyxNQUFNLEdBQUcsR0FBRyxVQUFVLENBQUMsSUFBSSxDQUFDLENBQUM7UUFFN0IsTUFBTSxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsR0FBRyxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQzNFLENBQUM7SUFFRCx3QkFBd0IsSUFBWSxFQUFFLFFBQTZCLEVBQUU7UUFDbkUsTUFBTSxHQUFHLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQzdCLE1BQU0sSUFBSSxHQUFHLENBQUMsR0FBRyxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsRUFBRSxHQUFHLEtBQUssQ0FBQyxDQUFDO1FBRW5ELE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMscUJBQXFCLENBQUMsR0FBRyxFQUFFLENBQUMsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7SUFDcEYsQ0FBQztJQUVELCtCQUErQixJQUFZLEVBQUUsSUFBeUI7UUFDcEUsUUFBUSxHQUFHLFFBQVEsSUFBSSxlQUFlLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxDQUFDO1FBQ25ELGdCQUFnQixHQUFHLGdCQUFnQjtlQUM5QixlQUFlLENBQUMsSUFBSSxFQUFFLFVBQVUsQ0FBQyxJQUFJLENBQWtCLEVBQUUsSUFBSSxDQUFDLENBQUM7SUFDdEUsQ0FBQztJQUVELCtGQUErRjtJQUMvRixtQkFBbUI7SUFDbkIsdUJBQXVCLElBQVksRUFBRSxPQUFlO1FBQ2xELE1BQU0sS0FBSyxHQUFJLFVBQVUsQ0FBQyxJQUFJLENBQW1CLENBQUMsZ0JBQWdCLENBQUMsT0FBTyxDQUFDLENBQUM7UUFFNUUsR0FBRyxDQUFDLENBQUMsTUFBTSxJQUFJLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ25FLE1BQU0sV0FBVyxHQUFHLEVBQUUsS0FBSyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRSxVQUFVLEVBQUUsR0FBRyxJQUFJLElBQUksT0FBTyxFQUFFLEVBQUUsQ0FBQztZQUM3RSxNQUFNLFlBQVksR0FBRyxXQUFXLENBQUMsSUFBSSxDQUFDLENBQUM7WUFFdkMsRUFBRSxDQUFDLENBQUMsWUFBWSxLQUFLLFNBQVMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsWUFBWSxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDL0UsUUFBUSxHQUFHLFFBQVEsSUFBSSxlQUFlLENBQ3BDLElBQUksRUFDSixDQUFDLEdBQUcsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLEVBQUUsV0FBVyxDQUFDLEVBQ3hDLFlBQVksQ0FDYixDQUFDO2dCQUVGLE1BQU0sQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQ2hCLENBQUM7WUFBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsWUFBWSxLQUFLLFNBQVMsSUFBSSxjQUFjLENBQUMsSUFBSSxFQUFFLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxNQUFNLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDekYscUJBQXFCLENBQUMsSUFBSSxFQUFFLENBQUMsR0FBRyxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsRUFBRSxXQUFXLENBQUMsQ0FBQyxDQUFDO2dCQUV0RSxNQUFNLENBQUMsQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQzNELENBQUM7UUFDSCxDQUFDO1FBRUQsTUFBTSxDQUFDLElBQUksQ0FBQztJQUNkLENBQUM7SUFFRCw2RkFBNkY7SUFDN0YsdUJBQXVCO0lBQ3ZCLGdCQUFnQixPQUFpQjtRQUMvQixNQUFNLElBQUksR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxXQUFXLENBQUMsQ0FBQyxDQUFDO1FBQ3BELEVBQUUsQ0FBQyxDQUFDLElBQUksS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDO1lBQ3ZCLE1BQU0sQ0FBQyxJQUFJLENBQUM7UUFDZCxDQUFDO1FBQ0QsTUFBTSxHQUFHLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBa0IsQ0FBQztRQUM5QyxNQUFNLFFBQVEsR0FBRyxJQUFJLEdBQUcsQ0FBQyxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztRQUU1RSxNQUFNLFVBQVUsR0FBRyxjQUFjLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDeEMsRUFBRSxDQUFDLENBQUMsVUFBVSxDQUFDLE1BQU0sSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzNCLHFCQUFxQixDQUFDLElBQUksRUFBRSxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1lBRXBELE1BQU0sQ0FBQyxRQUFRLENBQUM7UUFDbEIsQ0FBQztRQUVELEdBQUcsQ0FBQyxDQUFDLE1BQU0sT0FBTyxJQUFJLFVBQVUsQ0FBQyxDQUFDLENBQUM7WUFDakMsTUFBTSxTQUFTLEdBQUcsYUFBYSxDQUFDLElBQUksRUFBRSxPQUFPLENBQUMsQ0FBQztZQUMvQyxFQUFFLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO2dCQUNkLFNBQVMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQ3hDLFFBQVEsQ0FBQztZQUNYLENBQUM7WUFFRCxFQUFFLENBQUMsQ0FBQyxFQUFFLEtBQUssR0FBRyxlQUFlLENBQUMsQ0FBQyxDQUFDO2dCQUM5QixNQUFNLElBQUksZ0NBQW1CLENBQzNCLG1EQUFtRCxlQUFlLGdCQUFnQjtzQkFDaEYsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLG1DQUFtQyxRQUFRLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQ2xFLENBQUM7WUFDSixDQUFDO1lBRUQsTUFBTSxLQUFLLEdBQUcsR0FBRyxDQUFDLGdCQUFnQixDQUFDLE9BQU8sQ0FBQyxDQUFDO1lBQzVDLE1BQU0sWUFBWSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1lBRTNFLFdBQVcsQ0FBQyxJQUFJLENBQUMsR0FBRyxPQUFPLENBQUM7WUFDNUIsR0FBRyxDQUFDLENBQUMsTUFBTSxJQUFJLElBQUksWUFBWSxDQUFDLENBQUMsQ0FBQztnQkFDaEMsWUFBWSxDQUFDLElBQUksQ0FBQyxHQUFHO29CQUNuQixHQUFHLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztvQkFDN0IsRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFLFVBQVUsRUFBRSxHQUFHLElBQUksSUFBSSxPQUFPLEVBQUUsRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFO2lCQUN2RSxDQUFDO1lBQ0osQ0FBQztZQUVELE1BQU0sVUFBVSxHQUFHLFlBQVksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDdEUsTUFBTSxhQUFhLEdBQUcsTUFBTSxDQUFDLENBQUMsR0FBRyxPQUFPLEVBQUUsR0FBRyxVQUFVLENBQUMsQ0FBQyxDQUFDO1lBQzFELEVBQUUsQ0FBQyxDQUFDLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQztnQkFDbkIsTUFBTSxDQUFDLElBQUksQ0FBQztZQUNkLENBQUM7WUFFRCxPQUFPLFdBQVcsQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUN6QixHQUFHLENBQUMsQ0FBQyxNQUFNLElBQUksSUFBSSxZQUFZLENBQUMsQ0FBQyxDQUFDO2dCQUNoQyxZQUFZLENBQUMsSUFBSSxDQUFDLEdBQUcsWUFBWSxDQUFDLElBQUksQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN2RCxDQUFDO1lBRUQsRUFBRSxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDN0IsNEVBQTRFO2dCQUM1RSxNQUFNLENBQUMsYUFBYSxDQUFDO1lBQ3ZCLENBQUM7WUFDRCxhQUFhLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxLQUFLLElBQUksSUFBSSxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDNUQsQ0FBQztRQUVELE1BQU0sQ0FBQyxRQUFRLENBQUM7SUFDbEIsQ0FBQztJQUVELEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDbEIsZ0ZBQWdGO1FBQ2hGLE1BQU0sSUFBSSxnQ0FBbUIsQ0FBQyxnQkFBZ0IsSUFBSSxDQUNoRCxvRkFBb0Y7Y0FDbEYsc0NBQXNDO2NBQ3RDLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxLQUFLLFFBQVEsRUFBRSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FDcEMsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztJQUVELE1BQU0sQ0FBQyxXQUFXLENBQUM7QUFDckIsQ0FBQztBQWpJRCxzQ0FpSUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIEluYy4gQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5pbXBvcnQgeyBTY2hlbWF0aWNzRXhjZXB0aW9uIH0gZnJvbSAnQGFuZ3VsYXItZGV2a2l0L3NjaGVtYXRpY3MnO1xuaW1wb3J0ICogYXMgc2VtdmVyIGZyb20gJ3NlbXZlcic7XG5cblxuLyoqXG4gKiBUaGUgbWF4aW11bSBudW1iZXIgb2YgY2FuZGlkYXRlIHZlcnNpb25zIHRoZSBzb2x2ZXIgd2lsbCB0cnkgYmVmb3JlIGdpdmluZyB1cC5cbiAqL1xuY29uc3Qga01heFNvbHZlclN0ZXBzID0gMTAwMDA7XG5cblxuLyoqXG4gKiBBIHJhbmdlIHRoYXQgdGhlIHZlcnNpb24gb2YgYSBwYWNrYWdlIG11c3Qgc2F0aXNmeSwgYWxvbmcgd2l0aCBhIGh1bWFuIHJlYWRhYmxlIGRlc2NyaXB0aW9uXG4gKiBvZiB3aGVyZSBpdCBjb21lcyBmcm9tIChlLmcuIGBAYW5ndWxhci9jb3JlQDYuMS4wYCkuXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgU29sdmVyUmVxdWlyZW1lbnQge1xuICByYW5nZTogc3RyaW5nO1xuICByZXF1aXJlZEJ5OiBzdHJpbmc7XG4gIC8qKlxuICAgKiBXaGV0aGVyIHByZXJlbGVhc2UgdmVyc2lvbnMgc2F0aXNmeSB0aGUgcmFuZ2UgbGlrZSBhbnkgb3RoZXIgdmVyc2lvbi4gQnkgZGVmYXVsdCwgYW5kIGxpa2VcbiAgICogbnBtLCBgPj02LjAuMGAgaXMgbm90IHNhdGlzZmllZCBieSBgNy4wLjAtYmV0YS4wYC5cbiAgICovXG4gIGluY2x1ZGVQcmVyZWxlYXNlPzogYm9vbGVhbjtcbn1cblxuLyoqXG4gKiBBIHJlcXVpcmVtZW50IHNldCBieSB0aGUgcGVlciBkZXBlbmRlbmNpZXMgb2YgYSByZXNvbHZlZCBwYWNrYWdlLlxuICovXG5pbnRlcmZhY2UgUGVlclJlcXVpcmVtZW50IGV4dGVuZHMgU29sdmVyUmVxdWlyZW1lbnQge1xuICAvKiogVGhlIG5hbWUgb2YgdGhlIHBhY2thZ2UgdGhhdCBzZXRzIHRoZSByZXF1aXJlbWVudC4gKi9cbiAgc291cmNlOiBzdHJpbmc7XG59XG5cbi8qKlxuICogQSBwYWNrYWdlIHRoZSBzb2x2ZXIgY2FuIHBpY2sgYSB2ZXJzaW9uIGZvci5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBTb2x2ZXJQYWNrYWdlIHtcbiAgLyoqIEFsbCB0aGUgdmVyc2lvbnMgb2YgdGhlIHBhY2thZ2UsIGZyb20gdGhlIG1vc3QgdG8gdGhlIGxlYXN0IHByZWZlcnJlZC4gKi9cbiAgY2FuZGlkYXRlczogc3RyaW5nW107XG4gIC8qKlxuICAgKiBUaGUgcHJlcmVsZWFzZSB2ZXJzaW9ucyBvZiB0aGUgY2FuZGlkYXRlcyB0aGF0IGFyZSBvbmx5IHBpY2tlZCB3aGVuIGEgcmVxdWlyZW1lbnQgYXNrcyBmb3JcbiAgICogdGhlbSwgbGlrZSBucG0gZG9lczogYF43LjAuMC1iZXRhLjBgIGFsbG93cyBgNy4wLjAtYmV0YS4xYCwgYnV0IGA+PTYuMC4wYCBkb2VzIG5vdC5cbiAgICovXG4gIHByZXJlbGVhc2VzPzogc3RyaW5nW107XG4gIC8qKiBUaGUgdmVyc2lvbnMgdGhhdCBjYW5ub3QgYmUgcGlja2VkIGFuZCB3aHksIHRvIGV4cGxhaW4gdGhlIGNvbmZsaWN0cyB0aGV5IHdvdWxkIHNvbHZlLiAqL1xuICBleGNsdWRlZD86IHsgdmVyc2lvbjogc3RyaW5nLCByZWFzb246IHN0cmluZyB9W107XG4gIC8qKiBSZXF1aXJlbWVudHMgdGhhdCBhcHBseSByZWdhcmRsZXNzIG9mIG90aGVyIHBhY2thZ2VzIChlLmcuIHRoZSByZXF1ZXN0ZWQgdmVyc2lvbikuICovXG4gIHJlcXVpcmVtZW50czogU29sdmVyUmVxdWlyZW1lbnRbXTtcbiAgLyoqIFJldHVybnMgdGhlIHBlZXIgZGVwZW5kZW5jaWVzIG9mIGEgdmVyc2lvbiBvZiB0aGUgcGFja2FnZS4gKi9cbiAgcGVlckRlcGVuZGVuY2llcyh2ZXJzaW9uOiBzdHJpbmcpOiB7IFtuYW1lOiBzdHJpbmddOiBzdHJpbmcgfTtcbn1cblxuXG4vKipcbiAqIFdoZXRoZXIgYSB2ZXJzaW9uIHNhdGlzZmllcyBhIHJlcXVpcmVtZW50LlxuICogQHBhcmFtIHtzdHJpbmd9IHZlcnNpb24gVGhlIHZlcnNpb24gdG8gdGVzdC5cbiAqIEBwYXJhbSB7U29sdmVyUmVxdWlyZW1lbnR9IHJlcXVpcmVtZW50IFRoZSByZXF1aXJlbWVudCB0byBzYXRpc2Z5LlxuICogQHJldHVybnMge2Jvb2xlYW59IFdoZXRoZXIgdGhlIHZlcnNpb24gc2F0aXNmaWVzIHRoZSByZXF1aXJlbWVudC5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIHNhdGlzZmllc1JlcXVpcmVtZW50KHZlcnNpb246IHN0cmluZywgcmVxdWlyZW1lbnQ6IFNvbHZlclJlcXVpcmVtZW50KTogYm9vbGVhbiB7XG4gIGlmICghcmVxdWlyZW1lbnQuaW5jbHVkZVByZXJlbGVhc2UpIHtcbiAgICByZXR1cm4gc2VtdmVyLnNhdGlzZmllcyh2ZXJzaW9uLCByZXF1aXJlbWVudC5yYW5nZSk7XG4gIH1cblxuICAvLyBUZXN0IHRoZSBjb21wYXJhdG9ycyBkaXJlY3RseSwgd2hpY2ggc2tpcHMgdGhlIGZpbHRlcmluZyBvZiBwcmVyZWxlYXNlcyBkb25lIGJ5IHRoZSByYW5nZS5cbiAgcmV0dXJuIG5ldyBzZW12ZXIuUmFuZ2UocmVxdWlyZW1lbnQucmFuZ2UpLnNldFxuICAgIC5zb21lKGNvbXBhcmF0b3JzID0+IGNvbXBhcmF0b3JzLmV2ZXJ5KGNvbXBhcmF0b3IgPT4gY29tcGFyYXRvci50ZXN0KHZlcnNpb24pKSk7XG59XG5cbi8qKlxuICogV2hldGhlciBhIHZlcnNpb24gb2YgYSBwYWNrYWdlIHNhdGlzZmllcyBhIGxpc3Qgb2YgcmVxdWlyZW1lbnRzLiBQcmVyZWxlYXNlcyBvZiB0aGUgcGFja2FnZVxuICogdGhhdCBuZWVkIHRvIGJlIGFza2VkIGZvciBtdXN0IGFsc28gc2F0aXNmeSBvbmUgb2YgdGhlIHJlcXVpcmVtZW50cyB3aXRob3V0XG4gKiBgaW5jbHVkZVByZXJlbGVhc2VgLlxuICogQHBhcmFtIHtTb2x2ZXJQYWNrYWdlfSBwa2cgVGhlIHBhY2thZ2UuXG4gKiBAcGFyYW0ge3N0cmluZ30gdmVyc2lvbiBUaGUgdmVyc2lvbiB0byB0ZXN0LlxuICogQHBhcmFtIHtTb2x2ZXJSZXF1aXJlbWVudFtdfSByZXF1aXJlbWVudHMgVGhlIHJlcXVpcmVtZW50cyB0byBzYXRpc2Z5LlxuICogQHJldHVybnMge2Jvb2xlYW59IFdoZXRoZXIgdGhlIHZlcnNpb24gc2F0aXNmaWVzIGFsbCB0aGUgcmVxdWlyZW1lbnRzLlxuICovXG5leHBvcnQgZnVuY3Rpb24gc2F0aXNmaWVzUmVxdWlyZW1lbnRzKFxuICBwa2c6IFNvbHZlclBhY2thZ2UsXG4gIHZlcnNpb246IHN0cmluZyxcbiAgcmVxdWlyZW1lbnRzOiBTb2x2ZXJSZXF1aXJlbWVudFtdLFxuKTogYm9vbGVhbiB7XG4gIGlmICghcmVxdWlyZW1lbnRzLmV2ZXJ5KHJlcSA9PiBzYXRpc2ZpZXNSZXF1aXJlbWVudCh2ZXJzaW9uLCByZXEpKSkge1xuICAgIHJldHVybiBmYWxzZTtcbiAgfVxuXG4gIHJldHVybiAocGtnLnByZXJlbGVhc2VzIHx8IFtdKS5pbmRleE9mKHZlcnNpb24pID09IC0xXG4gICAgfHwgcmVxdWlyZW1lbnRzLnNvbWUocmVxID0+IHNlbXZlci5zYXRpc2ZpZXModmVyc2lvbiwgcmVxLnJhbmdlKSk7XG59XG5cbi8qKlxuICogRm9ybWF0IGEgY29uZmxpY3Qgb24gYSBwYWNrYWdlIGZvciB0aGUgdXNlci5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9mb3JtYXRDb25mbGljdChcbiAgbmFtZTogc3RyaW5nLFxuICByZXF1aXJlbWVudHM6IFNvbHZlclJlcXVpcmVtZW50W10sXG4gIHZlcnNpb24/OiBzdHJpbmcsXG4pOiBzdHJpbmcge1xuICBjb25zdCBsaW5lcyA9IHJlcXVpcmVtZW50cy5tYXAocmVxID0+IGAgICAgXCIke3JlcS5yYW5nZX1cIiAocmVxdWlyZWQgYnkgJHtyZXEucmVxdWlyZWRCeX0pYCk7XG4gIGlmICh2ZXJzaW9uKSB7XG4gICAgcmV0dXJuIGAgIFBhY2thZ2UgJHtKU09OLnN0cmluZ2lmeShuYW1lKX0gd291bGQgbmVlZCB0byBiZSBhdCB2ZXJzaW9uIFwiJHt2ZXJzaW9ufVwiIGFuZCBgXG4gICAgICArICdtYXRjaCBhbGwgb2Y6XFxuJyArIGxpbmVzLmpvaW4oJ1xcbicpO1xuICB9IGVsc2Uge1xuICAgIHJldHVybiBgICBQYWNrYWdlICR7SlNPTi5zdHJpbmdpZnkobmFtZSl9IGhhcyBubyB2ZXJzaW9uIHRoYXQgbWF0Y2hlcyBhbGwgb2Y6XFxuYFxuICAgICAgKyBsaW5lcy5qb2luKCdcXG4nKTtcbiAgfVxufVxuXG4vKipcbiAqIEZvcm1hdCB0aGUgdmVyc2lvbnMgb2YgYSBwYWNrYWdlIHRoYXQgbWF0Y2ggYWxsIHRoZSByZXF1aXJlbWVudHMgYnV0IGNhbm5vdCBiZSBwaWNrZWQsIG9yXG4gKiByZXR1cm4gbnVsbCBpZiB0aGVyZSBhcmUgbm9uZS5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9mb3JtYXRFeGNsdWRlZChcbiAgbmFtZTogc3RyaW5nLFxuICBwa2c6IFNvbHZlclBhY2thZ2UsXG4gIHJlcXVpcmVtZW50czogU29sdmVyUmVxdWlyZW1lbnRbXSxcbik6IHN0cmluZyB8IG51bGwge1xuICBjb25zdCBleGNsdWRlZCA9IChwa2cuZXhjbHVkZWQgfHwgW10pXG4gICAgLmZpbHRlcih4ID0+IHJlcXVpcmVtZW50cy5ldmVyeShyZXEgPT4gc2F0aXNmaWVzUmVxdWlyZW1lbnQoeC52ZXJzaW9uLCByZXEpKSk7XG4gIGlmIChleGNsdWRlZC5sZW5ndGggPT0gMCkge1xuICAgIHJldHVybiBudWxsO1xuICB9XG5cbiAgcmV0dXJuIGBObyB2ZXJzaW9uIG9mICR7SlNPTi5zdHJpbmdpZnkobmFtZSl9IG1hdGNoaW5nIGFsbCBvZjpcXG5gXG4gICAgKyByZXF1aXJlbWVudHMubWFwKHJlcSA9PiBgICAgIFwiJHtyZXEucmFuZ2V9XCIgKHJlcXVpcmVkIGJ5ICR7cmVxLnJlcXVpcmVkQnl9KWApLmpvaW4oJ1xcbicpXG4gICAgKyAnXFxuaXMgYWxsb3dlZCBieSB0aGUgdXBkYXRlIHBvbGljeTpcXG4nXG4gICAgKyBleGNsdWRlZC5tYXAoeCA9PiBgICAke3gudmVyc2lvbn06ICR7eC5yZWFzb259YCkuam9pbignXFxuJyk7XG59XG5cbi8qKlxuICogRmluZCB0aGUgaGlnaGVzdCBzZXQgb2YgbXV0dWFsbHkgY29tcGF0aWJsZSB2ZXJzaW9ucyBmb3IgYSBsaXN0IG9mIHBhY2thZ2VzIGFuZCB0aGVpciBwZWVyXG4gKiBkZXBlbmRlbmNpZXMsIGJhY2t0cmFja2luZyB0aHJvdWdoIG9sZGVyIHZlcnNpb25zIHdoZW4gcGVlciBkZXBlbmRlbmN5IHJhbmdlcyBjb25mbGljdC5cbiAqIFBhY2thZ2VzIGFyZSByZXNvbHZlZCBpbiBvcmRlciwgc28gZWFybGllciBwYWNrYWdlcyBoYXZlIHByaW9yaXR5IGZvciB0aGVpciBuZXdlc3QgdmVyc2lvbi5cbiAqIFZlcnNpb25zIHdob3NlIHBlZXIgZGVwZW5kZW5jaWVzIGNvbmZsaWN0IHdpdGggdGhlIHBhY2thZ2VzIGFscmVhZHkgcmVzb2x2ZWQgYXJlIG5ldmVyIHRyaWVkLFxuICogYW5kIHdoZW4gbm8gdmVyc2lvbiBvZiBhIHBhY2thZ2Ugd29ya3MgdGhlIHNvbHZlciBqdW1wcyBiYWNrIHRvIHRoZSBwYWNrYWdlcyB0aGF0IGNhdXNlZCB0aGVcbiAqIGNvbmZsaWN0IGluc3RlYWQgb2YgdGhlIHByZXZpb3VzIG9uZS5cbiAqIEBwYXJhbSB7c3RyaW5nW119IG5hbWVzIFRoZSBuYW1lcyBvZiB0aGUgcGFja2FnZXMgdG8gcmVzb2x2ZS5cbiAqIEBwYXJhbSB7KG5hbWU6IHN0cmluZykgPT4gU29sdmVyUGFja2FnZSB8IG51bGx9IGdldFBhY2thZ2UgQSBmdW5jdGlvbiB0aGF0IHJldHVybnMgdGhlXG4gKiAgIHBhY2thZ2UgdG8gcmVzb2x2ZSwgb3IgbnVsbCBpZiB0aGUgcGFja2FnZSBzaG91bGQgbm90IGJlIG1hbmFnZWQgYnkgdGhlIHNvbHZlciAoaXRzXG4gKiAgIHJlcXVpcmVtZW50cyBhcmUgdGhlbiBpZ25vcmVkKS5cbiAqIEByZXR1cm5zIHt7W25hbWU6IHN0cmluZ106IHN0cmluZ319IFRoZSByZXNvbHZlZCB2ZXJzaW9ucywgYnkgcGFja2FnZSBuYW1lLlxuICovXG5leHBvcnQgZnVuY3Rpb24gc29sdmVWZXJzaW9ucyhcbiAgbmFtZXM6IHN0cmluZ1tdLFxuICBnZXRQYWNrYWdlOiAobmFtZTogc3RyaW5nKSA9PiBTb2x2ZXJQYWNrYWdlIHwgbnVsbCxcbik6IHsgW25hbWU6IHN0cmluZ106IHN0cmluZyB9IHtcbiAgY29uc3QgYXNzaWdubWVudHM6IHsgW25hbWU6IHN0cmluZ106IHN0cmluZyB9ID0ge307XG4gIGNvbnN0IHJlcXVpcmVtZW50czogeyBbbmFtZTogc3RyaW5nXTogUGVlclJlcXVpcmVtZW50W10gfSA9IHt9O1xuICBsZXQgY29uZmxpY3Q6IHN0cmluZyB8IG51bGwgPSBudWxsO1xuICBsZXQgZXhjbHVkZWRDb25mbGljdDogc3RyaW5nIHwgbnVsbCA9IG51bGw7XG4gIGxldCBzdGVwcyA9IDA7XG5cbiAgZnVuY3Rpb24gX2dldFJlcXVpcmVtZW50cyhuYW1lOiBzdHJpbmcpOiBTb2x2ZXJSZXF1aXJlbWVudFtdIHtcbiAgICBjb25zdCBwa2cgPSBnZXRQYWNrYWdlKG5hbWUpO1xuXG4gICAgcmV0dXJuIFsuLi4ocGtnID8gcGtnLnJlcXVpcmVtZW50cyA6IFtdKSwgLi4uKHJlcXVpcmVtZW50c1tuYW1lXSB8fCBbXSldO1xuICB9XG5cbiAgZnVuY3Rpb24gX2dldENhbmRpZGF0ZXMobmFtZTogc3RyaW5nLCBleHRyYTogU29sdmVyUmVxdWlyZW1lbnRbXSA9IFtdKTogc3RyaW5nW10ge1xuICAgIGNvbnN0IHBrZyA9IGdldFBhY2thZ2UobmFtZSk7XG4gICAgY29uc3QgcmVxcyA9IFsuLi5fZ2V0UmVxdWlyZW1lbnRzKG5hbWUpLCAuLi5leHRyYV07XG5cbiAgICByZXR1cm4gcGtnID8gcGtnLmNhbmRpZGF0ZXMuZmlsdGVyKHYgPT4gc2F0aXNmaWVzUmVxdWlyZW1lbnRzKHBrZywgdiwgcmVxcykpIDogW107XG4gIH1cblxuICBmdW5jdGlvbiBfcmVjb3JkTWlzc2luZ1ZlcnNpb24obmFtZTogc3RyaW5nLCByZXFzOiBTb2x2ZXJSZXF1aXJlbWVudFtdKSB7XG4gICAgY29uZmxpY3QgPSBjb25mbGljdCB8fCBfZm9ybWF0Q29uZmxpY3QobmFtZSwgcmVxcyk7XG4gICAgZXhjbHVkZWRDb25mbGljdCA9IGV4Y2x1ZGVkQ29uZmxpY3RcbiAgICAgIHx8IF9mb3JtYXRFeGNsdWRlZChuYW1lLCBnZXRQYWNrYWdlKG5hbWUpIGFzIFNvbHZlclBhY2thZ2UsIHJlcXMpO1xuICB9XG5cbiAgLy8gUmV0dXJucyB0aGUgcGFja2FnZXMgYSB2ZXJzaW9uIGNvbmZsaWN0cyB3aXRoLCBvciBudWxsIGlmIGl0IGlzIGNvbXBhdGlibGUgd2l0aCB0aGUgcGFja2FnZXNcbiAgLy8gcmVzb2x2ZWQgc28gZmFyLlxuICBmdW5jdGlvbiBfZ2V0Q29uZmxpY3RzKG5hbWU6IHN0cmluZywgdmVyc2lvbjogc3RyaW5nKTogc3RyaW5nW10gfCBudWxsIHtcbiAgICBjb25zdCBwZWVycyA9IChnZXRQYWNrYWdlKG5hbWUpIGFzIFNvbHZlclBhY2thZ2UpLnBlZXJEZXBlbmRlbmNpZXModmVyc2lvbik7XG5cbiAgICBmb3IgKGNvbnN0IHBlZXIgb2YgT2JqZWN0LmtleXMocGVlcnMpLmZpbHRlcih4ID0+ICEhZ2V0UGFja2FnZSh4KSkpIHtcbiAgICAgIGNvbnN0IHJlcXVpcmVtZW50ID0geyByYW5nZTogcGVlcnNbcGVlcl0sIHJlcXVpcmVkQnk6IGAke25hbWV9QCR7dmVyc2lvbn1gIH07XG4gICAgICBjb25zdCBtYXliZVZlcnNpb24gPSBhc3NpZ25tZW50c1twZWVyXTtcblxuICAgICAgaWYgKG1heWJlVmVyc2lvbiAhPT0gdW5kZWZpbmVkICYmICFzZW12ZXIuc2F0aXNmaWVzKG1heWJlVmVyc2lvbiwgcGVlcnNbcGVlcl0pKSB7XG4gICAgICAgIGNvbmZsaWN0ID0gY29uZmxpY3QgfHwgX2Zvcm1hdENvbmZsaWN0KFxuICAgICAgICAgIHBlZXIsXG4gICAgICAgICAgWy4uLl9nZXRSZXF1aXJlbWVudHMocGVlciksIHJlcXVpcmVtZW50XSxcbiAgICAgICAgICBtYXliZVZlcnNpb24sXG4gICAgICAgICk7XG5cbiAgICAgICAgcmV0dXJuIFtwZWVyXTtcbiAgICAgIH0gZWxzZSBpZiAobWF5YmVWZXJzaW9uID09PSB1bmRlZmluZWQgJiYgX2dldENhbmRpZGF0ZXMocGVlciwgW3JlcXVpcmVtZW50XSkubGVuZ3RoID09IDApIHtcbiAgICAgICAgX3JlY29yZE1pc3NpbmdWZXJzaW9uKHBlZXIsIFsuLi5fZ2V0UmVxdWlyZW1lbnRzKHBlZXIpLCByZXF1aXJlbWVudF0pO1xuXG4gICAgICAgIHJldHVybiAocmVxdWlyZW1lbnRzW3BlZXJdIHx8IFtdKS5tYXAocmVxID0+IHJlcS5zb3VyY2UpO1xuICAgICAgfVxuICAgIH1cblxuICAgIHJldHVybiBudWxsO1xuICB9XG5cbiAgLy8gUmV0dXJucyBudWxsIGlmIHRoZSBwZW5kaW5nIHBhY2thZ2VzIGNvdWxkIGJlIHJlc29sdmVkLCBvciBlbHNlIHRoZSByZXNvbHZlZCBwYWNrYWdlcyB0aGF0XG4gIC8vIGNhdXNlZCB0aGUgY29uZmxpY3QuXG4gIGZ1bmN0aW9uIF92aXNpdChwZW5kaW5nOiBzdHJpbmdbXSk6IFNldDxzdHJpbmc+IHwgbnVsbCB7XG4gICAgY29uc3QgbmFtZSA9IHBlbmRpbmcuZmluZCh4ID0+ICEoeCBpbiBhc3NpZ25tZW50cykpO1xuICAgIGlmIChuYW1lID09PSB1bmRlZmluZWQpIHtcbiAgICAgIHJldHVybiBudWxsO1xuICAgIH1cbiAgICBjb25zdCBwa2cgPSBnZXRQYWNrYWdlKG5hbWUpIGFzIFNvbHZlclBhY2thZ2U7XG4gICAgY29uc3QgY3VscHJpdHMgPSBuZXcgU2V0KChyZXF1aXJlbWVudHNbbmFtZV0gfHwgW10pLm1hcChyZXEgPT4gcmVxLnNvdXJjZSkpO1xuXG4gICAgY29uc3QgY2FuZGlkYXRlcyA9IF9nZXRDYW5kaWRhdGVzKG5hbWUpO1xuICAgIGlmIChjYW5kaWRhdGVzLmxlbmd0aCA9PSAwKSB7XG4gICAgICBfcmVjb3JkTWlzc2luZ1ZlcnNpb24obmFtZSwgX2dldFJlcXVpcmVtZW50cyhuYW1lKSk7XG5cbiAgICAgIHJldHVybiBjdWxwcml0cztcbiAgICB9XG5cbiAgICBmb3IgKGNvbnN0IHZlcnNpb24gb2YgY2FuZGlkYXRlcykge1xuICAgICAgY29uc3QgY29uZmxpY3RzID0gX2dldENvbmZsaWN0cyhuYW1lLCB2ZXJzaW9uKTtcbiAgICAgIGlmIChjb25mbGljdHMpIHtcbiAgICAgICAgY29uZmxpY3RzLmZvckVhY2goeCA9PiBjdWxwcml0cy5hZGQoeCkpO1xuICAgICAgICBjb250aW51ZTtcbiAgICAgIH1cblxuICAgICAgaWYgKCsrc3RlcHMgPiBrTWF4U29sdmVyU3RlcHMpIHtcbiAgICAgICAgdGhyb3cgbmV3IFNjaGVtYXRpY3NFeGNlcHRpb24oXG4gICAgICAgICAgYENvdWxkIG5vdCBmaW5kIGNvbXBhdGlibGUgdmVyc2lvbnMgYWZ0ZXIgdHJ5aW5nICR7a01heFNvbHZlclN0ZXBzfSBjb21iaW5hdGlvbnMuYFxuICAgICAgICAgICsgKGNvbmZsaWN0ID8gYCBUaGUgZmlyc3QgY29uZmxpY3QgZm91bmQgd2FzOlxcbiR7Y29uZmxpY3R9YCA6ICcnKSxcbiAgICAgICAgKTtcbiAgICAgIH1cblxuICAgICAgY29uc3QgcGVlcnMgPSBwa2cucGVlckRlcGVuZGVuY2llcyh2ZXJzaW9uKTtcbiAgICAgIGNvbnN0IG1hbmFnZWRQZWVycyA9IE9iamVjdC5rZXlzKHBlZXJzKS5maWx0ZXIocGVlciA9PiAhIWdldFBhY2thZ2UocGVlcikpO1xuXG4gICAgICBhc3NpZ25tZW50c1tuYW1lXSA9IHZlcnNpb247XG4gICAgICBmb3IgKGNvbnN0IHBlZXIgb2YgbWFuYWdlZFBlZXJzKSB7XG4gICAgICAgIHJlcXVpcmVtZW50c1twZWVyXSA9IFtcbiAgICAgICAgICAuLi4ocmVxdWlyZW1lbnRzW3BlZXJdIHx8IFtdKSxcbiAgICAgICAgICB7IHJhbmdlOiBwZWVyc1twZWVyXSwgcmVxdWlyZWRCeTogYCR7bmFtZX1AJHt2ZXJzaW9ufWAsIHNvdXJjZTogbmFtZSB9LFxuICAgICAgICBdO1xuICAgICAgfVxuXG4gICAgICBjb25zdCBuZXdQZW5kaW5nID0gbWFuYWdlZFBlZXJzLmZpbHRlcih4ID0+IHBlbmRpbmcuaW5kZXhPZih4KSA9PSAtMSk7XG4gICAgICBjb25zdCBtYXliZUN1bHByaXRzID0gX3Zpc2l0KFsuLi5wZW5kaW5nLCAuLi5uZXdQZW5kaW5nXSk7XG4gICAgICBpZiAoIW1heWJlQ3VscHJpdHMpIHtcbiAgICAgICAgcmV0dXJuIG51bGw7XG4gICAgICB9XG5cbiAgICAgIGRlbGV0ZSBhc3NpZ25tZW50c1tuYW1lXTtcbiAgICAgIGZvciAoY29uc3QgcGVlciBvZiBtYW5hZ2VkUGVlcnMpIHtcbiAgICAgICAgcmVxdWlyZW1lbnRzW3BlZXJdID0gcmVxdWlyZW1lbnRzW3BlZXJdLnNsaWNlKDAsIC0xKTtcbiAgICAgIH1cblxuICAgICAgaWYgKCFtYXliZUN1bHByaXRzLmhhcyhuYW1lKSkge1xuICAgICAgICAvLyBPdGhlciB2ZXJzaW9ucyBvZiB0aGlzIHBhY2thZ2UgY2Fubm90IHNvbHZlIGEgY29uZmxpY3QgaXQgaXMgbm90IHBhcnQgb2YuXG4gICAgICAgIHJldHVybiBtYXliZUN1bHByaXRzO1xuICAgICAgfVxuICAgICAgbWF5YmVDdWxwcml0cy5mb3JFYWNoKHggPT4geCAhPT0gbmFtZSAmJiBjdWxwcml0cy5hZGQoeCkpO1xuICAgIH1cblxuICAgIHJldHVybiBjdWxwcml0cztcbiAgfVxuXG4gIGlmIChfdmlzaXQobmFtZXMpKSB7XG4gICAgLy8gVmVyc2lvbnMgdGhhdCB3ZXJlIGV4Y2x1ZGVkIChlLmcuIGRlcHJlY2F0ZWQgb25lcykgYXJlIHRoZSBtb3N0IGxpa2VseSBjYXVzZS5cbiAgICB0aHJvdyBuZXcgU2NoZW1hdGljc0V4Y2VwdGlvbihleGNsdWRlZENvbmZsaWN0IHx8IChcbiAgICAgICdDYW5ub3QgdXBkYXRlIHNhZmVseSBiZWNhdXNlIHBhY2thZ2VzIGhhdmUgY29uZmxpY3RpbmcgZGVwZW5kZW5jaWVzLCBhbmQgbm8gb2xkZXIgJ1xuICAgICAgKyAndmVyc2lvbnMgY291bGQgcmVzb2x2ZSB0aGUgY29uZmxpY3QuJ1xuICAgICAgKyAoY29uZmxpY3QgPyBgXFxuJHtjb25mbGljdH1gIDogJycpXG4gICAgKSk7XG4gIH1cblxuICByZXR1cm4gYXNzaWdubWVudHM7XG59XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { JsonObject } from '@angular-devkit/core';
+import { Tree } from '@angular-devkit/schematics';
+/**
+ * A change of the range of a dependency in a package.json.
+ */
+export interface PackageJsonChange {
+    /** The name of the dependency. */
+    name: string;
+    /** The path of the package.json in the tree. */
+    path: string;
+    /** The field the dependency lives in (e.g. `devDependencies`). */
+    field: string;
+    /** The range currently in package.json, or null if the dependency is added. */
+    current: string | null;
+    /** The range that will be written to package.json. */
+    target: string;
+}
+/**
+ * Read and parse a package.json from the tree.
+ * @param {Tree} tree The tree to read from.
+ * @param {string} path The path of the package.json.
+ * @returns {JsonObject} The parsed package.json.
+ */
+export declare function readPackageJson(tree: Tree, path: string): JsonObject;
+/**
+ * Find all the package.json files of the project. When `packageJsonPaths` is given, those are
+ * used (relative to the root of the tree, as files or directories). Otherwise the root
+ * package.json is used, along with the packages of its npm/yarn `workspaces` field.
+ * @param {Tree} tree The tree to look into.
+ * @param {string[]} packageJsonPaths Explicit paths to use, if any.
+ * @returns {string[]} The absolute paths of the package.json files, root first.
+ */
+export declare function findPackageJsonPaths(tree: Tree, packageJsonPaths?: string[]): string[];
+/**
+ * Apply changes to the package.json files of the tree. Only the changed version strings are
+ * replaced, and added dependencies are inserted next to the others, so the indentation, key
+ * order, line endings and final newline of each file are preserved.
+ * @param {Tree} tree The tree to modify.
+ * @param {PackageJsonChange[]} changes The changes to apply.
+ */
+export declare function applyPackageJsonChanges(tree: Tree, changes: PackageJsonChange[]): void;
@@ -0,0 +1,229 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const core_1 = require("@angular-devkit/core");
+const schematics_1 = require("@angular-devkit/schematics");
+/**
+ * Read and parse a package.json from the tree.
+ * @param {Tree} tree The tree to read from.
+ * @param {string} path The path of the package.json.
+ * @returns {JsonObject} The parsed package.json.
+ */
+function readPackageJson(tree, path) {
+    const packageJsonContent = tree.read(path);
+    if (!packageJsonContent) {
+        throw new schematics_1.SchematicsException(`Could not find ${path}.`);
+    }
+    const packageJson = core_1.parseJson(packageJsonContent.toString(), core_1.JsonParseMode.Strict);
+    if (packageJson === null || typeof packageJson !== 'object' || Array.isArray(packageJson)) {
+        throw new schematics_1.SchematicsException(`Could not parse ${path}.`);
+    }
+    return packageJson;
+}
+exports.readPackageJson = readPackageJson;
+/**
+ * Normalize a path to a package.json, or to its directory, into an absolute path to the file.
+ * @private
+ */
+function _normalizePackageJsonPath(path) {
+    const normalized = '/' + path.replace(/\\/g, '/').replace(/^\.?\/+|\/+$/g, '');
+    return normalized.endsWith('/package.json') || normalized == '/package.json'
+        ? normalized
+        : normalized.replace(/\/$/, '') + '/package.json';
+}
+/**
+ * Convert a glob segment (e.g. `lib-*`) to a regular expression.
+ * @private
+ */
+function _segmentToRegExp(segment) {
+    const source = segment
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]');
+    return new RegExp(`^${source}$`);
+}
+/**
+ * Find the directories of the tree that match a workspace glob, e.g. `packages/*` or
+ * `projects/**`. `node_modules` directories are never matched.
+ * @private
+ */
+function _expandGlob(dir, segments) {
+    if (segments.length == 0) {
+        return [dir];
+    }
+    const [segment, ...rest] = segments;
+    const subdirs = dir.subdirs.filter(name => name != 'node_modules');
+    if (segment == '**') {
+        return subdirs.reduce((acc, name) => [...acc, ..._expandGlob(dir.dir(name), segments)], _expandGlob(dir, rest));
+    }
+    const regexp = _segmentToRegExp(segment);
+    return subdirs
+        .filter(name => regexp.test(name))
+        .reduce((acc, name) => [...acc, ..._expandGlob(dir.dir(name), rest)], []);
+}
+/**
+ * Find all the package.json files of the project. When `packageJsonPaths` is given, those are
+ * used (relative to the root of the tree, as files or directories). Otherwise the root
+ * package.json is used, along with the packages of its npm/yarn `workspaces` field.
+ * @param {Tree} tree The tree to look into.
+ * @param {string[]} packageJsonPaths Explicit paths to use, if any.
+ * @returns {string[]} The absolute paths of the package.json files, root first.
+ */
+function findPackageJsonPaths(tree, packageJsonPaths) {
+    if (packageJsonPaths && packageJsonPaths.length > 0) {
+        const paths = packageJsonPaths.map(_normalizePackageJsonPath);
+        for (const path of paths) {
+            if (!tree.exists(path)) {
+                throw new schematics_1.SchematicsException(`Could not find ${path}.`);
+            }
+        }
+        return paths.filter((path, i) => paths.indexOf(path) == i);
+    }
+    const rootPackageJson = readPackageJson(tree, '/package.json');
+    let workspaces = rootPackageJson['workspaces'];
+    if (workspaces && typeof workspaces == 'object' && !Array.isArray(workspaces)) {
+        // Yarn also supports `{ "packages": [...], "nohoist": [...] }`.
+        workspaces = workspaces['packages'];
+    }
+    if (!Array.isArray(workspaces)) {
+        return ['/package.json'];
+    }
+    const globs = workspaces.filter(x => typeof x == 'string');
+    const toPaths = (patterns) => patterns
+        .map(pattern => pattern.replace(/\\/g, '/').replace(/^\.?\/+|\/+$/g, '').split('/'))
+        .reduce((acc, segments) => [...acc, ..._expandGlob(tree.root, segments)], [])
+        .map(dir => `${dir.path == '/' ? '' : dir.path}/package.json`)
+        .filter(path => tree.exists(path));
+    const excluded = toPaths(globs.filter(x => x.startsWith('!')).map(x => x.substr(1)));
+    const paths = [
+        '/package.json',
+        ...toPaths(globs.filter(x => !x.startsWith('!')))
+            .filter(path => excluded.indexOf(path) == -1)
+            .sort(),
+    ];
+    return paths.filter((path, i) => paths.indexOf(path) == i);
+}
+exports.findPackageJsonPaths = findPackageJsonPaths;
+/**
+ * Find the value of a property in a JSON object node. Like `JSON.parse()`, the last property
+ * wins if a key is duplicated.
+ * @private
+ */
+function _findPropertyValue(node, key) {
+    const properties = node.properties.filter(property => property.key.value == key);
+    return properties.length > 0 ? properties[properties.length - 1].value : null;
+}
+/**
+ * Get the whitespace that starts the line of an offset, if the line only has whitespace before
+ * that offset.
+ * @private
+ */
+function _getLineIndentation(content, offset) {
+    const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+    const indentation = content.substring(lineStart, offset);
+    return /^[ \t]*$/.test(indentation) ? indentation : null;
+}
+/**
+ * Insert a property in a JSON object node of some content. When the existing keys of a nested
+ * object are sorted, the property is inserted in order, otherwise it is added last. The
+ * indentation and line endings of the content are reused.
+ * @private
+ */
+function _insertProperty(content, node, depth, key, valueText) {
+    const eol = content.indexOf('\r\n') != -1 ? '\r\n' : '\n';
+    const root = core_1.parseJsonAst(content, core_1.JsonParseMode.Strict);
+    const unit = root.properties.length > 0
+        && _getLineIndentation(content, root.properties[0].start.offset) || '  ';
+    const entry = `${JSON.stringify(key)}: ${valueText}`;
+    const insert = (offset, text) => {
+        return content.substr(0, offset) + text + content.substr(offset);
+    };
+    if (node.properties.length == 0) {
+        return content.substr(0, node.start.offset)
+            + `{${eol}${unit.repeat(depth + 1)}${entry}${eol}${unit.repeat(depth)}}`
+            + content.substr(node.end.offset);
+    }
+    const keys = node.properties.map(property => '' + property.key.value);
+    // The keys of package.json itself are never sorted, only its dependencies are.
+    const isSorted = depth > 0 && keys.every((x, i) => i == 0 || keys[i - 1] <= x);
+    const next = isSorted ? node.properties.find(property => '' + property.key.value > key) : null;
+    const reference = next || node.properties[node.properties.length - 1];
+    const indentation = _getLineIndentation(content, reference.start.offset);
+    const multiline = indentation !== null && node.start.line != reference.start.line;
+    if (next) {
+        return insert(next.start.offset, entry + (multiline ? `,${eol}${indentation}` : ', '));
+    }
+    else {
+        return insert(reference.value.end.offset, (multiline ? `,${eol}${indentation}` : ', ') + entry);
+    }
+}
+/**
+ * Add a dependency to a package.json content, creating its dependency field if needed.
+ * @private
+ */
+function _addDependency(content, path, change) {
+    const ast = core_1.parseJsonAst(content, core_1.JsonParseMode.Strict);
+    const deps = _findPropertyValue(ast, change.field);
+    if (!deps) {
+        return _addDependency(_insertProperty(content, ast, 0, change.field, '{}'), path, change);
+    }
+    else if (deps.kind != 'object') {
+        throw new schematics_1.SchematicsException(`Invalid "${change.field}" field in ${path}.`);
+    }
+    return _insertProperty(content, deps, 1, change.name, JSON.stringify(change.target));
+}
+/**
+ * Apply changes to the package.json files of the tree. Only the changed version strings are
+ * replaced, and added dependencies are inserted next to the others, so the indentation, key
+ * order, line endings and final newline of each file are preserved.
+ * @param {Tree} tree The tree to modify.
+ * @param {PackageJsonChange[]} changes The changes to apply.
+ */
+function applyPackageJsonChanges(tree, changes) {
+    const paths = changes
+        .map(change => change.path)
+        .filter((path, i, all) => all.indexOf(path) == i);
+    for (const path of paths) {
+        const packageJsonContent = tree.read(path);
+        if (!packageJsonContent) {
+            throw new schematics_1.SchematicsException(`Could not find ${path}.`);
+        }
+        const content = packageJsonContent.toString();
+        const ast = core_1.parseJsonAst(content, core_1.JsonParseMode.Strict);
+        if (ast.kind != 'object') {
+            throw new schematics_1.SchematicsException(`Could not parse ${path}.`);
+        }
+        const edits = [];
+        const additions = [];
+        for (const change of changes.filter(x => x.path == path)) {
+            const deps = _findPropertyValue(ast, change.field);
+            const value = deps && deps.kind == 'object' ? _findPropertyValue(deps, change.name) : null;
+            if (value && value.kind == 'string') {
+                edits.push({
+                    start: value.start.offset,
+                    end: value.end.offset,
+                    text: JSON.stringify(change.target),
+                });
+            }
+            else if (!value && change.current === null) {
+                additions.push(change);
+            }
+        }
+        // Apply the edits from the end of the file, so the offsets of the others stay valid. Each
+        // addition then parses the content again.
+        const newContent = additions.reduce((acc, change) => _addDependency(acc, path, change), edits
+            .sort((a, b) => b.start - a.start)
+            .reduce((acc, e) => acc.substr(0, e.start) + e.text + acc.substr(e.end), content));
+        if (newContent != content) {
+            tree.overwrite(path, newContent);
+        }
+    }
+}
+exports.applyPackageJsonChanges = applyPackageJsonChanges;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoid29ya3NwYWNlLmpzIiwic291cmNlUm9vdCI6Ii4vIiwic291cmNlcyI6WyJwYWNrYWdlcy9zY2hlbWF0aWNzL3BhY2thZ2VfdXBkYXRlL3V0aWxpdHkvd29ya3NwYWNlLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiI7O0FBQUE7Ozs7OztHQU1HO0FBQ0gsK0NBTzhCO0FBQzlCLDJEQUFpRjtBQW9CakY7Ozs7O0dBS0c7QUFDSCx5QkFBZ0MsSUFBVSxFQUFFLElBQVk7SUFDdEQsTUFBTSxrQkFBa0IsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQzNDLEVBQUUsQ0FBQyxDQUFDLENBQUMsa0JBQWtCLENBQUMsQ0FBQyxDQUFDO1FBQ3hCLE1BQU0sSUFBSSxnQ0FBbUIsQ0FBQyxrQkFBa0IsSUFBSSxHQUFHLENBQUMsQ0FBQztJQUMzRCxDQUFDO0lBQ0QsTUFBTSxXQUFXLEdBQUcsZ0JBQVMsQ0FBQyxrQkFBa0IsQ0FBQyxRQUFRLEVBQUUsRUFBRSxvQkFBYSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ25GLEVBQUUsQ0FBQyxDQUFDLFdBQVcsS0FBSyxJQUFJLElBQUksT0FBTyxXQUFXLEtBQUssUUFBUSxJQUFJLEtBQUssQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzFGLE1BQU0sSUFBSSxnQ0FBbUIsQ0FBQyxtQkFBbUIsSUFBSSxHQUFHLENBQUMsQ0FBQztJQUM1RCxDQUFDO0lBRUQsTUFBTSxDQUFDLFdBQVcsQ0FBQztBQUNyQixDQUFDO0FBWEQsMENBV0M7QUFFRDs7O0dBR0c7QUFDSCxtQ0FBbUMsSUFBWTtJQUM3QyxNQUFNLFVBQVUsR0FBRyxHQUFHLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLGVBQWUsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUUvRSxNQUFNLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQyxlQUFlLENBQUMsSUFBSSxVQUFVLElBQUksZUFBZTtRQUMxRSxDQUFDLENBQUMsVUFBVTtRQUNaLENBQUMsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsR0FBRyxlQUFlLENBQUM7QUFDdEQsQ0FBQztBQUVEOzs7R0FHRztBQUNILDBCQUEwQixPQUFlO0lBQ3ZDLE1BQU0sTUFBTSxHQUFHLE9BQU87U0FDbkIsT0FBTyxDQUFDLG1CQUFtQixFQUFFLE1BQU0sQ0FBQztTQUNwQyxPQUFPLENBQUMsS0FBSyxFQUFFLE9BQU8sQ0FBQztTQUN2QixPQUFPLENBQUMsS0FBSyxFQUFFLE1BQU0sQ0FBQyxDQUFDO0lBRTFCLE1BQU0sQ0FBQyxJQUFJLE1BQU0sQ0FBQyxJQUFJLE1BQU0sR0FBRyxDQUFDLENBQUM7QUFDbkMsQ0FBQztBQUVEOzs7O0dBSUc7QUFDSCxxQkFBcUIsR0FBYSxFQUFFLFFBQWtCO0lBQ3BELEVBQUUsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxNQUFNLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN6QixNQUFNLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUNmLENBQUM7SUFFRCxNQUFNLENBQUMsT0FBTyxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsUUFBUSxDQUFDO0lBQ3BDLE1BQU0sT0FBTyxHQUFHLEdBQUcsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxJQUFJLGNBQWMsQ0FBQyxDQUFDO0lBRW5FLEVBQUUsQ0FBQyxDQUFDLE9BQU8sSUFBSSxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBQ3BCLE1BQU0sQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUNuQixDQUFDLEdBQUcsRUFBRSxJQUFJLEVBQUUsRUFBRSxDQUFDLENBQUMsR0FBRyxHQUFHLEVBQUUsR0FBRyxXQUFXLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxRQUFRLENBQUMsQ0FBQyxFQUNoRSxXQUFXLENBQUMsR0FBRyxFQUFFLElBQUksQ0FBQyxDQUN2QixDQUFDO0lBQ0osQ0FBQztJQUVELE1BQU0sTUFBTSxHQUFHLGdCQUFnQixDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBRXpDLE1BQU0sQ0FBQyxPQUFPO1NBQ1gsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztTQUNqQyxNQUFNLENBQUMsQ0FBQyxHQUFHLEVBQUUsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDLEdBQUcsR0FBRyxFQUFFLEdBQUcsV0FBVyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUMsRUFBRSxFQUFnQixDQUFDLENBQUM7QUFDNUYsQ0FBQztBQUVEOzs7Ozs7O0dBT0c7QUFDSCw4QkFBcUMsSUFBVSxFQUFFLGdCQUEyQjtJQUMxRSxFQUFFLENBQUMsQ0FBQyxnQkFBZ0IsSUFBSSxnQkFBZ0IsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNwRCxNQUFNLEtBQUssR0FBRyxnQkFBZ0IsQ0FBQyxHQUFHLENBQUMseUJBQXlCLENBQUMsQ0FBQztRQUM5RCxHQUFHLENBQUMsQ0FBQyxNQUFNLElBQUksSUFBSSxLQUFLLENBQUMsQ0FBQyxDQUFDO1lBQ3pCLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQ3ZCLE1BQU0sSUFBSSxnQ0FBbUIsQ0FBQyxrQkFBa0IsSUFBSSxHQUFHLENBQUMsQ0FBQztZQUMzRCxDQUFDO1FBQ0gsQ0FBQztRQUVELE1BQU0sQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztJQUM3RCxDQUFDO0lBRUQsTUFBTSxlQUFlLEdBQUcsZUFBZSxDQUFDLElBQUksRUFBRSxlQUFlLENBQUMsQ0FBQztJQUMvRCxJQUFJLFVBQVUsR0FBRyxlQUFlLENBQUMsWUFBWSxDQUFDLENBQUM7SUFDL0MsRUFBRSxDQUFDLENBQUMsVUFBVSxJQUFJLE9BQU8sVUFBVSxJQUFJLFFBQVEsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzlFLGdFQUFnRTtRQUNoRSxVQUFVLEdBQUcsVUFBVSxDQUFDLFVBQVUsQ0FBQyxDQUFDO0lBQ3RDLENBQUM7SUFDRCxFQUFFLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQy9CLE1BQU0sQ0FBQyxDQUFDLGVBQWUsQ0FBQyxDQUFDO0lBQzNCLENBQUM7SUFFRCxNQUFNLEtBQUssR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksUUFBUSxDQUFhLENBQUM7SUFDdkUsTUFBTSxPQUFPLEdBQUcsQ0FBQyxRQUFrQixFQUFFLEVBQUUsQ0FBQyxRQUFRO1NBQzdDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxlQUFlLEVBQUUsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1NBQ25GLE1BQU0sQ0FBQyxDQUFDLEdBQUcsRUFBRSxRQUFRLEVBQUUsRUFBRSxDQUFDLENBQUMsR0FBRyxHQUFHLEVBQUUsR0FBRyxXQUFXLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxRQUFRLENBQUMsQ0FBQyxFQUFFLEVBQWdCLENBQUM7U0FDMUYsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxHQUFHLENBQUMsSUFBSSxJQUFJLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxlQUFlLENBQUM7U0FDN0QsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBRXJDLE1BQU0sUUFBUSxHQUFHLE9BQU8sQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3JGLE1BQU0sS0FBSyxHQUFHO1FBQ1osZUFBZTtRQUNmLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQzthQUM5QyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO2FBQzVDLElBQUksRUFBRTtLQUNWLENBQUM7SUFFRixNQUFNLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7QUFDN0QsQ0FBQztBQXRDRCxvREFzQ0M7QUFFRDs7OztHQUlHO0FBQ0gsNEJBQTRCLElBQW1CLEVBQUUsR0FBVztJQUMxRCxNQUFNLFVBQVUsR0FBRyxJQUFJLENBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsS0FBSyxJQUFJLEdBQUcsQ0FBQyxDQUFDO0lBRWpGLE1BQU0sQ0FBQyxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7QUFDaEYsQ0FBQztBQUVEOzs7O0dBSUc7QUFDSCw2QkFBNkIsT0FBZSxFQUFFLE1BQWM7SUFDMUQsTUFBTSxTQUFTLEdBQUcsT0FBTyxDQUFDLFdBQVcsQ0FBQyxJQUFJLEVBQUUsTUFBTSxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUM1RCxNQUFNLFdBQVcsR0FBRyxPQUFPLENBQUMsU0FBUyxDQUFDLFNBQVMsRUFBRSxNQUFNLENBQUMsQ0FBQztJQUV6RCxNQUFNLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7QUFDM0QsQ0FBQztBQUVEOzs7OztHQUtHO0FBQ0gseUJBQ0UsT0FBZSxFQUNmLElBQW1CLEVBQ25CLEtBQWEsRUFDYixHQUFXLEVBQ1gsU0FBaUI7SUFFakIsTUFBTSxHQUFHLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7SUFDMUQsTUFBTSxJQUFJLEdBQUcsbUJBQVksQ0FBQyxPQUFPLEVBQUUsb0JBQWEsQ0FBQyxNQUFNLENBQWtCLENBQUM7SUFDMUUsTUFBTSxJQUFJLEdBQUcsSUFBSSxDQUFDLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQztXQUNsQyxtQkFBbUIsQ0FBQyxPQUFPLEVBQUUsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLElBQUksSUFBSSxDQUFDO0lBQzNFLE1BQU0sS0FBSyxHQUFHLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsS0FBSyxTQUFTLEVBQUUsQ0FBQztJQUNyRCxNQUFNLE1BQU0sR0FBRyxDQUFDLE1BQWMsRUFBRSxJQUFZLEVBQUUsRUFBRTtRQUM5QyxNQUFNLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDLEdBQUcsSUFBSSxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDbkUsQ0FBQyxDQUFDO0lBRUYsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxNQUFNLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNoQyxNQUFNLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUM7Y0FDdkMsSUFBSSxHQUFHLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsS0FBSyxHQUFHLEdBQUcsR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHO2NBQ3RFLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUN0QyxDQUFDO0lBRUQsTUFBTSxJQUFJLEdBQUcsSUFBSSxDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUN0RSwrRUFBK0U7SUFDL0UsTUFBTSxRQUFRLEdBQUcsS0FBSyxHQUFHLENBQUMsSUFBSSxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBQy9FLE1BQU0sSUFBSSxHQUFHLFFBQVEsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxLQUFLLEdBQUcsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUMvRixNQUFNLFNBQVMsR0FBRyxJQUFJLElBQUksSUFBSSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztJQUN0RSxNQUFNLFdBQVcsR0FBRyxtQkFBbUIsQ0FBQyxPQUFPLEVBQUUsU0FBUyxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUN6RSxNQUFNLFNBQVMsR0FBRyxXQUFXLEtBQUssSUFBSSxJQUFJLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxJQUFJLFNBQVMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDO0lBRWxGLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7UUFDVCxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxFQUFFLEtBQUssR0FBRyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsSUFBSSxHQUFHLEdBQUcsV0FBVyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7SUFDekYsQ0FBQztJQUFDLElBQUksQ0FBQyxDQUFDO1FBQ04sTUFBTSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLElBQUksR0FBRyxHQUFHLFdBQVcsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxLQUFLLENBQUMsQ0FBQztJQUNsRyxDQUFDO0FBQ0gsQ0FBQztBQUVEOzs7R0FHRztBQUNILHdCQUF3QixPQUFlLEVBQUUsSUFBWSxFQUFFLE1BQXlCO0lBQzlFLE1BQU0sR0FBRyxHQUFHLG1CQUFZLENBQUMsT0FBTyxFQUFFLG9CQUFhLENBQUMsTUFBTSxDQUFrQixDQUFDO0lBQ3pFLE1BQU0sSUFBSSxHQUFHLGtCQUFrQixDQUFDLEdBQUcsRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7SUFFbkQsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBQ1YsTUFBTSxDQUFDLGNBQWMsQ0FBQyxlQUFlLENBQUMsT0FBTyxFQUFFLEdBQUcsRUFBRSxDQUFDLEVBQUUsTUFBTSxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsTUFBTSxDQUFDLENBQUM7SUFDNUYsQ0FBQztJQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxJQUFJLFFBQVEsQ0FBQyxDQUFDLENBQUM7UUFDakMsTUFBTSxJQUFJLGdDQUFtQixDQUFDLFlBQVksTUFBTSxDQUFDLEtBQUssY0FBYyxJQUFJLEdBQUcsQ0FBQyxDQUFDO0lBQy9FLENBQUM7SUFFRCxNQUFNLENBQUMsZUFBZSxDQUFDLE9BQU8sRUFBRSxJQUFJLEVBQUUsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxJQUFJLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztBQUN2RixDQUFDO0FBRUQ7Ozs7OztHQU1HO0FBQ0gsaUNBQXdDLElBQVUsRUFBRSxPQUE0QjtJQUM5RSxNQUFNLEtBQUssR0FBRyxPQUFPO1NBQ2xCLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUM7U0FDMUIsTUFBTSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7SUFFcEQsR0FBRyxDQUFDLENBQUMsTUFBTSxJQUFJLElBQUksS0FBSyxDQUFDLENBQUMsQ0FBQztRQUN6QixNQUFNLGtCQUFrQixHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDM0MsRUFBRSxDQUFDLENBQUMsQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDLENBQUM7WUFDeEIsTUFBTSxJQUFJLGdDQUFtQixDQUFDLGtCQUFrQixJQUFJLEdBQUcsQ0FBQyxDQUFDO1FBQzNELENBQUM7UUFDRCxNQUFNLE9BQU8sR0FBRyxrQkFBa0IsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUM5QyxNQUFNLEdBQUcsR0FBRyxtQkFBWSxDQUFDLE9BQU8sRUFBRSxvQkFBYSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ3hELEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLElBQUksUUFBUSxDQUFDLENBQUMsQ0FBQztZQUN6QixNQUFNLElBQUksZ0NBQW1CLENBQUMsbUJBQW1CLElBQUksR0FBRyxDQUFDLENBQUM7UUFDNUQsQ0FBQztRQUVELE1BQU0sS0FBSyxHQUFtRCxFQUFFLENBQUM7UUFDakUsTUFBTSxTQUFTLEdBQXdCLEVBQUUsQ0FBQztRQUMxQyxHQUFHLENBQUMsQ0FBQyxNQUFNLE1BQU0sSUFBSSxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksSUFBSSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDekQsTUFBTSxJQUFJLEdBQUcsa0JBQWtCLENBQUMsR0FBRyxFQUFFLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNuRCxNQUFNLEtBQUssR0FBRyxJQUFJLElBQUksSUFBSSxDQUFDLElBQUksSUFBSSxRQUFRLENBQUMsQ0FBQyxDQUFDLGtCQUFrQixDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztZQUMzRixFQUFFLENBQUMsQ0FBQyxLQUFLLElBQUksS0FBSyxDQUFDLElBQUksSUFBSSxRQUFRLENBQUMsQ0FBQyxDQUFDO2dCQUNwQyxLQUFLLENBQUMsSUFBSSxDQUFDO29CQUNULEtBQUssRUFBRSxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU07b0JBQ3pCLEdBQUcsRUFBRSxLQUFLLENBQUMsR0FBRyxDQUFDLE1BQU07b0JBQ3JCLElBQUksRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUM7aUJBQ3BDLENBQUMsQ0FBQztZQUNMLENBQUM7WUFBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxLQUFLLElBQUksTUFBTSxDQUFDLE9BQU8sS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDO2dCQUM3QyxTQUFTLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQ3pCLENBQUM7UUFDSCxDQUFDO1FBRUQsMEZBQTBGO1FBQzFGLDBDQUEwQztRQUMxQyxNQUFNLFVBQVUsR0FBRyxTQUFTLENBQUMsTUFBTSxDQUNqQyxDQUFDLEdBQUcsRUFBRSxNQUFNLEVBQUUsRUFBRSxDQUFDLGNBQWMsQ0FBQyxHQUFHLEVBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxFQUNsRCxLQUFLO2FBQ0YsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsS0FBSyxDQUFDO2FBQ2pDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxHQUFHLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxDQUNwRixDQUFDO1FBQ0YsRUFBRSxDQUFDLENBQUMsVUFBVSxJQUFJLE9BQU8sQ0FBQyxDQUFDLENBQUM7WUFDMUIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLEVBQUUsVUFBVSxDQUFDLENBQUM7UUFDbkMsQ0FBQztJQUNILENBQUM7QUFDSCxDQUFDO0FBNUNELDBEQTRDQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgSW5jLiBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cbmltcG9ydCB7XG4gIEpzb25Bc3ROb2RlLFxuICBKc29uQXN0T2JqZWN0LFxuICBKc29uT2JqZWN0LFxuICBKc29uUGFyc2VNb2RlLFxuICBwYXJzZUpzb24sXG4gIHBhcnNlSnNvbkFzdCxcbn0gZnJvbSAnQGFuZ3VsYXItZGV2a2l0L2NvcmUnO1xuaW1wb3J0IHsgRGlyRW50cnksIFNjaGVtYXRpY3NFeGNlcHRpb24sIFRyZWUgfSBmcm9tICdAYW5ndWxhci1kZXZraXQvc2NoZW1hdGljcyc7XG5cblxuLyoqXG4gKiBBIGNoYW5nZSBvZiB0aGUgcmFuZ2Ugb2YgYSBkZXBlbmRlbmN5IGluIGEgcGFja2FnZS5qc29uLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIFBhY2thZ2VKc29uQ2hhbmdlIHtcbiAgLyoqIFRoZSBuYW1lIG9mIHRoZSBkZXBlbmRlbmN5LiAqL1xuICBuYW1lOiBzdHJpbmc7XG4gIC8qKiBUaGUgcGF0aCBvZiB0aGUgcGFja2FnZS5qc29uIGluIHRoZSB0cmVlLiAqL1xuICBwYXRoOiBzdHJpbmc7XG4gIC8qKiBUaGUgZmllbGQgdGhlIGRlcGVuZGVuY3kgbGl2ZXMgaW4gKGUuZy4gYGRldkRlcGVuZGVuY2llc2ApLiAqL1xuICBmaWVsZDogc3RyaW5nO1xuICAvKiogVGhlIHJhbmdlIGN1cnJlbnRseSBpbiBwYWNrYWdlLmpzb24sIG9yIG51bGwgaWYgdGhlIGRlcGVuZGVuY3kgaXMgYWRkZWQuICovXG4gIGN1cnJlbnQ6IHN0cmluZyB8IG51bGw7XG4gIC8qKiBUaGUgcmFuZ2UgdGhhdCB3aWxsIGJlIHdyaXR0ZW4gdG8gcGFja2FnZS5qc29uLiAqL1xuICB0YXJnZXQ6IHN0cmluZztcbn1cblxuXG4vKipcbiAqIFJlYWQgYW5kIHBhcnNlIGEgcGFja2FnZS5qc29uIGZyb20gdGhlIHRyZWUuXG4gKiBAcGFyYW0ge1RyZWV9IHRyZWUgVGhlIHRyZWUgdG8gcmVhZCBmcm9tLlxuICogQHBhcmFtIHtzdHJpbmd9IHBhdGggVGhlIHBhdGggb2YgdGhlIHBhY2thZ2UuanNvbi5cbiAqIEByZXR1cm5zIHtKc29uT2JqZWN0fSBUaGUgcGFyc2VkIHBhY2thZ2UuanNvbi5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIHJlYWRQYWNrYWdlSnNvbih0cmVlOiBUcmVlLCBwYXRoOiBzdHJpbmcpOiBKc29uT2JqZWN0IHtcbiAgY29uc3QgcGFja2FnZUpzb25Db250ZW50ID0gdHJlZS5yZWFkKHBhdGgpO1xuICBpZiAoIXBhY2thZ2VKc29uQ29udGVudCkge1xuICAgIHRocm93IG5ldyBTY2hlbWF0aWNzRXhjZXB0aW9uKGBDb3VsZCBub3QgZmluZCAke3BhdGh9LmApO1xuICB9XG4gIGNvbnN0IHBhY2thZ2VKc29uID0gcGFyc2VKc29uKHBhY2thZ2VKc29uQ29udGVudC50b1N0cmluZygpLCBKc29uUGFyc2VNb2RlLlN0cmljdCk7XG4gIGlmIChwYWNrYWdlSnNvbiA9PT0gbnVsbCB8fCB0eXBlb2YgcGFja2FnZUpzb24gIT09ICdvYmplY3QnIHx8IEFycmF5LmlzQXJyYXkocGFja2FnZUpzb24pKSB7XG4gICAgdGhyb3cgbmV3IFNjaGVtYXRpY3NFeGNlcHRpb24oYENvdWxkIG5vdCBwYXJzZSAke3BhdGh9LmApO1xuICB9XG5cbiAgcmV0dXJuIHBhY2thZ2VKc29uO1xufVxuXG4vKipcbiAqIE5vcm1hbGl6ZSBhIHBhdGggdG8gYSBwYWNrYWdlLmpzb24sIG9yIHRvIGl0cyBkaXJlY3RvcnksIGludG8gYW4gYWJzb2x1dGUgcGF0aCB0byB0aGUgZmlsZS5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9ub3JtYWxpemVQYWNrYWdlSnNvblBhdGgocGF0aDogc3RyaW5nKTogc3RyaW5nIHtcbiAgY29uc3Qgbm9ybWFsaXplZCA9ICcvJyArIHBhdGgucmVwbGFjZSgvXFxcXC9nLCAnLycpLnJlcGxhY2UoL15cXC4/XFwvK3xcXC8rJC9nLCAnJyk7XG5cbiAgcmV0dXJuIG5vcm1hbGl6ZWQuZW5kc1dpdGgoJy9wYWNrYWdlLmpzb24nKSB8fCBub3JtYWxpemVkID09ICcvcGFja2FnZS5qc29uJ1xuICAgID8gbm9ybWFsaXplZFxuICAgIDogbm9ybWFsaXplZC5yZXBsYWNlKC9cXC8kLywgJycpICsgJy9wYWNrYWdlLmpzb24nO1xufVxuXG4vKipcbiAqIENvbnZlcnQgYSBnbG9iIHNlZ21lbnQgKGUuZy4gYGxpYi0qYCkgdG8gYSByZWd1bGFyIGV4cHJlc3Npb24uXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfc2VnbWVudFRvUmVnRXhwKHNlZ21lbnQ6IHN0cmluZyk6IFJlZ0V4cCB7XG4gIGNvbnN0IHNvdXJjZSA9IHNlZ21lbnRcbiAgICAucmVwbGFjZSgvWy4rXiR7fSgpfFtcXF1cXFxcXS9nLCAnXFxcXCQmJylcbiAgICAucmVwbGFjZSgvXFwqL2csICdbXi9dKicpXG4gICAgLnJlcGxhY2UoL1xcPy9nLCAnW14vXScpO1xuXG4gIHJldHVybiBuZXcgUmVnRXhwKGBeJHtzb3VyY2V9JGApO1xufVxuXG4vKipcbiAqIEZpbmQgdGhlIGRpcmVjdG9yaWVzIG9mIHRoZSB0cmVlIHRoYXQgbWF0Y2ggYSB3b3Jrc3BhY2UgZ2xvYiwgZS5nLiBgcGFja2FnZXMvKmAgb3JcbiAqIGBwcm9qZWN0cy8qKmAuIGBub2RlX21vZHVsZXNgIGRpcmVjdG9yaWVzIGFyZSBuZXZlciBtYXRjaGVkLlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX2V4cGFuZEdsb2IoZGlyOiBEaXJFbnRyeSwgc2VnbWVudHM6IHN0cmluZ1tdKTogRGlyRW50cnlbXSB7XG4gIGlmIChzZWdtZW50cy5sZW5ndGggPT0gMCkge1xuICAgIHJldHVybiBbZGlyXTtcbiAgfVxuXG4gIGNvbnN0IFtzZWdtZW50LCAuLi5yZXN0XSA9IHNlZ21lbnRzO1xuICBjb25zdCBzdWJkaXJzID0gZGlyLnN1YmRpcnMuZmlsdGVyKG5hbWUgPT4gbmFtZSAhPSAnbm9kZV9tb2R1bGVzJyk7XG5cbiAgaWYgKHNlZ21lbnQgPT0gJyoqJykge1xuICAgIHJldHVybiBzdWJkaXJzLnJlZHVjZShcbiAgICAgIChhY2MsIG5hbWUpID0+IFsuLi5hY2MsIC4uLl9leHBhbmRHbG9iKGRpci5kaXIobmFtZSksIHNlZ21lbnRzKV0sXG4gICAgICBfZXhwYW5kR2xvYihkaXIsIHJlc3QpLFxuICAgICk7XG4gIH1cblxuICBjb25zdCByZWdleHAgPSBfc2VnbWVudFRvUmVnRXhwKHNlZ21lbnQpO1xuXG4gIHJldHVybiBzdWJkaXJzXG4gICAgLmZpbHRlcihuYW1lID0+IHJlZ2V4cC50ZXN0KG5hbWUpKVxuICAgIC5yZWR1Y2UoKGFjYywgbmFtZSkgPT4gWy4uLmFjYywgLi4uX2V4cGFuZEdsb2IoZGlyLmRpcihuYW1lKSwgcmVzdCldLCBbXSBhcyBEaXJFbnRyeVtdKTtcbn1cblxuLyoqXG4gKiBGaW5kIGFsbCB0aGUgcGFja2FnZS5qc29uIGZpbGVzIG9mIHRoZSBwcm9qZWN0LiBXaGVuIGBwYWNrYWdlSnNvblBhdGhzYCBpcyBnaXZlbiwgdGhvc2UgYXJlXG4gKiB1c2VkIChyZWxhdGl2ZSB0byB0aGUgcm9vdCBvZiB0aGUgdHJlZSwgYXMgZmlsZXMgb3IgZGlyZWN0b3JpZXMpLiBPdGhlcndpc2UgdGhlIHJvb3RcbiAqIHBhY2thZ2UuanNvbiBpcyB1c2VkLCBhbG9uZyB3aXRoIHRoZSBwYWNrYWdlcyBvZiBpdHMgbnBtL3lhcm4gYHdvcmtzcGFjZXNgIGZpZWxkLlxuICogQHBhcmFtIHtUcmVlfSB0cmVlIFRoZSB0cmVlIHRvIGxvb2sgaW50by5cbiAqIEBwYXJhbSB7c3RyaW5nW119IHBhY2thZ2VKc29uUGF0aHMgRXhwbGljaXQgcGF0aHMgdG8gdXNlLCBpZiBhbnkuXG4gKiBAcmV0dXJucyB7c3RyaW5nW119IFRoZSBhYnNvbHV0ZSBwYXRocyBvZiB0aGUgcGFja2FnZS5qc29uIGZpbGVzLCByb290IGZpcnN0LlxuICovXG5leHBvcnQgZnVuY3Rpb24gZmluZFBhY2thZ2VKc29uUGF0aHModHJlZTogVHJlZSwgcGFja2FnZUpzb25QYXRocz86IHN0cmluZ1tdKTogc3RyaW5nW10ge1xuICBpZiAocGFja2FnZUpzb25QYXRocyAmJiBwYWNrYWdlSnNvblBhdGhzLmxlbmd0aCA+IDApIHtcbiAgICBjb25zdCBwYXRocyA9IHBhY2thZ2VKc29uUGF0aHMubWFwKF9ub3JtYWxpemVQYWNrYWdlSnNvblBhdGgpO1xuICAgIGZvciAoY29uc3QgcGF0aCBvZiBwYXRocykge1xuICAgICAgaWYgKCF0cmVlLmV4aXN0cyhwYXRoKSkge1xuICAgICAgICB0aHJvdyBuZXcgU2NoZW1hdGljc0V4Y2VwdGlvbihgQ291bGQgbm90IGZpbmQgJHtwYXRofS5gKTtcbiAgICAgIH1cbiAgICB9XG5cbiAgICByZXR1cm4gcGF0aHMuZmlsdGVyKChwYXRoLCBpKSA9PiBwYXRocy5pbmRleE9mKHBhdGgpID09IGkpO1xuICB9XG5cbiAgY29uc3Qgcm9vdFBhY2thZ2VKc29uID0gcmVhZFBhY2thZ2VKc29uKHRyZWUsICcvcGFja2FnZS5qc29uJyk7XG4gIGxldCB3b3Jrc3BhY2VzID0gcm9vdFBhY2thZ2VKc29uWyd3b3Jrc3BhY2VzJ107XG4gIGlmICh3b3Jrc3BhY2VzICYmIHR5cGVvZiB3b3Jrc3BhY2VzID09ICdvYmplY3QnICYmICFBcnJheS5pc0FycmF5KHdvcmtzcGFjZXMpKSB7XG4gICAgLy8gWWFybiBhbHNvIHN1cHBvcnRzIGB7IFwicGFja2FnZXNcIjogWy4uLl0sIFwibm9ob2lzdFwiOiBbLi4uXSB9YC5cbiAgICB3b3Jrc3BhY2VzID0gd29ya3NwYWNlc1sncGFja2FnZXMnXTtcbiAgfVxuICBpZiAoIUFycmF5LmlzQXJyYXkod29ya3NwYWNlcykpIHtcbiAgICByZXR1cm4gWycvcGFja2FnZS5qc29uJ107XG4gIH1cblxuICBjb25zdCBnbG9icyA9IHdvcmtzcGFjZXMuZmlsdGVyKHggPT4gdHlwZW9mIHggPT0gJ3N0cmluZycpIGFzIHN0cmluZ1tdO1xuICBjb25zdCB0b1BhdGhzID0gKHBhdHRlcm5zOiBzdHJpbmdbXSkgPT4gcGF0dGVybnNcbiAgICAubWFwKHBhdHRlcm4gPT4gcGF0dGVybi5yZXBsYWNlKC9cXFxcL2csICcvJykucmVwbGFjZSgvXlxcLj9cXC8rfFxcLyskL2csICcnKS5zcGxpdCgnLycpKVxuICAgIC5yZWR1Y2UoKGFjYywgc2VnbWVudHMpID0+IFsuLi5hY2MsIC4uLl9leHBhbmRHbG9iKHRyZWUucm9vdCwgc2VnbWVudHMpXSwgW10gYXMgRGlyRW50cnlbXSlcbiAgICAubWFwKGRpciA9PiBgJHtkaXIucGF0aCA9PSAnLycgPyAnJyA6IGRpci5wYXRofS9wYWNrYWdlLmpzb25gKVxuICAgIC5maWx0ZXIocGF0aCA9PiB0cmVlLmV4aXN0cyhwYXRoKSk7XG5cbiAgY29uc3QgZXhjbHVkZWQgPSB0b1BhdGhzKGdsb2JzLmZpbHRlcih4ID0+IHguc3RhcnRzV2l0aCgnIScpKS5tYXAoeCA9PiB4LnN1YnN0cigxKSkpO1xuICBjb25zdCBwYXRocyA9IFtcbiAgICAnL3BhY2thZ2UuanNvbicsXG4gICAgLi4udG9QYXRocyhnbG9icy5maWx0ZXIoeCA9PiAheC5zdGFydHNXaXRoKCchJykpKVxuICAgICAgLmZpbHRlcihwYXRoID0+IGV4Y2x1ZGVkLmluZGV4T2YocGF0aCkgPT0gLTEpXG4gICAgICAuc29ydCgpLFxuICBdO1xuXG4gIHJldHVybiBwYXRocy5maWx0ZXIoKHBhdGgsIGkpID0+IHBhdGhzLmluZGV4T2YocGF0aCkgPT0gaSk7XG59XG5cbi8qKlxuICogRmluZCB0aGUgdmFsdWUgb2YgYSBwcm9wZXJ0eSBpbiBhIEpTT04gb2JqZWN0IG5vZGUuIExpa2UgYEpTT04ucGFyc2UoKWAsIHRoZSBsYXN0IHByb3BlcnR5XG4gKiB3aW5zIGlmIGEga2V5IGlzIGR1cGxpY2F0ZWQuXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfZmluZFByb3BlcnR5VmFsdWUobm9kZTogSnNvbkFzdE9iamVjdCwga2V5OiBzdHJpbmcpOiBKc29uQXN0Tm9kZSB8IG51bGwge1xuICBjb25zdCBwcm9wZXJ0aWVzID0gbm9kZS5wcm9wZXJ0aWVzLmZpbHRlcihwcm9wZXJ0eSA9PiBwcm9wZXJ0eS5rZXkudmFsdWUgPT0ga2V5KTtcblxuICByZXR1cm4gcHJvcGVydGllcy5sZW5ndGggPiAwID8gcHJvcGVydGllc1twcm9wZXJ0aWVzLmxlbmd0aCAtIDFdLnZhbHVlIDogbnVsbDtcbn1cblxuLyoqXG4gKiBHZXQgdGhlIHdoaXRlc3BhY2UgdGhhdCBzdGFydHMgdGhlIGxpbmUgb2YgYW4gb2Zmc2V0LCBpZiB0aGUgbGluZSBvbmx5IGhhcyB3aGl0ZXNwYWNlIGJlZm9yZVxuICogdGhhdCBvZmZzZXQuXG4gKiBAcHJpdmF0ZVxuICovXG5mdW5jdGlvbiBfZ2V0TGluZUluZGVudGF0aW9uKGNvbnRlbnQ6IHN0cmluZywgb2Zmc2V0OiBudW1iZXIpOiBzdHJpbmcgfCBudWxsIHtcbiAgY29uc3QgbGluZVN0YXJ0ID0gY29udGVudC5sYXN0SW5kZXhPZignXFxuJywgb2Zmc2V0IC0gMSkgKyAxO1xuICBjb25zdCBpbmRlbnRhdGlvbiA9IGNvbnRlbnQuc3Vic3RyaW5nKGxpbmVTdGFydCwgb2Zmc2V0KTtcblxuICByZXR1cm4gL15bIFxcdF0qJC8udGVzdChpbmRlbnRhdGlvbikgPyBpbmRlbnRhdGlvbiA6IG51bGw7XG59XG5cbi8qKlxuICogSW5zZXJ0IGEgcHJvcGVydHkgaW4gYSBKU09OIG9iamVjdCBub2RlIG9mIHNvbWUgY29udGVudC4gV2hlbiB0aGUgZXhpc3Rpbmcga2V5cyBvZiBhIG5lc3RlZFxuICogb2JqZWN0IGFyZSBzb3J0ZWQsIHRoZSBwcm9wZXJ0eSBpcyBpbnNlcnRlZCBpbiBvcmRlciwgb3RoZXJ3aXNlIGl0IGlzIGFkZGVkIGxhc3QuIFRoZVxuICogaW5kZW50YXRpb24gYW5kIGxpbmUgZW5kaW5ncyBvZiB0aGUgY29udGVudCBhcmUgcmV1c2VkLlxuICogQHByaXZhdGVcbiAqL1xuZnVuY3Rpb24gX2luc2VydFByb3BlcnR5KFxuICBjb250ZW50OiBzdHJpbmcsXG4gIG5vZGU6IEpzb25Bc3RPYmplY3QsXG4gIGRlcHRoOiBudW1iZXIsXG4gIGtleTogc3RyaW5nLFxuICB2YWx1ZVRleHQ6IHN0cmluZyxcbik6IHN0cmluZyB7XG4gIGNvbnN0IGVvbCA9IGNvbnRlbnQuaW5kZXhPZignXFxyXFxuJykgIT0gLTEgPyAnXFxyXFxuJyA6ICdcXG4nO1xuICBjb25zdCByb290ID0gcGFyc2VKc29uQXN0KGNvbnRlbnQsIEpzb25QYXJzZU1vZGUuU3RyaWN0KSBhcyBKc29uQXN0T2JqZWN0O1xuICBjb25zdCB1bml0ID0gcm9vdC5wcm9wZXJ0aWVzLmxlbmd0aCA+IDBcbiAgICAmJiBfZ2V0TGluZUluZGVudGF0aW9uKGNvbnRlbnQsIHJvb3QucHJvcGVydGllc1swXS5zdGFydC5vZmZzZXQpIHx8ICcgICc7XG4gIGNvbnN0IGVudHJ5ID0gYCR7SlNPTi5zdHJpbmdpZnkoa2V5KX06ICR7dmFsdWVUZXh0fWA7XG4gIGNvbnN0IGluc2VydCA9IChvZmZzZXQ6IG51bWJlciwgdGV4dDogc3RyaW5nKSA9PiB7XG4gICAgcmV0dXJuIGNvbnRlbnQuc3Vic3RyKDAsIG9mZnNldCkgKyB0ZXh0ICsgY29udGVudC5zdWJzdHIob2Zmc2V0KTtcbiAgfTtcblxuICBpZiAobm9kZS5wcm9wZXJ0aWVzLmxlbmd0aCA9PSAwKSB7XG4gICAgcmV0dXJuIGNvbnRlbnQuc3Vic3RyKDAsIG5vZGUuc3RhcnQub2Zmc2V0KVxuICAgICAgKyBgeyR7ZW9sfSR7dW5pdC5yZXBlYXQoZGVwdGggKyAxKX0ke2VudHJ5fSR7ZW9sfSR7dW5pdC5yZXBlYXQoZGVwdGgpfX1gXG4gICAgICArIGNvbnRlbnQuc3Vic3RyKG5vZGUuZW5kLm9mZnNldCk7XG4gIH1cblxuICBjb25zdCBrZXlzID0gbm9kZS5wcm9wZXJ0aWVzLm1hcChwcm9wZXJ0eSA9PiAnJyArIHByb3BlcnR5LmtleS52YWx1ZSk7XG4gIC8vIFRoZSBrZXlzIG9mIHBhY2thZ2UuanNvbiBpdHNlbGYgYXJlIG5ldmVyIHNvcnRlZCwgb25seSBpdHMgZGVwZW5kZW5jaWVzIGFyZS5cbiAgY29uc3QgaXNTb3J0ZWQgPSBkZXB0aCA+IDAgJiYga2V5cy5ldmVyeSgoeCwgaSkgPT4gaSA9PSAwIHx8IGtleXNbaSAtIDFdIDw9IHgpO1xuICBjb25zdCBuZXh0ID0gaXNTb3J0ZWQgPyBub2RlLnByb3BlcnRpZXMuZmluZChwcm9wZXJ0eSA9PiAnJyArIHByb3BlcnR5LmtleS52YWx1ZSA+IGtleSkgOiBudWxsO1xuICBjb25zdCByZWZlcmVuY2UgPSBuZXh0IHx8IG5vZGUucHJvcGVydGllc1tub2RlLnByb3BlcnRpZXMubGVuZ3RoIC0gMV07XG4gIGNvbnN0IGluZGVudGF0aW9uID0gX2dldExpbmVJbmRlbnRhdGlvbihjb250ZW50LCByZWZlcmVuY2Uuc3RhcnQub2Zmc2V0KTtcbiAgY29uc3QgbXVsdGlsaW5lID0gaW5kZW50YXRpb24gIT09IG51bGwgJiYgbm9kZS5zdGFydC5saW5lICE9IHJlZmVyZW5jZS5zdGFydC5saW5lO1xuXG4gIGlmIChuZXh0KSB7XG4gICAgcmV0dXJuIGluc2VydChuZXh0LnN0YXJ0Lm9mZnNldCwgZW50cnkgKyAobXVsdGlsaW5lID8gYCwke2VvbH0ke2luZGVudGF0aW9ufWAgOiAnLCAnKSk7XG4gIH0gZWxzZSB7XG4gICAgcmV0dXJuIGluc2VydChyZWZlcmVuY2UudmFsdWUuZW5kLm9mZnNldCwgKG11bHRpbGluZSA/IGAsJHtlb2x9JHtpbmRlbnRhdGlvbn1gIDogJywgJykgKyBlbnRyeSk7XG4gIH1cbn1cblxuLyoqXG4gKiBBZGQgYSBkZXBlbmRlbmN5IHRvIGEgcGFja2FnZS5qc29uIGNvbnRlbnQsIGNyZWF0aW5nIGl0cyBkZXBlbmRlbmN5IGZpZWxkIGlmIG5lZWRlZC5cbiAqIEBwcml2YXRlXG4gKi9cbmZ1bmN0aW9uIF9hZGREZXBlbmRlbmN5KGNvbnRlbnQ6IHN0cmluZywgcGF0aDogc3RyaW5nLCBjaGFuZ2U6IFBhY2thZ2VKc29uQ2hhbmdlKTogc3RyaW5nIHtcbiAgY29uc3QgYXN0ID0gcGFyc2VKc29uQXN0KGNvbnRlbnQsIEpzb25QYXJzZU1vZGUuU3RyaWN0KSBhcyBKc29uQXN0T2JqZWN0O1xuICBjb25zdCBkZXBzID0gX2ZpbmRQcm9wZXJ0eVZhbHVlKGFzdCwgY2hhbmdlLmZpZWxkKTtcblxuICBpZiAoIWRlcHMpIHtcbiAgICByZXR1cm4gX2FkZERlcGVuZGVuY3koX2luc2VydFByb3BlcnR5KGNvbnRlbnQsIGFzdCwgMCwgY2hhbmdlLmZpZWxkLCAne30nKSwgcGF0aCwgY2hhbmdlKTtcbiAgfSBlbHNlIGlmIChkZXBzLmtpbmQgIT0gJ29iamVjdCcpIHtcbiAgICB0aHJvdyBuZXcgU2NoZW1hdGljc0V4Y2VwdGlvbihgSW52YWxpZCBcIiR7Y2hhbmdlLmZpZWxkfVwiIGZpZWxkIGluICR7cGF0aH0uYCk7XG4gIH1cblxuICByZXR1cm4gX2luc2VydFByb3BlcnR5KGNvbnRlbnQsIGRlcHMsIDEsIGNoYW5nZS5uYW1lLCBKU09OLnN0cmluZ2lmeShjaGFuZ2UudGFyZ2V0KSk7XG59XG5cbi8qKlxuICogQXBwbHkgY2hhbmdlcyB0byB0aGUgcGFja2FnZS5qc29uIGZpbGVzIG9mIHRoZSB0cmVlLiBPbmx5IHRoZSBjaGFuZ2VkIHZlcnNpb24gc3RyaW5ncyBhcmVcbiAqIHJlcGxhY2VkLCBhbmQgYWRkZWQgZGVwZW5kZW5jaWVzIGFyZSBpbnNlcnRlZCBuZXh0IHRvIHRoZSBvdGhlcnMsIHNvIHRoZSBpbmRlbnRhdGlvbiwga2V5XG4gKiBvcmRlciwgbGluZSBlbmRpbmdzIGFuZCBmaW5hbCBuZXdsaW5lIG9mIGVhY2ggZmlsZSBhcmUgcHJlc2VydmVkLlxuICogQHBhcmFtIHtUcmVlfSB0cmVlIFRoZSB0cmVlIHRvIG1vZGlmeS5cbiAqIEBwYXJhbSB7UGFja2FnZUpzb25DaGFuZ2VbXX0gY2hhbmdlcyBUaGUgY2hhbmdlcyB0byBhcHBseS5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGFwcGx5UGFja2FnZUpzb25DaGFuZ2VzKHRyZWU6IFRyZWUsIGNoYW5nZXM6IFBhY2thZ2VKc29uQ2hhbmdlW10pIHtcbiAgY29uc3QgcGF0aHMgPSBjaGFuZ2VzXG4gICAgLm1hcChjaGFuZ2UgPT4gY2hhbmdlLnBhdGgpXG4gICAgLmZpbHRlcigocGF0aCwgaSwgYWxsKSA9PiBhbGwuaW5kZXhPZihwYXRoKSA9PSBpKTtcblxuICBmb3IgKGNvbnN0IHBhdGggb2YgcGF0aHMpIHtcbiAgICBjb25zdCBwYWNrYWdlSnNvbkNvbnRlbnQgPSB0cmVlLnJlYWQocGF0aCk7XG4gICAgaWYgKCFwYWNrYWdlSnNvbkNvbnRlbnQpIHtcbiAgICAgIHRocm93IG5ldyBTY2hlbWF0aWNzRXhjZXB0aW9uKGBDb3VsZCBub3QgZmluZCAke3BhdGh9LmApO1xuICAgIH1cbiAgICBjb25zdCBjb250ZW50ID0gcGFja2FnZUpzb25Db250ZW50LnRvU3RyaW5nKCk7XG4gICAgY29uc3QgYXN0ID0gcGFyc2VKc29uQXN0KGNvbnRlbnQsIEpzb25QYXJzZU1vZGUuU3RyaWN0KTtcbiAgICBpZiAoYXN0LmtpbmQgIT0gJ29iamVjdCcpIHtcbiAgICAgIHRocm93IG5ldyBTY2hlbWF0aWNzRXhjZXB0aW9uKGBDb3VsZCBub3QgcGFyc2UgJHtwYXRofS5gKTtcbiAgICB9XG5cbiAgICBjb25zdCBlZGl0czogeyBzdGFydDogbnVtYmVyLCBlbmQ6IG51bWJlciwgdGV4dDogc3RyaW5nIH1bXSA9IFtdO1xuICAgIGNvbnN0IGFkZGl0aW9uczogUGFja2FnZUpzb25DaGFuZ2VbXSA9IFtdO1xuICAgIGZvciAoY29uc3QgY2hhbmdlIG9mIGNoYW5nZXMuZmlsdGVyKHggPT4geC5wYXRoID09IHBhdGgpKSB7XG4gICAgICBjb25zdCBkZXBzID0gX2ZpbmRQcm9wZXJ0eVZhbHVlKGFzdCwgY2hhbmdlLmZpZWxkKTtcbiAgICAgIGNvbnN0IHZhbHVlID0gZGVwcyAmJiBkZXBzLmtpbmQgPT0gJ29iamVjdCcgPyBfZmluZFByb3BlcnR5VmFsdWUoZGVwcywgY2hhbmdlLm5hbWUpIDogbnVsbDtcbiAgICAgIGlmICh2YWx1ZSAmJiB2YWx1ZS5raW5kID09ICdzdHJpbmcnKSB7XG4gICAgICAgIGVkaXRzLnB1c2goe1xuICAgICAgICAgIHN0YXJ0OiB2YWx1ZS5zdGFydC5vZmZzZXQsXG4gICAgICAgICAgZW5kOiB2YWx1ZS5lbmQub2Zmc2V0LFxuICAgICAgICAgIHRleHQ6IEpTT04uc3RyaW5naWZ5KGNoYW5nZS50YXJnZXQpLFxuICAgICAgICB9KTtcbiAgICAgIH0gZWxzZSBpZiAoIXZhbHVlICYmIGNoYW5nZS5jdXJyZW50ID09PSBudWxsKSB7XG4gICAgICAgIGFkZGl0aW9ucy5wdXNoKGNoYW5nZSk7XG4gICAgICB9XG4gICAgfVxuXG4gICAgLy8gQXBwbHkgdGhlIGVkaXRzIGZyb20gdGhlIGVuZCBvZiB0aGUgZmlsZSwgc28gdGhlIG9mZnNldHMgb2YgdGhlIG90aGVycyBzdGF5IHZhbGlkLiBFYWNoXG4gICAgLy8gYWRkaXRpb24gdGhlbiBwYXJzZXMgdGhlIGNvbnRlbnQgYWdhaW4uXG4gICAgY29uc3QgbmV3Q29udGVudCA9IGFkZGl0aW9ucy5yZWR1Y2UoXG4gICAgICAoYWNjLCBjaGFuZ2UpID0+IF9hZGREZXBlbmRlbmN5KGFjYywgcGF0aCwgY2hhbmdlKSxcbiAgICAgIGVkaXRzXG4gICAgICAgIC5zb3J0KChhLCBiKSA9PiBiLnN0YXJ0IC0gYS5zdGFydClcbiAgICAgICAgLnJlZHVjZSgoYWNjLCBlKSA9PiBhY2Muc3Vic3RyKDAsIGUuc3RhcnQpICsgZS50ZXh0ICsgYWNjLnN1YnN0cihlLmVuZCksIGNvbnRlbnQpLFxuICAgICk7XG4gICAgaWYgKG5ld0NvbnRlbnQgIT0gY29udGVudCkge1xuICAgICAgdHJlZS5vdmVyd3JpdGUocGF0aCwgbmV3Q29udGVudCk7XG4gICAgfVxuICB9XG59XG4iXX0=
\ No newline at end of file